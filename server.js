@@ -4,12 +4,17 @@ const { config } = require('./src/config');
 const { loadGcpCredentialsMaybe, createStorageClient } = require('./src/clients/gcp');
 const { createAnthropicClient } = require('./src/clients/anthropic');
 const { createOpenAIClient } = require('./src/clients/openai');
+const { createLLMFromConfig } = require('./src/clients/llm');
+const { createEmbedderFromConfig } = require('./src/clients/embeddings');
 const { createOctokit } = require('./src/clients/github');
 const { createBrain } = require('./src/brain/brain');
+const { keyringFromConfig } = require('./src/brain/keyring');
 const { createGmailClient } = require('./src/clients/gmail');
 const { createCalendarClient } = require('./src/clients/calendar');
 const { createTasksClient } = require('./src/clients/tasks');
 const { indexRepos } = require('./src/repo-index');
+const { createUsageTracker } = require('./src/usage');
+const { createTelegramClient } = require('./src/clients/telegram');
 
 (async () => {
   console.log('Starting Penny...');
@@ -21,6 +26,12 @@ const { indexRepos } = require('./src/repo-index');
   // Create clients
   const anthropic = createAnthropicClient(config.anthropic.apiKey);
   const openai = createOpenAIClient(config.openai.apiKey);
+  const local = config.llmProvider === 'local' || config.memory.embedder === 'local'
+    ? createOpenAIClient(config.local.apiKey, { baseURL: config.local.baseUrl })
+    : null;
+  const llm = createLLMFromConfig(config, { anthropic, openai, local });
+  if (!llm) console.warn(`LLM provider "${config.llmProvider}" is not configured — LLM features disabled`);
+  const embedder = createEmbedderFromConfig(config, { openai, local });
   const octokit = createOctokit(config.github.token);
   const storage = createStorageClient(config.gcp.projectId);
 
@@ -29,8 +40,21 @@ const { indexRepos } = require('./src/repo-index');
     storage,
     bucket: config.gcp.brainBucket,
     prefix: config.gcp.brainPrefix,
+    backend: config.gcp.brainBackend,
+    sqlitePath: config.gcp.brainSqlitePath,
+    keyring: keyringFromConfig(config.gcp),
   });
 
+  // Bring stored objects up to the current schema before anything reads them
+  try {
+    const report = await brain.migrate();
+    console.log(`[brain] Schema check — ${report.checked} objects, ${report.migrated} migrated, ${report.resealed} (re)encrypted, ${report.quarantined.length} quarantined`);
+    for (const q of [...report.quarantined, ...report.invalid]) console.warn(`[brain] ${q.key}: ${q.errors.join('; ')}`);
+    if (report.unsealedLogs.length) console.warn(`[brain] ${report.unsealedLogs.length} audit log(s) keep plaintext or older-key records (logs aren't resealed) — see "brain migrations"`);
+  } catch (e) {
+    console.error('Brain migration failed:', e?.message || e);
+  }
+
   // Create Gmail client
   const gmail = createGmailClient(config.gmail);
 
@@ -40,14 +64,31 @@ const { indexRepos } = require('./src/repo-index');
   // Create Tasks client (reuses Gmail OAuth2 creds + optional default list)
   const tasksClient = createTasksClient({ ...config.gmail, defaultListId: config.tasks?.listId });
 
-  const deps = { config, anthropic, openai, octokit, storage, brain, gmail, calendar, tasks: tasksClient };
+  // LLM usage accounting; budget alerts go to the admin's Telegram chat
+  const adminTg = config.telegram.adminUserId
+    ? createTelegramClient(config.telegram.botToken, { apiRoot: config.telegram.apiRoot })
+    : null;
+  const usage = createUsageTracker({
+    brain,
+    config,
+    notify: adminTg ? (text) => adminTg.sendMessage(config.telegram.adminUserId, text) : null,
+  });
+
+  const deps = { config, llm, octokit, storage, brain, gmail, calendar, tasks: tasksClient, usage, embedder };
 
   const { startTelegramApp } = require('./src/telegram');
-  await startTelegramApp(deps);
+  const telegram = await startTelegramApp(deps);
 
   // Start roundup scheduler (background)
   const { startRoundupScheduler } = require('./src/roundup');
-  startRoundupScheduler(deps);
+  startRoundupScheduler({
+    ...deps,
+    llm: llm?.withHooks({ after: usage.recorder(() => ({ userId: 'system', feature: 'roundup' })) }),
+  });
+
+  // Start scheduled skills (background)
+  const { startSkillScheduler } = require('./src/skillSchedules');
+  startSkillScheduler({ ...deps, contextFor: telegram.contextFor });
 
   console.log(`Penny started in ${Date.now() - startTime}ms`);
 
@@ -1,49 +1,66 @@
 'use strict';
 
+const { LLMOutputError } = require('../clients/llm');
+
 function clampString(s, n) {
   return String(s || '').slice(0, n);
 }
 
-function extractJsonFromText(text) {
-  const s = String(text || '').trim();
+// ── Output schemas ──────────────────────────────────────────────
 
-  // Strip leading ```json or ``` so we always work with raw content
-  let content = s.replace(/^\s*```(?:json)?\s*/i, '').trim();
-  // If there was a closing ```, strip it (fenced block complete)
-  const closingFence = content.indexOf('```');
-  if (closingFence !== -1) content = content.slice(0, closingFence).trim();
+const STEP_SCHEMA = {
+  type: 'object',
+  properties: {
+    cmd: { type: 'string', minLength: 1 },
+    args: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['cmd', 'args'],
+};
 
-  // Find first { and last } (handles truncated JSON when closing ``` was never sent)
-  const start = content.indexOf('{');
-  const end = content.lastIndexOf('}');
-  if (start !== -1 && end !== -1 && end > start) {
-    return content.slice(start, end + 1).trim();
-  }
-  if (start !== -1) return content.slice(start).trim(); // truncated, try parsing anyway
-  return content;
-}
+const STRINGS = { type: 'array', items: { type: 'string' } };
 
-function safeJsonParse(text) {
-  try { return JSON.parse(text); } catch { return null; }
-}
+// Shape A (clarification) and shape B (execution plan) share one object
+// schema — tool-use schemas can't branch at the top level — and
+// checkPlanShape enforces the per-shape fields
+const PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    needsClarification: { type: 'boolean' },
+    restatement: { type: 'string' },
+    questions: { ...STRINGS, maxItems: 3 },
+    assumptions: STRINGS,
+    prTitle: { type: 'string', minLength: 1 },
+    prBody: { type: 'string' },
+    commitMessage: { type: 'string', minLength: 1 },
+    summaryBullets: STRINGS,
+    testPlanBullets: STRINGS,
+    steps: { type: 'array', items: STEP_SCHEMA },
+    verify: {
+      type: 'object',
+      properties: { commands: { type: 'array', items: STRINGS } },
+    },
+  },
+  required: ['needsClarification', 'restatement'],
+};
 
-// Try to repair JSON truncated mid-response (e.g. cut off inside prBody string).
-function parsePlanJson(extracted) {
-  let json = safeJsonParse(extracted);
-  if (json) return json;
-  const t = (extracted || '').trim();
-  if (t.length < 20) return null;
-  // Truncation often leaves unclosed string or object; try closing minimally.
-  const repairSuffixes = ['"}', '"}', '}', ']"}', ']}'];
-  for (const suf of repairSuffixes) {
-    json = safeJsonParse(t + suf);
-    if (json && json.prTitle != null && Array.isArray(json.steps)) return json;
-  }
-  return null;
+function checkPlanShape(plan) {
+  const needed = plan.needsClarification ? ['questions'] : ['prTitle', 'commitMessage', 'steps'];
+  const shape = plan.needsClarification ? 'a clarification' : 'an execution plan';
+  return needed.filter((k) => plan[k] === undefined).map((k) => `$.${k} is required for ${shape}`);
 }
 
-async function claudeSandboxPlan({ anthropic, model, owner, repo, task, constraints, acceptance, context, defaultBranch, threadMemory, repoMemory, repoContext, repoFacts, summaryMemory, threadKey, jobId, recordThreadError }) {
-  if (!anthropic) throw new Error('ANTHROPIC_API_KEY missing');
+const HEAL_STEP_SCHEMA = {
+  type: 'object',
+  properties: {
+    diagnosis: { type: 'string' },
+    fixSteps: { type: 'array', items: STEP_SCHEMA },
+    retryOriginal: { type: 'boolean' },
+  },
+  required: ['diagnosis', 'fixSteps'],
+};
+
+async function claudeSandboxPlan({ llm, owner, repo, task, constraints, acceptance, context, defaultBranch, threadMemory, repoMemory, repoContext, repoFacts, summaryMemory, memories, conversation, threadKey, jobId, recordThreadError }) {
+  if (!llm) throw new Error('No LLM configured (check LLM_PROVIDER and its API key)');
 
   const system =
     'You are Penny, a senior software engineer controlling a sandbox runner. ' +
@@ -143,6 +160,8 @@ async function claudeSandboxPlan({ anthropic, model, owner, repo, task, constrai
     repoFactsBlock,
     lastErrorHint,
     summaryBlock,
+    memories ? `\n${memories}` : '',
+    conversation ? `\n${conversation}` : '',
     '',
     'Thread memory (may be empty):',
     JSON.stringify(threadMemory || {}, null, 2).slice(0, 5000),
@@ -160,60 +179,26 @@ async function claudeSandboxPlan({ anthropic, model, owner, repo, task, constrai
     'Output must be valid JSON only.',
   ].join('\n');
 
-  const resp = await anthropic.messages.create({
-    model,
-    max_tokens: 4096,
-    system,
-    messages: [{ role: 'user', content: prompt }],
-  });
-
-  const raw = resp.content?.find((c) => c.type === 'text')?.text?.trim() || '';
-  const extracted = extractJsonFromText(raw);
-  let json = parsePlanJson(extracted);
-
-  if (!json) {
+  let json;
+  try {
+    json = await llm.json({
+      name: 'sandbox_plan',
+      schema: PLAN_SCHEMA,
+      check: checkPlanShape,
+      maxTokens: 4096,
+      system,
+      messages: [{ role: 'user', content: prompt }],
+    });
+  } catch (err) {
+    if (!(err instanceof LLMOutputError)) throw err;
     // Capture raw snippet for this thread (safe, truncated)
     await recordThreadError(threadKey, {
-      lastError: 'Claude plan returned invalid JSON (first pass).',
+      lastError: 'Claude plan returned invalid JSON.',
       lastErrorJobId: jobId,
-      lastErrorContext: `planning:parse:first_pass`,
-      lastClaudeRawSnippet: clampString(raw, 1800),
+      lastErrorContext: 'planning:parse',
+      lastClaudeRawSnippet: clampString(err.raw, 1800),
     });
-
-    // ONE repair pass
-    const repairPrompt = [
-      'You returned invalid JSON.',
-      'Return ONLY valid JSON for the plan. No markdown, no backticks, no commentary.',
-      '',
-      'Here is your previous output (for reference):',
-      raw.slice(0, 12000),
-      '',
-      'Return ONLY valid JSON with the required keys.',
-    ].join('\n');
-
-    const repair = await anthropic.messages.create({
-      model,
-      max_tokens: 4096,
-      system: 'Return ONLY valid JSON. No markdown. Keep prBody and summaryBullets very short.',
-      messages: [{ role: 'user', content: repairPrompt }],
-    });
-
-    const raw2 = repair.content?.find((c) => c.type === 'text')?.text?.trim() || '';
-    const extracted2 = extractJsonFromText(raw2);
-    json = parsePlanJson(extracted2);
-
-    if (!json) {
-      await recordThreadError(threadKey, {
-        lastError: 'Claude plan returned invalid JSON (repair pass).',
-        lastErrorJobId: jobId,
-        lastErrorContext: `planning:parse:repair_pass`,
-        lastClaudeRawSnippet: clampString(raw2, 1800),
-      });
-    }
-  }
-
-  if (!json) {
-    throw new Error(`Claude plan JSON parse failed. Got: ${raw.slice(0, 220)}`);
+    throw new Error(`Claude plan JSON parse failed: ${err.errors.slice(0, 3).join('; ')}. Got: ${String(err.raw || '').slice(0, 220)}`);
   }
 
   // clamps
@@ -224,7 +209,7 @@ async function claudeSandboxPlan({ anthropic, model, owner, repo, task, constrai
   return json;
 }
 
-async function claudeHealStep({ anthropic, model, failedStep, errorOutput, remainingSteps, repoFacts, task }) {
+async function claudeHealStep({ llm, failedStep, errorOutput, remainingSteps, repoFacts, task }) {
   const system =
     'You are Penny\'s self-healing engine. A sandbox command failed during PR creation. ' +
     'Diagnose the error and return corrective steps so execution can continue. ' +
@@ -266,18 +251,17 @@ async function claudeHealStep({ anthropic, model, failedStep, errorOutput, remai
     '}',
   ].join('\n');
 
-  const resp = await anthropic.messages.create({
-    model,
-    max_tokens: 2048,
-    system,
-    messages: [{ role: 'user', content: prompt }],
-  });
-
-  const raw = resp.content?.find((c) => c.type === 'text')?.text?.trim() || '';
-  const extracted = extractJsonFromText(raw);
-  const json = safeJsonParse(extracted);
-
-  if (!json || !Array.isArray(json.fixSteps)) {
+  let json;
+  try {
+    json = await llm.json({
+      name: 'heal_step',
+      schema: HEAL_STEP_SCHEMA,
+      maxTokens: 2048,
+      system,
+      messages: [{ role: 'user', content: prompt }],
+    });
+  } catch (err) {
+    if (!(err instanceof LLMOutputError)) throw err;
     return null; // couldn't parse a fix — caller will throw the original error
   }
 
@@ -285,4 +269,4 @@ async function claudeHealStep({ anthropic, model, failedStep, errorOutput, remai
   return json;
 }
 
-module.exports = { claudeSandboxPlan, claudeHealStep, extractJsonFromText, parsePlanJson };
+module.exports = { claudeSandboxPlan, claudeHealStep, PLAN_SCHEMA, HEAL_STEP_SCHEMA, checkPlanShape };
@@ -55,10 +55,10 @@ function detectRepoFacts(jobDir) {
   return facts;
 }
 
-async function sandboxFastPR({ octokit, anthropic, model, config, sayProgress, threadMemory, repoMemory, repoContext, summaryMemory, threadKey, recordThreadError, owner, repo, task, constraints, acceptance, context }) {
+async function sandboxFastPR({ octokit, llm, config, sayProgress, threadMemory, repoMemory, repoContext, summaryMemory, memories, conversation, threadKey, recordThreadError, owner, repo, task, constraints, acceptance, context }) {
   if (!octokit) throw new Error('GITHUB_TOKEN missing');
   if (!config.github.token) throw new Error('GITHUB_TOKEN missing in container');
-  if (!anthropic) throw new Error('ANTHROPIC_API_KEY missing');
+  if (!llm) throw new Error('No LLM configured (check LLM_PROVIDER and its API key)');
 
   const jobId = makeJobId();
   const root = config.workdir;
@@ -142,8 +142,7 @@ async function sandboxFastPR({ octokit, anthropic, model, config, sayProgress, t
     // Plan
     await sayProgress?.(`🧠 Planning your PR...`);
     const plan = await claudeSandboxPlan({
-      anthropic,
-      model,
+      llm,
       owner,
       repo,
       task,
@@ -156,6 +155,8 @@ async function sandboxFastPR({ octokit, anthropic, model, config, sayProgress, t
       repoContext,
       repoFacts,
       summaryMemory,
+      memories,
+      conversation,
       threadKey,
       jobId,
       recordThreadError,
@@ -202,7 +203,7 @@ async function sandboxFastPR({ octokit, anthropic, model, config, sayProgress, t
           await sayProgress?.(`⚠️ Step failed (${cmd}), attempting self-heal...`);
 
           const fix = await claudeHealStep({
-            anthropic, model,
+            llm,
             failedStep: step,
             errorOutput,
             remainingSteps: plan.steps.slice(stepIdx + 1),
@@ -300,13 +301,13 @@ async function sandboxFastPR({ octokit, anthropic, model, config, sayProgress, t
       await sayProgress?.('⚠️ First plan produced no file changes — retrying with fix...');
 
       const retryPlan = await claudeSandboxPlan({
-        anthropic, model, owner, repo, task, constraints, acceptance, context,
+        llm, owner, repo, task, constraints, acceptance, context,
         defaultBranch,
         threadMemory: {
           ...threadMemory,
           lastError: 'Previous plan produced no file changes. Commands ran successfully but git status was clean afterwards. Common causes: shell redirections (>) don\'t work (we use spawn, not shell), tee/cat with pipes don\'t work, node -e scripts with syntax errors that silently fail. Use node -e "require(\'fs\').writeFileSync(path, content)" for file creation. Make sure paths are relative to the repo root.',
         },
-        repoMemory, repoContext, repoFacts, summaryMemory,
+        repoMemory, repoContext, repoFacts, summaryMemory, memories, conversation,
         threadKey, jobId, recordThreadError,
       });
 
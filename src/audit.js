@@ -0,0 +1,109 @@
+'use strict';
+
+const { redact, redactString } = require('./util/redact');
+
+// ── Audit log ────────────────────────────────────────────────────
+// Every side effect Penny has on the outside world (email sent, event
+// deleted, PR opened, phone call placed …) gets one entry:
+//
+//   { at, actor: { userId, userName, chatId } | { system }, action: 'email.send',
+//     target: 'bob@example.com', args: { … redacted … },
+//     outcome: 'ok' | 'error' | 'denied', error?, result?, latencyMs }
+//
+// Entries go through the brain (audit/<day>.jsonl, backed up to GCS).
+// Audit failures are logged, never thrown — they must not break the action.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function createAudit({ brain, logError = console.error }) {
+  async function record(actor, action, { target, args, outcome = 'ok', error, result, latencyMs } = {}) {
+    const entry = {
+      at: new Date().toISOString(),
+      actor,
+      action,
+      ...(target !== undefined ? { target: redactString(target, 200) } : {}),
+      ...(args !== undefined ? { args: redact(args) } : {}),
+      outcome,
+      ...(error ? { error: redactString(error?.message || error, 300) } : {}),
+      ...(result !== undefined ? { result: redact(result) } : {}),
+      ...(latencyMs !== undefined ? { latencyMs } : {}),
+    };
+    try {
+      await brain.appendAudit(entry);
+    } catch (err) {
+      logError('Audit write failed:', err?.message || err);
+    }
+    return entry;
+  }
+
+  // Run `fn` and record how it went. `result(value)` can pick what of the
+  // return value is worth keeping (a PR URL, a call id).
+  async function run(actor, action, { target, args, result } = {}, fn) {
+    const started = Date.now();
+    try {
+      const value = await fn();
+      await record(actor, action, {
+        target, args, outcome: 'ok',
+        result: result ? result(value) : undefined,
+        latencyMs: Date.now() - started,
+      });
+      return value;
+    } catch (err) {
+      await record(actor, action, { target, args, outcome: 'error', error: err, latencyMs: Date.now() - started });
+      throw err;
+    }
+  }
+
+  function forActor(actor) {
+    return {
+      record: (action, details) => record(actor, action, details),
+      run: (action, details, fn) => run(actor, action, details, fn),
+    };
+  }
+
+  // Newest first. `action` matches a prefix ("email" → email.send).
+  async function query({ userId, action, outcome, from, to, limit = DEFAULT_LIMIT } = {}) {
+    const entries = await brain.loadAudit({ from, to });
+    return entries
+      .filter(e => !userId || String(e.actor?.userId) === String(userId))
+      .filter(e => !action || e.action === action || e.action?.startsWith(`${action}.`))
+      .filter(e => !outcome || e.outcome === outcome)
+      .reverse()
+      .slice(0, Math.min(limit, MAX_LIMIT));
+  }
+
+  return { record, run, forActor, query };
+}
+
+// "user 123 action email from 2026-03-01 to 2026-03-14 limit 50 errors"
+function parseAuditQuery(text) {
+  const filter = {};
+  const tokens = String(text || '').trim().split(/\s+/).filter(Boolean);
+  for (let i = 0; i < tokens.length; i++) {
+    const key = tokens[i].toLowerCase();
+    const value = tokens[i + 1];
+    if (key === 'errors' || key === 'denied') { filter.outcome = key === 'errors' ? 'error' : 'denied'; continue; }
+    if (key === 'today') { filter.from = new Date().toISOString().slice(0, 10); continue; }
+    if (!value) throw new Error(`"${key}" needs a value`);
+    if (key === 'user') filter.userId = value;
+    else if (key === 'action') filter.action = value.toLowerCase();
+    else if (key === 'from' || key === 'to') {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new Error(`"${key}" must be a date like 2026-03-14`);
+      filter[key] = value;
+    } else if (key === 'limit' || key === 'last') filter.limit = Math.max(1, parseInt(value, 10) || DEFAULT_LIMIT);
+    else throw new Error(`Unknown filter "${key}"`);
+    i++;
+  }
+  return filter;
+}
+
+function formatAuditEntry(e) {
+  const who = e.actor?.system ? `⚙️ ${e.actor.system}` : `user ${e.actor?.userId}${e.actor?.userName ? ` (${e.actor.userName})` : ''}`;
+  const icon = e.outcome === 'ok' ? '✅' : e.outcome === 'denied' ? '🚫' : '❌';
+  const latency = e.latencyMs !== undefined ? ` ${e.latencyMs}ms` : '';
+  return `${icon} ${e.at.slice(0, 16).replace('T', ' ')} ${who} — ${e.action}${e.target ? ` → ${e.target}` : ''}${latency}` +
+    (e.error ? `\n   ${e.error.slice(0, 150)}` : '');
+}
+
+module.exports = { createAudit, parseAuditQuery, formatAuditEntry };
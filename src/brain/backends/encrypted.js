@@ -0,0 +1,93 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// ── Encryption at rest ───────────────────────────────────────────
+// Wraps any backend so values are stored as envelopes: each write gets a
+// fresh AES-256-GCM data key, which is itself wrapped by the keyring's
+// current key. The object key is bound in as associated data, so an
+// envelope copied to another key won't open.
+//
+//   { enc: 'aes-256-gcm/1', kid, dek, iv, tag, data }
+//
+// Plaintext values (written before encryption was turned on) still read
+// fine; get() flags them, and envelopes under an old key, as `stale` so the
+// startup pass can reseal them.
+
+const ENVELOPE = 'aes-256-gcm/1';
+
+function isSealed(value) {
+  return value?.enc === ENVELOPE && typeof value.data === 'string';
+}
+
+function withEncryption(store, keyring) {
+  function seal(key, value) {
+    const dek = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dek, iv);
+    cipher.setAAD(Buffer.from(key));
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    const { kid, wrapped } = keyring.wrap(dek);
+    return {
+      enc: ENVELOPE,
+      kid,
+      dek: wrapped,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  function open(key, envelope) {
+    try {
+      const dek = keyring.unwrap(envelope.kid, envelope.dek);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', dek, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAAD(Buffer.from(key));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const text = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+      return JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Can't decrypt ${key}: ${e.message}`);
+    }
+  }
+
+  const reveal = (key, value) => (isSealed(value) ? open(key, value) : value);
+
+  return {
+    name: `${store.name}, encrypted`,
+
+    async get(key) {
+      const hit = await store.get(key);
+      if (!hit) return null;
+      const sealed = isSealed(hit.value);
+      return {
+        value: sealed ? open(key, hit.value) : hit.value,
+        version: hit.version,
+        stale: !sealed || hit.value.kid !== keyring.current,
+      };
+    },
+
+    put: (key, value) => store.put(key, seal(key, value)),
+    cas: (key, version, value) => store.cas(key, version, seal(key, value)),
+    list: (keyPrefix) => store.list(keyPrefix),
+    delete: (key) => store.delete(key),
+    ...(store.purge ? { purge: (key) => store.purge(key) } : {}),
+
+    // Each log record is its own envelope; older plaintext lines still read
+    append: (key, record) => store.append(key, seal(key, record)),
+    entries: async (key) => (await store.entries(key)).map((r) => reveal(key, r)),
+    // Logs can't be rewritten, so their plaintext and old-key records stay
+    // as written — this counts them for the startup report
+    staleRecords: async (key) => (await store.entries(key)).filter((r) => !isSealed(r) || r.kid !== keyring.current).length,
+
+    ...(store.history ? {
+      history: (key) => store.history(key),
+      getVersion: async (key, version) => reveal(key, await store.getVersion(key, version)),
+    } : {}),
+
+    keyId: () => keyring.current,
+    rotateKey: keyring.rotate ? () => keyring.rotate() : null,
+  };
+}
+
+module.exports = { withEncryption, isSealed, ENVELOPE };
@@ -0,0 +1,116 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ── Filesystem backend ───────────────────────────────────────────
+// One JSON file per key under <dir>/<prefix>/. The version is a hash of the
+// file's contents; compare-and-swap reads, compares and writes without
+// yielding, so it's atomic within this process. Writes go to a temp file and
+// are renamed into place so a crash never leaves half a JSON document.
+
+function hashOf(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+function readText(fp) {
+  try {
+    return fs.readFileSync(fp, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+function writeAtomic(fp, text) {
+  fs.mkdirSync(path.dirname(fp), { recursive: true });
+  const tmp = `${fp}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text, 'utf8');
+  fs.renameSync(tmp, fp);
+}
+
+function createFsBackend({ dir, prefix }) {
+  const root = path.join(dir, prefix);
+  fs.mkdirSync(root, { recursive: true });
+  const filePath = (key) => path.join(root, key);
+
+  function read(key) {
+    const text = readText(filePath(key));
+    if (text === null) return null;
+    try {
+      return { value: JSON.parse(text), version: hashOf(text) };
+    } catch {
+      return null; // unreadable file — treat as missing
+    }
+  }
+
+  function write(key, value) {
+    const text = JSON.stringify(value, null, 2);
+    writeAtomic(filePath(key), text);
+    return hashOf(text);
+  }
+
+  function walk(base, rel, out) {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(base, rel), { withFileTypes: true });
+    } catch {
+      return out;
+    }
+    for (const e of entries) {
+      const key = rel ? `${rel}/${e.name}` : e.name;
+      if (e.isDirectory()) walk(base, key, out);
+      else if (!e.name.endsWith('.tmp')) out.push(key);
+    }
+    return out;
+  }
+
+  return {
+    name: `fs (${root})`,
+
+    async get(key) {
+      return read(key);
+    },
+
+    async put(key, value) {
+      return write(key, value);
+    },
+
+    // `version` null means "only if it doesn't exist yet"
+    async cas(key, version, value) {
+      const current = read(key);
+      if ((current?.version ?? null) !== version) return false;
+      write(key, value);
+      return true;
+    },
+
+    async list(keyPrefix = '') {
+      const slash = keyPrefix.lastIndexOf('/');
+      const dirPart = slash >= 0 ? keyPrefix.slice(0, slash) : '';
+      return walk(root, dirPart, []).filter((k) => k.startsWith(keyPrefix)).sort();
+    },
+
+    async delete(key) {
+      fs.rmSync(filePath(key), { force: true });
+    },
+
+    // Append-only logs (JSONL)
+    async append(key, record) {
+      const fp = filePath(key);
+      fs.mkdirSync(path.dirname(fp), { recursive: true });
+      fs.appendFileSync(fp, JSON.stringify(record) + '\n', 'utf8');
+    },
+
+    async entries(key) {
+      const records = [];
+      for (const line of (readText(filePath(key)) || '').split('\n')) {
+        if (!line.trim()) continue;
+        try { records.push(JSON.parse(line)); } catch { /* torn write — skip */ }
+      }
+      return records;
+    },
+  };
+}
+
+module.exports = { createFsBackend };
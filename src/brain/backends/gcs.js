@@ -0,0 +1,145 @@
+'use strict';
+
+// ── GCS backend ──────────────────────────────────────────────────
+// Objects under gs://<bucket>/<prefix>/. The version is the object's
+// generation and compare-and-swap is an ifGenerationMatch precondition
+// (generation 0 = "must not exist"). GCS objects can't be appended to, so
+// logs are rewritten whole under the same precondition. With object
+// versioning turned on for the bucket, history() lists old generations.
+
+const MAX_LOG_ATTEMPTS = 5;
+
+function statusOf(e) {
+  return e?.code ?? e?.statusCode;
+}
+
+function createGcsBackend({ storage, bucket, prefix }) {
+  const b = storage.bucket(bucket);
+  const objectName = (key) => `${prefix}/${key}`;
+
+  // { text, version } or null. An object replaced between the metadata and
+  // the download 404s on the old generation, so look again.
+  async function readText(key) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      let meta;
+      try {
+        [meta] = await b.file(objectName(key)).getMetadata();
+      } catch (e) {
+        if (statusOf(e) === 404) return null;
+        throw e;
+      }
+      try {
+        const [buf] = await b.file(objectName(key), { generation: meta.generation }).download();
+        return { text: buf.toString('utf8'), version: String(meta.generation) };
+      } catch (e) {
+        if (statusOf(e) !== 404) throw e;
+      }
+    }
+    return null;
+  }
+
+  // Returns the new generation, or null when the precondition failed
+  async function writeText(key, text, contentType, ifGenerationMatch) {
+    const file = b.file(objectName(key));
+    try {
+      await file.save(text, {
+        resumable: false,
+        contentType,
+        ...(ifGenerationMatch !== undefined ? { preconditionOpts: { ifGenerationMatch } } : {}),
+      });
+    } catch (e) {
+      if (statusOf(e) === 412) return null;
+      throw e;
+    }
+    return String(file.metadata?.generation ?? '');
+  }
+
+  const saveJson = (key, value, match) =>
+    writeText(key, JSON.stringify(value, null, 2), 'application/json; charset=utf-8', match);
+
+  function parseLog(text) {
+    const records = [];
+    for (const line of (text || '').split('\n')) {
+      if (!line.trim()) continue;
+      try { records.push(JSON.parse(line)); } catch { /* torn write — skip */ }
+    }
+    return records;
+  }
+
+  return {
+    name: `gcs (${bucket}/${prefix})`,
+
+    async get(key) {
+      const hit = await readText(key);
+      if (!hit) return null;
+      try {
+        return { value: JSON.parse(hit.text), version: hit.version };
+      } catch {
+        return null;
+      }
+    },
+
+    async put(key, value) {
+      return await saveJson(key, value);
+    },
+
+    // `version` null means "only if it doesn't exist yet"
+    async cas(key, version, value) {
+      return (await saveJson(key, value, version === null ? 0 : Number(version))) !== null;
+    },
+
+    async list(keyPrefix = '') {
+      const [files] = await b.getFiles({ prefix: objectName(keyPrefix) });
+      return files.map((f) => f.name.slice(prefix.length + 1)).sort();
+    },
+
+    async delete(key) {
+      await b.file(objectName(key)).delete({ ignoreNotFound: true });
+    },
+
+    async append(key, record) {
+      const line = JSON.stringify(record) + '\n';
+      for (let attempt = 0; attempt < MAX_LOG_ATTEMPTS; attempt++) {
+        const current = await readText(key);
+        const written = await writeText(key, (current?.text || '') + line, 'application/x-ndjson; charset=utf-8',
+          current ? Number(current.version) : 0);
+        if (written !== null) return;
+      }
+      throw new Error(`GCS append to ${key} kept conflicting`);
+    },
+
+    async entries(key) {
+      return parseLog((await readText(key))?.text);
+    },
+
+    // Every kept generation of `key`, oldest first. `until` is when it was
+    // replaced or deleted (null for the live one).
+    async history(key) {
+      const [files] = await b.getFiles({ prefix: objectName(key), versions: true });
+      return files
+        .filter((f) => f.name === objectName(key))
+        .map((f) => ({
+          version: String(f.metadata.generation),
+          at: f.metadata.timeCreated,
+          until: f.metadata.timeDeleted || null,
+          size: Number(f.metadata.size || 0),
+        }))
+        .sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+    },
+
+    // Delete the object and every kept generation of it
+    async purge(key) {
+      const [files] = await b.getFiles({ prefix: objectName(key), versions: true });
+      for (const f of files.filter((f) => f.name === objectName(key))) {
+        await b.file(f.name, { generation: Number(f.metadata.generation) }).delete({ ignoreNotFound: true });
+      }
+    },
+
+    async getVersion(key, version) {
+      const [buf] = await b.file(objectName(key), { generation: Number(version) }).download();
+      return JSON.parse(buf.toString('utf8'));
+    },
+  };
+}
+
+module.exports = { createGcsBackend };
@@ -0,0 +1,142 @@
+'use strict';
+
+const path = require('path');
+const { createFsBackend } = require('./fs');
+const { createGcsBackend } = require('./gcs');
+const { withEncryption } = require('./encrypted');
+
+// ── Brain storage backends ───────────────────────────────────────
+// Every backend stores JSON values under string keys ("threads/tg:42.json")
+// and implements:
+//
+//   get(key)                   → { value, version } | null
+//   put(key, value)            → new version
+//   cas(key, version, value)   → true if `version` was still current (null = absent)
+//   list(keyPrefix)            → keys starting with keyPrefix, logs included
+//   delete(key)
+//   append(key, record) / entries(key) — append-only logs (the audit trail)
+//   history(key) / getVersion(key, version) — optional: old versions (GCS
+//                                              with object versioning)
+//   purge(key)                 — optional: delete including old versions
+//
+// OPENCLAW_BRAIN_BACKEND picks one: fs (default), sqlite or gcs. fs and
+// sqlite are mirrored to GCS when a bucket is configured, and with a
+// keyring the whole stack sits behind withEncryption (./encrypted).
+
+const BACKENDS = ['fs', 'sqlite', 'gcs'];
+
+// Local primary + GCS copy: reads fall back to GCS on a local miss (a fresh
+// disk after a redeploy) and cache what they find; writes are mirrored in
+// the background and never block or fail the caller
+function withBackup(primary, backup) {
+  const logError = (key, e) => console.error(`GCS backup failed for ${key}:`, e?.message || e);
+  const mirror = (key, fn) => { fn().catch((e) => logError(key, e)); };
+  const hydratedLogs = new Set();
+
+  async function restore(key) {
+    let remote = null;
+    try {
+      remote = await backup.get(key);
+    } catch (e) {
+      console.error(`GCS read failed for ${key}:`, e?.message || e);
+    }
+    if (!remote) return null;
+    await primary.cas(key, null, remote.value);
+    return await primary.get(key);
+  }
+
+  // Before the first append to a log after a restart, pull GCS's copy so
+  // the local log (and the next upload) keeps the earlier entries
+  async function hydrateLog(key) {
+    if (hydratedLogs.has(key)) return;
+    hydratedLogs.add(key);
+    if ((await primary.entries(key)).length) return;
+    try {
+      for (const record of await backup.entries(key)) await primary.append(key, record);
+    } catch (e) {
+      console.error(`GCS read failed for ${key}:`, e?.message || e);
+    }
+  }
+
+  return {
+    name: `${primary.name} + ${backup.name} backup`,
+
+    async get(key) {
+      return (await primary.get(key)) || (await restore(key));
+    },
+
+    async put(key, value) {
+      const version = await primary.put(key, value);
+      mirror(key, () => backup.put(key, value));
+      return version;
+    },
+
+    async cas(key, version, value) {
+      if (version === null && !(await primary.get(key)) && (await restore(key))) return false;
+      const ok = await primary.cas(key, version, value);
+      if (ok) mirror(key, () => backup.put(key, value));
+      return ok;
+    },
+
+    list: (keyPrefix) => primary.list(keyPrefix),
+
+    async delete(key) {
+      await primary.delete(key);
+      mirror(key, () => backup.delete(key));
+    },
+
+    async append(key, record) {
+      await hydrateLog(key);
+      await primary.append(key, record);
+      mirror(key, () => backup.append(key, record));
+    },
+
+    async entries(key) {
+      const local = await primary.entries(key);
+      if (local.length) return local;
+      try {
+        return await backup.entries(key);
+      } catch {
+        return [];
+      }
+    },
+
+    // Waits for GCS, unlike the mirrored writes: the caller has promised
+    // someone their data is gone
+    async purge(key) {
+      await primary.delete(key);
+      await backup.purge(key);
+    },
+
+    // Old versions only exist on the GCS side
+    history: (key) => backup.history(key),
+    getVersion: (key, version) => backup.getVersion(key, version),
+  };
+}
+
+// `backend` is fs | sqlite | gcs. `dir` is the local brain directory and
+// `sqlitePath` the database file (default <dir>/brain.sqlite).
+function createBackend({ backend = 'fs', storage, bucket, prefix, dir, sqlitePath }) {
+  const gcsEnabled = !!storage && !!bucket;
+  const gcs = gcsEnabled ? createGcsBackend({ storage, bucket, prefix }) : null;
+  let primary;
+  switch (backend) {
+    case 'gcs':
+      if (!gcs) throw new Error('OPENCLAW_BRAIN_BACKEND=gcs needs OPENCLAW_BRAIN_BUCKET');
+      return gcs;
+    case 'sqlite': {
+      // Loaded on demand so the native module is only needed when used
+      const { createSqliteBackend } = require('./sqlite');
+      primary = createSqliteBackend({ file: sqlitePath || path.join(dir, 'brain.sqlite'), prefix });
+      break;
+    }
+    case 'fs':
+      primary = createFsBackend({ dir, prefix });
+      break;
+    default:
+      throw new Error(`Unknown brain backend "${backend}" (expected ${BACKENDS.join(', ')})`);
+  }
+  return gcs ? withBackup(primary, gcs) : primary;
+}
+
+module.exports = { createBackend, withBackup, withEncryption, BACKENDS };
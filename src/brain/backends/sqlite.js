@@ -0,0 +1,97 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// ── SQLite backend ───────────────────────────────────────────────
+// A single database file: a key/value table with an integer version per
+// row, and an append-only log table for the audit trail. WAL mode lets
+// readers run while a write is in progress; compare-and-swap is a
+// conditional UPDATE, so it's atomic across processes sharing the file.
+
+function createSqliteBackend({ file, prefix }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kv (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS log (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      key TEXT NOT NULL,
+      record TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS log_key ON log (key, seq);
+  `);
+
+  const fullKey = (key) => `${prefix}/${key}`;
+  const stmts = {
+    get: db.prepare('SELECT value, version FROM kv WHERE key = ?'),
+    put: db.prepare(`
+      INSERT INTO kv (key, value, version, updated_at) VALUES (@key, @value, 1, @at)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value, version = kv.version + 1, updated_at = excluded.updated_at
+      RETURNING version`),
+    insert: db.prepare('INSERT OR IGNORE INTO kv (key, value, version, updated_at) VALUES (@key, @value, 1, @at)'),
+    update: db.prepare('UPDATE kv SET value = @value, version = version + 1, updated_at = @at WHERE key = @key AND version = @version'),
+    list: db.prepare(`
+      SELECT key FROM kv WHERE substr(key, 1, length(@prefix)) = @prefix
+      UNION SELECT key FROM log WHERE substr(key, 1, length(@prefix)) = @prefix
+      ORDER BY key`),
+    delete: db.prepare('DELETE FROM kv WHERE key = ?'),
+    append: db.prepare('INSERT INTO log (key, record) VALUES (?, ?)'),
+    entries: db.prepare('SELECT record FROM log WHERE key = ? ORDER BY seq'),
+  };
+
+  return {
+    name: `sqlite (${file})`,
+
+    async get(key) {
+      const row = stmts.get.get(fullKey(key));
+      if (!row) return null;
+      try {
+        return { value: JSON.parse(row.value), version: row.version };
+      } catch {
+        return null;
+      }
+    },
+
+    async put(key, value) {
+      return stmts.put.get({ key: fullKey(key), value: JSON.stringify(value), at: new Date().toISOString() }).version;
+    },
+
+    // `version` null means "only if it doesn't exist yet"
+    async cas(key, version, value) {
+      const row = { key: fullKey(key), value: JSON.stringify(value), at: new Date().toISOString() };
+      const result = version === null ? stmts.insert.run(row) : stmts.update.run({ ...row, version });
+      return result.changes === 1;
+    },
+
+    async list(keyPrefix = '') {
+      return stmts.list.all({ prefix: fullKey(keyPrefix) }).map((r) => r.key.slice(prefix.length + 1));
+    },
+
+    async delete(key) {
+      stmts.delete.run(fullKey(key));
+    },
+
+    async append(key, record) {
+      stmts.append.run(fullKey(key), JSON.stringify(record));
+    },
+
+    async entries(key) {
+      return stmts.entries.all(fullKey(key)).map((r) => JSON.parse(r.record));
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteBackend };
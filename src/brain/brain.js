@@ -1,7 +1,17 @@
 'use strict';
 
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const { createBackend, withEncryption } = require('./backends');
+const { kindOf, upgrade, stamp, validate, quarantineKey } = require('./migrations');
+
+const CALLBACK_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CALLBACK_ACTIONS = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_AUDIT_DAYS = 366;
+const MAX_CAS_ATTEMPTS = 10;
+// Backstop only — conversation history is kept to a token budget by
+// summarizing older turns (src/conversation.js)
+const MAX_THREAD_MESSAGES = 200;
 
 function nowIso() {
   return new Date().toISOString();
@@ -11,52 +21,16 @@ function clampString(s, n) {
   return String(s || '').slice(0, n);
 }
 
-function brainObjectPath(prefix, kind, key) {
+// Backend key for one record, e.g. threads/tg:42.json
+function objectKey(kind, key) {
   const safe = String(key).replace(/[^a-zA-Z0-9._:@-]/g, '_');
-  return `${prefix}/${kind}/${safe}.json`;
+  return `${kind}/${safe}.json`;
 }
 
-// Local filesystem storage (fast reads/writes on VM)
-const LOCAL_BRAIN_DIR = process.env.OPENCLAW_BRAIN_DIR || '/tmp/penny-brain';
-
-function localPath(objectName) {
-  return path.join(LOCAL_BRAIN_DIR, objectName);
-}
-
-function localReadJson(objectName) {
-  try {
-    const fp = localPath(objectName);
-    if (!fs.existsSync(fp)) return null;
-    return JSON.parse(fs.readFileSync(fp, 'utf8'));
-  } catch {
-    return null;
-  }
-}
-
-function localWriteJson(objectName, obj) {
-  const fp = localPath(objectName);
-  fs.mkdirSync(path.dirname(fp), { recursive: true });
-  fs.writeFileSync(fp, JSON.stringify(obj, null, 2), 'utf8');
-}
+const OBJECT_KEY = /^[a-z-]+\/[a-zA-Z0-9._:@-]+\.json$/;
 
-// GCS storage (backup)
-async function gcsReadJson(storage, bucketName, objectName) {
-  try {
-    const [buf] = await storage.bucket(bucketName).file(objectName).download();
-    return JSON.parse(buf.toString('utf8'));
-  } catch (e) {
-    if (e?.code === 404 || e?.statusCode === 404) return null;
-    return null;
-  }
-}
-
-async function gcsWriteJson(storage, bucketName, objectName, obj) {
-  const text = JSON.stringify(obj, null, 2);
-  await storage.bucket(bucketName).file(objectName).save(text, {
-    resumable: false,
-    contentType: 'application/json; charset=utf-8',
-  });
-}
+// Local brain directory (fs backend files, default SQLite database)
+const LOCAL_BRAIN_DIR = process.env.OPENCLAW_BRAIN_DIR || '/tmp/penny-brain';
 
 function threadKeyFromEvent(event) {
   const threadTs = event.thread_ts || event.ts;
@@ -91,8 +65,10 @@ function sanitizePlanForStorage(plan) {
   return safe;
 }
 
-function createBrain({ storage, bucket, prefix }) {
-  const gcsEnabled = !!storage && !!bucket;
+// `backend` is a backend name (fs | sqlite | gcs) or an object implementing
+// the interface in ./backends. With a `keyring` (./keyring) every object is
+// encrypted before it reaches the backend.
+function createBrain({ storage, bucket, prefix, backend = 'fs', sqlitePath, keyring = null }) {
   const enabled = true; // always enabled — local storage is always available
   const verbose = process.env.BRAIN_DEBUG === '1';
 
@@ -100,77 +76,129 @@ function createBrain({ storage, bucket, prefix }) {
     if (verbose) console.log('[brain]', ...args);
   }
 
-  // Ensure local brain dir exists
-  fs.mkdirSync(LOCAL_BRAIN_DIR, { recursive: true });
-  console.log(`[brain] Initialized — local: ${LOCAL_BRAIN_DIR}, GCS: ${gcsEnabled ? `${bucket}/${prefix}` : 'disabled'}`);
-
-  // Async GCS backup (fire-and-forget, never blocks)
-  function backupToGcs(objPath, data) {
-    if (!gcsEnabled) return;
-    gcsWriteJson(storage, bucket, objPath, data).catch((e) => {
-      console.error(`GCS backup failed for ${objPath}:`, e?.message || e);
-    });
+  const base = typeof backend === 'object'
+    ? backend
+    : createBackend({ backend, storage, bucket, prefix, dir: LOCAL_BRAIN_DIR, sqlitePath });
+  const store = keyring ? withEncryption(base, keyring) : base;
+  console.log(`[brain] Initialized — ${store.name}`);
+
+  // Reads come back upgraded to the current schema; writes are stamped with it
+  async function readJson(key) {
+    const hit = await store.get(key);
+    brainLog(hit ? 'read' : 'read (miss)', key);
+    return hit ? upgrade(key, hit.value) : null;
   }
 
-  // Read: local first, fall back to GCS if local miss
-  async function readJson(objPath) {
-    const local = localReadJson(objPath);
-    if (local) { brainLog('read (local hit)', objPath); return local; }
-    if (!gcsEnabled) { brainLog('read (miss)', objPath); return null; }
-    const remote = await gcsReadJson(storage, bucket, objPath);
-    if (remote) {
-      brainLog('read (GCS hit, cached locally)', objPath);
-      localWriteJson(objPath, remote);
-    } else {
-      brainLog('read (miss everywhere)', objPath);
-    }
-    return remote;
+  async function writeJson(key, data) {
+    await store.put(key, stamp(key, data));
+    brainLog('write', key);
   }
 
-  // Write: local (sync, fast) + async GCS backup
-  async function writeJson(objPath, data) {
-    localWriteJson(objPath, data);
-    brainLog('write', objPath, gcsEnabled ? '(+GCS backup)' : '(local only)');
-    backupToGcs(objPath, data);
+  // Read-modify-write without lost updates: `fn(current)` returns the new
+  // value (or undefined to leave it alone). Updates to one key queue up in
+  // this process; a write from another process (shared SQLite file, GCS)
+  // fails the compare-and-swap and `fn` re-runs on the fresh value.
+  const keyChains = new Map();
+
+  function update(key, fn) {
+    const next = (keyChains.get(key) || Promise.resolve()).then(() => casLoop(key, fn));
+    const settled = next.catch(() => {});
+    keyChains.set(key, settled);
+    settled.then(() => { if (keyChains.get(key) === settled) keyChains.delete(key); });
+    return next;
   }
 
-  async function loadThread(threadKey) {
-    const objPath = brainObjectPath(prefix, 'threads', threadKey);
-    return await readJson(objPath);
+  async function casLoop(key, fn) {
+    for (let attempt = 0; attempt < MAX_CAS_ATTEMPTS; attempt++) {
+      if (attempt) await new Promise((resolve) => setTimeout(resolve, Math.random() * 20 * attempt));
+      const hit = await store.get(key);
+      const current = hit ? upgrade(key, hit.value) : null;
+      const next = fn(current);
+      if (next === undefined) return current;
+      if (await store.cas(key, hit ? hit.version : null, stamp(key, next))) {
+        brainLog('write', key, attempt ? `(after ${attempt} retries)` : '');
+        return stamp(key, next);
+      }
+    }
+    throw new Error(`Brain write to ${key} kept conflicting`);
   }
 
-  async function saveThread(threadKey, patch) {
-    const objPath = brainObjectPath(prefix, 'threads', threadKey);
-    const existing = (await readJson(objPath)) || {};
+  // A null in the patch clears that field
+  function mergeThread(existing, patch) {
     const merged = {
       ...existing,
       ...patch,
       updatedAt: nowIso(),
-      version: 1,
     };
+    for (const [k, v] of Object.entries(patch)) {
+      if (v === null) delete merged[k];
+    }
     // Prune large fields to prevent unbounded growth
-    if (Array.isArray(merged.messages)) merged.messages = merged.messages.slice(-20);
+    if (Array.isArray(merged.messages)) merged.messages = merged.messages.slice(-MAX_THREAD_MESSAGES);
     if (Array.isArray(merged.errors)) merged.errors = merged.errors.slice(-10);
-    await writeJson(objPath, merged);
+    return merged;
+  }
+
+  async function loadThread(threadKey) {
+    return await readJson(objectKey('threads', threadKey));
+  }
+
+  async function saveThread(threadKey, patch) {
+    await update(objectKey('threads', threadKey), (existing) => mergeThread(existing, patch));
+  }
+
+  // `fn(thread)` returns a patch computed from the stored thread (or
+  // undefined to leave it alone); re-runs if someone else wrote first
+  async function updateThread(threadKey, fn) {
+    return await update(objectKey('threads', threadKey), (existing) => {
+      const patch = fn(existing || {});
+      return patch === undefined ? undefined : mergeThread(existing, patch);
+    });
+  }
+
+  // Inline-button actions. The button itself only carries an opaque token;
+  // what it does is kept here, per user, so a stale or forged button can't
+  // act on someone else's item or on whatever now sits at that list number.
+  async function saveCallbackActions(threadKey, actions) {
+    const now = Date.now();
+    const fresh = actions.map((a) => [
+      crypto.randomBytes(9).toString('base64url'),
+      { action: a.action, payload: a.payload || {}, at: new Date(now).toISOString() },
+    ]);
+    await update(objectKey('threads', threadKey), (existing) => {
+      const kept = Object.entries(existing?.callbackActions || {})
+        .filter(([, a]) => now - Date.parse(a.at) < CALLBACK_TTL_MS);
+      return mergeThread(existing, { callbackActions: Object.fromEntries([...kept, ...fresh].slice(-MAX_CALLBACK_ACTIONS)) });
+    });
+    return fresh.map(([token]) => token);
+  }
+
+  // Single use: returns { action, payload } and forgets the token, or null if
+  // it's unknown or expired
+  async function takeCallbackAction(threadKey, token) {
+    let entry = null;
+    await update(objectKey('threads', threadKey), (existing) => {
+      entry = existing?.callbackActions?.[token] || null;
+      if (!entry) return undefined;
+      const callbackActions = { ...existing.callbackActions };
+      delete callbackActions[token];
+      return mergeThread(existing, { callbackActions });
+    });
+    if (!entry) return null;
+    if (Date.now() - Date.parse(entry.at) >= CALLBACK_TTL_MS) return null;
+    return { action: entry.action, payload: entry.payload };
   }
 
   async function loadRepo(owner, repo) {
-    const key = repoKey(owner, repo);
-    const objPath = brainObjectPath(prefix, 'repos', key);
-    return await readJson(objPath);
+    return await readJson(objectKey('repos', repoKey(owner, repo)));
   }
 
   async function saveRepo(owner, repo, patch) {
-    const key = repoKey(owner, repo);
-    const objPath = brainObjectPath(prefix, 'repos', key);
-    const existing = (await readJson(objPath)) || {};
-    const merged = {
+    await update(objectKey('repos', repoKey(owner, repo)), (existing) => ({
       ...existing,
       ...patch,
       updatedAt: nowIso(),
-      version: 1,
-    };
-    await writeJson(objPath, merged);
+    }));
   }
 
   async function recordThreadError(threadKey, patch) {
@@ -185,20 +213,19 @@ function createBrain({ storage, bucket, prefix }) {
   }
 
   async function loadSummary() {
-    const objPath = brainObjectPath(prefix, 'global', 'summary');
-    return await readJson(objPath);
+    return await readJson(objectKey('global', 'summary'));
   }
 
   async function saveSummary(patch) {
-    const objPath = brainObjectPath(prefix, 'global', 'summary');
-    const existing = (await readJson(objPath)) || { entries: [] };
     const entry = {
       ...patch,
       at: nowIso(),
     };
-    existing.entries = [...(existing.entries || []).slice(-49), entry];
-    existing.updatedAt = nowIso();
-    await writeJson(objPath, existing);
+    await update(objectKey('global', 'summary'), (existing) => ({
+      ...existing,
+      entries: [...(existing?.entries || []).slice(-49), entry],
+      updatedAt: nowIso(),
+    }));
   }
 
   function threadKeyFromTelegram(userId) {
@@ -206,101 +233,454 @@ function createBrain({ storage, bucket, prefix }) {
   }
 
   async function listRepos() {
-    const reposDir = path.join(LOCAL_BRAIN_DIR, prefix, 'repos');
     try {
-      if (!fs.existsSync(reposDir)) return [];
-      const files = fs.readdirSync(reposDir).filter(f => f.endsWith('.json'));
-      return files.map(f => {
-        try {
-          const data = JSON.parse(fs.readFileSync(path.join(reposDir, f), 'utf8'));
-          return { name: data.name || f.replace('.json', ''), language: data.language, description: data.description };
-        } catch { return null; }
-      }).filter(Boolean);
+      const keys = await store.list('repos/');
+      const repos = await Promise.all(keys.map(async (key) => {
+        const data = await readJson(key).catch(() => null);
+        if (!data) return null;
+        return { name: data.name || key.slice('repos/'.length).replace(/\.json$/, ''), language: data.language, description: data.description };
+      }));
+      return repos.filter(Boolean);
     } catch { return []; }
   }
 
-  async function loadSkills() {
-    const objPath = brainObjectPath(prefix, 'global', 'skills');
-    const data = await readJson(objPath);
+  // Skill lists by scope (see src/skillScopes.js): `where` is
+  // { scope: 'global' } (the default), { scope: 'team', owner: team } or
+  // { scope: 'personal', owner: threadKey }
+  function skillsKey({ scope = 'global', owner } = {}) {
+    if (scope === 'global') return objectKey('global', 'skills');
+    if (!owner) throw new Error(`A ${scope} skill list needs an owner`);
+    if (scope === 'team') return objectKey('team-skills', owner);
+    if (scope === 'personal') return objectKey('skills', owner);
+    throw new Error(`Unknown skill scope "${scope}"`);
+  }
+
+  async function loadSkills(where) {
+    const data = await readJson(skillsKey(where));
     return Array.isArray(data?.skills) ? data.skills : [];
   }
 
-  async function saveSkill(skill) {
-    const objPath = brainObjectPath(prefix, 'global', 'skills');
-    const existing = (await readJson(objPath)) || { skills: [] };
-    const skills = Array.isArray(existing.skills) ? existing.skills : [];
-    // Replace if same name exists, otherwise append (cap at 50)
-    const idx = skills.findIndex(s => s.name === skill.name);
-    if (idx >= 0) {
-      skills[idx] = skill;
-    } else {
-      skills.push(skill);
+  async function saveSkill(skill, where) {
+    await update(skillsKey(where), (existing) => {
+      const skills = Array.isArray(existing?.skills) ? [...existing.skills] : [];
+      // Replace if same name exists, otherwise append (cap at 50)
+      const idx = skills.findIndex(s => s.name === skill.name);
+      if (idx >= 0) {
+        skills[idx] = skill;
+      } else {
+        skills.push(skill);
+      }
+      return { ...existing, skills: skills.slice(-50), updatedAt: nowIso() };
+    });
+  }
+
+  async function deleteSkill(skillName, where) {
+    await update(skillsKey(where), (existing) => ({
+      ...existing,
+      skills: (existing?.skills || []).filter(s => s.name !== skillName),
+      updatedAt: nowIso(),
+    }));
+  }
+
+  // What a user's skills keep between runs (penny.brain.kv, see
+  // src/skillCapabilities.js): { skills: { [skillName]: { key: value } } }
+  async function loadSkillData(threadKey, skillName) {
+    const data = await readJson(objectKey('skill-data', threadKey));
+    return data?.skills?.[skillName] || {};
+  }
+
+  // `fn(values)` returns the skill's new values; an empty object drops them
+  async function updateSkillData(threadKey, skillName, fn) {
+    await update(objectKey('skill-data', threadKey), (existing) => {
+      const { [skillName]: current = {}, ...others } = existing?.skills || {};
+      const next = fn(current);
+      const skills = Object.keys(next).length ? { ...others, [skillName]: next } : others;
+      return { ...existing, skills, updatedAt: nowIso() };
+    });
+  }
+
+  // Skills a user has scheduled (see src/skillSchedules.js):
+  // { threadKey, schedules: [{ id, skill, spec, nextRunAt, … }] }
+  async function loadSkillSchedules(threadKey) {
+    const data = await readJson(objectKey('skill-schedules', threadKey));
+    return Array.isArray(data?.schedules) ? data.schedules : [];
+  }
+
+  // `fn(schedules)` returns the new list (or undefined to leave it alone)
+  async function updateSkillSchedules(threadKey, fn) {
+    const data = await update(objectKey('skill-schedules', threadKey), (existing) => {
+      const next = fn(Array.isArray(existing?.schedules) ? existing.schedules : []);
+      return next === undefined ? undefined : { ...existing, threadKey, schedules: next, updatedAt: nowIso() };
+    });
+    return Array.isArray(data?.schedules) ? data.schedules : [];
+  }
+
+  // Every user's schedules, for the scheduler: [{ threadKey, schedules }]
+  async function loadAllSkillSchedules() {
+    const all = [];
+    for (const key of await listObjects('skill-schedules/')) {
+      const data = await readJson(key);
+      if (data?.threadKey && data.schedules?.length) all.push({ threadKey: data.threadKey, schedules: data.schedules });
     }
-    existing.skills = skills.slice(-50);
-    existing.updatedAt = nowIso();
-    await writeJson(objPath, existing);
+    return all;
   }
 
-  async function deleteSkill(skillName) {
-    const objPath = brainObjectPath(prefix, 'global', 'skills');
-    const existing = (await readJson(objPath)) || { skills: [] };
-    existing.skills = (existing.skills || []).filter(s => s.name !== skillName);
-    existing.updatedAt = nowIso();
-    await writeJson(objPath, existing);
+  // Requests to share a skill with a team or everyone, awaiting an admin
+  async function loadSkillPromotions() {
+    const data = await readJson(objectKey('global', 'skill-promotions'));
+    return Array.isArray(data?.requests) ? data.requests : [];
+  }
+
+  // `fn(requests)` returns the new list (or undefined to leave it alone)
+  async function updateSkillPromotions(fn) {
+    const data = await update(objectKey('global', 'skill-promotions'), (existing) => {
+      const next = fn(Array.isArray(existing?.requests) ? existing.requests : []);
+      return next === undefined ? undefined : { ...existing, requests: next, updatedAt: nowIso() };
+    });
+    return Array.isArray(data?.requests) ? data.requests : [];
   }
 
   async function loadRoundupTopics() {
-    const objPath = brainObjectPath(prefix, 'global', 'roundup-topics');
-    const data = await readJson(objPath);
+    const data = await readJson(objectKey('global', 'roundup-topics'));
+    return Array.isArray(data?.topics) ? data.topics : [];
+  }
+
+  // `fn(topics)` returns the new list, or undefined to leave it alone
+  async function updateRoundupTopics(fn) {
+    const data = await update(objectKey('global', 'roundup-topics'), (existing) => {
+      const next = fn(Array.isArray(existing?.topics) ? existing.topics : []);
+      return next === undefined ? undefined : { ...existing, topics: next, updatedAt: nowIso() };
+    });
     return Array.isArray(data?.topics) ? data.topics : [];
   }
 
   async function saveRoundupTopics(topics) {
-    const objPath = brainObjectPath(prefix, 'global', 'roundup-topics');
-    await writeJson(objPath, { topics, updatedAt: nowIso() });
+    await updateRoundupTopics(() => topics);
   }
 
   async function loadRoundupHandles() {
-    const objPath = brainObjectPath(prefix, 'global', 'roundup-handles');
-    const data = await readJson(objPath);
+    const data = await readJson(objectKey('global', 'roundup-handles'));
+    return Array.isArray(data?.handles) ? data.handles : [];
+  }
+
+  async function updateRoundupHandles(fn) {
+    const data = await update(objectKey('global', 'roundup-handles'), (existing) => {
+      const next = fn(Array.isArray(existing?.handles) ? existing.handles : []);
+      return next === undefined ? undefined : { ...existing, handles: next, updatedAt: nowIso() };
+    });
     return Array.isArray(data?.handles) ? data.handles : [];
   }
 
   async function saveRoundupHandles(handles) {
-    const objPath = brainObjectPath(prefix, 'global', 'roundup-handles');
-    await writeJson(objPath, { handles, updatedAt: nowIso() });
+    await updateRoundupHandles(() => handles);
   }
 
   async function saveActiveChat(chatId) {
-    const objPath = brainObjectPath(prefix, 'global', 'active-chats');
-    const existing = (await readJson(objPath)) || { chatIds: [] };
-    const chatIds = Array.isArray(existing.chatIds) ? existing.chatIds : [];
-    if (!chatIds.includes(chatId)) {
-      chatIds.push(chatId);
-      existing.chatIds = chatIds;
-      existing.updatedAt = nowIso();
-      await writeJson(objPath, existing);
-    }
+    await update(objectKey('global', 'active-chats'), (existing) => {
+      const chatIds = Array.isArray(existing?.chatIds) ? existing.chatIds : [];
+      if (chatIds.includes(chatId)) return undefined;
+      return { ...existing, chatIds: [...chatIds, chatId], updatedAt: nowIso() };
+    });
   }
 
   async function loadActiveChats() {
-    const objPath = brainObjectPath(prefix, 'global', 'active-chats');
-    const data = await readJson(objPath);
+    const data = await readJson(objectKey('global', 'active-chats'));
     return Array.isArray(data?.chatIds) ? data.chatIds : [];
   }
 
   async function recordSkillError(skillName, error) {
-    const objPath = brainObjectPath(prefix, 'global', 'skill-errors');
-    const existing = (await readJson(objPath)) || { errors: [] };
-    const errors = Array.isArray(existing.errors) ? existing.errors : [];
-    errors.push({
+    const entry = {
       skill: skillName,
       error: clampString(error, 500),
       at: nowIso(),
+    };
+    await update(objectKey('global', 'skill-errors'), (existing) => ({
+      ...existing,
+      errors: [...(Array.isArray(existing?.errors) ? existing.errors : []), entry].slice(-25),
+      updatedAt: nowIso(),
+    }));
+  }
+
+  // Role assignments: { [userId]: { role, grant, revoke, updatedAt, updatedBy } }
+  async function loadRoles() {
+    const data = await readJson(objectKey('global', 'roles'));
+    return data?.users && typeof data.users === 'object' ? data.users : {};
+  }
+
+  async function updateRoles(fn) {
+    const data = await update(objectKey('global', 'roles'), (existing) => {
+      const next = fn(existing?.users && typeof existing.users === 'object' ? existing.users : {});
+      return next === undefined ? undefined : { ...existing, users: next, updatedAt: nowIso() };
     });
-    existing.errors = errors.slice(-25);
-    existing.updatedAt = nowIso();
-    await writeJson(objPath, existing);
+    return data?.users && typeof data.users === 'object' ? data.users : {};
+  }
+
+  async function saveRoles(users) {
+    await updateRoles(() => users);
+  }
+
+  // Rate limiter state per user: burst bucket + today's quota counters.
+  // `fn(state)` gets the stored state (null at first) and returns the new
+  // one, or undefined to leave it alone.
+  async function loadRateLimit(key) {
+    return await readJson(objectKey('limits', key));
+  }
+
+  async function updateRateLimit(key, fn) {
+    return await update(objectKey('limits', key), (existing) => {
+      const next = fn(existing);
+      return next === undefined ? undefined : { ...next, updatedAt: nowIso() };
+    });
+  }
+
+  async function saveRateLimit(key, state) {
+    await updateRateLimit(key, () => state);
+  }
+
+  // LLM usage rollups: "<YYYY-MM-DD>" per day, "month-<YYYY-MM>" per month
+  async function loadUsage(key) {
+    return await readJson(objectKey('usage', key));
+  }
+
+  async function updateUsage(key, fn) {
+    return await update(objectKey('usage', key), (existing) => {
+      const next = fn(existing);
+      return next === undefined ? undefined : { ...next, updatedAt: nowIso() };
+    });
+  }
+
+  async function saveUsage(key, data) {
+    await updateUsage(key, () => data);
+  }
+
+  // Long-term memories per thread: { items: [{ id, text, embedding, embedder, … }] }
+  async function loadMemories(threadKey) {
+    const data = await readJson(objectKey('memory', threadKey));
+    return Array.isArray(data?.items) ? data.items : [];
+  }
+
+  // `fn(items)` returns the new list (or undefined to leave it alone)
+  async function updateMemories(threadKey, fn) {
+    const data = await update(objectKey('memory', threadKey), (existing) => {
+      const items = fn(Array.isArray(existing?.items) ? existing.items : []);
+      return items === undefined ? undefined : { items, updatedAt: nowIso() };
+    });
+    return Array.isArray(data?.items) ? data.items : [];
+  }
+
+  // ── Raw objects (export / import / restore) ──
+  // Addressed by backend key, e.g. threads/tg:42.json. Keys from outside
+  // (an import bundle, an admin command) are checked before they reach a
+  // backend so they can't point outside the brain.
+  function checkObjectKey(key) {
+    if (!OBJECT_KEY.test(String(key))) throw new Error(`Not a brain object key: ${key}`);
+  }
+
+  async function listObjects(keyPrefix) {
+    return (await store.list(keyPrefix)).filter((key) => OBJECT_KEY.test(key));
+  }
+
+  async function loadObject(key) {
+    checkObjectKey(key);
+    return await readJson(key);
+  }
+
+  // Objects from a bundle or an old version are upgraded on the way in
+  async function saveObject(key, value) {
+    checkObjectKey(key);
+    await writeJson(key, upgrade(key, value));
+  }
+
+  // Old versions of an object, oldest first, or null when the backend
+  // keeps none (needs a GCS bucket with object versioning)
+  async function objectHistory(key) {
+    checkObjectKey(key);
+    return store.history ? await store.history(key) : null;
+  }
+
+  async function loadObjectVersion(key, version) {
+    checkObjectKey(key);
+    if (!store.getVersion) throw new Error('This brain backend keeps no old versions');
+    return await store.getVersion(key, version);
+  }
+
+  // ── Schema migrations ──
+  // Startup pass over every object: writes back upgrades, quarantines
+  // objects that don't fit their schema, (re)encrypts plaintext or
+  // old-key objects when encryption is on, and keeps a report
+  // (global/migrations.json) for "brain migrations". The audit logs are
+  // append-only and aren't resealed; the report lists the ones still
+  // holding plaintext or old-key records (their keys must stay in the
+  // keyring).
+  async function migrate() {
+    const report = { at: nowIso(), checked: 0, migrated: 0, resealed: 0, newer: 0, quarantined: [], invalid: [], unsealedLogs: [] };
+    for (const key of await listObjects('')) {
+      let hit;
+      try {
+        hit = await store.get(key);
+      } catch (e) {
+        report.invalid.push({ key, errors: [e.message] });
+        continue;
+      }
+      if (!hit) continue;
+      const kind = kindOf(key);
+      if (!kind) {
+        if (hit.stale && await store.cas(key, hit.version, hit.value)) report.resealed++;
+        continue;
+      }
+      report.checked++;
+      let value;
+      let errors;
+      try {
+        value = upgrade(key, hit.value);
+        errors = validate(key, value);
+      } catch (e) {
+        errors = [`migration failed: ${e.message}`];
+      }
+      if (errors.length) {
+        if (kind.quarantine === false) {
+          report.invalid.push({ key, errors: errors.slice(0, 5) });
+          continue;
+        }
+        await store.put(quarantineKey(key), { key, value: hit.value, errors, quarantinedAt: nowIso() });
+        await store.delete(key);
+        report.quarantined.push({ key, errors: errors.slice(0, 5) });
+        continue;
+      }
+      if (value.version > kind.migrations.length) report.newer++;
+      // A failed swap means someone wrote it meanwhile — already current
+      const upgraded = value !== hit.value;
+      if ((upgraded || hit.stale) && await store.cas(key, hit.version, value)) {
+        if (upgraded) report.migrated++;
+        if (hit.stale) report.resealed++;
+      }
+    }
+    if (store.staleRecords) {
+      for (const key of await store.list('audit/')) {
+        const records = await store.staleRecords(key);
+        if (records) report.unsealedLogs.push({ key, records });
+      }
+    }
+    await store.put(objectKey('global', 'migrations'), report);
+    return report;
+  }
+
+  async function loadMigrationReport() {
+    return await readJson(objectKey('global', 'migrations'));
+  }
+
+  // Encryption at rest: the current key id (null when off). rotateKey()
+  // makes a new current key where the keyring can (local KMS) — follow it
+  // with migrate() to reseal everything under it.
+  function encryptionKeyId() {
+    return store.keyId ? store.keyId() : null;
+  }
+
+  async function rotateKey() {
+    if (!store.rotateKey) return null;
+    return store.rotateKey();
+  }
+
+  async function listQuarantine() {
+    const keys = await store.list('quarantine/');
+    return (await Promise.all(keys.map((key) => readJson(key)))).filter(Boolean);
+  }
+
+  // ── Per-user data (privacy commands) ──
+  // Everything keyed by one user's thread: the thread itself, its
+  // sub-threads ("<threadKey>:history"), memories, personal skills, their
+  // data and schedules, rate-limit state and any quarantined copies of those
+  async function listUserObjects(threadKey) {
+    const keys = [];
+    for (const kind of ['threads', 'memory', 'skills', 'skill-data', 'skill-schedules', 'limits']) {
+      const exact = objectKey(kind, threadKey);
+      const stem = exact.slice(0, -'.json'.length);
+      const mine = (k) => k === exact || k.startsWith(`${stem}:`);
+      keys.push(...(await store.list(stem)).filter(mine));
+      const held = quarantineKey(exact).slice(0, -'.json'.length);
+      keys.push(...(await store.list(held)).filter((k) => k === `${held}.json` || k.startsWith(`${held}:`)));
+    }
+    return keys;
+  }
+
+  async function purgeObject(key) {
+    if (store.purge) await store.purge(key);
+    else await store.delete(key);
+  }
+
+  // Chat turns, the rolling summary and the support transcript — for users
+  // who turn history off. The thread is purged and rewritten without its
+  // messages so old GCS versions don't keep them either.
+  async function clearHistory(threadKey) {
+    await purgeObject(objectKey('threads', `${threadKey}:history`));
+    const key = objectKey('threads', threadKey);
+    const thread = await readJson(key);
+    if (!thread?.messages) return;
+    const { messages: _, ...rest } = thread;
+    await purgeObject(key);
+    await writeJson(key, { ...rest, updatedAt: nowIso() });
+  }
+
+  async function exportUserData(threadKey) {
+    const objects = {};
+    for (const key of await listUserObjects(threadKey)) {
+      const value = await readJson(key);
+      if (value !== null) objects[key] = value;
+    }
+    return objects;
+  }
+
+  // Deletes the user's objects (old GCS versions too), takes them off the
+  // roundup list and out of the per-user usage breakdown. Roles, the audit
+  // log and rate-limit counters are kept — otherwise deleting your data
+  // would reset your quota. Returns the deleted keys.
+  async function deleteUserData(threadKey, { userId, chatId } = {}) {
+    const keys = (await listUserObjects(threadKey)).filter((k) => !k.startsWith('limits/'));
+    for (const key of keys) await purgeObject(key);
+    if (chatId !== undefined) {
+      await update(objectKey('global', 'active-chats'), (existing) => {
+        const chatIds = Array.isArray(existing?.chatIds) ? existing.chatIds : [];
+        if (!chatIds.some((c) => String(c) === String(chatId))) return undefined;
+        return { ...existing, chatIds: chatIds.filter((c) => String(c) !== String(chatId)), updatedAt: nowIso() };
+      });
+    }
+    if (userId !== undefined) {
+      for (const key of await store.list('usage/')) {
+        await update(key, (day) => {
+          if (!day?.byUser?.[userId] && !day?.names?.[userId]) return undefined;
+          const { [userId]: _u, ...byUser } = day.byUser || {};
+          const { [userId]: _n, ...names } = day.names || {};
+          return { ...day, byUser, names };
+        });
+      }
+    }
+    brainLog('deleted user data', threadKey, keys.length);
+    return keys;
+  }
+
+  // ── Audit log ──────────────────────────────────────────────
+  // Append-only, one log per UTC day (audit/2026-03-14.jsonl)
+  function auditKey(day) {
+    return `audit/${day}.jsonl`;
+  }
+
+  async function appendAudit(entry) {
+    const at = entry.at || nowIso();
+    await store.append(auditKey(at.slice(0, 10)), { ...entry, at });
+    brainLog('audit', entry.action);
+  }
+
+  // Entries from `from` to `to` (YYYY-MM-DD, inclusive, UTC), oldest first
+  async function loadAudit({ from, to } = {}) {
+    const end = to ? Date.parse(`${to}T00:00:00Z`) : Date.parse(`${nowIso().slice(0, 10)}T00:00:00Z`);
+    let start = from ? Date.parse(`${from}T00:00:00Z`) : end;
+    if (isNaN(start) || isNaN(end)) throw new Error('Dates must look like YYYY-MM-DD');
+    start = Math.max(start, end - (MAX_AUDIT_DAYS - 1) * DAY_MS);
+    const entries = [];
+    for (let t = start; t <= end; t += DAY_MS) {
+      entries.push(...await store.entries(auditKey(new Date(t).toISOString().slice(0, 10))));
+    }
+    return entries;
   }
 
   return {
@@ -309,24 +689,63 @@ function createBrain({ storage, bucket, prefix }) {
     threadKeyFromTelegram,
     loadThread,
     saveThread,
+    updateThread,
     loadRepo,
     saveRepo,
     listRepos,
     recordThreadError,
+    saveCallbackActions,
+    takeCallbackAction,
     sanitizePlanForStorage,
     loadSummary,
     saveSummary,
     loadSkills,
     saveSkill,
     deleteSkill,
+    loadSkillData,
+    updateSkillData,
+    loadSkillSchedules,
+    updateSkillSchedules,
+    loadAllSkillSchedules,
+    loadSkillPromotions,
+    updateSkillPromotions,
     recordSkillError,
     loadRoundupTopics,
     saveRoundupTopics,
+    updateRoundupTopics,
     loadRoundupHandles,
     saveRoundupHandles,
+    updateRoundupHandles,
     saveActiveChat,
     loadActiveChats,
+    loadRoles,
+    saveRoles,
+    updateRoles,
+    loadRateLimit,
+    saveRateLimit,
+    updateRateLimit,
+    loadUsage,
+    saveUsage,
+    updateUsage,
+    loadMemories,
+    updateMemories,
+    listObjects,
+    loadObject,
+    saveObject,
+    objectHistory,
+    loadObjectVersion,
+    migrate,
+    loadMigrationReport,
+    encryptionKeyId,
+    rotateKey,
+    listUserObjects,
+    exportUserData,
+    clearHistory,
+    deleteUserData,
+    listQuarantine,
+    appendAudit,
+    loadAudit,
   };
 }
 
-module.exports = { createBrain };
+module.exports = { createBrain, objectKey, OBJECT_KEY };
@@ -0,0 +1,158 @@
+'use strict';
+
+const zlib = require('zlib');
+const { SECRET_KEY } = require('../util/redact');
+const { objectKey, OBJECT_KEY } = require('./brain');
+
+// ── Brain export / import ────────────────────────────────────────
+// A bundle is one JSON document, gzipped for transport:
+//
+//   { format: 'penny-brain', version: 1, exportedAt,
+//     objects: { 'threads/tg:42.json': { … }, 'global/skills.json': { … } } }
+//
+// Credentials (Google refresh tokens, anything under a secret-looking key)
+// are left out of exports and ignored in imports; an import keeps the ones
+// already stored, so restoring doesn't sign anyone out.
+
+const BUNDLE_FORMAT = 'penny-brain';
+const BUNDLE_VERSION = 1;
+const MAX_BUNDLE_BYTES = 50 * 1024 * 1024;
+
+// What a bundle carries. Roles, rate limits, usage and the audit log are
+// deliberately not importable — a bundle must never grant anyone access.
+const EXPORT_PREFIXES = ['threads/', 'repos/', 'memory/', 'skills/', 'team-skills/'];
+const EXPORT_GLOBALS = ['global/skills.json', 'global/skill-promotions.json', 'global/summary.json', 'global/roundup-topics.json', 'global/roundup-handles.json'];
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isSecret(key, value) {
+  return SECRET_KEY.test(key) && value != null && typeof value !== 'number' && typeof value !== 'boolean';
+}
+
+function exportable(key) {
+  return OBJECT_KEY.test(key) && (EXPORT_GLOBALS.includes(key) || EXPORT_PREFIXES.some((p) => key.startsWith(p)));
+}
+
+function stripSecrets(value) {
+  if (Array.isArray(value)) return value.map(stripSecrets);
+  if (!isPlainObject(value)) return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (!isSecret(k, v)) out[k] = stripSecrets(v);
+  }
+  return out;
+}
+
+// Put back the secrets `current` has where `incoming` has none
+function keepSecrets(incoming, current) {
+  if (!isPlainObject(incoming) || !isPlainObject(current)) return incoming;
+  const out = { ...incoming };
+  for (const [k, v] of Object.entries(current)) {
+    if (isSecret(k, v) && !(k in out)) out[k] = v;
+    else if (isPlainObject(v) && isPlainObject(out[k])) out[k] = keepSecrets(out[k], v);
+  }
+  return out;
+}
+
+async function exportBrain(brain, { now = Date.now } = {}) {
+  const keys = [];
+  for (const p of EXPORT_PREFIXES) keys.push(...await brain.listObjects(p));
+  keys.push(...EXPORT_GLOBALS);
+  const objects = {};
+  for (const key of keys) {
+    const value = await brain.loadObject(key);
+    if (value !== null) objects[key] = stripSecrets(value);
+  }
+  return { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: new Date(now()).toISOString(), objects };
+}
+
+function encodeBundle(bundle) {
+  return zlib.gzipSync(JSON.stringify(bundle));
+}
+
+// Accepts the gzipped file or plain JSON; throws on anything that isn't a
+// bundle this version can read
+function decodeBundle(buf) {
+  let text;
+  try {
+    const raw = buf[0] === 0x1f && buf[1] === 0x8b ? zlib.gunzipSync(buf, { maxOutputLength: MAX_BUNDLE_BYTES }) : buf;
+    text = raw.toString('utf8');
+  } catch (err) {
+    throw new Error(`Couldn't unpack the bundle: ${err.message}`);
+  }
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    throw new Error('That file isn\'t a brain export (not JSON)');
+  }
+  if (bundle?.format !== BUNDLE_FORMAT || !isPlainObject(bundle.objects)) {
+    throw new Error('That file isn\'t a brain export');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${bundle.version} is newer than this Penny understands (${BUNDLE_VERSION})`);
+  }
+  return bundle;
+}
+
+// Writes every importable object in the bundle over what's stored now.
+// Objects that aren't in the bundle are left alone.
+async function importBrain(brain, bundle) {
+  let written = 0;
+  const skipped = [];
+  for (const [key, value] of Object.entries(bundle.objects)) {
+    if (!exportable(key) || !isPlainObject(value)) {
+      skipped.push(key);
+      continue;
+    }
+    const current = await brain.loadObject(key);
+    await brain.saveObject(key, keepSecrets(stripSecrets(value), current));
+    written++;
+  }
+  return { written, skipped };
+}
+
+// Put `key` back the way it was at `at` (ms). Returns the version used, or
+// null if the object didn't exist then.
+async function restoreObjectAt(brain, key, at) {
+  const history = await brain.objectHistory(key);
+  if (!history) throw new Error('Point-in-time restore needs OPENCLAW_BRAIN_BUCKET with object versioning turned on');
+  const live = history
+    .filter((v) => Date.parse(v.at) <= at && (!v.until || Date.parse(v.until) > at))
+    .pop();
+  if (!live) return null;
+  await brain.saveObject(key, await brain.loadObjectVersion(key, live.version));
+  return live;
+}
+
+// ── Restore command arguments ──
+
+// "threads/tg:42" → threads/tg:42.json; full keys pass through
+function parseObjectRef(ref) {
+  if (/\.json$/.test(ref)) return ref;
+  const slash = ref.indexOf('/');
+  return slash > 0 ? objectKey(ref.slice(0, slash), ref.slice(slash + 1)) : null;
+}
+
+// ISO date/time (UTC unless it says otherwise) or "3h ago" / "2d ago"
+function parseWhen(text, now = Date.now()) {
+  const rel = String(text).trim().match(/^(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)\s+ago$/i);
+  if (rel) return now - Number(rel[1]) * { m: 60e3, h: 3600e3, d: 86400e3 }[rel[2][0].toLowerCase()];
+  const bare = String(text).trim().replace(' ', 'T');
+  return Date.parse(/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/.test(bare) ? `${bare.length === 10 ? `${bare}T00:00` : bare}Z` : bare);
+}
+
+module.exports = {
+  exportBrain,
+  importBrain,
+  encodeBundle,
+  decodeBundle,
+  restoreObjectAt,
+  parseObjectRef,
+  parseWhen,
+  stripSecrets,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ── Brain encryption keys ────────────────────────────────────────
+// Key-encryption keys (KEKs) that wrap the per-object data keys. A keyring
+// has one current key, used for new writes, and keeps older ones so objects
+// sealed before a rotation still open.
+//
+//   OPENCLAW_BRAIN_KEYS=k2:<base64 32 bytes>,k1:<…>   first one is current
+//   OPENCLAW_BRAIN_KMS_FILE=/secure/penny-kms.json     local KMS stand-in,
+//                                                     created on first use
+//
+// Make a key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+
+const KEY_BYTES = 32;
+const KEY_ID = /^[a-zA-Z0-9_-]{1,32}$/;
+
+function decodeKey(kid, b64) {
+  if (!KEY_ID.test(kid)) throw new Error(`Brain key id "${kid}" should be letters, digits, - or _`);
+  const key = Buffer.from(String(b64 || ''), 'base64');
+  if (key.length !== KEY_BYTES) throw new Error(`Brain key "${kid}" must be ${KEY_BYTES} bytes, base64-encoded`);
+  return key;
+}
+
+// `keys` maps key id → 32-byte Buffer
+function createKeyring(keys, current) {
+  const kek = new Map(Object.entries(keys));
+  if (!kek.has(current)) throw new Error(`Current brain key "${current}" is not in the keyring`);
+
+  return {
+    get current() { return current; },
+    has: (kid) => kek.has(kid),
+
+    // Data key → base64(iv | tag | wrapped key)
+    wrap(dek) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', kek.get(current), iv);
+      cipher.setAAD(Buffer.from(current));
+      const wrapped = Buffer.concat([cipher.update(dek), cipher.final()]);
+      return { kid: current, wrapped: Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64') };
+    },
+
+    unwrap(kid, wrapped) {
+      if (!kek.has(kid)) throw new Error(`unknown key "${kid}"`);
+      const raw = Buffer.from(wrapped, 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', kek.get(kid), raw.subarray(0, 12));
+      decipher.setAAD(Buffer.from(kid));
+      decipher.setAuthTag(raw.subarray(12, 28));
+      return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+    },
+
+    // Only keyrings that own their storage can rotate (see createLocalKms)
+    rotate: null,
+  };
+}
+
+// "k2:<base64>,k1:<base64>" — the first key is current
+function parseKeys(text) {
+  const keys = {};
+  let current = null;
+  for (const part of String(text).split(',').map((s) => s.trim()).filter(Boolean)) {
+    const colon = part.indexOf(':');
+    if (colon < 1) throw new Error('OPENCLAW_BRAIN_KEYS entries look like <id>:<base64 key>');
+    const kid = part.slice(0, colon);
+    keys[kid] = decodeKey(kid, part.slice(colon + 1));
+    current = current || kid;
+  }
+  if (!current) throw new Error('OPENCLAW_BRAIN_KEYS is empty');
+  return createKeyring(keys, current);
+}
+
+// Local stand-in for a cloud KMS: keys live in a JSON file (mode 600)
+// { current, keys: { id: base64 } }, and rotate() adds a fresh current key
+function createLocalKms(file) {
+  let state;
+  if (fs.existsSync(file)) {
+    state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } else {
+    state = { current: 'k1', keys: { k1: crypto.randomBytes(KEY_BYTES).toString('base64') } };
+    save();
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  function build() {
+    const keys = Object.fromEntries(Object.entries(state.keys).map(([kid, b64]) => [kid, decodeKey(kid, b64)]));
+    return createKeyring(keys, state.current);
+  }
+
+  let ring = build();
+  return {
+    get current() { return ring.current; },
+    has: (kid) => ring.has(kid),
+    wrap: (dek) => ring.wrap(dek),
+    unwrap: (kid, wrapped) => ring.unwrap(kid, wrapped),
+
+    // New current key; the old ones stay so existing objects still open
+    rotate() {
+      let n = Object.keys(state.keys).length + 1;
+      while (state.keys[`k${n}`]) n++;
+      state = { current: `k${n}`, keys: { ...state.keys, [`k${n}`]: crypto.randomBytes(KEY_BYTES).toString('base64') } };
+      save();
+      ring = build();
+      return ring.current;
+    },
+  };
+}
+
+// Keyring for config.gcp, or null when encryption at rest is off
+function keyringFromConfig(gcp) {
+  if (gcp.brainKeys) return parseKeys(gcp.brainKeys);
+  if (gcp.brainKmsFile) return createLocalKms(gcp.brainKmsFile);
+  return null;
+}
+
+module.exports = { createKeyring, createLocalKms, parseKeys, keyringFromConfig };
@@ -0,0 +1,258 @@
+'use strict';
+
+const { validateSchema } = require('../util/json');
+
+// ── Brain schema versions and migrations ─────────────────────────
+// Every stored object carries `version`: the schema version of its kind
+// (objects written before versioning have none and count as 0). Each kind
+// lists numbered migrations; migration N takes an object from version N-1
+// to N, so the current version is the last migration's number.
+//
+// Objects are upgraded in memory whenever they're read, and the startup pass
+// (brain.migrate) writes the upgrades back, validates everything against
+// its kind's schema and moves objects that don't fit to quarantine/.
+//
+// To change a stored shape: append a migration (never edit a shipped one),
+// update the schema, and have the code write the new shape.
+
+const stamp1 = { version: 1, about: 'stamp objects written before versioning', up: (v) => v };
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const idMap = { type: 'object' };
+const skillList = {
+  type: 'object',
+  required: ['skills'],
+  properties: {
+    skills: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'code'],
+        properties: {
+          name: { type: 'string' },
+          code: { type: 'string' },
+          params: { type: 'array', items: { type: 'object', required: ['name', 'type'] } },
+          examples: { type: 'array', items: { type: 'object', required: ['output'] } },
+          steps: { type: 'array', items: { type: 'object' } },
+          capabilities: stringList,
+          version: { type: 'number' },
+          versions: {
+            type: 'array',
+            items: { type: 'object', required: ['version', 'code'], properties: { version: { type: 'number' }, code: { type: 'string' } } },
+          },
+        },
+      },
+    },
+  },
+};
+
+// Skills gained a version history; existing code becomes version 1
+const skillHistory = {
+  version: 2,
+  about: 'start a version history for each skill',
+  up: (list) => ({
+    ...list,
+    skills: (list.skills || []).map((skill) => (Array.isArray(skill.versions) ? skill : {
+      ...skill,
+      version: 1,
+      versions: [{
+        version: 1,
+        code: skill.code,
+        createdAt: skill.createdAt || list.updatedAt || new Date(0).toISOString(),
+        ...(skill.healedAt ? { healedAt: skill.healedAt } : {}),
+        successCount: skill.successCount || 0,
+        failureCount: 0,
+      }],
+    })),
+  }),
+};
+
+// Cleared fields used to be kept as null; now they're removed
+function dropNulls(value) {
+  return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== null));
+}
+
+const KINDS = {
+  thread: {
+    match: (key) => key.startsWith('threads/'),
+    migrations: [
+      stamp1,
+      { version: 2, about: 'remove cleared (null) fields', up: dropNulls },
+    ],
+    schema: {
+      type: 'object',
+      properties: {
+        messages: {
+          type: 'array',
+          items: { type: 'object', required: ['role', 'content'], properties: { role: { type: 'string' }, content: { type: 'string' } } },
+        },
+        errors: { type: 'array' },
+        lastRepo: { type: 'string' },
+        joined: { type: 'boolean' },
+        googleAuth: { type: 'object' },
+        googleConnect: { type: 'object' },
+        pendingGoogleAuth: { type: 'object' },
+        callbackActions: { type: 'object' },
+        pendingEmail: { type: 'object' },
+        pendingSkill: { type: 'object' },
+        skillGrants: { type: 'object' },
+        pendingEventEdit: { type: 'object' },
+        learnProgress: { type: 'object' },
+        privacy: { type: 'object' },
+        pendingSupport: { type: 'object' },
+        activeLesson: { type: 'object' },
+        eventIdMap: idMap,
+        calendarIdMap: idMap,
+        todoIdMap: idMap,
+        taskListMap: idMap,
+      },
+    },
+  },
+  repo: {
+    match: (key) => key.startsWith('repos/'),
+    migrations: [stamp1],
+    schema: { type: 'object', properties: { name: { type: 'string' } } },
+  },
+  memory: {
+    match: (key) => key.startsWith('memory/'),
+    migrations: [stamp1],
+    schema: {
+      type: 'object',
+      required: ['items'],
+      properties: {
+        items: {
+          type: 'array',
+          items: { type: 'object', required: ['id', 'text'], properties: { id: { type: 'string' }, text: { type: 'string' }, embedding: { type: 'array' } } },
+        },
+      },
+    },
+  },
+  limits: {
+    match: (key) => key.startsWith('limits/'),
+    migrations: [stamp1],
+    schema: { type: 'object' },
+  },
+  usage: {
+    match: (key) => key.startsWith('usage/'),
+    migrations: [stamp1],
+    schema: { type: 'object' },
+  },
+  skills: {
+    match: (key) => key === 'global/skills.json',
+    migrations: [stamp1, skillHistory],
+    schema: skillList,
+  },
+  'team-skills': {
+    match: (key) => key.startsWith('team-skills/'),
+    migrations: [stamp1, skillHistory],
+    schema: skillList,
+  },
+  'personal-skills': {
+    match: (key) => key.startsWith('skills/'),
+    migrations: [stamp1, skillHistory],
+    schema: skillList,
+  },
+  'skill-data': {
+    match: (key) => key.startsWith('skill-data/'),
+    migrations: [stamp1],
+    schema: { type: 'object', required: ['skills'], properties: { skills: { type: 'object' } } },
+  },
+  'skill-schedules': {
+    match: (key) => key.startsWith('skill-schedules/'),
+    migrations: [stamp1],
+    schema: { type: 'object', required: ['schedules'], properties: { schedules: { type: 'array' } } },
+  },
+  'skill-promotions': {
+    match: (key) => key === 'global/skill-promotions.json',
+    migrations: [stamp1],
+    schema: { type: 'object', required: ['requests'], properties: { requests: { type: 'array' } } },
+  },
+  summary: {
+    match: (key) => key === 'global/summary.json',
+    migrations: [stamp1],
+    schema: { type: 'object', required: ['entries'], properties: { entries: { type: 'array' } } },
+  },
+  'roundup-topics': {
+    match: (key) => key === 'global/roundup-topics.json',
+    migrations: [stamp1],
+    schema: { type: 'object', required: ['topics'], properties: { topics: stringList } },
+  },
+  'roundup-handles': {
+    match: (key) => key === 'global/roundup-handles.json',
+    migrations: [stamp1],
+    schema: { type: 'object', required: ['handles'], properties: { handles: stringList } },
+  },
+  'active-chats': {
+    match: (key) => key === 'global/active-chats.json',
+    migrations: [stamp1],
+    schema: { type: 'object', required: ['chatIds'], properties: { chatIds: { type: 'array' } } },
+  },
+  'skill-errors': {
+    match: (key) => key === 'global/skill-errors.json',
+    migrations: [stamp1],
+    schema: { type: 'object', required: ['errors'], properties: { errors: { type: 'array' } } },
+  },
+  // Never quarantined: losing the roles object would hand every guest the
+  // default role. A bad one is reported and left for an admin to fix.
+  roles: {
+    match: (key) => key === 'global/roles.json',
+    migrations: [stamp1],
+    schema: { type: 'object', required: ['users'], properties: { users: { type: 'object' } } },
+    quarantine: false,
+  },
+};
+
+function kindOf(key) {
+  for (const [name, kind] of Object.entries(KINDS)) {
+    if (kind.match(key)) return { name, ...kind };
+  }
+  return null;
+}
+
+// Current schema version for the object at `key` (null for unversioned keys)
+function schemaVersion(key) {
+  const kind = kindOf(key);
+  return kind ? kind.migrations.length : null;
+}
+
+function versionOf(value) {
+  return Number.isInteger(value?.version) ? value.version : 0;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// The object brought up to its kind's current version. Values that aren't
+// objects, or are already current (or newer), come back unchanged.
+function upgrade(key, value) {
+  const kind = kindOf(key);
+  if (!kind || !isPlainObject(value)) return value;
+  const from = versionOf(value);
+  if (from >= kind.migrations.length) return value;
+  let out = value;
+  for (const m of kind.migrations.slice(from)) out = m.up(out);
+  return { ...out, version: kind.migrations.length };
+}
+
+// Marks a freshly written object as current (never lowers a newer version)
+function stamp(key, value) {
+  const current = schemaVersion(key);
+  if (current === null || !isPlainObject(value)) return value;
+  return { ...value, version: Math.max(current, versionOf(value)) };
+}
+
+// Problems with an (upgraded) object; empty when it fits its schema
+function validate(key, value) {
+  const kind = kindOf(key);
+  if (!kind) return [];
+  if (!isPlainObject(value)) return [`$ should be object, got ${Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value}`];
+  return validateSchema({ ...kind.schema, properties: { ...kind.schema.properties, version: { type: 'integer' } } }, value);
+}
+
+// threads/tg:42.json → quarantine/threads.tg:42.json
+function quarantineKey(key) {
+  return `quarantine/${key.replace('/', '.')}`;
+}
+
+module.exports = { KINDS, kindOf, schemaVersion, upgrade, stamp, validate, quarantineKey };
@@ -2,8 +2,9 @@
 
 const Anthropic = require('@anthropic-ai/sdk');
 
+// Retries are handled once, in clients/llm.js
 function createAnthropicClient(apiKey) {
-  return apiKey ? new Anthropic({ apiKey }) : null;
+  return apiKey ? new Anthropic({ apiKey, maxRetries: 0 }) : null;
 }
 
 module.exports = { createAnthropicClient };
@@ -0,0 +1,101 @@
+'use strict';
+
+// ── Embedders ────────────────────────────────────────────────────
+// Turn text into vectors for memory retrieval:
+//
+//   const [vector] = await embedder.embed(['my dentist is Dr. Lee']);
+//
+// MEMORY_EMBEDDER picks one:
+//   hash   — built in, no network: hashed words + character trigrams.
+//            Finds memories that share words with the question.
+//   openai — OpenAI's embeddings API (text-embedding-3-small)
+//   local  — any OpenAI-compatible server, e.g. Ollama with nomic-embed-text
+//
+// `name` is stored next to each vector so a change of embedder re-embeds
+// old memories instead of comparing vectors from different models.
+
+const HASH_DIMENSIONS = 512;
+
+const STOPWORDS = new Set((
+  'a an the and or but if of to in on at by for with from as is am are was were be been being ' +
+  'i me my mine we us our you your he him his she her it its they them their this that these those ' +
+  'do does did have has had will would can could should what which who whom when where why how ' +
+  'not no so just about into than then there here please'
+).split(' '));
+
+// FNV-1a, 32-bit
+function hash32(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  return norm ? vector.map((x) => x / norm) : vector;
+}
+
+function words(text) {
+  return String(text || '').toLowerCase()
+    .split(/[^\p{L}\p{N}:]+/u)
+    .filter((w) => w && !STOPWORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+}
+
+function hashEmbed(text, dimensions = HASH_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const add = (feature, weight) => {
+    const h = hash32(feature);
+    vector[h % dimensions] += (h & 0x80000000 ? -1 : 1) * weight;
+  };
+  for (const w of words(text)) {
+    add(`w:${w}`, 1);
+    const padded = `^${w}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`t:${padded.slice(i, i + 3)}`, 0.3);
+  }
+  return normalize(vector);
+}
+
+function hashEmbedder({ dimensions = HASH_DIMENSIONS } = {}) {
+  return {
+    name: `hash-${dimensions}`,
+    embed: async (texts) => texts.map((t) => hashEmbed(t, dimensions)),
+  };
+}
+
+// OpenAI and OpenAI-compatible servers share the /embeddings endpoint
+function openaiEmbedder(client, { model, provider = 'openai' }) {
+  return {
+    name: `${provider}:${model}`,
+    async embed(texts) {
+      if (!texts.length) return [];
+      const resp = await client.embeddings.create({ model, input: texts });
+      return [...resp.data].sort((a, b) => a.index - b.index).map((d) => normalize(d.embedding));
+    },
+  };
+}
+
+// Cosine similarity; both vectors come out of `normalize`
+function similarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+// Falls back to the built-in embedder when the configured API isn't set up
+function createEmbedderFromConfig(config, { openai, local }) {
+  const { embedder, embeddingModel } = config.memory || {};
+  if (embedder === 'openai' && openai) {
+    return openaiEmbedder(openai, { model: embeddingModel || 'text-embedding-3-small' });
+  }
+  if (embedder === 'local' && local) {
+    return openaiEmbedder(local, { model: embeddingModel || 'nomic-embed-text', provider: 'local' });
+  }
+  return hashEmbedder();
+}
+
+module.exports = { hashEmbedder, openaiEmbedder, similarity, createEmbedderFromConfig };
@@ -0,0 +1,47 @@
+'use strict';
+
+const { google } = require('googleapis');
+
+// Same scopes as the shared GMAIL_REFRESH_TOKEN, plus email so we know
+// whose account a user connected.
+const GOOGLE_SCOPES = [
+  'https://mail.google.com/',
+  'https://www.googleapis.com/auth/calendar',
+  'https://www.googleapis.com/auth/tasks',
+  'https://www.googleapis.com/auth/userinfo.email',
+];
+
+// OAuth redirect flow used by "connect google" (per-user mode)
+function createGoogleOAuth({ clientId, clientSecret, redirectUrl }) {
+  if (!clientId || !clientSecret || !redirectUrl) return null;
+
+  function client() {
+    return new google.auth.OAuth2(clientId, clientSecret, redirectUrl);
+  }
+
+  function authUrl(state) {
+    return client().generateAuthUrl({
+      access_type: 'offline',
+      // Force the consent screen so Google always hands back a refresh token
+      prompt: 'consent',
+      scope: GOOGLE_SCOPES,
+      state,
+    });
+  }
+
+  async function exchangeCode(code) {
+    const oauth2 = client();
+    const { tokens } = await oauth2.getToken(code);
+    if (!tokens.refresh_token) throw new Error('Google did not return a refresh token');
+    const info = await oauth2.getTokenInfo(tokens.access_token);
+    return { refreshToken: tokens.refresh_token, email: info.email || '' };
+  }
+
+  async function revoke(refreshToken) {
+    await client().revokeToken(refreshToken);
+  }
+
+  return { authUrl, exchangeCode, revoke };
+}
+
+module.exports = { createGoogleOAuth, GOOGLE_SCOPES };
@@ -1,39 +1,192 @@
 'use strict';
 
-/**
- * Unified LLM client that works with both Anthropic and OpenAI
- */
-async function callLLM({ provider, anthropic, openai, model, maxTokens, system, messages }) {
-  if (provider === 'openai' && openai) {
-    // Convert to OpenAI format
-    const openaiMessages = [
-      { role: 'system', content: system },
-      ...messages.map(m => ({ role: m.role, content: m.content }))
-    ];
-
-    const response = await openai.chat.completions.create({
-      model: model || 'gpt-4-turbo-preview',
-      messages: openaiMessages,
-      max_tokens: maxTokens,
-      temperature: 0.7,
-    });
-
-    return response.choices[0]?.message?.content || '';
+const { extractJsonFromText, validateSchema } = require('../util/json');
+
+// ── LLM provider interface ───────────────────────────────────────
+// Every model call in Penny goes through one of these:
+//
+//   const { text, usage } = await llm.call({
+//     system, messages: [{ role: 'user', content }], maxTokens, model?, temperature?,
+//   });
+//
+//   const plan = await llm.json({ system, messages, maxTokens, schema, name });
+//
+// `usage` is { inputTokens, outputTokens }. Transient failures (429, 5xx,
+// dropped connections) are retried with backoff. LLM_PROVIDER picks the
+// backend: anthropic, openai, or local — any OpenAI-compatible server such
+// as Ollama or llama.cpp.
+//
+// `json` asks for an object matching a JSON schema — through forced tool
+// use on Anthropic and structured outputs on OpenAI, or by putting the
+// schema in the prompt for local servers — validates what comes back, and
+// re-prompts with the validation errors before giving up.
+
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+function isRetryable(err) {
+  const status = err?.status ?? err?.response?.status;
+  if (status === 408 || status === 409 || status === 429 || status >= 500) return true;
+  return RETRYABLE_CODES.has(err?.code) || RETRYABLE_CODES.has(err?.cause?.code) || err?.name === 'APIConnectionError';
+}
+
+class LLMOutputError extends Error {
+  constructor(message, { raw, errors } = {}) {
+    super(message);
+    this.name = 'LLMOutputError';
+    this.raw = raw;
+    this.errors = errors;
   }
+}
+
+// ── Adapters: provider SDK ⇄ { text, data?, usage } ──
 
-  // Default to Anthropic
-  if (!anthropic) {
-    throw new Error('No LLM provider configured (ANTHROPIC_API_KEY or OPENAI_API_KEY required)');
+function anthropicAdapter(client) {
+  return {
+    nativeSchema: true,
+    async complete({ model, system, messages, maxTokens, temperature, schema, name }) {
+      const resp = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        ...(system ? { system } : {}),
+        messages,
+        ...(temperature !== undefined ? { temperature } : {}),
+        // Forced tool use is Anthropic's structured output
+        ...(schema ? {
+          tools: [{ name, description: 'Return the result in this shape.', input_schema: schema }],
+          tool_choice: { type: 'tool', name },
+        } : {}),
+      });
+      const u = resp?.usage || {};
+      const toolUse = schema ? resp.content?.find((c) => c.type === 'tool_use') : null;
+      return {
+        text: toolUse ? JSON.stringify(toolUse.input) : resp.content?.find((c) => c.type === 'text')?.text?.trim() || '',
+        ...(toolUse ? { data: toolUse.input } : {}),
+        // Cache reads/writes are billed as input
+        usage: {
+          inputTokens: (u.input_tokens || 0) + (u.cache_creation_input_tokens || 0) + (u.cache_read_input_tokens || 0),
+          outputTokens: u.output_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+// OpenAI's own API wants max_completion_tokens and supports json_schema
+// response formats; local servers only reliably understand max_tokens and
+// json_object, so they get the schema in the prompt instead
+function openaiAdapter(client, { local = false } = {}) {
+  return {
+    nativeSchema: !local,
+    async complete({ model, system, messages, maxTokens, temperature, schema, name }) {
+      let responseFormat;
+      if (schema) {
+        responseFormat = local
+          ? { type: 'json_object' }
+          : { type: 'json_schema', json_schema: { name, schema } };
+      }
+      const resp = await client.chat.completions.create({
+        model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages.map((m) => ({ role: m.role, content: m.content })),
+        ],
+        [local ? 'max_tokens' : 'max_completion_tokens']: maxTokens,
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(responseFormat ? { response_format: responseFormat } : {}),
+      });
+      const u = resp?.usage || {};
+      return {
+        text: resp.choices?.[0]?.message?.content?.trim() || '',
+        usage: { inputTokens: u.prompt_tokens || 0, outputTokens: u.completion_tokens || 0 },
+      };
+    },
+  };
+}
+
+// ── LLM ──
+
+// hooks.before(request) may throw to refuse the call (quotas);
+// hooks.after(usage, { provider, model }) sees what it cost
+function createLLM({ provider, adapter, model, maxRetries = 2, retryDelayMs = 1000, hooks = {}, sleep }) {
+  const wait = sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+
+  async function send(request) {
+    if (hooks.before) await hooks.before(request);
+    let attempt = 0;
+    let result;
+    for (;;) {
+      try {
+        result = await adapter.complete(request);
+        break;
+      } catch (err) {
+        if (attempt >= maxRetries || !isRetryable(err)) throw err;
+        await wait(retryDelayMs * 2 ** attempt);
+        attempt++;
+      }
+    }
+    if (hooks.after) await hooks.after(result.usage, { provider, model: request.model });
+    return result;
   }
 
-  const response = await anthropic.messages.create({
-    model: model || 'claude-opus-4-6',
-    max_tokens: maxTokens,
-    system,
-    messages,
-  });
+  async function call({ system, messages, maxTokens = 1024, model: override, temperature } = {}) {
+    const request = { model: override || model, system, messages, maxTokens, temperature };
+    const result = await send(request);
+    return { text: result.text, usage: result.usage, provider, model: request.model };
+  }
 
-  return response.content?.find((c) => c.type === 'text')?.text?.trim() || '';
+  // `check(value)` can add rules a schema can't express; it returns a list
+  // of problems like validateSchema does
+  async function json({ system, messages, maxTokens = 1024, model: override, temperature, schema, name = 'result', check, repairs = 1 } = {}) {
+    const instructions = adapter.nativeSchema
+      ? system
+      : [system, `Reply with a single JSON object matching this JSON Schema, and nothing else:\n${JSON.stringify(schema)}`].filter(Boolean).join('\n\n');
+    const conversation = [...messages];
+    for (let attempt = 0; ; attempt++) {
+      const result = await send({ model: override || model, system: instructions, messages: conversation, maxTokens, temperature, schema, name });
+      let value = result.data;
+      let errors = [];
+      if (value === undefined) {
+        try {
+          value = JSON.parse(extractJsonFromText(result.text));
+        } catch (err) {
+          errors = [`not valid JSON (${err.message})`];
+        }
+      }
+      if (!errors.length) errors = [...validateSchema(schema, value), ...(check ? check(value) : [])];
+      if (!errors.length) return value;
+      if (attempt >= repairs) {
+        throw new LLMOutputError(`${name}: model output failed validation — ${errors.slice(0, 3).join('; ')}`, { raw: result.text, errors });
+      }
+      conversation.push(
+        { role: 'assistant', content: result.text || '(empty)' },
+        { role: 'user', content: `That reply doesn't fit the required JSON schema:\n${errors.slice(0, 10).map((e) => `- ${e}`).join('\n')}\nReply again with only the corrected JSON object.` },
+      );
+    }
+  }
+
+  return {
+    provider,
+    model,
+    call,
+    json,
+    text: async (opts) => (await call(opts)).text,
+    // Same backend, different hooks — one per incoming update
+    withHooks: (next) => createLLM({ provider, adapter, model, maxRetries, retryDelayMs, hooks: next, sleep }),
+  };
+}
+
+// Pick the backend named by LLM_PROVIDER. Returns null when it isn't
+// configured, which switches the LLM-backed features off.
+function createLLMFromConfig(config, { anthropic, openai, local }) {
+  const common = { maxRetries: config.llmMaxRetries };
+  switch (config.llmProvider) {
+    case 'openai':
+      return openai ? createLLM({ ...common, provider: 'openai', adapter: openaiAdapter(openai), model: config.openai.model }) : null;
+    case 'local':
+      return local ? createLLM({ ...common, provider: 'local', adapter: openaiAdapter(local, { local: true }), model: config.local.model }) : null;
+    default:
+      return anthropic ? createLLM({ ...common, provider: 'anthropic', adapter: anthropicAdapter(anthropic), model: config.anthropic.model }) : null;
+  }
 }
 
-module.exports = { callLLM };
+module.exports = { createLLM, createLLMFromConfig, anthropicAdapter, openaiAdapter, isRetryable, LLMOutputError };
@@ -2,8 +2,11 @@
 
 const OpenAI = require('openai');
 
-function createOpenAIClient(apiKey) {
-  return apiKey ? new OpenAI({ apiKey }) : null;
+// `baseURL` points the same client at an OpenAI-compatible local server
+// (Ollama, llama.cpp). Retries are handled once, in clients/llm.js.
+function createOpenAIClient(apiKey, { baseURL } = {}) {
+  if (!apiKey && !baseURL) return null;
+  return new OpenAI({ apiKey: apiKey || 'local', maxRetries: 0, ...(baseURL ? { baseURL } : {}) });
 }
 
 module.exports = { createOpenAIClient };
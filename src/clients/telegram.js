@@ -1,13 +1,40 @@
 'use strict';
 
-const TELEGRAM_API = 'https://api.telegram.org/bot';
+const crypto = require('crypto');
+
+const TELEGRAM_API_ROOT = 'https://api.telegram.org';
 const MAX_MSG_LEN = 4096;
 const POLL_TIMEOUT = 2; // long-poll timeout in seconds
+const DEDUPE_WINDOW = 1000; // how many recent update_ids to remember
+const ALLOWED_UPDATES = ['message', 'callback_query'];
+// How long a webhook request waits for its update to be handled before it
+// answers anyway (Telegram gives up on a request after about a minute)
+const WEBHOOK_HANDLE_TIMEOUT = 50_000;
+
+// Remembers recently seen update_ids so a webhook retry (or a poll that
+// overlaps a webhook switch) never feeds the same update twice.
+function createUpdateDeduper(size = DEDUPE_WINDOW) {
+  const seen = new Set();
+  return function isDuplicate(updateId) {
+    if (typeof updateId !== 'number') return false;
+    if (seen.has(updateId)) return true;
+    seen.add(updateId);
+    if (seen.size > size) seen.delete(seen.values().next().value);
+    return false;
+  };
+}
 
-function createTelegramClient(botToken) {
+function secretMatches(expected, given) {
+  const a = Buffer.from(String(expected || ''));
+  const b = Buffer.from(String(given || ''));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function createTelegramClient(botToken, { apiRoot = TELEGRAM_API_ROOT } = {}) {
   if (!botToken) return null;
 
-  const apiBase = `${TELEGRAM_API}${botToken}`;
+  const apiBase = `${apiRoot.replace(/\/+$/, '')}/bot${botToken}`;
+  const isDuplicate = createUpdateDeduper();
 
   async function apiCall(method, body) {
     const resp = await fetch(`${apiBase}/${method}`, {
@@ -22,23 +49,62 @@ function createTelegramClient(botToken) {
     return data;
   }
 
-  async function sendMessage(chatId, text) {
+  // replyMarkup (e.g. an inline keyboard) rides on the last chunk so the
+  // buttons sit under the end of a long message.
+  async function sendMessage(chatId, text, { replyMarkup } = {}) {
     const chunks = [];
     let remaining = text;
     while (remaining.length > 0) {
       chunks.push(remaining.slice(0, MAX_MSG_LEN));
       remaining = remaining.slice(MAX_MSG_LEN);
     }
-    for (const chunk of chunks) {
-      await apiCall('sendMessage', { chat_id: chatId, text: chunk });
+    for (let i = 0; i < chunks.length; i++) {
+      const body = { chat_id: chatId, text: chunks[i] };
+      if (replyMarkup && i === chunks.length - 1) body.reply_markup = replyMarkup;
+      await apiCall('sendMessage', body);
+    }
+  }
+
+  // Upload a file (Buffer) as a document
+  async function sendDocument(chatId, data, { filename, caption } = {}) {
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    form.append('document', new Blob([data]), filename || 'file');
+    if (caption) form.append('caption', caption);
+    const resp = await fetch(`${apiBase}/sendDocument`, { method: 'POST', body: form });
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      throw new Error(`Telegram API error: ${body.description || resp.statusText}`);
     }
+    return body;
+  }
+
+  // Contents of a file a user sent (bots can fetch up to 20 MB)
+  async function downloadFile(fileId) {
+    const { result } = await apiCall('getFile', { file_id: fileId });
+    const resp = await fetch(`${apiRoot.replace(/\/+$/, '')}/file/bot${botToken}/${result.file_path}`);
+    if (!resp.ok) throw new Error(`Telegram file download failed: ${resp.status}`);
+    return Buffer.from(await resp.arrayBuffer());
+  }
+
+  async function answerCallbackQuery(callbackQueryId, text) {
+    await apiCall('answerCallbackQuery', { callback_query_id: callbackQueryId, ...(text ? { text } : {}) });
+  }
+
+  // Pass replyMarkup = null to strip the buttons off a message
+  async function editMessageReplyMarkup(chatId, messageId, replyMarkup) {
+    await apiCall('editMessageReplyMarkup', {
+      chat_id: chatId,
+      message_id: messageId,
+      reply_markup: replyMarkup || { inline_keyboard: [] },
+    });
   }
 
   async function getUpdates(offset) {
     const data = await apiCall('getUpdates', {
       offset,
       timeout: POLL_TIMEOUT,
-      allowed_updates: ['message'],
+      allowed_updates: ALLOWED_UPDATES,
     });
     return data.result || [];
   }
@@ -47,7 +113,31 @@ function createTelegramClient(botToken) {
     await apiCall('deleteWebhook', {});
   }
 
-  function startPolling(onMessage) {
+  async function setWebhook(url, { secretToken } = {}) {
+    await apiCall('setWebhook', {
+      url,
+      secret_token: secretToken,
+      allowed_updates: ALLOWED_UPDATES,
+    });
+  }
+
+  // Handlers can be a plain onMessage function or { onMessage, onCallbackQuery }
+  function normalizeHandlers(handlers) {
+    return typeof handlers === 'function' ? { onMessage: handlers } : (handlers || {});
+  }
+
+  // Shared by polling and webhook mode — both end up here. Resolves once
+  // the handlers have (polling doesn't wait for that; webhooks do).
+  function dispatchUpdate(update, handlers) {
+    if (!update || isDuplicate(update.update_id)) return Promise.resolve(false);
+    const { onMessage, onCallbackQuery } = normalizeHandlers(handlers);
+    const handling = [];
+    if (update.message && onMessage) handling.push(onMessage(update.message));
+    if (update.callback_query && onCallbackQuery) handling.push(onCallbackQuery(update.callback_query));
+    return Promise.allSettled(handling).then(() => true);
+  }
+
+  function startPolling(handlers) {
     let offset = 0;
     let running = true;
 
@@ -60,9 +150,7 @@ function createTelegramClient(botToken) {
           const updates = await getUpdates(offset);
           for (const update of updates) {
             offset = update.update_id + 1;
-            if (update.message) {
-              onMessage(update.message);
-            }
+            dispatchUpdate(update, handlers);
           }
         } catch (err) {
           // Log and retry after a brief pause
@@ -75,7 +163,38 @@ function createTelegramClient(botToken) {
     return () => { running = false; };
   }
 
-  return { sendMessage, getUpdates, deleteWebhook, startPolling };
+  // Express handler for Telegram's webhook POSTs. Rejects requests without the
+  // secret we registered, and only answers once the update is handled (or
+  // `timeout` passes): hosts like Cloud Run throttle the CPU as soon as the
+  // response is sent, and Telegram won't resend an update it got a 200 for.
+  function webhookHandler(secretToken, handlers, { timeout = WEBHOOK_HANDLE_TIMEOUT } = {}) {
+    return async (req, res) => {
+      if (!secretMatches(secretToken, req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+        res.status(401).send('unauthorized');
+        return;
+      }
+      let timer;
+      await Promise.race([
+        dispatchUpdate(req.body, handlers),
+        new Promise((resolve) => { timer = setTimeout(resolve, timeout); }),
+      ]);
+      clearTimeout(timer);
+      res.status(200).send('ok');
+    };
+  }
+
+  // Register the webhook route on an existing Express app and point Telegram at it
+  async function startWebhook(app, { url, path, secretToken, timeout }, handlers) {
+    app.post(path, webhookHandler(secretToken, handlers, { timeout }));
+    await setWebhook(`${url.replace(/\/+$/, '')}${path}`, { secretToken });
+    return () => deleteWebhook();
+  }
+
+  return {
+    sendMessage, sendDocument, downloadFile, answerCallbackQuery, editMessageReplyMarkup,
+    getUpdates, deleteWebhook, setWebhook,
+    startPolling, webhookHandler, startWebhook,
+  };
 }
 
-module.exports = { createTelegramClient };
+module.exports = { createTelegramClient, createUpdateDeduper };
@@ -0,0 +1,52 @@
+'use strict';
+
+const { parseAuditQuery, formatAuditEntry } = require('../audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function auditHelpText() {
+  return [
+    '📜 Audit Log (admins):',
+    '',
+    '  audit — last 20 actions from the past week',
+    '  audit user <id> — one user\'s actions',
+    '  audit action <name> — e.g. "email" or "calendar.delete"',
+    '  audit from 2026-03-01 to 2026-03-14',
+    '  audit errors / audit denied — only failures or refusals',
+    '  audit today limit 50',
+    '',
+    'Filters combine: audit user 123 action email from 2026-03-01',
+  ].join('\n');
+}
+
+async function auditCommand(ctx) {
+  let filter;
+  try {
+    filter = parseAuditQuery(ctx.messageBody.replace(/^audit\s*/i, ''));
+  } catch (err) {
+    await ctx.reply(`${err.message}. Send "audit help" for examples.`);
+    return;
+  }
+  if (!filter.from) {
+    const to = filter.to ? Date.parse(`${filter.to}T00:00:00Z`) : Date.now();
+    filter.from = new Date(to - 6 * DAY_MS).toISOString().slice(0, 10);
+  }
+  const entries = await ctx.audit.query(filter);
+  if (!entries.length) {
+    await ctx.reply(`📜 No audit entries from ${filter.from}${filter.to ? ` to ${filter.to}` : ''} match.`);
+    return;
+  }
+  await ctx.reply(`📜 Audit (newest first, ${entries.length}):\n\n${entries.map(formatAuditEntry).join('\n').slice(0, 3800)}`,
+    { saveToHistory: false });
+}
+
+module.exports = {
+  name: 'audit',
+  help: {
+    aliases: ['audit help'],
+    text: auditHelpText,
+  },
+  commands: [
+    { early: true, capability: 'audit:read', match: ({ lower }) => lower === 'audit' || lower.startsWith('audit '), run: auditCommand },
+  ],
+};
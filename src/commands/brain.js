@@ -0,0 +1,203 @@
+'use strict';
+
+const { matchBrain } = require('../matchers');
+const { exportBrain, importBrain, encodeBundle, decodeBundle, restoreObjectAt, parseObjectRef, parseWhen } = require('../brain/bundle');
+
+// Fields a "brain reset" wipes from the thread (chat history and settings stay)
+const RESET_PATCH = {
+  lastRepo: null, lastTask: null, lastPrUrl: null,
+  lastBranch: null, lastPlan: null, lastError: null,
+  lastErrorAt: null, lastErrorJobId: null,
+  lastErrorContext: null, lastErrorLogs: null,
+  lastClaudeRawSnippet: null,
+};
+
+async function resetThread(ctx) {
+  await ctx.audit.run('brain.reset', { target: ctx.threadKey },
+    () => ctx.brain.saveThread(ctx.threadKey, { clearedAt: new Date().toISOString(), ...RESET_PATCH }));
+  await ctx.reply('✅ Brain reset.');
+}
+
+// Thread state as shown to the user — never echo stored credentials
+function displayState(state) {
+  const shown = { ...state };
+  for (const key of ['googleAuth', 'pendingGoogleAuth']) {
+    if (!shown[key]) continue;
+    const { refreshToken, ...rest } = shown[key];
+    shown[key] = rest;
+  }
+  return shown;
+}
+
+async function showThread(ctx) {
+  const state = await ctx.brain.loadThread(ctx.threadKey);
+  await ctx.reply(`🧠 Thread memory:\n\`\`\`\n${JSON.stringify(displayState(state), null, 2).slice(0, 3000)}\n\`\`\``);
+}
+
+async function lastError(ctx) {
+  const err = ctx.threadState?.lastError;
+  if (!err) {
+    await ctx.reply('✅ No recorded error.');
+    return;
+  }
+  await ctx.reply(`❌ Last error (${ctx.threadState?.lastErrorAt || '?'}):\n${err}`);
+}
+
+// ── Export / import / restore (admin) ──
+
+async function exportCommand(ctx) {
+  const bundle = await exportBrain(ctx.brain);
+  const count = Object.keys(bundle.objects).length;
+  const data = encodeBundle(bundle);
+  await ctx.audit.run('brain.export', { target: 'brain', args: { objects: count, bytes: data.length } },
+    () => ctx.sendDocument(data, {
+      filename: `penny-brain-${bundle.exportedAt.replace(/[:.]/g, '-')}.json.gz`,
+      caption: `🧠 Brain export — ${count} objects, credentials left out. Send this file back with the caption "brain import" to restore it.`,
+    }));
+}
+
+async function importCommand(ctx) {
+  if (!ctx.document) {
+    await ctx.reply('Send the export file with the caption "brain import".');
+    return;
+  }
+  let bundle;
+  try {
+    bundle = decodeBundle(await ctx.document.download());
+  } catch (err) {
+    await ctx.reply(`❌ ${err.message}`);
+    return;
+  }
+  const result = await ctx.audit.run('brain.import', {
+    target: ctx.document.fileName || 'upload',
+    args: { exportedAt: bundle.exportedAt, objects: Object.keys(bundle.objects).length },
+    result: (r) => r,
+  }, () => importBrain(ctx.brain, bundle));
+  await ctx.reply([
+    `✅ Imported ${result.written} objects from the export of ${bundle.exportedAt || 'an unknown date'}.`,
+    result.skipped.length ? `Skipped ${result.skipped.length} that can't be imported: ${result.skipped.slice(0, 5).join(', ')}${result.skipped.length > 5 ? ' …' : ''}` : '',
+  ].filter(Boolean).join('\n'));
+}
+
+async function versionsCommand(ctx, match) {
+  const key = parseObjectRef(match[1]);
+  if (!key) {
+    await ctx.reply('Usage: brain versions <kind>/<key>, e.g. brain versions threads/tg:123456');
+    return;
+  }
+  const history = await ctx.brain.objectHistory(key);
+  if (!history) {
+    await ctx.reply('No version history — it needs OPENCLAW_BRAIN_BUCKET with object versioning turned on.');
+    return;
+  }
+  await ctx.reply(history.length
+    ? `🕓 Versions of ${key} (newest last):\n\n${history.slice(-15).map(v => `• ${v.at.slice(0, 19).replace('T', ' ')}${v.until ? ` → ${v.until.slice(0, 19).replace('T', ' ')}` : ' (current)'} — ${v.size} bytes`).join('\n')}`
+    : `No versions of ${key} in the bucket.`);
+}
+
+async function restoreCommand(ctx, match) {
+  const key = parseObjectRef(match[1]);
+  const at = parseWhen(match[2]);
+  if (!key || isNaN(at)) {
+    await ctx.reply('Usage: brain restore <kind>/<key> <when>, e.g. brain restore global/skills 2026-03-14 10:00 or … 2h ago');
+    return;
+  }
+  try {
+    const version = await ctx.audit.run('brain.restore', { target: key, args: { at: new Date(at).toISOString() } },
+      () => restoreObjectAt(ctx.brain, key, at));
+    await ctx.reply(version
+      ? `✅ Restored ${key} to the version saved ${version.at.slice(0, 19).replace('T', ' ')} UTC.`
+      : `${key} didn't exist at ${new Date(at).toISOString().slice(0, 19).replace('T', ' ')} UTC — nothing restored.`);
+  } catch (err) {
+    await ctx.reply(`❌ ${err.message}`);
+  }
+}
+
+// New encryption key (where the keyring can make one), then reseal every
+// object under the current key
+async function rekeyCommand(ctx) {
+  if (!ctx.brain.encryptionKeyId()) {
+    await ctx.reply('Encryption at rest is off — set OPENCLAW_BRAIN_KEYS or OPENCLAW_BRAIN_KMS_FILE.');
+    return;
+  }
+  const { rotated, kid, report } = await ctx.audit.run('brain.rekey', { target: 'brain', result: (r) => ({ kid: r.kid, resealed: r.report.resealed }) },
+    async () => {
+      const rotated = await ctx.brain.rotateKey();
+      return { rotated, kid: ctx.brain.encryptionKeyId(), report: await ctx.brain.migrate() };
+    });
+  await ctx.reply([
+    rotated ? `🔑 New key ${kid}.` : `🔑 Keys come from OPENCLAW_BRAIN_KEYS — to rotate, put a new key first there and restart. Current key: ${kid}.`,
+    `Resealed ${report.resealed} object${report.resealed === 1 ? '' : 's'}.`,
+    report.invalid.length ? `⚠️ ${report.invalid.length} couldn't be read — see "brain migrations".` : '',
+    report.unsealedLogs.length ? `🗝 ${report.unsealedLogs.length} audit log${report.unsealedLogs.length === 1 ? '' : 's'} kept plaintext or older-key records (logs aren't resealed) — see "brain migrations".` : '',
+  ].filter(Boolean).join('\n'));
+}
+
+// Last startup schema check, plus anything sitting in quarantine
+async function migrationsCommand(ctx) {
+  const report = await ctx.brain.loadMigrationReport();
+  if (!report) {
+    await ctx.reply('No schema check has run yet — it runs when Penny starts.');
+    return;
+  }
+  const held = await ctx.brain.listQuarantine();
+  const problems = (list) => list.map(q => `• ${q.key}: ${q.errors.slice(0, 2).join('; ')}`).join('\n');
+  await ctx.reply([
+    `🧬 Schema check ${report.at.slice(0, 19).replace('T', ' ')} UTC — ${report.checked} objects, ${report.migrated} migrated` +
+      (report.resealed ? `, ${report.resealed} (re)encrypted` : '') +
+      (report.newer ? `, ${report.newer} from a newer Penny` : ''),
+    report.invalid.length ? `\n⚠️ Can't be used (left in place):\n${problems(report.invalid)}` : '',
+    report.unsealedLogs?.length
+      ? `\n🗝 Audit logs aren't resealed — these still hold plaintext or older-key records:\n${report.unsealedLogs.map(l => `• ${l.key}: ${l.records}`).join('\n')}`
+      : '',
+    held.length ? `\n🚧 Quarantined (${held.length}):\n${problems(held.slice(-10))}` : '',
+  ].filter(Boolean).join('\n'));
+}
+
+module.exports = {
+  name: 'brain',
+  commands: [
+    {
+      early: true,
+      match: ({ lower }) => lower.startsWith('brain status'),
+      run: ({ reply, brain, config }) => reply(
+        `Brain: ${brain.enabled ? 'enabled' : 'disabled'}\n` +
+        `Bucket: ${config.gcp.brainBucket || '(missing)'}\n` +
+        `Prefix: ${config.gcp.brainPrefix}\n` +
+        `Encryption: ${brain.encryptionKeyId() ? `on (key ${brain.encryptionKeyId()})` : 'off'}`
+      ),
+    },
+    {
+      early: true,
+      match: ({ lower }) => lower.startsWith('brain show'),
+      run: (ctx) => ctx.reply(`Thread memory:\n${JSON.stringify(displayState(ctx.threadState), null, 2).slice(0, 3500)}`),
+    },
+    { early: true, match: ({ lower }) => /^brain\s+last\s+error/i.test(lower), run: lastError },
+    { early: true, capability: 'brain:admin', match: ({ lower }) => lower === 'brain export', run: exportCommand },
+    { early: true, capability: 'brain:admin', match: ({ lower }) => lower === 'brain import', run: importCommand },
+    { early: true, capability: 'brain:admin', match: ({ messageBody }) => messageBody.match(/^brain\s+versions\s+(\S+)$/i), run: versionsCommand },
+    { early: true, capability: 'brain:admin', match: ({ lower }) => lower === 'brain migrations', run: migrationsCommand },
+    { early: true, capability: 'brain:admin', match: ({ lower }) => lower === 'brain rekey', run: rekeyCommand },
+    { early: true, capability: 'brain:admin', match: ({ messageBody }) => messageBody.match(/^brain\s+restore\s+(\S+)\s+(.+)$/i), run: restoreCommand },
+    {
+      early: true,
+      capability: 'brain:reset',
+      match: ({ lower }) => lower.startsWith('brain reset'),
+      run: async (ctx) => {
+        if (!ctx.brain.enabled) {
+          await ctx.reply('Brain is disabled (no bucket).');
+          return;
+        }
+        await resetThread(ctx);
+      },
+    },
+  ],
+  matchers: [matchBrain],
+  intents: {
+    brain_status: {
+      run: ({ reply, brain, config }) => reply(`🧠 Brain: ${brain ? 'active' : 'disabled'}\nBucket: ${config.gcp.brainBucket || '(none)'}\nPrefix: ${config.gcp.brainPrefix}`),
+    },
+    brain_show: { llm: '{"intent":"brain_show"} — show what the bot remembers', run: showThread },
+    brain_reset: { capability: 'brain:reset', llm: '{"intent":"brain_reset"} — clear/reset bot memory', run: resetThread },
+  },
+};
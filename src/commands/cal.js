@@ -0,0 +1,381 @@
+'use strict';
+
+const { matchCalendar } = require('../matchers');
+const { LLMOutputError } = require('../clients/llm');
+
+// What the LLM extracts from "schedule lunch with Sam Friday at noon"
+const EVENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: ['string', 'null'] },
+    date: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    time: { type: ['string', 'null'], pattern: '^\\d{1,2}:\\d{2}$' },
+    duration: { type: ['string', 'null'] },
+    location: { type: ['string', 'null'] },
+    attendees: { type: ['string', 'null'] },
+  },
+  required: ['title', 'date', 'time'],
+};
+
+function calHelpText() {
+  return [
+    '📅 Calendar Commands:',
+    '',
+    '  cal — today\'s events',
+    '  cal list tomorrow — events for a specific day',
+    '  cal list week — this week\'s events',
+    '  cal calendars — see all your calendars',
+    '  cal default <#> — set your default calendar',
+    '  cal create "Title" <date> <time> <duration>',
+    '  cal update <#> title="New Title" time=3pm',
+    '  cal delete <#>',
+    '',
+    'Or tap the Edit / Delete buttons under an event list.',
+    '',
+    'Or just say things like:',
+    '  "what\'s on my schedule today?"',
+    '  "any meetings tomorrow?"',
+    '  "schedule a meeting for Friday at 2pm"',
+    '  "am I free on Monday?"',
+  ].join('\n');
+}
+
+// Parse `title="New Title" time=14:00 date=friday` into calendar updates
+function parseEventUpdates(kvStr) {
+  const updates = {};
+  const kvMatches = kvStr.matchAll(/(\w+)\s*=\s*["\u201c]([^"\u201d]+)["\u201d]|(\w+)\s*=\s*(\S+)/g);
+  for (const m of kvMatches) {
+    const key = m[1] || m[3];
+    const val = m[2] || m[4];
+    if (key === 'title') updates.summary = val;
+    else if (key === 'attendees') updates.attendees = val.split(',').map(s => s.trim());
+    else updates[key] = val;
+  }
+  return updates;
+}
+
+function eventKeyboard(ctx, events) {
+  return ctx.keyboard(events.slice(0, 20).map((e, i) => {
+    const payload = { id: e.id, summary: e.summary || '' };
+    return [
+      { text: `✏️ Edit ${i + 1}`, action: 'cal_edit', payload },
+      { text: `🗑 Delete ${i + 1}`, action: 'cal_delete', payload },
+    ];
+  }));
+}
+
+// Save event number mapping and format event list
+async function showEvents(ctx, events, label) {
+  const eventIdMap = {};
+  events.forEach((e, i) => { eventIdMap[i + 1] = { id: e.id, calendarId: e.calendarId || 'primary' }; });
+  await ctx.brain.saveThread(ctx.threadKey, { eventIdMap });
+  const lines = events.map((e, i) => `${i + 1}. ${e.formatted}`);
+  await ctx.reply(`📅 ${label}:\n\n${lines.join('\n\n')}`, { replyMarkup: await eventKeyboard(ctx, events) });
+}
+
+// "tomorrow", "03/19", "this week", "next week" → listEvents range
+function dayRange(calendar, date) {
+  if (date === 'week' || date === 'this week' || date === 'next week') {
+    const now = new Date();
+    const offset = date === 'next week' ? 7 : 0;
+    return {
+      timeMin: new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset).toISOString(),
+      timeMax: new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset + 7).toISOString(),
+    };
+  }
+  const dateStr = calendar.resolveDate(date);
+  return {
+    timeMin: new Date(`${dateStr}T00:00:00`).toISOString(),
+    timeMax: new Date(`${dateStr}T23:59:59`).toISOString(),
+  };
+}
+
+async function listCalendars(ctx) {
+  const cals = await ctx.calendar.listCalendars();
+  if (!cals.length) {
+    await ctx.reply('📅 No calendars found.');
+    return;
+  }
+  const calendarIdMap = {};
+  const lines = cals.map((c, i) => {
+    const num = i + 1;
+    calendarIdMap[num] = c.id;
+    const badge = c.primary ? ' (primary)' : '';
+    const role = c.accessRole ? ` [${c.accessRole}]` : '';
+    return `${num}. ${c.summary}${badge}${role}`;
+  });
+  await ctx.brain.saveThread(ctx.threadKey, { calendarIdMap });
+  await ctx.reply(`📅 Your calendars:\n\n${lines.join('\n')}\n\nUse the number when creating events, e.g.: cal create 2 "Meeting" tomorrow 3pm 1h`);
+}
+
+async function listEvents(ctx, { date }) {
+  const events = date && date !== 'today'
+    ? await ctx.calendar.listEvents(dayRange(ctx.calendar, date))
+    : await ctx.calendar.listEvents();
+  if (!events.length) {
+    await ctx.reply(`📅 No events ${date ? `for ${date}` : 'today'}.`);
+    return;
+  }
+  await showEvents(ctx, events, `Events${date ? ` (${date})` : ' today'}`);
+}
+
+async function createEvent(ctx, ev) {
+  const attendees = ev.attendees ? ev.attendees.split(',').map(s => s.trim()).filter(Boolean) : [];
+  const event = {
+    summary: ev.title, date: ev.date, time: ev.time,
+    duration: ev.duration || '1h', attendees, location: ev.location || '',
+  };
+  const result = await ctx.audit.run('calendar.create', { target: ev.title, args: event },
+    () => ctx.calendar.createEvent(event));
+  await ctx.reply(`✅ Event created: ${result.summary}\n${result.htmlLink || ''}`);
+}
+
+// Resolve an event number from the last "cal list" to its real ID
+async function resolveEventId(ctx, eventRef) {
+  const num = parseInt(eventRef, 10);
+  if (!isNaN(num) && String(num) === eventRef && num >= 1) {
+    const state = await ctx.brain.loadThread(ctx.threadKey);
+    if (state?.eventIdMap?.[num]) return state.eventIdMap[num].id;
+  }
+  return eventRef;
+}
+
+// ── Pending calendar edit (from an ✏️ Edit button) ──────────
+async function pendingEdit(ctx) {
+  const { threadState, brain, threadKey, lower, calendar } = ctx;
+  if (!threadState?.pendingEventEdit) return false;
+  const { id, summary } = threadState.pendingEventEdit;
+  await brain.saveThread(threadKey, { pendingEventEdit: null });
+  if (lower === 'cancel' || lower === 'nevermind') {
+    await ctx.reply('✅ Edit cancelled.');
+    return true;
+  }
+  const updates = parseEventUpdates(ctx.messageBody);
+  if (calendar && Object.keys(updates).length) {
+    try {
+      const result = await ctx.audit.run('calendar.update', { target: id, args: updates }, () => calendar.updateEvent(id, updates));
+      await ctx.reply(`✅ Event updated: ${result.summary}\n${result.htmlLink || ''}`);
+    } catch (err) {
+      await ctx.reply(`❌ Couldn't update "${summary || 'event'}": ${(err?.message || 'unknown').slice(0, 200)}`);
+    }
+    return true;
+  }
+  // Not an edit after all — handle it as a normal message
+  return false;
+}
+
+async function calCommand(ctx) {
+  const { calendar, brain, threadKey } = ctx;
+  const calCmd = ctx.lower.replace(/^cal\s*/, '').trim();
+  const calCmdRaw = ctx.messageBody.replace(/^cal\s*/i, '').trim();
+
+  if (calCmd === 'calendars') {
+    await listCalendars(ctx);
+    return;
+  }
+
+  if (calCmd === 'default') {
+    const state = await brain.loadThread(threadKey);
+    const defaultCal = state?.defaultCalendarId;
+    if (defaultCal) {
+      await ctx.reply(`📅 Default calendar: ${defaultCal}\nUse "cal default <#>" to change it, or "cal default clear" to reset.`);
+    } else {
+      await ctx.reply('📅 No default calendar set. Use "cal default <#>" after running "cal calendars".');
+    }
+    return;
+  }
+
+  if (calCmd.startsWith('default ')) {
+    const arg = calCmd.replace(/^default\s*/, '').trim();
+    if (arg === 'clear' || arg === 'reset' || arg === 'none') {
+      await brain.saveThread(threadKey, { defaultCalendarId: null });
+      await ctx.reply('✅ Default calendar cleared. Events will be created on your primary calendar.');
+      return;
+    }
+    const num = parseInt(arg, 10);
+    if (isNaN(num) || num < 1) {
+      await ctx.reply('Usage: cal default <#>\nRun "cal calendars" first to see your calendar numbers.');
+      return;
+    }
+    const state = await brain.loadThread(threadKey);
+    const calId = state?.calendarIdMap?.[num];
+    if (!calId) {
+      await ctx.reply(`Calendar #${num} not found. Run "cal calendars" first.`);
+      return;
+    }
+    await brain.saveThread(threadKey, { defaultCalendarId: calId });
+    await ctx.reply(`✅ Default calendar set to #${num}. All new events will be created there unless you specify a different number.`);
+    return;
+  }
+
+  if (calCmd === '' || calCmd === 'list' || calCmd === 'today') {
+    const events = await calendar.listEvents();
+    if (!events.length) {
+      await ctx.reply('📅 No events today.');
+      return;
+    }
+    await showEvents(ctx, events, "Today's events");
+    return;
+  }
+
+  if (calCmd.startsWith('list ')) {
+    const arg = calCmd.replace(/^list\s*/, '').trim();
+    const events = await calendar.listEvents(dayRange(calendar, arg));
+    if (!events.length) {
+      await ctx.reply(`📅 No events for ${arg}.`);
+      return;
+    }
+    await showEvents(ctx, events, `Events (${arg})`);
+    return;
+  }
+
+  if (calCmd.startsWith('get ')) {
+    const eventId = calCmd.replace(/^get\s*/, '').trim();
+    const ev = await calendar.getEvent(eventId);
+    await ctx.reply(`📅 ${ev.formatted}\n${ev.htmlLink || ''}`);
+    return;
+  }
+
+  if (calCmd.startsWith('create ')) {
+    // Flexible regex: optional calendar number, title in quotes, date, time, then rest (duration + extras)
+    const createMatch = calCmdRaw.match(/^create\s+(?:(\d)\s+)?["\u201c\u201e\u00ab]([^"\u201d\u201f\u00bb]+)["\u201d\u201f\u00bb]\s+(.+?)\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm))\s+(.+)$/is);
+    if (!createMatch) {
+      await ctx.reply('Usage: cal create [#] "Title" <date> <time> <duration>\nExamples:\n• cal create "Dentist" 03/19 2pm 1 hour\n• cal create 2 "Lunch" tomorrow 12:30pm 1h30m\n\nUse "cal calendars" to see calendar numbers.');
+      return;
+    }
+    const [, calNum, title, date, time, remainder] = createMatch;
+    // Resolve calendar: explicit number > default > primary
+    let calendarId = null;
+    const state = await brain.loadThread(threadKey);
+    if (calNum) {
+      calendarId = state?.calendarIdMap?.[parseInt(calNum, 10)] || null;
+      if (!calendarId) {
+        await ctx.reply(`Calendar #${calNum} not found. Run "cal calendars" first to see your calendars.`);
+        return;
+      }
+    } else if (state?.defaultCalendarId) {
+      calendarId = state.defaultCalendarId;
+    }
+    // Extract duration from the front of remainder, leaving attendees/location behind
+    const { minutes, rest } = calendar.extractDuration(remainder);
+    const locMatch = (rest || '').match(/location\s*:\s*["\u201c]([^"\u201d]+)["\u201d]/i);
+    const location = locMatch ? locMatch[1] : '';
+    const attendeePart = (rest || '').replace(/location\s*:\s*["\u201c][^"\u201d]*["\u201d]/i, '').trim();
+    const attendees = attendeePart ? attendeePart.split(',').map(s => s.trim()).filter(Boolean) : [];
+
+    const event = { summary: title, date, time, duration: `${minutes}m`, attendees, location, calendarId };
+    const result = await ctx.audit.run('calendar.create', { target: title, args: event }, () => calendar.createEvent(event));
+    await ctx.reply(`✅ Event created: ${result.summary}\n${result.htmlLink || ''}`);
+    return;
+  }
+
+  if (calCmd.startsWith('update ')) {
+    const parts = calCmdRaw.replace(/^update\s*/i, '').trim().split(/\s+/);
+    const eventRef = parts[0];
+    if (!eventRef || parts.length < 2) {
+      await ctx.reply('Usage: cal update <#> title="New Title" time=14:00 date=2026-03-15 duration=1h\n\nUse the event number from "cal list".');
+      return;
+    }
+    const eventId = await resolveEventId(ctx, eventRef);
+    const updates = parseEventUpdates(parts.slice(1).join(' '));
+    const result = await ctx.audit.run('calendar.update', { target: eventId, args: updates }, () => calendar.updateEvent(eventId, updates));
+    await ctx.reply(`✅ Event updated: ${result.summary}\n${result.htmlLink || ''}`);
+    return;
+  }
+
+  if (calCmd.startsWith('delete ')) {
+    const eventId = await resolveEventId(ctx, calCmd.replace(/^delete\s*/, '').trim());
+    await ctx.audit.run('calendar.delete', { target: eventId }, () => calendar.deleteEvent(eventId));
+    await ctx.reply('✅ Event deleted.');
+    return;
+  }
+
+  await ctx.reply(
+    'Calendar commands:\n• cal / cal list / cal list <date> / cal list week\n• cal calendars — list all calendars\n• cal default <#> — set default calendar\n• cal create [#] "Title" <date> <time> <duration>\n• cal update <#> field=value\n• cal delete <#>\n\nUse event numbers from "cal list" for update/delete.'
+  );
+}
+
+module.exports = {
+  name: 'cal',
+  help: {
+    summary: '📅 Calendar — "what\'s on my schedule?" or "any meetings tomorrow?"',
+    aliases: ['cal help', 'calendar help'],
+    text: calHelpText,
+  },
+  pending: [pendingEdit],
+  commands: [
+    // "call …" is a phone call, not a calendar command
+    { service: 'calendar', match: ({ lower }) => lower.startsWith('cal') && !lower.startsWith('call'), run: calCommand },
+  ],
+  matchers: [matchCalendar],
+  intents: {
+    cal_calendars: { service: 'calendar', run: listCalendars },
+    cal_list: {
+      service: 'calendar',
+      llm: '{"intent":"cal_list","date":"date or empty"} — list calendar events, schedule, meetings',
+      run: (ctx, intent) => listEvents(ctx, { date: intent.date || null }),
+    },
+    cal_create_nl: {
+      service: 'calendar',
+      run: async (ctx, matched) => {
+        if (!ctx.llm) return false;
+        // Use Claude to extract event details from natural language
+        const today = new Date().toISOString().slice(0, 10);
+        const dayOfWeek = new Date().toLocaleDateString('en-US', { weekday: 'long' });
+        let ev;
+        try {
+          ev = await ctx.llm.json({
+            name: 'event_details',
+            schema: EVENT_SCHEMA,
+            maxTokens: 300,
+            system:
+              `Extract calendar event details from the user message. Today is ${dayOfWeek}, ${today}. ` +
+              'Return ONLY valid JSON: {"title":"string","date":"YYYY-MM-DD","time":"HH:MM" (24h),"duration":"1h","location":"string or null","attendees":"comma-sep emails or null"}. ' +
+              'Resolve relative dates. If a field is missing, set to null.',
+            messages: [{ role: 'user', content: matched.raw }],
+          });
+        } catch (err) {
+          if (!(err instanceof LLMOutputError)) throw err;
+          await ctx.reply('I couldn\'t parse those event details. Try:\ncal create "Title" <date> <time> <duration>');
+          return;
+        }
+        if (!ev.title || !ev.date || !ev.time) {
+          await ctx.reply(`I got "${ev.title || '?'}" but need a date and time. Try:\ncal create "Title" <date> <time> <duration>`);
+          return;
+        }
+        await createEvent(ctx, ev);
+      },
+    },
+    cal_create: {
+      service: 'calendar',
+      llm: '{"intent":"cal_create","title":"t","date":"d","time":"t","duration":"d","location":"optional","attendees":"optional comma-sep emails"} — create/schedule an event or meeting',
+      run: async (ctx, intent) => {
+        if (!intent.title || !intent.date || !intent.time) return false;
+        await createEvent(ctx, intent);
+      },
+    },
+  },
+  llmHints: {
+    disambiguation: [
+      '"what do I have going on" / "how does my day look" = cal_list (calendar)',
+      '"schedule a meeting" / "set up a call" / "block time" = cal_create',
+    ],
+    examples: ['"any meetings tomorrow?" -> {"intent":"cal_list","date":"tomorrow"}'],
+  },
+  callbacks: {
+    cal_delete: async (ctx, payload) => {
+      if (!ctx.calendar) return false;
+      await ctx.audit.run('calendar.delete', { target: payload.id, args: { summary: payload.summary } },
+        () => ctx.calendar.deleteEvent(payload.id));
+      await ctx.ack('Deleted');
+      await ctx.reply(`✅ Event deleted: ${payload.summary || ''}`.trim());
+    },
+    cal_edit: async (ctx, payload) => {
+      if (!ctx.calendar) return false;
+      await ctx.brain.saveThread(ctx.threadKey, { pendingEventEdit: { id: payload.id, summary: payload.summary } });
+      await ctx.ack();
+      await ctx.reply(`✏️ Editing "${payload.summary || 'event'}". Send the changes, e.g.:\ntitle="New title" time=15:00 date=friday duration=1h\n\nOr reply "cancel".`);
+    },
+  },
+  parseEventUpdates,
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+const { loadConversation, appendTurns, compactConversation, keepsHistory } = require('../conversation');
+
+// Conversational chat — the last stop for anything no feature claimed
+async function chat(ctx) {
+  const { brain, threadKey, threadState, llm, config, messageBody } = ctx;
+  const remembers = keepsHistory(threadState);
+  const { summary, messages } = remembers ? await loadConversation(brain, threadKey) : { summary: '', messages: [] };
+  const turn = { role: 'user', content: messageBody };
+
+  const indexedRepos = await brain.listRepos();
+  const repoContext = indexedRepos.length
+    ? `\nUser's repos:\n${indexedRepos.map(r => `- ${r.name} (${r.language || '?'}): ${r.description || 'no description'}`).join('\n')}`
+    : '';
+
+  const memories = ctx.memory ? await ctx.memory.promptFor(threadKey, messageBody) : '';
+
+  const systemPrompt = [
+    'You are Penny, a Personal AI Assistant & Tutor via Telegram. Be concise.',
+    'You can create PRs (user sends "repo: owner/repo" + "task: ..."), send emails ("email send ..."), manage calendar ("cal ..."), manage todos ("todo list/add/done/delete"), and check brain memory.',
+    threadState?.lastRepo ? `User last worked on repo: ${threadState.lastRepo}` : '',
+    threadState?.lastTask ? `Last task: ${threadState.lastTask}` : '',
+    summary ? `Earlier in this conversation (summary):\n${summary}` : '',
+    repoContext,
+    memories,
+  ].filter(Boolean).join('\n');
+
+  const resp = await llm.call({
+    maxTokens: 500,
+    system: systemPrompt,
+    messages: [...messages, turn],
+  });
+  const text = resp.text || '(No response)';
+
+  const reply = { role: 'assistant', content: text };
+  if (!remembers) {
+    await ctx.reply(text);
+    return true;
+  }
+  await appendTurns(brain, threadKey, [turn, reply]);
+
+  await ctx.reply(text);
+
+  // Summarize older turns and pick up lasting facts in the background —
+  // the reply doesn't wait on either
+  compactConversation(llm, brain, threadKey, config.history)
+    .catch(err => ctx.logError('History summarization failed:', err?.message || err));
+  if (ctx.memory) {
+    ctx.memory.learn(llm, threadKey, [...messages, turn, reply])
+      .catch(err => ctx.logError('Memory extraction failed:', err?.message || err));
+  }
+  return true;
+}
+
+module.exports = {
+  name: 'chat',
+  llmHints: {
+    disambiguation: ['"hi" / "thanks" / "ok" / "how are you" = none (conversational)'],
+  },
+  fallbacks: [chat],
+};
@@ -0,0 +1,248 @@
+'use strict';
+
+const { matchEmail } = require('../matchers');
+const { authorize } = require('../router');
+
+function emailHelpText() {
+  return [
+    '📧 Email Commands:',
+    '',
+    '  email check — show recent emails',
+    '  email search <query> — search your inbox',
+    '  email read <id> — read a full email',
+    '  email send user@email.com "Subject" Body text',
+    '',
+    'Or just say things like:',
+    '  "any new emails?"',
+    '  "find emails from Sarah"',
+    '  "send an email to bob@example.com about the meeting"',
+    '',
+    'Emails are previewed before sending — tap Send (or reply "send") to confirm.',
+  ].join('\n');
+}
+
+async function humanize(llm, text) {
+  try {
+    const resp = await llm.call({
+      maxTokens: 1000,
+      system:
+        'Rewrite this email to sound like a real person wrote it. ' +
+        'Keep the same meaning, tone, and length. ' +
+        'No filler phrases like "I hope this email finds you well." ' +
+        'No bullet points unless the original had them. ' +
+        'Use natural contractions (I\'m, don\'t, we\'ll). ' +
+        'Vary sentence length. Be direct. ' +
+        'Do NOT add a sign-off or greeting unless the original had one. ' +
+        'Return ONLY the rewritten text, nothing else.',
+      messages: [{ role: 'user', content: text }],
+    });
+    return resp.text || text;
+  } catch {
+    return text;
+  }
+}
+
+// Save an email draft and show it with Send/Discard buttons
+async function previewEmail(ctx, { to, subject, body }) {
+  const draftId = Date.now().toString(36);
+  await ctx.brain.saveThread(ctx.threadKey, {
+    pendingEmail: { id: draftId, to, subject, body },
+  });
+  const replyMarkup = await ctx.keyboard([[
+    { text: '✉️ Send', action: 'email_send', payload: { draftId } },
+    { text: '🗑 Discard', action: 'email_discard', payload: { draftId } },
+  ]]);
+  await ctx.reply(`📧 Preview:\n\nTo: ${to}\nSubject: ${subject}\n\n${body.slice(0, 1000)}\n\n✉️ Tap Send, or reply "send" to confirm or "cancel" to discard.`, { replyMarkup });
+}
+
+async function listInbox(ctx, { query } = {}) {
+  const msgs = await ctx.gmail.listMessages({ ...(query ? { query } : {}), maxResults: 5 });
+  if (!msgs.length) {
+    await ctx.reply(query ? `No emails found for: ${query}` : '📭 No recent emails.');
+    return;
+  }
+  if (query) {
+    const lines = msgs.map((m, i) => `${i + 1}. ${m.from.slice(0, 40)}\n   ${m.subject}`);
+    await ctx.reply(`📬 Results for "${query}":\n\n${lines.join('\n\n')}`);
+    return;
+  }
+  const lines = msgs.map((m, i) => `${i + 1}. ${m.from.slice(0, 40)}\n   ${m.subject}\n   ${m.date}`);
+  await ctx.reply(`📬 Recent emails:\n\n${lines.join('\n\n')}`);
+}
+
+// ── Pending email confirmation ───────────────────────────────
+async function pendingConfirmation(ctx) {
+  const { threadState, lower, brain, threadKey } = ctx;
+  if (!threadState?.pendingEmail) return false;
+  if (lower === 'send' || lower === 'yes' || lower === 'confirm') {
+    if (!(await authorize(ctx, 'email:send', 'confirm email draft'))) return true;
+    if (!(await ctx.quota.take('email'))) return true;
+    const { to, subject, body } = threadState.pendingEmail;
+    try {
+      await ctx.audit.run('email.send', { target: to, args: { subject, chars: body.length } },
+        () => ctx.gmail.sendEmail({ to, subject, body }));
+      await brain.saveThread(threadKey, { pendingEmail: null });
+      await ctx.reply(`✅ Email sent to ${to}`);
+    } catch (err) {
+      await ctx.reply(`❌ Email send failed: ${(err?.message || 'unknown').slice(0, 200)}`);
+    }
+    return true;
+  }
+  if (lower === 'cancel' || lower === 'no' || lower === 'discard' || lower === 'nevermind') {
+    await brain.saveThread(threadKey, { pendingEmail: null });
+    await ctx.reply('✅ Email discarded.');
+    return true;
+  }
+  return false;
+}
+
+async function emailCommand(ctx) {
+  const emailCmd = ctx.lower.replace(/^email\s*/, '').trim();
+  const emailCmdRaw = ctx.messageBody.replace(/^email\s*/i, '').trim();
+
+  if (emailCmd === 'check' || emailCmd === 'inbox' || emailCmd === '') {
+    await listInbox(ctx);
+    return;
+  }
+
+  if (emailCmd.startsWith('search ')) {
+    await listInbox(ctx, { query: emailCmd.replace(/^search\s*/, '').trim() });
+    return;
+  }
+
+  if (emailCmd.startsWith('read ')) {
+    const msgId = emailCmd.replace(/^read\s*/, '').trim();
+    const msg = await ctx.gmail.readMessage(msgId);
+    await ctx.reply(
+      `📧 From: ${msg.from}\nSubject: ${msg.subject}\nDate: ${msg.date}\n\n${msg.body.slice(0, 3500)}`
+    );
+    return;
+  }
+
+  if (emailCmd.startsWith('send ')) {
+    if (!(await authorize(ctx, 'email:send', 'email send'))) return;
+    const sendMatch = emailCmdRaw.match(/^send\s+(\S+)\s+["\u201c\u201e\u00ab]([^"\u201d\u201f\u00bb]+)["\u201d\u201f\u00bb]\s+(.+)$/is);
+    if (!sendMatch) {
+      await ctx.reply('Usage: email send user@email.com "Subject" Body text here');
+      return;
+    }
+    let body = sendMatch[3];
+    if (ctx.llm) {
+      body = await humanize(ctx.llm, body);
+    }
+    // Save pending email for confirmation
+    await previewEmail(ctx, { to: sendMatch[1], subject: sendMatch[2], body });
+    return;
+  }
+
+  await ctx.reply(
+    'Email commands:\n• email check\n• email search <query>\n• email read <id>\n• email send user@email.com "Subject" Body'
+  );
+}
+
+// Button presses on a draft preview. The draft id in the payload must still
+// match the pending draft, so an old preview can't send a newer email.
+async function resolveDraft(ctx, payload) {
+  const state = await ctx.brain.loadThread(ctx.threadKey);
+  const draft = state?.pendingEmail;
+  if (!draft || draft.id !== payload.draftId) {
+    await ctx.ack('That draft is no longer pending.');
+    await ctx.clearButtons();
+    return null;
+  }
+  await ctx.brain.saveThread(ctx.threadKey, { pendingEmail: null });
+  await ctx.clearButtons();
+  return draft;
+}
+
+module.exports = {
+  name: 'email',
+  help: {
+    summary: '📧 Email — "check my email" or "send an email to..."',
+    aliases: ['email help', 'mail help'],
+    text: emailHelpText,
+  },
+  pending: [pendingConfirmation],
+  commands: [
+    { service: 'gmail', match: ({ lower }) => lower.startsWith('email'), run: emailCommand },
+  ],
+  matchers: [matchEmail],
+  intents: {
+    email_check: {
+      service: 'gmail',
+      llm: '{"intent":"email_check"} — user wants to see inbox/recent emails',
+      run: (ctx) => listInbox(ctx),
+    },
+    email_search_nl: {
+      service: 'gmail',
+      run: async (ctx, matched) => {
+        if (!ctx.llm) return false;
+        // Use Claude to extract the search query from the natural language
+        const queryResp = await ctx.llm.call({
+          maxTokens: 100,
+          system: 'Extract a Gmail search query from the user message. Return ONLY the search string, nothing else.',
+          messages: [{ role: 'user', content: matched.raw }],
+        });
+        const query = queryResp.text;
+        if (query) {
+          await listInbox(ctx, { query });
+        } else {
+          await ctx.reply('I couldn\'t figure out what to search for. Try: email search <query>');
+        }
+      },
+    },
+    // Let the LLM intent router handle the complex extraction
+    email_send_nl: { service: 'gmail', run: () => false },
+    email_search: {
+      service: 'gmail',
+      llm: '{"intent":"email_search","query":"search terms"} — search emails',
+      run: async (ctx, intent) => {
+        if (!intent.query) return false;
+        await listInbox(ctx, { query: intent.query });
+      },
+    },
+    email_send: {
+      service: 'gmail',
+      capability: 'email:send',
+      llm: '{"intent":"email_send","to":"addr","subject":"subj","body":"text"} — send an email',
+      run: async (ctx, intent) => {
+        if (!intent.to || !intent.subject || !intent.body) return false;
+        const body = await humanize(ctx.llm, intent.body);
+        await previewEmail(ctx, { to: intent.to, subject: intent.subject, body });
+      },
+    },
+  },
+  llmHints: {
+    examples: [
+      '"check my inbox" -> {"intent":"email_check"}',
+      '"send Sarah an email about the Q4 report" -> {"intent":"email_send","to":"sarah","subject":"Q4 Report","body":"..."}',
+    ],
+  },
+  callbacks: {
+    email_send: async (ctx, payload) => {
+      if (!(await authorize(ctx, 'email:send', 'email send button'))) {
+        await ctx.ack('Not allowed');
+        return;
+      }
+      if (!(await ctx.quota.take('email'))) {
+        await ctx.ack('Email limit reached');
+        return;
+      }
+      const draft = await resolveDraft(ctx, payload);
+      if (!draft) return;
+      if (!ctx.gmail) {
+        await ctx.ack('Gmail not configured');
+        return;
+      }
+      await ctx.audit.run('email.send', { target: draft.to, args: { subject: draft.subject, chars: draft.body.length } },
+        () => ctx.gmail.sendEmail({ to: draft.to, subject: draft.subject, body: draft.body }));
+      await ctx.ack('Sent');
+      await ctx.reply(`✅ Email sent to ${draft.to}`);
+    },
+    email_discard: async (ctx, payload) => {
+      if (!(await resolveDraft(ctx, payload))) return;
+      await ctx.ack('Discarded');
+      await ctx.reply('✅ Email discarded.');
+    },
+  },
+};
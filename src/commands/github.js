@@ -0,0 +1,219 @@
+'use strict';
+
+const {
+  parseGitHubPullUrl,
+  parseOwnerRepo,
+  parseGitHubRepoUrl,
+  parseTaskBlock,
+} = require('../util/parse');
+const { sandboxFastPR } = require('../agent/sandbox');
+const { fetchRepoAndReadme } = require('../github/repo');
+const { summarizePullRequest } = require('../github/pr');
+const { matchRepos } = require('../matchers');
+const { conversationFor } = require('../conversation');
+
+function githubHelpText() {
+  return [
+    '💻 GitHub Commands:',
+    '',
+    '  repos — list your indexed repos',
+    '  tell me about owner/repo — get a repo summary',
+    '  summarize <PR URL> — summarize a pull request',
+    '',
+    'To create a PR, send:',
+    '  repo: owner/repo',
+    '  task: describe what you want built',
+    '',
+    'I\'ll clone the repo, write the code, and open a PR for you.',
+  ].join('\n');
+}
+
+async function listRepos(ctx) {
+  const repoList = await ctx.brain.listRepos();
+  if (!repoList.length) {
+    await ctx.reply('No repos indexed yet. Set PENNY_REPOS or wait for auto-discovery.');
+    return;
+  }
+  const list = repoList.map(r => `• ${r.name} (${r.language || '?'})`).join('\n');
+  await ctx.reply(`📦 Indexed repos:\n${list}`);
+}
+
+async function summarizePr(ctx, pr) {
+  const { octokit, llm, config, brain, threadKey, messageBody } = ctx;
+  await ctx.reply('Summarizing that PR...');
+  const summary = await summarizePullRequest({
+    octokit, llm,
+    pr, context: messageBody,
+  });
+  await brain.saveThread(threadKey, {
+    lastPrUrl: `https://github.com/${pr.owner}/${pr.repo}/pull/${pr.pull_number}`,
+    lastRepo: `${pr.owner}/${pr.repo}`,
+  });
+  await ctx.reply(summary);
+}
+
+// Dev agent task block
+async function runTaskBlock(ctx, taskBlock) {
+  const { octokit, llm, config, brain, threadKey, threadState } = ctx;
+  if (!octokit) {
+    await ctx.reply('GitHub not configured (GITHUB_TOKEN missing).');
+    return;
+  }
+  if (!llm) {
+    await ctx.reply('Claude not configured (ANTHROPIC_API_KEY missing).');
+    return;
+  }
+
+  let owner = taskBlock.repoRef?.owner || null;
+  let repo = taskBlock.repoRef?.repo || null;
+
+  if ((!owner || !repo) && threadState?.lastRepo) {
+    const m = parseOwnerRepo(threadState.lastRepo);
+    if (m) { owner = m.owner; repo = m.repo; }
+  }
+
+  if (!owner || !repo) {
+    await ctx.reply('I need a repo. Send:\nrepo: owner/repo\ntask: what to do');
+    return;
+  }
+  if (!(await ctx.quota.take('pr_job'))) return;
+
+  const sayProgress = async (t) => ctx.reply(t);
+
+  const repoMem = await brain.loadRepo(owner, repo);
+  const summaryMemory = await brain.loadSummary();
+  const memories = ctx.memory ? await ctx.memory.promptFor(threadKey, taskBlock.task) : '';
+  const conversation = await conversationFor(brain, threadKey);
+
+  let repoContext = null;
+  try {
+    const { repoData, readmeText } = await fetchRepoAndReadme({ octokit, owner, repo });
+    let rootPaths = [];
+    try {
+      const contentResp = await octokit.repos.getContent({ owner, repo, path: '', ref: repoData.default_branch });
+      if (Array.isArray(contentResp.data)) rootPaths = contentResp.data.map((i) => i.path);
+    } catch { rootPaths = []; }
+    repoContext = {
+      rootPaths,
+      description: repoData.description || '',
+      readmeSnippet: readmeText.slice(0, 4000),
+    };
+  } catch { repoContext = null; }
+
+  await sayProgress(`🧠 Starting sandbox dev job for ${owner}/${repo}...`);
+  const result = await ctx.audit.run('github.pr', {
+    target: `${owner}/${repo}`,
+    args: { task: taskBlock.task },
+    result: (r) => (r.needsClarification ? { needsClarification: true } : { prUrl: r.prUrl, branch: r.branch }),
+  }, () => sandboxFastPR({
+    octokit, llm,
+    config, sayProgress,
+    threadMemory: threadState || {},
+    repoMemory: repoMem || {},
+    repoContext, summaryMemory, memories, conversation,
+    threadKey,
+    recordThreadError: brain.recordThreadError,
+    owner, repo,
+    task: taskBlock.task,
+    constraints: taskBlock.constraints,
+    acceptance: taskBlock.acceptance,
+    context: taskBlock.context,
+  }));
+
+  if (result.needsClarification) {
+    const questions = (result.plan.questions || []).slice(0, 3);
+    const msg = [
+      '🤔 Before I proceed:',
+      '',
+      `Understanding: ${result.plan.restatement || '(unclear)'}`,
+      '',
+      ...questions.map((q, i) => `${i + 1}. ${q}`),
+      '',
+      'Reply with answers and I\'ll build the PR.',
+    ].join('\n');
+    await ctx.reply(msg);
+    return;
+  }
+
+  await brain.saveThread(threadKey, {
+    lastRepo: `${owner}/${repo}`,
+    lastTask: taskBlock.task,
+    lastPrUrl: result.prUrl,
+    lastBranch: result.branch,
+    lastJobId: result.jobId,
+    lastPlan: brain.sanitizePlanForStorage(result.plan),
+  });
+
+  await brain.saveRepo(owner, repo, {
+    lastTouchedAt: new Date().toISOString(),
+    lastPrUrl: result.prUrl,
+    lastBranch: result.branch,
+    preferences: { fastPRs: true, testsSecondary: true },
+  });
+
+  await brain.saveSummary({
+    repo: `${owner}/${repo}`,
+    task: taskBlock.task,
+    result: `PR created: ${result.prUrl}`,
+    branch: result.branch,
+  });
+
+  await ctx.reply(`✅ PR created: ${result.prUrl}\nBranch: ${result.branch}`);
+}
+
+async function summarizeRepo(ctx, repoRef) {
+  const { octokit, llm, config, brain, threadKey } = ctx;
+  if (!octokit) {
+    await ctx.reply('GitHub not configured.');
+    return;
+  }
+  await ctx.reply(`Looking up ${repoRef.owner}/${repoRef.repo}...`);
+  const { repoData, readmeText } = await fetchRepoAndReadme({ octokit, ...repoRef });
+  await brain.saveThread(threadKey, { lastRepo: `${repoRef.owner}/${repoRef.repo}` });
+
+  if (llm) {
+    const prompt = [
+      'Summarize this GitHub repository briefly.',
+      `Repo: ${repoData.full_name}`,
+      `Description: ${repoData.description || '(none)'}`,
+      `README:\n${readmeText.slice(0, 4000)}`,
+    ].join('\n');
+
+    const resp = await llm.call({
+      maxTokens: 500,
+      system: 'You are Penny, a Personal AI Assistant & Tutor. Be concise.',
+      messages: [{ role: 'user', content: prompt }],
+    });
+    const text = resp.text || '(No response)';
+    await ctx.reply(text);
+  } else {
+    await ctx.reply(`${repoData.full_name}\n${repoData.description || ''}\n${repoData.html_url}`);
+  }
+}
+
+function matchRepoSummary({ lower, messageBody }) {
+  const repoRef = parseGitHubRepoUrl(messageBody) || parseOwnerRepo(messageBody);
+  if (repoRef && (lower.startsWith('tell me about') || lower.startsWith('describe') || lower.startsWith('what is'))) {
+    return repoRef;
+  }
+  return null;
+}
+
+module.exports = {
+  name: 'github',
+  help: {
+    summary: '💻 GitHub — create tasks and PRs from chat',
+    aliases: ['github help', 'repo help', 'pr help'],
+    text: githubHelpText,
+  },
+  commands: [
+    { match: ({ lower }) => lower === 'repos' || lower === 'list repos', run: listRepos },
+    { match: ({ messageBody }) => parseGitHubPullUrl(messageBody), run: summarizePr },
+    { capability: 'github:pr', match: ({ messageBody }) => parseTaskBlock(messageBody), run: runTaskBlock },
+    { match: matchRepoSummary, run: summarizeRepo },
+  ],
+  matchers: [matchRepos],
+  intents: {
+    repos_list: { llm: '{"intent":"repos_list"} — list repos/projects', run: listRepos },
+  },
+};
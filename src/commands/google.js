@@ -0,0 +1,103 @@
+'use strict';
+
+function googleHelpText() {
+  return [
+    '🔗 Google Account Commands:',
+    '',
+    '  connect google — link your Gmail, Calendar & Tasks',
+    '  google status — see which account Penny uses for you',
+    '  disconnect google — unlink and revoke access',
+    '',
+    'Each person connects their own account — Penny never reads',
+    'or sends from someone else\'s mailbox on your behalf.',
+  ].join('\n');
+}
+
+async function connect(ctx) {
+  const { googleAccounts, google } = ctx;
+  if (!googleAccounts?.perUser) {
+    await ctx.reply('This Penny uses one shared Google account set up by the owner. Per-user connections need GOOGLE_OAUTH_REDIRECT_URL in .env.');
+    return;
+  }
+  const url = await googleAccounts.connectUrl(ctx.threadKey, ctx.chatId);
+  const already = google.connected && !google.owner ? `You're connected as ${google.email || 'a Google account'}. ` : '';
+  await ctx.reply(
+    `🔗 ${already}Open this link to connect your Google account (valid once, for 15 minutes):\n\n${url}\n\n` +
+    'Penny will use it for your email, calendar and todos only, once you confirm the account here.',
+    { saveToHistory: false },
+  );
+}
+
+async function status(ctx) {
+  const { google } = ctx;
+  if (!google?.perUser) {
+    await ctx.reply(google?.connected
+      ? `🔗 Shared Google account: ${google.email || '(configured)'}`
+      : '🔗 Google is not configured.');
+    return;
+  }
+  if (!google.connected) {
+    await ctx.reply('🔗 No Google account connected. Send "connect google" to link yours.');
+    return;
+  }
+  if (google.owner) {
+    await ctx.reply(`🔗 Using the owner account from .env (${google.email || 'GMAIL_REFRESH_TOKEN'}). Send "connect google" to link a different one.`);
+    return;
+  }
+  const since = ctx.threadState?.googleAuth?.connectedAt;
+  await ctx.reply(`🔗 Connected as ${google.email || '(unknown email)'}${since ? ` since ${since.slice(0, 10)}` : ''}.`);
+}
+
+async function disconnect(ctx) {
+  if (!ctx.googleAccounts?.perUser) {
+    await ctx.reply('This Penny uses one shared Google account — there\'s nothing to disconnect.');
+    return;
+  }
+  const removed = await ctx.audit.run('google.disconnect', { target: ctx.google?.email },
+    () => ctx.googleAccounts.disconnect(ctx.threadKey, ctx.threadState));
+  await ctx.reply(removed
+    ? '✅ Google disconnected. Penny no longer has access to your account.'
+    : 'No Google account was connected.');
+}
+
+// The buttons sent after the sign-in (see onConnected in telegram.js)
+async function confirm(ctx, { id }) {
+  await ctx.clearButtons();
+  const auth = await ctx.googleAccounts?.confirmConnection(ctx.threadKey, id);
+  if (!auth) {
+    await ctx.ack('That sign-in is no longer waiting.');
+    await ctx.reply('⌛ That Google sign-in expired or was already answered. Send "connect google" to try again.');
+    return;
+  }
+  await ctx.ack('Connected');
+  await ctx.audit.record('google.connect', { target: auth.email });
+  await ctx.reply(`✅ Google connected${auth.email ? ` as ${auth.email}` : ''}. Email, calendar and todos now use your account.`);
+}
+
+async function cancel(ctx, { id }) {
+  await ctx.clearButtons();
+  const dropped = await ctx.googleAccounts?.cancelConnection(ctx.threadKey, id);
+  await ctx.ack(dropped ? 'Cancelled' : 'That sign-in is no longer waiting.');
+  if (dropped) await ctx.reply('✖️ Not connected. Penny has let go of that Google account.');
+}
+
+const CONNECT = ['connect google', 'google connect', 'connect gmail', 'link google'];
+const DISCONNECT = ['disconnect google', 'google disconnect', 'unlink google'];
+
+module.exports = {
+  name: 'google',
+  help: {
+    summary: '🔗 Google — "connect google" to link your own email, calendar & todos',
+    aliases: ['google help', 'connect help'],
+    text: googleHelpText,
+  },
+  commands: [
+    { early: true, match: ({ lower }) => CONNECT.includes(lower), run: connect },
+    { early: true, match: ({ lower }) => DISCONNECT.includes(lower), run: disconnect },
+    { early: true, match: ({ lower }) => lower === 'google status', run: status },
+  ],
+  callbacks: {
+    google_confirm: confirm,
+    google_cancel: cancel,
+  },
+};
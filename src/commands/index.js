@@ -0,0 +1,34 @@
+'use strict';
+
+const { createRouter } = require('../router');
+
+// Registration order is dispatch order within each router stage — keep the
+// more specific features first so their matchers win over broad ones.
+const FEATURES = [
+  require('./system'),
+  require('./brain'),
+  require('./memory'),
+  require('./privacy'),
+  require('./learn'),
+  require('./github'),
+  require('./roundup'),
+  require('./reserve'),
+  require('./google'),
+  require('./roles'),
+  require('./quota'),
+  require('./usage'),
+  require('./audit'),
+  require('./email'),
+  require('./cal'),
+  require('./todo'),
+  require('./skills'),
+  require('./chat'),
+];
+
+function createDefaultRouter() {
+  const router = createRouter();
+  for (const feature of FEATURES) router.use(feature);
+  return router;
+}
+
+module.exports = { FEATURES, createDefaultRouter };
@@ -0,0 +1,45 @@
+'use strict';
+
+const { handleLearnCommand, handleChallengeResponse, learnHelpText } = require('../learn');
+const { matchLearn } = require('../matchers');
+
+function learnDeps(ctx) {
+  const { userId, userName, threadKey, threadState, brain, octokit, llm, config } = ctx;
+  return {
+    userId, userName, threadKey, threadState, brain, octokit, llm, config,
+    sendReply: (text) => ctx.reply(text),
+  };
+}
+
+// If user has an active lesson or we're awaiting their name,
+// treat their message as a learn response.
+async function challengeResponse(ctx) {
+  const { threadState } = ctx;
+  if (!threadState?.activeLesson && !threadState?.learnProgress?.awaitingName) return false;
+  return handleChallengeResponse({ ...learnDeps(ctx), userCode: ctx.messageBody });
+}
+
+module.exports = {
+  name: 'learn',
+  help: {
+    summary: '🎓 Learn — "learn" to start coding lessons',
+    aliases: ['learn help', 'coding help', 'lesson help'],
+    text: learnHelpText,
+  },
+  matchers: [matchLearn],
+  intents: {
+    learn: {
+      run: async (ctx, matched) => {
+        await handleLearnCommand({
+          ...learnDeps(ctx),
+          command: 'learn',
+          args: matched.args,
+          sendAdminAlert: ctx.config.telegram.adminUserId
+            ? (text) => ctx.tg.sendMessage(ctx.config.telegram.adminUserId, text).catch(e => console.error('[learn] Admin alert failed:', e?.message || e))
+            : null,
+        });
+      },
+    },
+  },
+  fallbacks: [challengeResponse],
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+function memoryHelpText() {
+  return [
+    '🧠 Long-term Memory:',
+    '',
+    'Penny picks up lasting facts from your conversations ("my dentist is Dr. Lee",',
+    '"standup is at 9:30") and brings them up when they\'re relevant.',
+    '',
+    '  memory — list what Penny remembers about you',
+    '  remember <fact> — save something explicitly',
+    '  memory edit <#> <new text> — correct a memory',
+    '  memory forget <#> — delete one',
+    '  memory forget all — delete everything',
+  ].join('\n');
+}
+
+const USAGE = 'Usage:\n• memory\n• remember <fact>\n• memory edit <#> <new text>\n• memory forget <#|all>';
+
+async function listMemories(ctx) {
+  const items = await ctx.memory.list(ctx.threadKey);
+  await ctx.reply(items.length
+    ? `🧠 What I remember about you:\n\n${items.map((m, i) => `${i + 1}. ${m.text}`).join('\n')}\n\nSend "memory forget <#>" or "memory edit <#> <text>" to change one.`
+    : '🧠 I don\'t have any long-term memories about you yet. Send "remember <fact>" to add one.');
+}
+
+// List number → memory, against the current list
+async function byNumber(ctx, ref) {
+  const items = await ctx.memory.list(ctx.threadKey);
+  const n = parseInt(ref, 10);
+  return String(n) === ref && n >= 1 ? items[n - 1] || null : null;
+}
+
+async function memoryCommand(ctx) {
+  const [, sub = 'list', ref = '', rest = ''] = ctx.messageBody.match(/^memor(?:y|ies)(?:\s+(\w+))?(?:\s+(\S+))?(?:\s+([\s\S]+))?$/i) || [];
+  const action = sub.toLowerCase();
+
+  if (action === 'list' || action === 'show') {
+    await listMemories(ctx);
+    return;
+  }
+
+  if (action === 'forget' || action === 'delete') {
+    if (ref.toLowerCase() === 'all') {
+      const removed = await ctx.audit.run('memory.forget', { target: ctx.threadKey, args: { all: true } },
+        () => ctx.memory.forget(ctx.threadKey, 'all'));
+      await ctx.reply(removed ? `🗑 Forgot all ${removed} memories.` : 'There was nothing to forget.');
+      return;
+    }
+    const item = await byNumber(ctx, ref);
+    if (!item) {
+      await ctx.reply('No memory with that number. Send "memory" to see the list.');
+      return;
+    }
+    await ctx.audit.run('memory.forget', { target: ctx.threadKey, args: { id: item.id } },
+      () => ctx.memory.forget(ctx.threadKey, item.id));
+    await ctx.reply(`🗑 Forgot: ${item.text}`);
+    return;
+  }
+
+  if (action === 'edit') {
+    const item = await byNumber(ctx, ref);
+    if (!item || !rest.trim()) {
+      await ctx.reply(item ? USAGE : 'No memory with that number. Send "memory" to see the list.');
+      return;
+    }
+    const saved = await ctx.memory.edit(ctx.threadKey, item.id, rest);
+    await ctx.reply(saved ? `✏️ Updated: ${saved.text}` : 'That memory was just removed.');
+    return;
+  }
+
+  await ctx.reply(USAGE);
+}
+
+async function rememberCommand(ctx, match) {
+  const saved = await ctx.memory.remember(ctx.threadKey, match[1]);
+  await ctx.reply(`🧠 Got it — I'll remember: ${saved.text}`);
+}
+
+module.exports = {
+  name: 'memory',
+  help: {
+    summary: '🧠 Memory — "memory" to see what Penny remembers about you',
+    aliases: ['memory help'],
+    text: memoryHelpText,
+  },
+  commands: [
+    { early: true, service: 'memory', match: ({ lower }) => /^memor(?:y|ies)\b/.test(lower), run: memoryCommand },
+    // "remember to …" is a todo, not a fact
+    { early: true, service: 'memory', match: ({ messageBody }) => messageBody.match(/^remember(?:\s+that)?[:\s]+(?!to\s)([\s\S]{3,})$/i), run: rememberCommand },
+  ],
+  intents: {
+    memory_list: {
+      service: 'memory',
+      llm: '{"intent":"memory_list"} — list the long-term facts remembered about the user',
+      run: listMemories,
+    },
+  },
+  llmHints: {
+    disambiguation: ['"what do you know about me" / "what do you remember about me" = memory_list'],
+  },
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+const { stripSecrets } = require('../brain/bundle');
+const { loadConversation, keepsHistory } = require('../conversation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USAGE_DAYS = 30;
+
+function privacyHelpText() {
+  return [
+    '🔒 Your Data:',
+    '',
+    '  privacy — what Penny stores about you',
+    '  privacy export — download a copy of it (JSON)',
+    '  privacy delete — erase it, including backups',
+    '  privacy history off — stop keeping your messages',
+    '  privacy history on — keep them again',
+    '',
+    'With history off, Penny answers each message on its own and',
+    'support requests go to the admin without a transcript.',
+  ].join('\n');
+}
+
+const USAGE = 'Usage:\n• privacy\n• privacy export\n• privacy delete\n• privacy history on|off';
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+// Thread fields that aren't covered by their own line in the summary
+const LISTED = new Set(['messages', 'googleAuth', 'privacy', 'version', 'updatedAt']);
+
+async function showData(ctx) {
+  const { brain, threadKey } = ctx;
+  const thread = (await brain.loadThread(threadKey)) || {};
+  const conversation = await loadConversation(brain, threadKey);
+  const memories = await brain.loadMemories(threadKey);
+  const skills = await brain.loadSkills({ scope: 'personal', owner: threadKey });
+  const schedules = await brain.loadSkillSchedules(threadKey);
+  const audited = await ctx.audit.query({ userId: ctx.userId, limit: 100 });
+  const other = Object.keys(thread).filter((k) => !LISTED.has(k));
+
+  const turns = conversation.messages.length;
+  const lines = [
+    `• Recent messages (for support): ${(thread.messages || []).length}`,
+    `• Chat history: ${plural(turns, 'turn')}${conversation.summary ? ' plus a summary of earlier ones' : ''}`,
+    `• Long-term memories: ${memories.length}${memories.length ? ' ("memory" to see them)' : ''}`,
+    `• Personal skills: ${skills.length}${schedules.length ? ` (${schedules.length} scheduled)` : ''}`,
+    `• Google account: ${thread.googleAuth ? `connected${thread.googleAuth.email ? ` (${thread.googleAuth.email})` : ''}` : 'not connected'}`,
+    other.length ? `• Other settings: ${other.join(', ')}` : '',
+    `• Role: ${ctx.access?.role || 'none'}`,
+    '• Daily LLM usage and rate-limit counters',
+    `• Audit log: ${audited.length >= 100 ? '100+' : audited.length} recorded actions`,
+  ].filter(Boolean);
+
+  await ctx.reply([
+    '🔒 What Penny stores about you:',
+    '',
+    ...lines,
+    '',
+    keepsHistory(thread)
+      ? 'History is on — send "privacy history off" to stop keeping your messages.'
+      : 'History is off — your messages aren\'t kept.',
+    'Send "privacy export" for a copy, or "privacy delete" to erase it.',
+  ].join('\n'), { saveToHistory: false });
+}
+
+// Memory embeddings are just numbers derived from the text
+function readable(key, value) {
+  if (!key.startsWith('memory/') || !Array.isArray(value?.items)) return value;
+  return { ...value, items: value.items.map(({ embedding: _, ...item }) => item) };
+}
+
+async function exportData(ctx) {
+  const { brain, threadKey, userId } = ctx;
+  const objects = await brain.exportUserData(threadKey);
+  const now = Date.now();
+  let usage = null;
+  if (ctx.usage) {
+    const from = new Date(now - (USAGE_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+    const to = new Date(now).toISOString().slice(0, 10);
+    const report = await ctx.usage.summary({ from, to });
+    usage = { from, to, ...(report.byUser[String(userId)] || {}) };
+  }
+  const data = {
+    format: 'penny-user-data',
+    exportedAt: new Date(now).toISOString(),
+    user: { userId: String(userId), name: ctx.userName, role: ctx.access?.role || null },
+    objects: Object.fromEntries(Object.entries(objects).map(([key, value]) => [key, stripSecrets(readable(key, value))])),
+    usage,
+    audit: await ctx.audit.query({ userId, limit: 100 }),
+  };
+  const json = Buffer.from(JSON.stringify(data, null, 2));
+  await ctx.audit.run('privacy.export', { target: threadKey, args: { objects: Object.keys(objects).length, bytes: json.length } },
+    () => ctx.sendDocument(json, {
+      filename: `penny-my-data-${data.exportedAt.slice(0, 10)}.json`,
+      caption: '🔒 Everything Penny stores about you, credentials left out.',
+    }));
+}
+
+async function confirmDelete(ctx) {
+  const replyMarkup = await ctx.keyboard([[
+    { text: '🗑 Delete everything', action: 'privacy_delete', payload: {} },
+    { text: 'Keep it', action: 'privacy_keep', payload: {} },
+  ]]);
+  await ctx.reply(
+    '⚠️ This erases your messages, chat history, memories, personal skills, settings and Google connection, ' +
+    'including backup copies. It can\'t be undone.\n\n' +
+    'Your role, the audit log and today\'s rate-limit counters are kept.',
+    { replyMarkup, saveToHistory: false },
+  );
+}
+
+async function deleteData(ctx) {
+  const { brain, threadKey, userId, chatId } = ctx;
+  const thread = await brain.loadThread(threadKey);
+  const keys = await ctx.audit.run('privacy.delete', { target: threadKey, result: (k) => ({ objects: k.length }) }, async () => {
+    // Revoke first so Google drops the token too, not just us
+    if (thread?.googleAuth && ctx.googleAccounts?.perUser) {
+      await ctx.googleAccounts.disconnect(threadKey, thread);
+    }
+    if (thread?.pendingGoogleAuth && ctx.googleAccounts?.perUser) {
+      await ctx.googleAccounts.cancelConnection(threadKey, thread.pendingGoogleAuth.id);
+    }
+    return await brain.deleteUserData(threadKey, { userId: String(userId), chatId });
+  });
+  await ctx.reply(keys.length
+    ? `🗑 Deleted ${plural(keys.length, 'stored object')} about you. Penny starts fresh from your next message.`
+    : 'There was nothing stored about you to delete.', { saveToHistory: false });
+}
+
+async function setHistory(ctx, on) {
+  const { brain, threadKey } = ctx;
+  await ctx.audit.run('privacy.history', { target: threadKey, args: { on } }, async () => {
+    await brain.saveThread(threadKey, { privacy: { history: on } });
+    if (!on) await brain.clearHistory(threadKey);
+  });
+  await ctx.reply(on
+    ? '✅ History is on — Penny will keep your recent messages again.'
+    : '✅ History is off. Your stored messages and chat history are deleted and new ones won\'t be kept.',
+  { saveToHistory: false });
+}
+
+async function privacyCommand(ctx) {
+  const [, sub = '', arg = ''] = ctx.lower.match(/^privacy(?:\s+(\w+))?(?:\s+(\w+))?$/) || [];
+  if (!sub || sub === 'show') return showData(ctx);
+  if (sub === 'export') return exportData(ctx);
+  if (sub === 'delete') return confirmDelete(ctx);
+  if (sub === 'history' && (arg === 'on' || arg === 'off')) return setHistory(ctx, arg === 'on');
+  await ctx.reply(USAGE);
+}
+
+module.exports = {
+  name: 'privacy',
+  help: {
+    summary: '🔒 Privacy — "privacy" to see, export or delete your data',
+    aliases: ['privacy help'],
+    text: privacyHelpText,
+  },
+  commands: [
+    { early: true, match: ({ lower }) => /^privacy(?:\s|$)/.test(lower), run: privacyCommand },
+    { early: true, match: ({ lower }) => lower === 'my data', run: showData },
+  ],
+  intents: {
+    privacy_show: {
+      llm: '{"intent":"privacy_show"} — what personal data Penny stores about the user, or how to export/delete it',
+      run: showData,
+    },
+  },
+  llmHints: {
+    disambiguation: ['"what do you remember about me" = memory_list; "what data do you store about me" = privacy_show'],
+  },
+  callbacks: {
+    privacy_delete: async (ctx) => {
+      await ctx.clearButtons();
+      await ctx.ack('Deleting…');
+      await deleteData(ctx);
+    },
+    privacy_keep: async (ctx) => {
+      await ctx.clearButtons();
+      await ctx.ack('Kept');
+      await ctx.reply('OK, nothing was deleted.', { saveToHistory: false });
+    },
+  },
+};
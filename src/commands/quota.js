@@ -0,0 +1,41 @@
+'use strict';
+
+const { formatWait } = require('../util/rateLimit');
+
+function formatStatus(status, role, who = 'Your') {
+  const lines = status.quotas.map(q => {
+    const limit = q.limit === null ? 'unlimited' : q.limit.toLocaleString('en-US');
+    return `• ${q.label}: ${q.used.toLocaleString('en-US')} / ${limit}`;
+  });
+  return [
+    `⏳ ${who} limits today (role: ${role}):`,
+    '',
+    ...lines,
+    '',
+    `Burst: ${status.burst.tokens}/${status.burst.capacity} actions available right now`,
+    `Daily counts reset in ${formatWait(status.resetsInMs)} (midnight UTC).`,
+  ].join('\n');
+}
+
+async function quotaCommand(ctx, match) {
+  const target = match[1];
+  if (!target || target === String(ctx.userId)) {
+    await ctx.reply(formatStatus(await ctx.quota.status(), ctx.access?.role || 'unknown'));
+    return;
+  }
+  // Someone else's quota — admins only
+  if (!ctx.access?.can('roles:manage')) {
+    await ctx.reply('You can only see your own quota. Send "quota".');
+    return;
+  }
+  const { role } = await ctx.roles.resolve(target);
+  const status = await ctx.rateLimiter.status(ctx.brain.threadKeyFromTelegram(target), { role });
+  await ctx.reply(formatStatus(status, role, `User ${target}'s`));
+}
+
+module.exports = {
+  name: 'quota',
+  commands: [
+    { early: true, match: ({ lower }) => lower.match(/^(?:quota|my quota|limits)(?:\s+(\d+))?$/), run: quotaCommand },
+  ],
+};
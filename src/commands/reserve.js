@@ -0,0 +1,178 @@
+'use strict';
+
+const {
+  parseReservationRequest, buildOpenTableUrl, buildGoogleMapsUrl, formatReservationReply,
+  lookupRestaurantPhone, makeReservationCall, waitForCallCompletion, formatCallResult,
+} = require('../reservations');
+const { matchReservation } = require('../matchers');
+
+function reserveHelpText() {
+  return [
+    '🍽️ Reservation Commands:',
+    '',
+    'Just tell me what you need:',
+    '  "book a table for 2 at Nobu on Saturday at 7pm"',
+    '  "make a reservation at The French Laundry for 4"',
+    '  "dinner for 6 at Carbone tomorrow"',
+    '',
+    'I\'ll get you an OpenTable booking link.',
+    '',
+    'Want me to call the restaurant instead?',
+    '  "call Nobu and reserve a table for 2 on Saturday at 7pm"',
+  ].join('\n');
+}
+
+// Ask Claude to pull restaurant/date/time out of the message. Replies with a
+// usage hint and returns null if anything essential is missing.
+async function parseDetails(ctx, { verb }) {
+  const example = verb === 'call'
+    ? 'call Nobu Chicago and reserve a table for 2 on Saturday at 7pm'
+    : 'reserve table for 2 at Nobu in Chicago on Saturday at 7pm';
+  const details = await parseReservationRequest(ctx.llm, ctx.messageBody);
+  if (!details || !details.restaurant) {
+    await ctx.reply(`I couldn't parse that. Try:\n${example}`);
+    return null;
+  }
+  return checkDateTime(ctx, details, { verb });
+}
+
+async function checkDateTime(ctx, details, { verb }) {
+  if (!details.date || !details.time) {
+    const hint = verb === 'call'
+      ? `call ${details.restaurant} and reserve for ${details.partySize || 2} on Saturday at 7pm`
+      : `reserve ${details.restaurant} for ${details.partySize || 2} on Saturday at 7pm`;
+    await ctx.reply(`I found "${details.restaurant}" but need a date and time. Try:\n${hint}`);
+    return null;
+  }
+  return details;
+}
+
+function detailsFromIntent(intent) {
+  return { restaurant: intent.restaurant, city: intent.city || null, date: intent.date, time: intent.time, partySize: intent.partySize || 2 };
+}
+
+function openTableReply(details) {
+  return formatReservationReply(details, buildOpenTableUrl(details), buildGoogleMapsUrl(details));
+}
+
+// Find phone number: from message, then Google Places, then ask user
+async function placeCall(ctx, details) {
+  const rc = ctx.config.reservations;
+  let phone = details.phone;
+  if (!phone && rc.placesApiKey) {
+    await ctx.reply(`📞 Looking up ${details.restaurant}...`);
+    const place = await lookupRestaurantPhone(rc.placesApiKey, details.restaurant, details.city);
+    if (place?.phone) {
+      phone = place.phone;
+      await ctx.reply(`Found: ${place.name}\n${place.address}\n📞 ${place.phone}`);
+    }
+  }
+  if (!phone) {
+    await ctx.reply(`I couldn't find a phone number for ${details.restaurant}. Please include it:\ncall +1234567890 and reserve a table for 2 at ${details.restaurant} on ${details.date} at ${details.time}`);
+    return;
+  }
+
+  details.phone = phone;
+  if (!(await ctx.quota.take('call'))) return;
+  await ctx.reply(`📞 Calling ${details.restaurant} at ${phone}...\nThis may take a minute or two.`);
+
+  try {
+    const call = {
+      phone,
+      restaurant: details.restaurant,
+      date: details.date,
+      time: details.time,
+      partySize: details.partySize,
+      callerName: rc.callerName,
+    };
+    const callId = await ctx.audit.run('reserve.call', { target: details.restaurant, args: call, result: (id) => ({ callId: id }) },
+      () => makeReservationCall(rc.blandApiKey, call));
+
+    await ctx.reply('📞 Call in progress...');
+    const result = await waitForCallCompletion(rc.blandApiKey, callId, { onProgress: msg => ctx.reply(msg) });
+    await ctx.reply(formatCallResult(details, result));
+  } catch (err) {
+    ctx.logError('Reservation call error:', err?.message || err);
+    await ctx.reply(`❌ Call failed: ${(err?.message || 'unknown error').slice(0, 200)}`);
+  }
+}
+
+async function reserveFromMessage(ctx) {
+  if (!ctx.llm) {
+    await ctx.reply('Claude not configured (ANTHROPIC_API_KEY missing).');
+    return;
+  }
+  await ctx.reply('🍽️ Finding that restaurant...');
+  const details = await parseDetails(ctx, { verb: 'reserve' });
+  if (details) await ctx.reply(openTableReply(details));
+}
+
+async function callFromMessage(ctx) {
+  if (!ctx.llm) {
+    await ctx.reply('Claude not configured (ANTHROPIC_API_KEY missing).');
+    return;
+  }
+  if (!ctx.config.reservations.blandApiKey) {
+    await ctx.reply('Phone calls not configured (BLAND_API_KEY missing). Try "reserve" instead for an OpenTable link.');
+    return;
+  }
+  await ctx.reply('🍽️ Parsing your request...');
+  const details = await parseDetails(ctx, { verb: 'call' });
+  if (details) await placeCall(ctx, details);
+}
+
+const RESERVE_PREFIXES = ['reserve', 'book', 'reservation', 'make a reservation', 'get a table', 'find a table'];
+
+module.exports = {
+  name: 'reserve',
+  help: {
+    summary: '🍽️ Reservations — "book a table for 2 at Nobu Saturday 7pm"',
+    aliases: ['reserve help', 'reservation help', 'restaurant help'],
+    text: reserveHelpText,
+  },
+  commands: [
+    // "call" makes a phone call, "reserve/book" gives OpenTable link
+    {
+      capability: 'reserve:call',
+      match: ({ lower }) => lower.startsWith('call') && /\breserv|table|dinner|lunch|brunch|book/i.test(lower),
+      run: callFromMessage,
+    },
+    { match: ({ lower }) => RESERVE_PREFIXES.some(p => lower.startsWith(p)), run: reserveFromMessage },
+  ],
+  matchers: [matchReservation],
+  intents: {
+    reserve_nl: { service: 'llm', run: reserveFromMessage },
+    reserve_call_nl: { service: 'llm', capability: 'reserve:call', run: callFromMessage },
+    reserve: {
+      service: 'llm',
+      llm: '{"intent":"reserve","restaurant":"name","city":"optional","date":"YYYY-MM-DD","time":"HH:MM","partySize":2} — make a restaurant reservation (OpenTable link)',
+      run: async (ctx, intent) => {
+        if (!intent.restaurant) return false;
+        const details = await checkDateTime(ctx, detailsFromIntent(intent), { verb: 'reserve' });
+        if (details) await ctx.reply(openTableReply(details));
+      },
+    },
+    reserve_call: {
+      service: 'llm',
+      capability: 'reserve:call',
+      llm: '{"intent":"reserve_call","restaurant":"name","city":"optional","date":"YYYY-MM-DD","time":"HH:MM","partySize":2} — call a restaurant to make a reservation',
+      run: async (ctx, intent) => {
+        if (!intent.restaurant) return false;
+        const details = detailsFromIntent(intent);
+        if (!ctx.config.reservations.blandApiKey) {
+          // Fall back to OpenTable link
+          if (details.date && details.time) {
+            await ctx.reply('Phone calls not configured. Here\'s an OpenTable link instead:\n\n' + openTableReply(details));
+          } else {
+            await ctx.reply('Phone calls not configured (BLAND_API_KEY missing). Try "reserve" instead for an OpenTable link.');
+          }
+          return;
+        }
+        if (await checkDateTime(ctx, details, { verb: 'call' })) await placeCall(ctx, details);
+      },
+    },
+  },
+  llmHints: {
+    examples: ['"book dinner for 4 at Nobu Saturday 7pm" -> {"intent":"reserve","restaurant":"Nobu","date":"...","time":"19:00","partySize":4}'],
+  },
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+const { CAPABILITIES, ROLES } = require('../roles');
+
+function rolesHelpText() {
+  return [
+    '🔐 Roles & Permissions:',
+    '',
+    '  whoami — your role and what you can do',
+    '  quota — what\'s left of your daily limits',
+    '  usage [today|week|month] — your LLM spend (admins: everyone\'s)',
+    '',
+    'Admins:',
+    '  roles — list users with a role or overrides',
+    '  roles caps — list every capability',
+    '  roles set <user id> admin|member|guest',
+    '  roles grant <user id> <capability>',
+    '  roles revoke <user id> <capability>',
+    '  roles team <user id> <team>|none — whose shared skills they see',
+    '  roles denied — recent refused attempts',
+    '',
+    `Roles: ${Object.entries(ROLES).map(([name, caps]) => `${name} (${caps.length ? caps.length : 'no'} capabilities)`).join(', ')}.`,
+  ].join('\n');
+}
+
+function describeUser(row) {
+  const extras = [
+    row.owner ? 'TELEGRAM_ADMIN_USER_ID' : '',
+    row.team ? `team ${row.team}` : '',
+    row.grant?.length ? `+${row.grant.join(' +')}` : '',
+    row.revoke?.length ? `-${row.revoke.join(' -')}` : '',
+  ].filter(Boolean).join(' ');
+  return `• ${row.userId} — ${row.role}${extras ? ` (${extras})` : ''}`;
+}
+
+async function whoami(ctx) {
+  const { access } = ctx;
+  const caps = [...(access?.capabilities || [])];
+  await ctx.reply([
+    `🔐 You are user ${ctx.userId} with role: ${access?.role || 'unknown'}${access?.team ? ` (team ${access.team})` : ''}`,
+    '',
+    caps.length ? `You can:\n${caps.map(c => `• ${c} — ${CAPABILITIES[c]}`).join('\n')}` : 'No special capabilities.',
+  ].join('\n'));
+}
+
+const USAGE = 'Usage:\n• roles\n• roles caps\n• roles set <user id> <role>\n• roles grant <user id> <capability>\n• roles revoke <user id> <capability>\n• roles team <user id> <team>|none\n• roles denied';
+
+async function rolesCommand(ctx) {
+  const { roles, userId } = ctx;
+  const args = ctx.lower.replace(/^roles\s*/, '').trim().split(/\s+/).filter(Boolean);
+  const [sub, target, value] = args;
+
+  if (!sub || sub === 'list') {
+    const rows = await roles.list();
+    await ctx.reply(rows.length
+      ? `🔐 Roles (everyone else is a member):\n\n${rows.map(describeUser).join('\n')}`
+      : '🔐 No roles assigned — everyone is a member.');
+    return;
+  }
+
+  if (sub === 'caps' || sub === 'capabilities') {
+    const lines = Object.entries(CAPABILITIES).map(([cap, desc]) => {
+      const holders = Object.keys(ROLES).filter(r => ROLES[r].includes(cap));
+      return `• ${cap} — ${desc} [${holders.join(', ')}]`;
+    });
+    await ctx.reply(`🔐 Capabilities:\n\n${lines.join('\n')}`);
+    return;
+  }
+
+  if (sub === 'denied') {
+    const from = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const entries = await ctx.audit.query({ action: 'access.denied', from, limit: 15 });
+    await ctx.reply(entries.length
+      ? `🚫 Recent refusals:\n\n${entries.map(e => `• ${e.at.slice(0, 16).replace('T', ' ')} — user ${e.actor?.userId}: ${e.target} (${e.args?.action})`).join('\n')}`
+      : '🚫 No refused attempts in the last 30 days.');
+    return;
+  }
+
+  const actions = {
+    set: () => roles.setRole(target, value, userId),
+    grant: () => roles.grant(target, value, userId),
+    revoke: () => roles.revoke(target, value, userId),
+    team: () => roles.setTeam(target, value, userId),
+  };
+  const auditArgs = sub === 'set' ? { role: value } : sub === 'team' ? { team: value } : { capability: value };
+  if (!actions[sub] || !/^\d+$/.test(target || '') || !value) {
+    await ctx.reply(USAGE);
+    return;
+  }
+  try {
+    const access = await ctx.audit.run(`roles.${sub}`, { target, args: auditArgs }, actions[sub]);
+    const caps = [...access.capabilities];
+    if (sub === 'team') {
+      await ctx.reply(access.team ? `✅ User ${target} is on team ${access.team}.` : `✅ User ${target} is not on a team.`);
+      return;
+    }
+    await ctx.reply(`✅ User ${target} is now ${access.role}${caps.length ? `: ${caps.join(', ')}` : ' with no capabilities'}.`);
+  } catch (err) {
+    await ctx.reply(`❌ ${err.message}`);
+  }
+}
+
+module.exports = {
+  name: 'roles',
+  help: {
+    summary: '🔐 Permissions — "whoami" to see what you can do',
+    aliases: ['roles help', 'permissions help'],
+    text: rolesHelpText,
+  },
+  commands: [
+    { early: true, match: ({ lower }) => lower === 'whoami' || lower === 'my role' || lower === 'my permissions', run: whoami },
+    { early: true, capability: 'roles:manage', match: ({ lower }) => lower === 'roles' || lower.startsWith('roles '), run: rolesCommand },
+  ],
+};
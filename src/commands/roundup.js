@@ -0,0 +1,165 @@
+'use strict';
+
+const { sendDailyRoundup, sendWeeklyRoundup } = require('../roundup');
+const { matchRoundup } = require('../matchers');
+
+function roundupHelpText() {
+  return [
+    '📰 Roundup Commands:',
+    '',
+    '  roundup — get your daily briefing now',
+    '  roundup weekly — get the weekly digest',
+    '  roundup topics — see your topics & Twitter handles',
+    '  roundup add <topic> — add a news topic',
+    '  roundup remove <topic> — remove a topic',
+    '  roundup follow <handle> — follow a Twitter account',
+    '  roundup unfollow <handle> — unfollow',
+    '',
+    'Or just say: "catch me up", "what\'s the news", "give me my briefing"',
+    '',
+    'Your daily roundup includes calendar, todos, tweets, and news.',
+    'It\'s sent automatically every morning via Telegram.',
+  ].join('\n');
+}
+
+// The roundup is the owner's digest (same as the scheduler sends), so it
+// always uses the env-configured Google account, not the sender's
+function roundupDeps({ config, llm, octokit, shared, gmail, calendar, tasks, brain, audit }) {
+  return { config, llm, octokit, brain, audit, ...(shared || { gmail, calendar, tasks }) };
+}
+
+async function sendRoundup(ctx, kind, doneSuffix = '') {
+  const label = kind === 'weekly' ? 'Weekly' : 'Daily';
+  const send = kind === 'weekly' ? sendWeeklyRoundup : sendDailyRoundup;
+  await ctx.reply(`📰 Sending ${kind} roundup...`);
+  try {
+    await send(roundupDeps(ctx));
+    await ctx.reply(`✅ ${label} roundup sent!${doneSuffix}`);
+  } catch (err) {
+    await ctx.reply(`❌ ${label} roundup failed: ${(err?.message || 'unknown').slice(0, 300)}`);
+  }
+}
+
+// Roundup commands — send test digests
+async function roundupCommand(ctx) {
+  const { brain, config, messageBody } = ctx;
+  const roundupCmd = ctx.lower.replace(/^roundup\s*/, '').trim();
+
+  if (roundupCmd.startsWith('add ')) {
+    const topic = messageBody.replace(/^roundup\s+add\s+/i, '').trim();
+    if (!topic) { await ctx.reply('Usage: roundup add <topic>'); return; }
+    let added = false;
+    await brain.updateRoundupTopics((topics) => {
+      added = !topics.includes(topic.toLowerCase());
+      return added ? [...topics, topic.toLowerCase()] : undefined;
+    });
+    if (!added) {
+      await ctx.reply(`"${topic}" is already in your roundup.`);
+      return;
+    }
+    await ctx.reply(`✅ Added "${topic}" to your daily roundup.`);
+    return;
+  }
+
+  if (roundupCmd.startsWith('remove ') || roundupCmd.startsWith('delete ')) {
+    const topic = messageBody.replace(/^roundup\s+(?:remove|delete)\s+/i, '').trim().toLowerCase();
+    if (!topic) { await ctx.reply('Usage: roundup remove <topic>'); return; }
+    let removed = false;
+    await brain.updateRoundupTopics((topics) => {
+      removed = topics.includes(topic);
+      return removed ? topics.filter(t => t !== topic) : undefined;
+    });
+    if (!removed) {
+      await ctx.reply(`"${topic}" wasn't in your roundup.`);
+      return;
+    }
+    await ctx.reply(`✅ Removed "${topic}" from your daily roundup.`);
+    return;
+  }
+
+  if (roundupCmd.startsWith('follow ')) {
+    const handle = messageBody.replace(/^roundup\s+follow\s+/i, '').trim().replace(/^@/, '');
+    if (!handle) { await ctx.reply('Usage: roundup follow <handle>\nExample: roundup follow elonmusk'); return; }
+    let added = false;
+    await brain.updateRoundupHandles((handles) => {
+      added = !handles.includes(handle.toLowerCase());
+      return added ? [...handles, handle.toLowerCase()] : undefined;
+    });
+    if (!added) {
+      await ctx.reply(`Already following @${handle} in your roundup.`);
+      return;
+    }
+    await ctx.reply(`✅ Now following @${handle} in your daily roundup.`);
+    return;
+  }
+
+  if (roundupCmd.startsWith('unfollow ')) {
+    const handle = messageBody.replace(/^roundup\s+unfollow\s+/i, '').trim().replace(/^@/, '').toLowerCase();
+    if (!handle) { await ctx.reply('Usage: roundup unfollow <handle>'); return; }
+    let removed = false;
+    await brain.updateRoundupHandles((handles) => {
+      removed = handles.includes(handle);
+      return removed ? handles.filter(h => h !== handle) : undefined;
+    });
+    if (!removed) {
+      await ctx.reply(`@${handle} wasn't in your roundup.`);
+      return;
+    }
+    await ctx.reply(`✅ Unfollowed @${handle} from your daily roundup.`);
+    return;
+  }
+
+  if (roundupCmd === 'topics' || roundupCmd === 'list') {
+    const brainTopics = await brain.loadRoundupTopics();
+    const envTopics = (config.roundup.dailyTopics || '').split(',').map(s => s.trim()).filter(Boolean);
+    const allTopics = [...new Set([...envTopics, ...brainTopics])];
+    const brainHandles = await brain.loadRoundupHandles();
+    const envHandles = (config.roundup.twitterHandles || '').split(',').map(s => s.trim()).filter(Boolean);
+    const allHandles = [...new Set([...envHandles, ...brainHandles])];
+
+    const lines = [];
+    if (allTopics.length) lines.push('📰 Topics:\n' + allTopics.map(t => `  • ${t}`).join('\n'));
+    if (allHandles.length) lines.push('🐦 Following:\n' + allHandles.map(h => `  • @${h}`).join('\n'));
+    if (!lines.length) { await ctx.reply('No roundup topics or handles configured.'); return; }
+    await ctx.reply(`📰 Your roundup:\n\n${lines.join('\n\n')}`);
+    return;
+  }
+
+  if (roundupCmd === 'daily' || roundupCmd === 'test' || roundupCmd === '') {
+    await sendRoundup(ctx, 'daily', ' Check your email.');
+    return;
+  }
+
+  if (roundupCmd === 'weekly') {
+    await sendRoundup(ctx, 'weekly', ' Check your email.');
+    return;
+  }
+
+  await ctx.reply('Roundup commands:\n• roundup — send daily digest now\n• roundup weekly — send weekly digest\n• roundup topics — see topics & handles\n• roundup add <topic> — add a news topic\n• roundup remove <topic> — remove a topic\n• roundup follow <handle> — follow a Twitter account\n• roundup unfollow <handle> — unfollow');
+}
+
+module.exports = {
+  name: 'roundup',
+  help: {
+    summary: '📰 Roundup — "catch me up" for your daily briefing',
+    aliases: ['roundup help', 'news help'],
+    text: roundupHelpText,
+  },
+  commands: [
+    { match: ({ lower }) => lower.startsWith('roundup'), run: roundupCommand },
+  ],
+  matchers: [matchRoundup],
+  intents: {
+    roundup_daily: {
+      llm: '{"intent":"roundup_daily"} — get the daily news briefing/digest',
+      run: (ctx) => sendRoundup(ctx, 'daily'),
+    },
+    roundup_weekly: {
+      llm: '{"intent":"roundup_weekly"} — get the weekly digest',
+      run: (ctx) => sendRoundup(ctx, 'weekly'),
+    },
+  },
+  llmHints: {
+    disambiguation: ['"catch me up" / "what did I miss" / "give me the news" = roundup_daily'],
+  },
+};
@@ -0,0 +1,557 @@
+'use strict';
+
+const { runSkillPipeline, runApprovedSkill } = require('../skills');
+const { visibleSkills, whereOf, saveSkillTo, describeScope, requestPromotion, decidePromotion } = require('../skillScopes');
+const { withHistory, rollbackTo, describeHistory } = require('../skillVersions');
+const { runSuite, describeResult } = require('../skillTests');
+const { ACTIONS, isChain } = require('../skillChains');
+const { hostFor, capabilitiesFor } = require('../skillCapabilities');
+const { MAX_SCHEDULES, parseSchedule, describeSchedule, formatWhen, addSchedule, removeSchedules } = require('../skillSchedules');
+const { conversationFor } = require('../conversation');
+const { authorize, SERVICES } = require('../router');
+
+function skillsHelpText() {
+  return [
+    '🧠 Skills:',
+    '',
+    'Ask Penny to do something and it writes a small program for it — a skill —',
+    'and reuses it next time. New skills are yours alone until an admin approves sharing them.',
+    '',
+    'Ask for several things at once ("convert this total to EUR and add a todo to',
+    'pay it by Friday") and Penny chains your skills with adding tasks and calendar',
+    'events, and keeps the chain as a skill too (🔗).',
+    '',
+    'A skill can also ask to add tasks, read your calendar, keep notes between',
+    'runs or message you (🔑). Penny asks you to allow that before it first runs.',
+    '',
+    'Give a schedule and "run:" and Penny runs the request on that timetable —',
+    '"every weekday at 4pm run: check the AAPL price". Add "tell me if it changes"',
+    'to only hear back when the answer is different from last time.',
+    '',
+    '  skills — the skills you can use',
+    '  skills share <name> — ask to share one with your team',
+    '  skills publish <name> — ask to share one with everyone',
+    '  skills delete <name> — delete one of yours',
+    '  skills history <name> — its versions and how each has done',
+    '  skills rollback <name> <version> — go back to an earlier version',
+    '  skills test <name> — replay its examples offline',
+    '  skills test <name> forget <#> — drop an example that no longer applies',
+    '  skills schedules — the skills you have running on a schedule',
+    '  skills unschedule <#> — stop one',
+    '',
+    'A fix Penny makes to a skill is kept as a new version, and rolled back',
+    'automatically if it fails more often than the version before. Each skill',
+    'keeps examples of answers you got from it; a fix is only saved if it still',
+    'gives those answers.',
+    '',
+    'Admins:',
+    '  skills requests — sharing requests waiting for approval',
+    '  skills approve <#> / skills reject <#>',
+  ].join('\n');
+}
+
+const USAGE = 'Skill commands:\n• skills list\n• skills history <name>\n• skills rollback <name> <version>\n• skills test <name>\n• skills schedules\n• skills unschedule <#>\n• skills share <name>\n• skills publish <name>\n• skills delete <name>\n• skills requests';
+
+const SCOPE_HEADINGS = { personal: '👤 Yours', team: '👥 Your team', global: '🌐 Everyone' };
+
+function who(ctx) {
+  return { threadKey: ctx.threadKey, team: ctx.access?.team || null };
+}
+
+async function listSkills(ctx) {
+  const skills = await visibleSkills(ctx.brain, who(ctx));
+  if (!skills.length) {
+    await ctx.reply('🧠 No learned skills yet. Just ask me to do something and I\'ll learn!');
+    return;
+  }
+  const sections = Object.entries(SCOPE_HEADINGS).map(([scope, heading]) => {
+    const mine = skills.filter((s) => s.scope === scope);
+    if (!mine.length) return '';
+    const lines = mine.map((s) => `${isChain(s) ? '🔗' : '•'} ${s.name}${s.version > 1 ? ` (v${s.version})` : ''}\n   ${s.description}${s.successCount ? ` (used ${s.successCount}x)` : ''}` +
+      (s.capabilities?.length ? `\n   🔑 ${s.capabilities.join(', ')}` : ''));
+    return `${heading}${scope === 'team' ? ` (${ctx.access.team})` : ''}:\n${lines.join('\n')}`;
+  }).filter(Boolean);
+  await ctx.reply(`🧠 Learned skills:\n\n${sections.join('\n\n')}`);
+}
+
+async function findSkill(ctx, name) {
+  return (await visibleSkills(ctx.brain, who(ctx))).find((s) => s.name === name) || null;
+}
+
+// Chains have no code of their own to version or test
+async function replyChainOutline(ctx, skill) {
+  await ctx.reply(`🔗 "${skill.name}" is a chain — it runs these steps, using each skill's current version:\n\n${skill.code}`);
+}
+
+// Your own skills are yours to delete; shared ones need skills:delete
+async function deleteSkill(ctx, match) {
+  const name = match[1].trim();
+  const skill = await findSkill(ctx, name);
+  if (skill?.scope !== 'personal' && !(await authorize(ctx, 'skills:delete', `delete skill ${name}`))) return;
+  if (!skill) {
+    await ctx.reply(`No skill named "${name}". Send "skills" to see yours.`);
+    return;
+  }
+  await ctx.audit.run('skills.delete', { target: name, args: { scope: skill.scope } },
+    () => ctx.brain.deleteSkill(name, whereOf(skill)));
+  let unscheduled = [];
+  if (skill.scope === 'personal') {
+    await ctx.brain.updateSkillData(ctx.threadKey, name, () => ({}));
+    unscheduled = await removeSchedules(ctx.brain, ctx.threadKey, (s) => s.skill === name);
+  }
+  await ctx.reply(`✅ Skill "${name}" deleted${skill.scope === 'personal' ? '' : ` for ${describeScope(whereOf(skill))}`}` +
+    `${unscheduled.length ? `, along with its ${unscheduled.length === 1 ? 'schedule' : 'schedules'}` : ''}.`);
+}
+
+async function skillHistory(ctx, match) {
+  const name = match[1].trim();
+  const skill = await findSkill(ctx, name);
+  if (!skill) {
+    await ctx.reply(`No skill named "${name}". Send "skills" to see yours.`);
+    return;
+  }
+  if (isChain(skill)) {
+    await replyChainOutline(ctx, skill);
+    return;
+  }
+  const { version, rolledBackAt, rolledBackFrom } = withHistory(skill);
+  const note = rolledBackAt ? `\n\n⏪ Rolled back from v${rolledBackFrom} on ${rolledBackAt.slice(0, 10)}.` : '';
+  await ctx.reply(`🧠 "${name}" (${describeScope(whereOf(skill))}), running v${version}:\n\n${describeHistory(skill)}${note}\n\nSend "skills rollback ${name} <version>" to switch.`);
+}
+
+// Rolling back a shared skill changes it for everyone, so it needs skills:approve
+async function rollbackSkill(ctx, match) {
+  const [, rawName, ref] = match;
+  const name = rawName.trim();
+  const skill = await findSkill(ctx, name);
+  if (skill && skill.scope !== 'personal' && !(await authorize(ctx, 'skills:approve', `roll back skill ${name}`))) return;
+  if (!skill) {
+    await ctx.reply(`No skill named "${name}". Send "skills" to see yours.`);
+    return;
+  }
+  if (isChain(skill)) {
+    await replyChainOutline(ctx, skill);
+    return;
+  }
+  let rolled;
+  try {
+    rolled = rollbackTo(skill, parseInt(ref, 10));
+  } catch (err) {
+    await ctx.reply(`❌ ${err.message}`);
+    return;
+  }
+  await ctx.audit.run('skills.rollback', { target: name, args: { from: rolled.rolledBackFrom, to: rolled.version, scope: skill.scope } },
+    () => saveSkillTo(ctx.brain, rolled, whereOf(skill)));
+  await ctx.reply(`⏪ "${name}" rolled back from v${rolled.rolledBackFrom} to v${rolled.version}.`);
+}
+
+// Replays the examples against the current code, with fetch and penny.*
+// served from what was recorded — nothing goes to the network
+async function testSkill(ctx, match) {
+  const name = match[1].trim();
+  const skill = await findSkill(ctx, name);
+  if (!skill) {
+    await ctx.reply(`No skill named "${name}". Send "skills" to see yours.`);
+    return;
+  }
+  if (isChain(skill)) {
+    await replyChainOutline(ctx, skill);
+    return;
+  }
+  if (!skill.examples?.length) {
+    await ctx.reply(`🧪 "${name}" has no examples yet. They're recorded as it answers requests.`);
+    return;
+  }
+  const results = await runSuite(skill.examples, skill.code, { ...ctx.config.skills, host: hostFor(skill, capabilitiesFor(ctx)) });
+  const passed = results.filter((r) => r.ok).length;
+  await ctx.reply(`🧪 "${name}" v${withHistory(skill).version}: ${passed}/${results.length} examples pass\n\n${results.map(describeResult).join('\n')}`);
+}
+
+// Forgetting an example of a shared skill changes what gates its fixes
+async function forgetExample(ctx, match) {
+  const [, rawName, ref] = match;
+  const name = rawName.trim();
+  const skill = await findSkill(ctx, name);
+  if (skill && skill.scope !== 'personal' && !(await authorize(ctx, 'skills:approve', `edit examples of skill ${name}`))) return;
+  const index = parseInt(ref, 10) - 1;
+  if (!skill?.examples?.[index]) {
+    await ctx.reply(`"${name}" has no example ${ref}. Send "skills test ${name}" to see them.`);
+    return;
+  }
+  const examples = skill.examples.filter((_, i) => i !== index);
+  await ctx.audit.run('skills.forget_example', { target: name, args: { example: index + 1 } },
+    () => saveSkillTo(ctx.brain, { ...skill, examples }, whereOf(skill)));
+  await ctx.reply(`✅ Forgot example ${ref} of "${name}".`);
+}
+
+async function shareSkill(ctx, match) {
+  const [, verb, rawName] = match;
+  const name = rawName.trim();
+  const skill = await findSkill(ctx, name);
+  if (!skill) {
+    await ctx.reply(`No skill named "${name}". Send "skills" to see yours.`);
+    return;
+  }
+  const to = verb === 'share' ? 'team' : 'global';
+  let request;
+  try {
+    request = await requestPromotion(ctx.brain, {
+      skill,
+      to,
+      team: ctx.access?.team,
+      requestedBy: { userId: String(ctx.userId), userName: ctx.userName, chatId: ctx.chatId },
+    });
+  } catch (err) {
+    await ctx.reply(`❌ ${err.message}`);
+    return;
+  }
+  await ctx.audit.record('skills.share_request', { target: name, args: { to: describeScope(request.to) } });
+  await ctx.reply(`📨 Asked an admin to share "${name}" with ${describeScope(request.to)}. It stays yours until they approve.`);
+
+  const adminChatId = ctx.config.telegram?.adminUserId;
+  if (adminChatId && ctx.tg && String(adminChatId) !== String(ctx.userId)) {
+    try {
+      await ctx.tg.sendMessage(adminChatId,
+        `🧠 ${ctx.userName || `User ${ctx.userId}`} wants to share the skill "${name}" with ${describeScope(request.to)}.\n\nSend "skills requests" to review it.`);
+    } catch (err) {
+      ctx.logError('Skill share notice failed:', err?.message || err);
+    }
+  }
+}
+
+async function listRequests(ctx) {
+  const requests = await ctx.brain.loadSkillPromotions();
+  if (!requests.length) {
+    await ctx.reply('🧠 No skill sharing requests waiting.');
+    return;
+  }
+  const lines = requests.map((r, i) => [
+    `${i + 1}. "${r.name}" → ${describeScope(r.to)} (from ${r.requestedBy?.userName || r.requestedBy?.userId}, ${r.at.slice(0, 10)})`,
+    `   ${r.skill.description || ''}`,
+    ...(r.skill.capabilities?.length ? [`   🔑 can: ${r.skill.capabilities.join(', ')}`] : []),
+    `   ${r.skill.code.slice(0, 400).replace(/\n/g, '\n   ')}`,
+  ].join('\n'));
+  await ctx.reply(`🧠 Sharing requests:\n\n${lines.join('\n\n')}\n\nSend "skills approve <#>" or "skills reject <#>".`);
+}
+
+async function decideRequest(ctx, match) {
+  const [, verb, ref] = match;
+  const requests = await ctx.brain.loadSkillPromotions();
+  const request = requests[parseInt(ref, 10) - 1];
+  if (!request) {
+    await ctx.reply('No request with that number. Send "skills requests" to see them.');
+    return;
+  }
+  const approve = verb === 'approve';
+  const done = await ctx.audit.run(`skills.${verb}`, { target: request.name, args: { to: describeScope(request.to) } },
+    () => decidePromotion(ctx.brain, request.id, approve));
+  if (!done) {
+    await ctx.reply('That request was already handled.');
+    return;
+  }
+  await ctx.reply(approve
+    ? `✅ "${request.name}" is now shared with ${describeScope(request.to)}.`
+    : `✅ Request to share "${request.name}" rejected.`);
+  const requester = request.requestedBy?.chatId;
+  if (requester && ctx.tg && String(requester) !== String(ctx.chatId)) {
+    await ctx.tg.sendMessage(requester, approve
+      ? `🧠 Your skill "${request.name}" is now shared with ${describeScope(request.to)}.`
+      : `🧠 Your request to share "${request.name}" wasn't approved. It's still yours to use.`)
+      .catch((err) => ctx.logError('Skill share notice failed:', err?.message || err));
+  }
+}
+
+// Built-in actions chains may use, for the services this user has
+function actionsFor(ctx) {
+  return Object.fromEntries(Object.entries(ACTIONS)
+    .filter(([, action]) => SERVICES[action.service].available(ctx))
+    .map(([name, action]) => [name, { ...action, run: (args) => action.run(ctx, args) }]));
+}
+
+async function replySkillResult(ctx, skillResult) {
+  let reply = skillResult.result;
+  if (skillResult.healed) reply = `🩹 (self-healed)\n\n${reply}`;
+  if (skillResult.rolledBack) reply = `⏪ (rolled back to v${skillResult.rolledBack})\n\n${reply}`;
+  if (!skillResult.reused && skillResult.saved !== false) reply = `🧠 Learned: ${skillResult.skill.name}\n\n${reply}`;
+  if (!skillResult.approval) {
+    await ctx.reply(reply);
+    return;
+  }
+  const { id } = skillResult.approval;
+  const replyMarkup = await ctx.keyboard([[
+    { text: '✅ Allow', action: 'skill_allow', payload: { id } },
+    { text: '🚫 Deny', action: 'skill_deny', payload: { id } },
+  ]]);
+  await ctx.reply(reply, { replyMarkup });
+}
+
+// ── Capability approval ──
+// A skill that asked for capabilities waits in the thread until the user
+// allows or denies them; allowing grants them to this user only (see
+// runApprovedSkill)
+
+async function allowSkill(ctx, pending) {
+  await ctx.brain.saveThread(ctx.threadKey, { pendingSkill: null });
+  await ctx.audit.record('skills.grant', { target: pending.skill.name, args: { grants: pending.grants || { [pending.skill.name]: pending.skill.capabilities } } });
+  try {
+    const skillResult = await runApprovedSkill({
+      llm: ctx.llm,
+      brain: ctx.brain,
+      threadKey: ctx.threadKey,
+      team: ctx.access?.team || null,
+      pending,
+      sandbox: ctx.config.skills,
+      actions: actionsFor(ctx),
+      capabilities: capabilitiesFor(ctx),
+    });
+    if (!skillResult) {
+      await ctx.reply(`❌ "${pending.skill.name}" didn't work out, so I haven't kept it.`);
+      return;
+    }
+    await replySkillResult(ctx, skillResult);
+    if (pending.schedule) await scheduleResult(ctx, skillResult, pending.schedule);
+  } catch (err) {
+    ctx.logError('Approved skill failed:', err?.message || err);
+    await ctx.reply(`❌ "${pending.skill.name}" failed: ${(err?.message || 'unknown').slice(0, 200)}`);
+  }
+}
+
+async function denySkill(ctx, pending) {
+  await ctx.brain.saveThread(ctx.threadKey, { pendingSkill: null });
+  await ctx.reply(`✅ Okay — "${pending.skill.name}" wasn't created.`);
+}
+
+// Only the exact words answer the prompt, and only for a few minutes:
+// anything else the user says next drops it, so a stray "ok" later on
+// can't grant anything
+const APPROVAL_TTL_MS = 10 * 60 * 1000;
+
+function approvalExpired(pending, now = Date.now()) {
+  return !(now - Date.parse(pending.createdAt) < APPROVAL_TTL_MS);
+}
+
+async function dropPending(ctx, pending) {
+  await ctx.brain.updateThread(ctx.threadKey, ({ pendingSkill }) => (pendingSkill?.id === pending.id ? { pendingSkill: null } : undefined));
+}
+
+async function pendingApproval(ctx) {
+  const pending = ctx.threadState?.pendingSkill;
+  if (!pending) return false;
+  const answer = ctx.lower.trim();
+  if (answer !== 'allow' && answer !== 'deny') {
+    await dropPending(ctx, pending);
+    return false;
+  }
+  if (approvalExpired(pending)) {
+    await dropPending(ctx, pending);
+    await ctx.reply(`⌛ "${pending.skill.name}" stopped waiting — ask again if you still want it.`);
+    return true;
+  }
+  if (answer === 'deny') {
+    await denySkill(ctx, pending);
+    return true;
+  }
+  if (!ctx.llm) return false;
+  await allowSkill(ctx, pending);
+  return true;
+}
+
+// Button presses on an approval prompt; the id must still match the
+// waiting skill, so an old prompt can't approve a newer one
+async function resolvePending(ctx, payload) {
+  const state = await ctx.brain.loadThread(ctx.threadKey);
+  const pending = state?.pendingSkill;
+  await ctx.clearButtons();
+  if (!pending || pending.id !== payload.id || approvalExpired(pending)) {
+    if (pending?.id === payload.id) await dropPending(ctx, pending);
+    await ctx.ack('That skill is no longer waiting.');
+    return null;
+  }
+  return pending;
+}
+
+// ── Schedules ──
+// "every weekday at 4pm run: check the AAPL price": the request runs now
+// like any other, and the skill that answered it is scheduled (see
+// skillSchedules.js) with the same args. Only asked outright, with "run" —
+// chat that starts with "every" or "daily" goes on to the router.
+
+// Not "schedule …", which is the calendar's
+const SCHEDULE_START = /^(?:please\s+)?(?:every|each|daily|hourly|run)\b/i;
+
+function matchSchedule({ messageBody }) {
+  return SCHEDULE_START.test(messageBody) && parseSchedule(messageBody, { explicit: true });
+}
+
+async function scheduleSkill(ctx, parsed) {
+  if (parsed.error) {
+    await ctx.reply(`⏰ ${parsed.error}`);
+    return;
+  }
+  if (!ctx.llm) {
+    await ctx.reply('Claude not configured. Send "help" for commands.');
+    return;
+  }
+  if ((await ctx.brain.loadSkillSchedules(ctx.threadKey)).length >= MAX_SCHEDULES) {
+    await ctx.reply(`⏰ You already have ${MAX_SCHEDULES} scheduled skills — "skills unschedule <#>" removes one.`);
+    return;
+  }
+  const schedule = { spec: parsed.spec, notify: parsed.notify, task: parsed.task };
+  let skillResult = null;
+  try {
+    skillResult = await runPipeline(ctx, parsed.task);
+  } catch (err) {
+    ctx.logError('Skill pipeline error (scheduling):', err?.message || err);
+  }
+  if (!skillResult) {
+    await ctx.reply(`❌ I couldn't get "${parsed.task}" to work, so nothing's scheduled.`);
+    return;
+  }
+  // Held for approval: scheduled once it's allowed (see allowSkill)
+  if (skillResult.approval) {
+    await ctx.brain.updateThread(ctx.threadKey, ({ pendingSkill }) => (pendingSkill?.id === skillResult.approval.id
+      ? { pendingSkill: { ...pendingSkill, schedule } }
+      : undefined));
+  }
+  await replySkillResult(ctx, skillResult);
+  if (!skillResult.approval) await scheduleResult(ctx, skillResult, schedule);
+}
+
+// Schedules the skill a run just used or learned, if it was kept
+async function scheduleResult(ctx, skillResult, { spec, notify, task }) {
+  if (skillResult.missing) {
+    await ctx.reply('⏰ Nothing scheduled yet — send the schedule again with those filled in.');
+    return;
+  }
+  const skill = skillResult.saved === false ? null : await findSkill(ctx, skillResult.skill.name);
+  if (!skill) {
+    await ctx.reply(`⏰ Nothing scheduled — "${skillResult.skill.name}" wasn't kept.`);
+    return;
+  }
+  if (isChain(skill)) {
+    await ctx.reply('⏰ Chains can\'t be scheduled yet — schedule the skills in it one at a time.');
+    return;
+  }
+  const timeZone = ctx.config.skills.timezone;
+  let schedule;
+  try {
+    schedule = await addSchedule(ctx.brain, ctx.threadKey, {
+      skill: skill.name,
+      args: skillResult.args,
+      message: task,
+      spec,
+      notify,
+      chatId: ctx.chatId,
+      userId: ctx.userId,
+      lastOutput: skillResult.result,
+    }, { timeZone });
+  } catch (err) {
+    await ctx.reply(`⏰ ${err.message}`);
+    return;
+  }
+  await ctx.audit.record('skills.schedule', { target: skill.name, args: { schedule: describeSchedule(spec), notify } });
+  await ctx.reply(`⏰ Scheduled "${skill.name}" ${describeSchedule(spec)}` +
+    `${notify === 'changes' ? ' — I\'ll only message you when its answer changes' : ''}.\n` +
+    `Next run: ${formatWhen(Date.parse(schedule.nextRunAt), timeZone)}. "skills schedules" lists them.`);
+}
+
+async function listSchedules(ctx) {
+  const schedules = await ctx.brain.loadSkillSchedules(ctx.threadKey);
+  if (!schedules.length) {
+    await ctx.reply('⏰ No scheduled skills. Try "every weekday at 4pm run: check the AAPL price".');
+    return;
+  }
+  const timeZone = ctx.config.skills.timezone;
+  const lines = schedules.map((s, i) => `${i + 1}. ${s.skill} — ${describeSchedule(s.spec)}${s.notify === 'changes' ? ', when it changes' : ''}\n` +
+    `   next: ${formatWhen(Date.parse(s.nextRunAt), timeZone)}${s.failures ? ` (failed ${s.failures}x in a row)` : ''}`);
+  await ctx.reply(`⏰ Scheduled skills (${timeZone}):\n\n${lines.join('\n')}\n\n"skills unschedule <#>" stops one.`);
+}
+
+async function unscheduleSkill(ctx, match) {
+  const schedules = await ctx.brain.loadSkillSchedules(ctx.threadKey);
+  const target = schedules[Number(match[1]) - 1];
+  if (!target) {
+    await ctx.reply(`No schedule #${match[1]}. Send "skills schedules" to see yours.`);
+    return;
+  }
+  await ctx.audit.run('skills.unschedule', { target: target.skill, args: { schedule: describeSchedule(target.spec) } },
+    () => removeSchedules(ctx.brain, ctx.threadKey, (s) => s.id === target.id));
+  await ctx.reply(`✅ "${target.skill}" no longer runs ${describeSchedule(target.spec)}.`);
+}
+
+async function runPipeline(ctx, userMessage) {
+  return await runSkillPipeline({
+    llm: ctx.llm,
+    brain: ctx.brain,
+    threadKey: ctx.threadKey,
+    team: ctx.access?.team || null,
+    userMessage,
+    memories: ctx.memory ? await ctx.memory.promptFor(ctx.threadKey, userMessage) : '',
+    conversation: await conversationFor(ctx.brain, ctx.threadKey),
+    sandbox: ctx.config.skills,
+    actions: actionsFor(ctx),
+    capabilities: capabilitiesFor(ctx),
+  });
+}
+
+// Try skill pipeline first (classify → match/generate → execute → verify → heal)
+async function skillPipeline(ctx) {
+  if (!ctx.llm) {
+    await ctx.reply('Claude not configured. Send "help" for commands.');
+    return true;
+  }
+  try {
+    const skillResult = await runPipeline(ctx, ctx.messageBody);
+
+    if (skillResult) {
+      await replySkillResult(ctx, skillResult);
+      return true;
+    }
+  } catch (skillErr) {
+    ctx.logError('Skill pipeline error (falling back to chat):', skillErr?.message || skillErr);
+  }
+  return false;
+}
+
+module.exports = {
+  name: 'skills',
+  help: {
+    summary: '🧠 Skills — "skills" to see what Penny has learned',
+    aliases: ['skills help', 'skill help'],
+    text: skillsHelpText,
+  },
+  pending: [pendingApproval],
+  commands: [
+    { match: ({ lower }) => lower.match(/^skills?\s+(?:delete|remove)\s+(.+)$/), run: deleteSkill },
+    { match: ({ lower }) => lower.match(/^skills?\s+history\s+(.+)$/), run: skillHistory },
+    { match: ({ lower }) => lower.match(/^skills?\s+test\s+(.+?)\s+forget\s+#?(\d+)$/), run: forgetExample },
+    { match: ({ lower }) => lower.match(/^skills?\s+test\s+(.+)$/), run: testSkill },
+    { match: ({ lower }) => lower.match(/^skills?\s+(?:rollback|roll back)\s+(.+?)\s+(?:to\s+)?v?(\d+)$/), run: rollbackSkill },
+    { match: ({ lower }) => lower.match(/^skills?\s+(share|publish)\s+(.+)$/), run: shareSkill },
+    { match: ({ lower }) => lower === 'skills schedules' || lower === 'skill schedules', run: listSchedules },
+    { match: ({ lower }) => lower.match(/^skills?\s+unschedule\s+#?(\d+)$/), run: unscheduleSkill },
+    { capability: 'skills:approve', match: ({ lower }) => lower === 'skills requests' || lower === 'skill requests', run: listRequests },
+    { capability: 'skills:approve', match: ({ lower }) => lower.match(/^skills?\s+(approve|reject)\s+(\d+)$/), run: decideRequest },
+    {
+      match: ({ lower }) => lower === 'skills' || lower === 'skills list' || lower === 'skills show' || lower === 'skill list',
+      run: listSkills,
+    },
+    { match: ({ lower }) => lower.startsWith('skills'), run: (ctx) => ctx.reply(USAGE) },
+    { match: matchSchedule, run: scheduleSkill },
+  ],
+  callbacks: {
+    skill_allow: async (ctx, payload) => {
+      const pending = await resolvePending(ctx, payload);
+      if (!pending) return;
+      await ctx.ack('Allowed');
+      await allowSkill(ctx, pending);
+    },
+    skill_deny: async (ctx, payload) => {
+      const pending = await resolvePending(ctx, payload);
+      if (!pending) return;
+      await ctx.ack('Denied');
+      await denySkill(ctx, pending);
+    },
+  },
+  fallbacks: [skillPipeline],
+};
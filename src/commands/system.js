@@ -0,0 +1,221 @@
+'use strict';
+
+const { matchHelp } = require('../matchers');
+
+const METADATA_BASE = 'http://169.254.169.254/computeMetadata/v1';
+const METADATA_HEADERS = { 'Metadata-Flavor': 'Google' };
+
+async function fetchGceMetadata() {
+  const [project, zonePath, instance] = await Promise.all([
+    fetch(`${METADATA_BASE}/project/project-id`, { headers: METADATA_HEADERS }).then(r => r.text()),
+    fetch(`${METADATA_BASE}/instance/zone`, { headers: METADATA_HEADERS }).then(r => r.text()),
+    fetch(`${METADATA_BASE}/instance/name`, { headers: METADATA_HEADERS }).then(r => r.text()),
+  ]);
+  const zone = zonePath.split('/').pop();
+  return { project, zone, instance };
+}
+
+async function stopGceInstance({ project, zone, instance }) {
+  const tokenResp = await fetch(
+    `${METADATA_BASE}/instance/service-accounts/default/token`,
+    { headers: METADATA_HEADERS },
+  );
+  const { access_token } = await tokenResp.json();
+  const url = `https://compute.googleapis.com/compute/v1/projects/${project}/zones/${zone}/instances/${instance}/stop`;
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${access_token}` },
+  });
+  if (!resp.ok) {
+    const body = await resp.text();
+    throw new Error(`Compute API ${resp.status}: ${body}`);
+  }
+}
+
+function version() {
+  return require('../../package.json').version;
+}
+
+// Main menu, assembled from each registered feature's help summary
+function helpText(router) {
+  const topics = router.helpTopics().map(t => `"${t}"`);
+  const last = topics.pop();
+  return [
+    '👋 Hi, I\'m Penny — your Personal AI Assistant & Tutor!',
+    '',
+    'Here\'s what I can help you with:',
+    '',
+    ...router.helpSummaries(),
+    '',
+    'Just talk to me naturally! I understand most things.',
+    '',
+    `Type ${topics.join(', ')}${topics.length ? ', or ' : ''}${last} for details.`,
+    '',
+    'Having issues? Type "support" and I\'ll get help for you.',
+    '',
+    `v${version()}`,
+  ].join('\n');
+}
+
+async function selfDestruct(ctx) {
+  await ctx.audit.record('system.shutdown');
+  await ctx.reply('💥 Self-destructing...');
+  ctx.log(`Self-destruct triggered by user ${ctx.userId}`);
+  try {
+    const meta = await fetchGceMetadata();
+    await stopGceInstance(meta);
+    ctx.log(`VM stop requested: ${meta.instance} (${meta.zone})`);
+  } catch (err) {
+    ctx.logError('GCE stop failed, forcing process exit:', err?.message || err);
+    setTimeout(() => process.exit(1), 500);
+  }
+}
+
+// ── Support ──────────────────────────────────────────────────
+// User types the support keyword → we ask before their recent messages go
+// to the admin, then send the request with or without them
+const SUPPORT_MESSAGES = 10;
+const SUPPORT_CONSENT_MS = 10 * 60 * 1000;
+
+async function support(ctx) {
+  const state = await ctx.brain.loadThread(ctx.threadKey);
+  const count = (state?.messages || []).slice(-SUPPORT_MESSAGES).length;
+  if (!count) return sendSupport(ctx, { share: false });
+
+  const at = Date.now();
+  await ctx.brain.saveThread(ctx.threadKey, { pendingSupport: { at } });
+  const replyMarkup = await ctx.keyboard([[
+    { text: '✅ Include them', action: 'support_send', payload: { at, share: true } },
+    { text: '🙅 Don\'t include', action: 'support_send', payload: { at, share: false } },
+  ]]);
+  await ctx.reply(
+    `🆘 I'll get someone to help. Can I include your last ${count} messages so they can see what happened?\n\n` +
+    'Tap a button, or reply "yes" or "no" ("cancel" to drop the request).',
+    { replyMarkup, saveToHistory: false },
+  );
+}
+
+async function sendSupport(ctx, { share }) {
+  const { brain, tg, config, userId, chatId, threadKey } = ctx;
+  const adminChatId = config.telegram.adminUserId;
+  const state = await brain.loadThread(threadKey);
+  if (state?.pendingSupport) await brain.saveThread(threadKey, { pendingSupport: null });
+  const history = state?.messages || [];
+  const lastN = share ? history.slice(-SUPPORT_MESSAGES) : [];
+
+  let details;
+  if (lastN.length) {
+    const transcript = lastN.map(m => {
+      const who = m.role === 'user' ? '👤 User' : '🤖 Bot';
+      const text = typeof m.content === 'string' ? m.content : JSON.stringify(m.content);
+      return `${who}: ${text.slice(0, 500)}`;
+    }).join('\n\n');
+    details = `📝 Last ${lastN.length} messages (shared with consent):\n\n${transcript.slice(0, 3500)}`;
+  } else {
+    details = history.length ? 'The user chose not to share their messages.' : 'No message history available.';
+  }
+
+  try {
+    await tg.sendMessage(adminChatId, `🆘 Support request from user ${userId} (chat ${chatId})\n\n${details}`);
+    await ctx.reply('📩 Support request sent! Someone will check in with you shortly.', { saveToHistory: false });
+  } catch (err) {
+    console.error('[support] Failed to send to admin:', err?.message || err);
+    await ctx.reply('📩 Support request noted. We\'ll look into it.', { saveToHistory: false });
+  }
+}
+
+// Typed answer to the consent question
+async function pendingSupport(ctx) {
+  const { threadState, lower, brain, threadKey } = ctx;
+  const pending = threadState?.pendingSupport;
+  if (!pending) return false;
+  if (Date.now() - pending.at > SUPPORT_CONSENT_MS) {
+    await brain.saveThread(threadKey, { pendingSupport: null });
+    return false;
+  }
+  if (['yes', 'y', 'ok', 'sure', 'include them'].includes(lower)) {
+    await sendSupport(ctx, { share: true });
+    return true;
+  }
+  if (['no', 'n', 'don\'t', 'dont', 'no thanks'].includes(lower)) {
+    await sendSupport(ctx, { share: false });
+    return true;
+  }
+  if (lower === 'cancel' || lower === 'nevermind') {
+    await brain.saveThread(threadKey, { pendingSupport: null });
+    await ctx.reply('OK, I won\'t send a support request.', { saveToHistory: false });
+    return true;
+  }
+  return false;
+}
+
+// Admin types "broadcast <message>" → sends to all active chats
+async function broadcast(ctx) {
+  const message = ctx.messageBody.replace(/^broadcast\s+/i, '').trim();
+  if (!message) {
+    await ctx.reply('Usage: broadcast <message>');
+    return;
+  }
+  const chatIds = await ctx.brain.loadActiveChats();
+  let sent = 0;
+  await ctx.audit.run('system.broadcast', { args: { message }, result: () => ({ sent, chats: chatIds.length }) }, async () => {
+    for (const cid of chatIds) {
+      try {
+        await ctx.tg.sendMessage(cid, `📢 ${message}`);
+        sent++;
+      } catch (err) {
+        console.error(`[broadcast] Failed to send to ${cid}:`, err?.message || err);
+      }
+    }
+  });
+  await ctx.reply(`✅ Broadcast sent to ${sent}/${chatIds.length} chat(s).`, { saveToHistory: false });
+}
+
+module.exports = {
+  name: 'system',
+  pending: [pendingSupport],
+  commands: [
+    // Self-destruct — stop the GCE VM (or exit if not on GCE)
+    {
+      early: true,
+      capability: 'system:shutdown',
+      match: ({ lower }) => lower === 'self destruct' || lower === 'selfdestruct',
+      run: selfDestruct,
+    },
+    { early: true, match: ({ lower }) => lower === 'version' || lower === '/version', run: (ctx) => ctx.reply(`v${version()}`) },
+    // Help — main and drill-down
+    { early: true, match: ({ lower }) => lower === 'help' || lower === '/help' || lower === '/start', run: (ctx) => ctx.reply(helpText(ctx.router)) },
+    { early: true, match: (ctx) => ctx.router.helpFor(ctx.lower), run: (ctx, text) => ctx.reply(text) },
+    {
+      early: true,
+      match: ({ config, lower }) => config.telegram.adminUserId && lower === config.telegram.supportKeyword.toLowerCase(),
+      run: support,
+    },
+    { early: true, capability: 'system:broadcast', match: ({ lower }) => lower.startsWith('broadcast '), run: broadcast },
+  ],
+  matchers: [matchHelp],
+  intents: {
+    help: {
+      llm: '{"intent":"help"} — user asking what the bot can do, how to use it, or listing commands',
+      run: (ctx) => ctx.reply(helpText(ctx.router)),
+    },
+  },
+  llmHints: {
+    examples: ['"what can you do?" -> {"intent":"help"}'],
+  },
+  callbacks: {
+    // The payload's timestamp must match the open request, so an old
+    // prompt's buttons can't send a second one
+    support_send: async (ctx, payload) => {
+      const state = await ctx.brain.loadThread(ctx.threadKey);
+      await ctx.clearButtons();
+      if (!state?.pendingSupport || state.pendingSupport.at !== payload.at) {
+        await ctx.ack('That request was already handled.');
+        return;
+      }
+      await ctx.ack(payload.share ? 'Sending with your messages' : 'Sending without your messages');
+      await sendSupport(ctx, { share: !!payload.share });
+    },
+  },
+  helpText,
+};
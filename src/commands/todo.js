@@ -0,0 +1,296 @@
+'use strict';
+
+const { matchTodo, extractDueDate } = require('../matchers');
+const { connectPrompt } = require('../router');
+
+function todoHelpText() {
+  return [
+    '📋 To-Do List Commands:',
+    '',
+    '  todo list — show tasks from your default list',
+    '  todo list <name or #> — show tasks from a specific list',
+    '  todo all — show all your task lists',
+    '  todo add <task> — add to default list',
+    '  todo add <task> list <name> — add to a specific list',
+    '  todo add <task> by <date> — add with a due date',
+    '  todo done <#> — mark a task as done',
+    '  todo delete <#> — remove a task',
+    '',
+    'Or tap the ✓ / 🗑 buttons under a todo list.',
+    '',
+    'Or just say things like:',
+    '  "remind me to call Bob"',
+    '  "what\'s on my plate?"',
+    '  "mark 3 as done"',
+    '  "add buy groceries to my list by Friday"',
+  ].join('\n');
+}
+
+// One ✓/🗑 row per listed todo (Telegram caps keyboards, so only the first 20)
+function todoKeyboard(ctx, items, tasklist) {
+  return ctx.keyboard(items.slice(0, 20).map((t, i) => {
+    const payload = { id: t.id, tasklist: tasklist || null, title: t.title };
+    return [
+      { text: `✓ ${i + 1}`, action: 'todo_done', payload },
+      { text: `🗑 ${i + 1}`, action: 'todo_delete', payload },
+    ];
+  }));
+}
+
+// Resolve a user-provided ID: if it's a small number, look up the real
+// Google Task ID + tasklist from the last listed items saved in thread state.
+async function resolveTodoId(ctx, input) {
+  const ref = String(input);
+  const num = parseInt(ref, 10);
+  if (!isNaN(num) && String(num) === ref && num >= 1) {
+    const state = await ctx.brain.loadThread(ctx.threadKey);
+    const map = state?.todoIdMap;
+    if (map && map[num]) return map[num]; // { id, tasklist }
+  }
+  return { id: ref, tasklist: null }; // fall back to raw ID
+}
+
+// Resolve a list name to a tasklist ID using the saved mapping
+async function resolveListName(ctx, name) {
+  if (!name) return null;
+  const state = await ctx.brain.loadThread(ctx.threadKey);
+  const map = state?.taskListMap;
+  if (map) {
+    // Try exact match first, then case-insensitive
+    for (const val of Object.values(map)) {
+      if (val.title.toLowerCase() === name.toLowerCase()) return val.id;
+    }
+    // Try by number
+    const num = parseInt(name, 10);
+    if (!isNaN(num) && map[num]) return map[num].id;
+  }
+  return null;
+}
+
+async function listTodos(ctx, { tasklist = null, listLabel = '' } = {}) {
+  const items = await ctx.tasks.listTasks({ tasklist });
+  if (!items.length) {
+    await ctx.reply(`✅ No todos${listLabel ? ` in "${listLabel}"` : ''}! You're all caught up.`);
+    return;
+  }
+  // Save number→ID mapping so user can say "todo done 2"
+  const todoIdMap = {};
+  items.forEach((t, i) => { todoIdMap[i + 1] = { id: t.id, tasklist: tasklist || null }; });
+  await ctx.brain.saveThread(ctx.threadKey, { todoIdMap });
+
+  const lines = items.map((t, i) =>
+    `${i + 1}. ${t.title}${t.due ? ` (due ${t.due.slice(0, 10)})` : ''}${t.notes ? `\n   ${t.notes.slice(0, 100)}` : ''}`
+  );
+  await ctx.reply(`📋 Todos${listLabel ? ` (${listLabel})` : ''}:\n\n${lines.join('\n\n')}`,
+    { replyMarkup: await todoKeyboard(ctx, items, tasklist) });
+}
+
+async function completeTodo(ctx, input) {
+  const { id: taskId, tasklist } = await resolveTodoId(ctx, input);
+  const result = await ctx.audit.run('todo.complete', { target: taskId, args: { tasklist } },
+    () => ctx.tasks.completeTask(taskId, tasklist));
+  await ctx.reply(`✅ Completed: ${result.title}`);
+}
+
+async function deleteTodo(ctx, input) {
+  const { id: taskId, tasklist } = await resolveTodoId(ctx, input);
+  await ctx.audit.run('todo.delete', { target: taskId, args: { tasklist } }, () => ctx.tasks.deleteTask(taskId, tasklist));
+  await ctx.reply('✅ Todo deleted.');
+}
+
+async function todoCommand(ctx) {
+  const { tasks, calendar, brain, threadKey } = ctx;
+  if (!tasks?.enabled) {
+    await ctx.reply(ctx.google?.perUser
+      ? connectPrompt('Google Tasks')
+      : 'Google Tasks not configured. Set up Gmail OAuth with the Tasks scope.');
+    return;
+  }
+
+  const todoCmd = ctx.lower.replace(/^todo\s*/, '').trim();
+  const todoCmdRaw = ctx.messageBody.replace(/^todo\s*/i, '').trim();
+
+  // Show all task lists with counts
+  if (todoCmd === 'all' || todoCmd === 'lists') {
+    const lists = await tasks.listTaskLists();
+    if (!lists.length) {
+      await ctx.reply('📋 No task lists found.');
+      return;
+    }
+    const taskListMap = {};
+    const lines = [];
+    for (let i = 0; i < lists.length; i++) {
+      const tl = lists[i];
+      taskListMap[i + 1] = { id: tl.id, title: tl.title };
+      try {
+        const items = await tasks.listTasks({ tasklist: tl.id, maxResults: 100 });
+        lines.push(`${i + 1}. ${tl.title} (${items.length} task${items.length === 1 ? '' : 's'})`);
+      } catch {
+        lines.push(`${i + 1}. ${tl.title} (unable to read)`);
+      }
+    }
+    await brain.saveThread(threadKey, { taskListMap });
+    await ctx.reply(`📋 Your task lists:\n\n${lines.join('\n')}\n\nUse "todo list <#>" to see tasks in a list.\nUse "todo add <task> list <name>" to add to a specific list.`);
+    return;
+  }
+
+  // List tasks — optionally from a specific list
+  if (todoCmd === '' || todoCmd === 'list' || todoCmd === 'show' || todoCmd.startsWith('list ')) {
+    let tasklist = null;
+    let listLabel = '';
+    const listArg = todoCmd.replace(/^(?:list|show)\s*/, '').trim();
+    if (listArg) {
+      tasklist = await resolveListName(ctx, listArg);
+      if (!tasklist) {
+        // Try as a number from taskListMap
+        const state = await brain.loadThread(threadKey);
+        const num = parseInt(listArg, 10);
+        if (!isNaN(num) && state?.taskListMap?.[num]) {
+          tasklist = state.taskListMap[num].id;
+          listLabel = state.taskListMap[num].title;
+        } else {
+          await ctx.reply(`List "${listArg}" not found. Run "todo all" to see your lists.`);
+          return;
+        }
+      }
+    }
+    await listTodos(ctx, { tasklist, listLabel });
+    return;
+  }
+
+  if (todoCmd.startsWith('add ')) {
+    const raw = todoCmdRaw.replace(/^add\s*/i, '').trim();
+    if (!raw) {
+      await ctx.reply('Usage: todo add <task>\n       todo add pick up groceries\n       todo add buy milk by Friday');
+      return;
+    }
+
+    let tasklist = null;
+    let listLabel = '';
+    let taskText = raw;
+
+    // Check if the first word(s) match a known list name
+    // e.g. "Work amazon order" → list=Work, task="amazon order"
+    // e.g. "My Tasks buy milk" → list=My Tasks, task="buy milk"
+    const state = await brain.loadThread(threadKey);
+    const listMap = state?.taskListMap;
+    if (listMap) {
+      // Sort list names longest first so "My Tasks" matches before "My"
+      const listNames = Object.values(listMap).map(v => v.title).sort((a, b) => b.length - a.length);
+      for (const name of listNames) {
+        if (raw.toLowerCase().startsWith(name.toLowerCase() + ' ')) {
+          tasklist = Object.values(listMap).find(v => v.title.toLowerCase() === name.toLowerCase())?.id;
+          listLabel = name;
+          taskText = raw.slice(name.length).trim();
+          break;
+        }
+      }
+    }
+
+    // Also still support "list <name>" at the end as fallback
+    if (!tasklist) {
+      const listMatch = raw.match(/\s+list\s+(.+)$/i);
+      if (listMatch) {
+        const listName = listMatch[1].trim();
+        taskText = raw.slice(0, listMatch.index).trim();
+        tasklist = await resolveListName(ctx, listName);
+        if (!tasklist) {
+          await ctx.reply(`List "${listName}" not found. Run "todo all" to see your lists.`);
+          return;
+        }
+        listLabel = listName;
+      }
+    }
+
+    const { title, due: dueRaw } = extractDueDate(taskText);
+    const due = dueRaw && calendar ? calendar.resolveDate(dueRaw) : dueRaw || undefined;
+    const result = await ctx.audit.run('todo.add', { target: title, args: { due, tasklist } },
+      () => tasks.addTask({ title, due, tasklist }));
+    await ctx.reply(`✅ Added: ${result.title}${due ? ` (due ${due})` : ''}${listLabel ? ` → ${listLabel}` : ''}`);
+    return;
+  }
+
+  if (todoCmd.startsWith('done ')) {
+    await completeTodo(ctx, todoCmd.replace(/^done\s*/, '').trim());
+    return;
+  }
+
+  if (todoCmd.startsWith('delete ') || todoCmd.startsWith('remove ')) {
+    await deleteTodo(ctx, todoCmd.replace(/^(?:delete|remove)\s*/, '').trim());
+    return;
+  }
+
+  await ctx.reply(
+    'Todo commands:\n• todo list — tasks from default list\n• todo list <name or #> — tasks from a specific list\n• todo all — show all your task lists\n• todo add <task> — add to default list\n• todo add <task> list <name> — add to a specific list\n• todo add <task> by <date> — add with due date\n• todo done <#>\n• todo delete <#>'
+  );
+}
+
+module.exports = {
+  name: 'todo',
+  help: {
+    summary: '📋 To-Do List — "what\'s on my plate?" or "remind me to..."',
+    aliases: ['todo help', 'task help', 'tasks help'],
+    text: todoHelpText,
+  },
+  commands: [
+    { match: ({ lower }) => lower.startsWith('todo'), run: todoCommand },
+  ],
+  matchers: [matchTodo],
+  intents: {
+    todo_list: {
+      service: 'tasks',
+      llm: '{"intent":"todo_list"} — list todos, tasks, or what\'s on their plate',
+      run: (ctx) => listTodos(ctx),
+    },
+    todo_add: {
+      service: 'tasks',
+      llm: '{"intent":"todo_add","title":"task text"} — add a todo, reminder, or task',
+      run: async (ctx, intent) => {
+        if (!intent.title) return false;
+        const due = intent.due && ctx.calendar ? ctx.calendar.resolveDate(intent.due) : intent.due || undefined;
+        const result = await ctx.audit.run('todo.add', { target: intent.title, args: { due } },
+          () => ctx.tasks.addTask({ title: intent.title, due }));
+        await ctx.reply(`✅ Added: ${result.title}${due ? ` (due ${due})` : ''}`);
+      },
+    },
+    todo_done: {
+      service: 'tasks',
+      llm: '{"intent":"todo_done","index":"number"} — complete/check off a todo by its list number',
+      run: async (ctx, intent) => {
+        if (!intent.index) return false;
+        await completeTodo(ctx, intent.index);
+      },
+    },
+    todo_delete: {
+      service: 'tasks',
+      llm: '{"intent":"todo_delete","index":"number"} — delete/remove a todo by its list number',
+      run: async (ctx, intent) => {
+        if (!intent.index) return false;
+        await deleteTodo(ctx, intent.index);
+      },
+    },
+  },
+  llmHints: {
+    disambiguation: [
+      '"what\'s on my plate" / "what do I need to do" = todo_list (tasks)',
+      '"remind me to X" / "don\'t forget to X" / "I need to X" = todo_add',
+    ],
+    examples: ['"remind me to call the dentist" -> {"intent":"todo_add","title":"call the dentist"}'],
+  },
+  callbacks: {
+    todo_done: async (ctx, payload) => {
+      if (!ctx.tasks?.enabled) return false;
+      const result = await ctx.audit.run('todo.complete', { target: payload.id, args: { tasklist: payload.tasklist } },
+        () => ctx.tasks.completeTask(payload.id, payload.tasklist));
+      await ctx.ack('Done');
+      await ctx.reply(`✅ Completed: ${result.title}`);
+    },
+    todo_delete: async (ctx, payload) => {
+      if (!ctx.tasks?.enabled) return false;
+      await ctx.audit.run('todo.delete', { target: payload.id, args: { tasklist: payload.tasklist, title: payload.title } },
+        () => ctx.tasks.deleteTask(payload.id, payload.tasklist));
+      await ctx.ack('Deleted');
+      await ctx.reply(`✅ Todo deleted: ${payload.title || ''}`.trim());
+    },
+  },
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function periodRange(period, now = Date.now()) {
+  const to = new Date(now).toISOString().slice(0, 10);
+  if (period === 'today') return { from: to, to };
+  if (period === 'week') return { from: new Date(now - 6 * DAY_MS).toISOString().slice(0, 10), to };
+  return { from: `${to.slice(0, 7)}-01`, to };
+}
+
+function formatBucket(b) {
+  const tokens = (b.inputTokens + b.outputTokens).toLocaleString('en-US');
+  return `$${b.cost.toFixed(2)} — ${b.calls} calls, ${tokens} tokens`;
+}
+
+// Biggest spenders first
+function breakdown(title, buckets, label = (k) => k, limit = 10) {
+  const rows = Object.entries(buckets)
+    .sort(([, a], [, b]) => b.cost - a.cost || b.calls - a.calls)
+    .slice(0, limit)
+    .map(([key, b]) => `  • ${label(key)}: ${formatBucket(b)}`);
+  return rows.length ? ['', `${title}:`, ...rows] : [];
+}
+
+async function usageCommand(ctx, match) {
+  if (!ctx.usage) {
+    await ctx.reply('Usage tracking is not enabled.');
+    return;
+  }
+  const period = match[1] || 'month';
+  const { from, to } = periodRange(period);
+  const report = await ctx.usage.summary({ from, to });
+  const heading = `📊 LLM usage ${from === to ? from : `${from} → ${to}`}`;
+
+  // Members only see their own spend
+  if (!ctx.access?.can('usage:read')) {
+    const mine = report.byUser[String(ctx.userId)];
+    await ctx.reply(mine ? `${heading}\n\nYou: ${formatBucket(mine)}` : `${heading}\n\nNo LLM calls from you in this period.`);
+    return;
+  }
+
+  const budget = ctx.usage.monthlyBudgetUsd;
+  const lines = [heading, '', `Total: ${formatBucket(report.total)}`];
+  if (budget && period === 'month') {
+    lines.push(`Budget: ${Math.round((report.total.cost / budget) * 100)}% of $${budget}`);
+  }
+  lines.push(
+    ...breakdown('By feature', report.byFeature),
+    ...breakdown('By user', report.byUser, (id) => report.names[id] ? `${report.names[id]} (${id})` : id),
+    ...breakdown('By model', report.byModel),
+  );
+  if (report.unpriced.length) lines.push('', `⚠️ No price for: ${report.unpriced.join(', ')} (set LLM_PRICES)`);
+  await ctx.reply(lines.join('\n'));
+}
+
+module.exports = {
+  name: 'usage',
+  commands: [
+    { early: true, match: ({ lower }) => lower.match(/^(?:usage|llm usage|spend)(?:\s+(today|week|month))?$/), run: usageCommand },
+  ],
+};
@@ -1,5 +1,16 @@
 'use strict';
 
+function parseJsonEnv(name) {
+  const raw = process.env[name];
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    console.error(`${name} is not valid JSON — ignoring it`);
+    return {};
+  }
+}
+
 const config = {
   telegram: {
     botToken: process.env.TELEGRAM_BOT_TOKEN || '',
@@ -8,6 +19,12 @@ const config = {
     adminUserId: process.env.TELEGRAM_ADMIN_USER_ID || '',
     adminEmail: process.env.ADMIN_EMAIL || '',
     supportKeyword: process.env.SUPPORT_KEYWORD || 'support',
+    apiRoot: process.env.TELEGRAM_API_ROOT || 'https://api.telegram.org',
+    // 'polling' (default) or 'webhook' (for Cloud Run / scale-to-zero hosts)
+    mode: (process.env.TELEGRAM_MODE || 'polling').toLowerCase(),
+    webhookUrl: process.env.TELEGRAM_WEBHOOK_URL || '',
+    webhookPath: process.env.TELEGRAM_WEBHOOK_PATH || '/telegram/webhook',
+    webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET || '',
   },
   anthropic: {
     apiKey: process.env.ANTHROPIC_API_KEY,
@@ -23,6 +40,11 @@ const config = {
     refreshToken: process.env.GMAIL_REFRESH_TOKEN || '',
     userEmail: process.env.GMAIL_USER_EMAIL || '',
   },
+  google: {
+    // Set to enable per-user "connect google" (e.g. https://penny.example.com/oauth/google/callback)
+    redirectUrl: process.env.GOOGLE_OAUTH_REDIRECT_URL || '',
+    stateSecret: process.env.GOOGLE_OAUTH_STATE_SECRET || '',
+  },
   roundup: {
     emailTo: process.env.ROUNDUP_EMAIL_TO || '',
     emailFrom: process.env.ROUNDUP_EMAIL_FROM || '',
@@ -44,7 +66,14 @@ const config = {
     placesApiKey: process.env.GOOGLE_PLACES_API_KEY || '',
     callerName: process.env.RESERVATION_CALLER_NAME || '',
   },
-  llmProvider: process.env.LLM_PROVIDER || 'anthropic', // 'anthropic' or 'openai'
+  llmProvider: process.env.LLM_PROVIDER || 'anthropic', // 'anthropic', 'openai' or 'local'
+  llmMaxRetries: parseInt(process.env.LLM_MAX_RETRIES || '2', 10),
+  // Any OpenAI-compatible server (Ollama, llama.cpp, vLLM …) for LLM_PROVIDER=local
+  local: {
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY || '',
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+  },
   github: {
     token: process.env.GITHUB_TOKEN,
   },
@@ -57,6 +86,51 @@ const config = {
     region: process.env.GCP_REGION || '',
     brainBucket: process.env.OPENCLAW_BRAIN_BUCKET || '',
     brainPrefix: (process.env.OPENCLAW_BRAIN_PREFIX || 'penny-brain').replace(/\/+$/, ''),
+    // 'fs' (default), 'sqlite' or 'gcs'; fs and sqlite are backed up to the bucket
+    brainBackend: (process.env.OPENCLAW_BRAIN_BACKEND || 'fs').toLowerCase(),
+    brainSqlitePath: process.env.OPENCLAW_BRAIN_SQLITE_PATH || '',
+    // Encryption at rest: "<id>:<base64 key>,…" (first is current), or a
+    // local key file standing in for a KMS
+    brainKeys: process.env.OPENCLAW_BRAIN_KEYS || '',
+    brainKmsFile: process.env.OPENCLAW_BRAIN_KMS_FILE || '',
+  },
+  rateLimit: {
+    // Burst: RATE_LIMIT_MAX actions, refilled over RATE_LIMIT_WINDOW ms
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW || '30000', 10),
+    max: parseInt(process.env.RATE_LIMIT_MAX || '20', 10),
+    // Per-role daily quota overrides, e.g. {"member":{"pr_job":3}}
+    quotas: parseJsonEnv('RATE_LIMIT_QUOTAS'),
+  },
+  usage: {
+    // Admin gets a Telegram alert as spend crosses each threshold (% of budget)
+    monthlyBudgetUsd: parseFloat(process.env.LLM_MONTHLY_BUDGET_USD || '0'),
+    alertThresholds: (process.env.LLM_BUDGET_ALERTS || '50,80,100').split(',').map(Number).filter(n => n > 0),
+    // USD per million tokens, e.g. {"claude-opus-4-6":[5,25]}
+    prices: parseJsonEnv('LLM_PRICES'),
+  },
+  memory: {
+    // 'hash' (built in, no network), 'openai' or 'local' (LOCAL_LLM_BASE_URL)
+    embedder: (process.env.MEMORY_EMBEDDER || 'hash').toLowerCase(),
+    embeddingModel: process.env.MEMORY_EMBEDDING_MODEL || '',
+    topK: parseInt(process.env.MEMORY_TOP_K || '5', 10),
+    minScore: parseFloat(process.env.MEMORY_MIN_SCORE || '0.2'),
+    // Set MEMORY_EXTRACT=0 to only keep what users "remember" explicitly
+    extract: process.env.MEMORY_EXTRACT !== '0',
+  },
+  history: {
+    // Chat turns past this many tokens are summarized, keeping the newest
+    // HISTORY_KEEP_TOKENS worth verbatim
+    tokenBudget: parseInt(process.env.HISTORY_TOKEN_BUDGET || '3000', 10),
+    keepTokens: parseInt(process.env.HISTORY_KEEP_TOKENS || '1200', 10),
+  },
+  skills: {
+    // Each skill run gets its own worker, killed at this deadline
+    timeout: parseInt(process.env.SKILL_TIMEOUT_MS || '15000', 10),
+    memoryMb: parseInt(process.env.SKILL_MEMORY_MB || '64', 10),
+    // Hosts skills may fetch from (subdomains included); empty = any public host
+    allowedHosts: (process.env.SKILL_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+    // Scheduled skills ("every weekday at 4pm …") run on this zone's clock
+    timezone: process.env.SKILL_TIMEZONE || 'America/New_York',
   },
   workdir: process.env.OPENCLAW_WORKDIR || '/tmp/penny-jobs',
   runTests: process.env.OPENCLAW_RUN_TESTS === '1',
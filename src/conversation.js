@@ -0,0 +1,121 @@
+'use strict';
+
+// ── Conversation history ─────────────────────────────────────────
+// The chat turns for each user live in the thread "<threadKey>:history" as
+// { messages: [{ role, content }], summary, summarizedTurns }. Nothing is
+// cut off: once the turns pass a token budget, the oldest are folded into a
+// running summary by the LLM and the newest stay verbatim. The chat, skill
+// and PR-plan prompts all get summary + recent turns.
+
+const DEFAULT_TOKEN_BUDGET = 3000;
+const DEFAULT_KEEP_TOKENS = 1200;
+const MIN_KEEP_TURNS = 2;
+const MAX_SUMMARY_CHARS = 3000;
+const PROMPT_TURN_CHARS = 500;
+
+function historyKey(threadKey) {
+  return `${threadKey}:history`;
+}
+
+// Users can opt out of history ("privacy history off"): nothing they say
+// or get back is kept past the reply
+function keepsHistory(threadState) {
+  return threadState?.privacy?.history !== false;
+}
+
+// Rough count — about four characters per token for English text
+function estimateTokens(messages) {
+  return messages.reduce((n, m) => n + Math.ceil(String(m.content || '').length / 4) + 4, 0);
+}
+
+async function loadConversation(brain, threadKey) {
+  const state = await brain.loadThread(historyKey(threadKey));
+  return {
+    summary: typeof state?.summary === 'string' ? state.summary : '',
+    messages: Array.isArray(state?.messages) ? state.messages : [],
+  };
+}
+
+async function appendTurns(brain, threadKey, turns) {
+  await brain.updateThread(historyKey(threadKey), (state) => ({
+    messages: [...(Array.isArray(state.messages) ? state.messages : []), ...turns],
+  }));
+}
+
+async function summarize(llm, previous, turns) {
+  const transcript = turns.map((m) => `${m.role === 'assistant' ? 'Penny' : 'User'}: ${m.content}`).join('\n');
+  const resp = await llm.call({
+    maxTokens: 400,
+    system:
+      'You keep a running summary of a conversation between a user and Penny, their assistant. ' +
+      'Merge the earlier summary with the new turns into one summary of at most 150 words: what the user asked for, ' +
+      'decisions and answers given, names, dates and numbers that may matter later, and anything still open. ' +
+      'Write plain prose, no preamble.',
+    messages: [{
+      role: 'user',
+      content: `Earlier summary:\n${previous || '(none)'}\n\nNew turns:\n${transcript}`,
+    }],
+  });
+  return String(resp.text || '').trim().slice(0, MAX_SUMMARY_CHARS);
+}
+
+// When the stored turns are over budget, summarize all but the newest
+// `keepTokens` worth. The kept turns start on a user turn — chat templates
+// that need strict user/assistant alternation reject a leading assistant
+// turn — so one that would lead is folded in too. Returns the number of
+// turns folded in (0 = nothing to do).
+async function compactConversation(llm, brain, threadKey, { tokenBudget = DEFAULT_TOKEN_BUDGET, keepTokens = DEFAULT_KEEP_TOKENS } = {}) {
+  const { summary, messages } = await loadConversation(brain, threadKey);
+  if (estimateTokens(messages) <= tokenBudget) return 0;
+
+  let keep = 0;
+  while (keep < messages.length &&
+    (keep < MIN_KEEP_TURNS || estimateTokens(messages.slice(-(keep + 1))) <= keepTokens)) keep++;
+  while (keep > 0 && messages[messages.length - keep].role !== 'user') keep--;
+  const folded = messages.slice(0, messages.length - keep);
+  if (!folded.length) return 0;
+
+  const next = await summarize(llm, summary, folded);
+  if (!next) return 0;
+  let applied = false;
+  await brain.updateThread(historyKey(threadKey), (state) => {
+    const current = Array.isArray(state.messages) ? state.messages : [];
+    // Only drop the turns that were summarized, and only if another
+    // compaction hasn't already
+    if (JSON.stringify(current.slice(0, folded.length)) !== JSON.stringify(folded)) return undefined;
+    applied = true;
+    return {
+      messages: current.slice(folded.length),
+      summary: next,
+      summarizedTurns: (state.summarizedTurns || 0) + folded.length,
+    };
+  });
+  return applied ? folded.length : 0;
+}
+
+// Prompt section for prompts that aren't a chat (skills, PR plans): the
+// running summary plus the last few turns ('' when there's no history)
+function conversationPromptBlock({ summary, messages }, { turns = 6 } = {}) {
+  const recent = messages.slice(-turns)
+    .map((m) => `${m.role === 'assistant' ? 'Penny' : 'User'}: ${String(m.content).slice(0, PROMPT_TURN_CHARS)}`);
+  return [
+    summary ? `Earlier in this conversation (summary):\n${summary}` : '',
+    recent.length ? `Recent conversation:\n${recent.join('\n')}` : '',
+  ].filter(Boolean).join('\n\n');
+}
+
+// What a feature passes into skill and plan prompts
+async function conversationFor(brain, threadKey) {
+  return conversationPromptBlock(await loadConversation(brain, threadKey));
+}
+
+module.exports = {
+  historyKey,
+  keepsHistory,
+  estimateTokens,
+  loadConversation,
+  appendTurns,
+  compactConversation,
+  conversationPromptBlock,
+  conversationFor,
+};
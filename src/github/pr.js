@@ -1,6 +1,6 @@
 'use strict';
 
-async function summarizePullRequest({ octokit, anthropic, model, pr, context = '' }) {
+async function summarizePullRequest({ octokit, llm, pr, context = '' }) {
   if (!octokit) return "GitHub integration isn\'t configured (`GITHUB_TOKEN` missing).";
 
   const prResp = await octokit.pulls.get(pr);
@@ -24,7 +24,7 @@ async function summarizePullRequest({ octokit, anthropic, model, pr, context = '
     `*Files changed:* ${files.length}`,
   ].join('\n');
 
-  if (!anthropic) {
+  if (!llm) {
     return [
       baseSummary,
       '',
@@ -55,16 +55,15 @@ async function summarizePullRequest({ octokit, anthropic, model, pr, context = '
     ...files.slice(0, 40).map((f) => `- ${f.filename} [${f.status}] (+${f.additions}/-${f.deletions})`),
   ].join('\n');
 
-  const resp = await anthropic.messages.create({
-    model,
-    max_tokens: 950,
+  const resp = await llm.call({
+    maxTokens: 950,
     system:
       "You are Penny, a Personal AI Assistant & Tutor with server-side integrations. " +
       "Never reveal secrets. Keep the answer readable.",
     messages: [{ role: 'user', content: prompt }],
   });
 
-  return resp.content?.find((c) => c.type === 'text')?.text?.trim() || '(No response)';
+  return resp.text || '(No response)';
 }
 
 module.exports = { summarizePullRequest };
@@ -0,0 +1,215 @@
+'use strict';
+
+const crypto = require('crypto');
+const { createGoogleOAuth } = require('./clients/google');
+const { createGmailClient } = require('./clients/gmail');
+const { createCalendarClient } = require('./clients/calendar');
+const { createTasksClient } = require('./clients/tasks');
+
+// ── Per-user Google connections ──────────────────────────────────
+// With GOOGLE_OAUTH_REDIRECT_URL set, every Telegram user links their own
+// Google account via "connect google" and Gmail/Calendar/Tasks act through
+// their refresh token (stored as `googleAuth` on their brain thread).
+// The env GMAIL_REFRESH_TOKEN belongs to the owner, so only the admin falls
+// back to it. Without a redirect URL everyone shares the env account, as
+// before.
+//
+// Each link works once: its state carries a nonce kept on the thread until
+// the redirect uses it. Even then the account isn't used until the user
+// confirms it in the chat that asked, seeing which email it is — a link
+// someone else opened, or one opened with the wrong Google account, goes
+// nowhere.
+
+const STATE_TTL_MS = 15 * 60 * 1000;
+
+function createGoogleAccounts({ config, brain, shared = {}, oauth }) {
+  const { clientId, clientSecret } = config.gmail;
+  const redirectUrl = config.google?.redirectUrl || '';
+  if (oauth === undefined) oauth = createGoogleOAuth({ clientId, clientSecret, redirectUrl });
+  const perUser = !!oauth;
+  // A per-boot secret still works; links just stop verifying after a restart
+  const stateSecret = config.google?.stateSecret || crypto.randomBytes(32).toString('hex');
+  const cache = new Map(); // threadKey → { refreshToken, clients }
+
+  function sign(payload) {
+    return crypto.createHmac('sha256', stateSecret).update(payload).digest('base64url');
+  }
+
+  // Signed, expiring state so the redirect can only land on the thread that
+  // asked. A newer link replaces the thread's nonce, so only the latest works.
+  async function createState(threadKey, chatId) {
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const exp = Date.now() + STATE_TTL_MS;
+    await brain.saveThread(threadKey, { googleConnect: { nonce, exp } });
+    const payload = Buffer.from(JSON.stringify({ threadKey, chatId, nonce, exp })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+  }
+
+  function verifyState(state) {
+    const [payload, sig] = String(state || '').split('.');
+    if (!payload || !sig) return null;
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return data.nonce && data.exp > Date.now() ? data : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Forgets the state's nonce; false if it was already used or replaced
+  async function takeNonce({ threadKey, nonce }) {
+    let taken = false;
+    await brain.updateThread(threadKey, ({ googleConnect }) => {
+      taken = googleConnect?.nonce === nonce;
+      return taken ? { googleConnect: null } : undefined;
+    });
+    return taken;
+  }
+
+  async function connectUrl(threadKey, chatId) {
+    return oauth.authUrl(await createState(threadKey, chatId));
+  }
+
+  // The redirect: keeps the account on the thread as pendingGoogleAuth until
+  // the user confirms it (see confirmConnection). Returns `id` for that.
+  async function completeConnection({ code, state }) {
+    const data = verifyState(state);
+    if (!data || !(await takeNonce(data))) throw new Error('This link has expired or was already used. Send "connect google" in Telegram for a new one.');
+    if (!code) throw new Error('Google did not send an authorization code.');
+    const { refreshToken, email } = await oauth.exchangeCode(code);
+    const id = crypto.randomBytes(9).toString('base64url');
+    await brain.saveThread(data.threadKey, {
+      pendingGoogleAuth: { id, refreshToken, email, exp: Date.now() + STATE_TTL_MS },
+    });
+    return { threadKey: data.threadKey, chatId: data.chatId, email, id };
+  }
+
+  async function revoke(refreshToken) {
+    try {
+      await oauth?.revoke(refreshToken);
+    } catch {
+      // Already revoked on Google's side — the local copy is gone either way
+    }
+  }
+
+  // Takes the thread's pendingGoogleAuth if it's the one with this id
+  async function takePending(threadKey, id) {
+    let pending = null;
+    await brain.updateThread(threadKey, ({ pendingGoogleAuth }) => {
+      pending = pendingGoogleAuth?.id === id ? pendingGoogleAuth : null;
+      return pending ? { pendingGoogleAuth: null } : undefined;
+    });
+    return pending;
+  }
+
+  // The user said the account is theirs: it becomes googleAuth. Returns it,
+  // or null if the confirmation expired or was already answered.
+  async function confirmConnection(threadKey, id) {
+    const pending = await takePending(threadKey, id);
+    if (!pending) return null;
+    if (!(pending.exp > Date.now())) {
+      await revoke(pending.refreshToken);
+      return null;
+    }
+    const auth = { refreshToken: pending.refreshToken, email: pending.email, connectedAt: new Date().toISOString() };
+    await brain.saveThread(threadKey, { googleAuth: auth });
+    cache.delete(threadKey);
+    return auth;
+  }
+
+  async function cancelConnection(threadKey, id) {
+    const pending = await takePending(threadKey, id);
+    if (pending) await revoke(pending.refreshToken);
+    return !!pending;
+  }
+
+  async function disconnect(threadKey, threadState) {
+    cache.delete(threadKey);
+    const auth = threadState?.googleAuth;
+    if (!auth?.refreshToken) return false;
+    await brain.saveThread(threadKey, { googleAuth: null });
+    await revoke(auth.refreshToken);
+    return true;
+  }
+
+  function userClients(threadKey, auth) {
+    const cached = cache.get(threadKey);
+    if (cached?.refreshToken === auth.refreshToken) return cached.clients;
+    const creds = { clientId, clientSecret, refreshToken: auth.refreshToken };
+    const clients = {
+      gmail: createGmailClient({ ...creds, userEmail: auth.email }),
+      calendar: createCalendarClient(creds),
+      tasks: createTasksClient(creds),
+    };
+    cache.set(threadKey, { refreshToken: auth.refreshToken, clients });
+    return clients;
+  }
+
+  function isOwner(userId) {
+    const adminUserId = config.telegram.adminUserId;
+    return !!adminUserId && String(userId) === String(adminUserId);
+  }
+
+  // The Google clients a message from this user should act through
+  function clientsFor({ threadKey, threadState, userId }) {
+    const ownerAccount = {
+      gmail: shared.gmail || null,
+      calendar: shared.calendar || null,
+      tasks: shared.tasks || null,
+      email: config.gmail.userEmail || '',
+    };
+    if (!perUser) return { ...ownerAccount, perUser, connected: !!shared.gmail };
+
+    const auth = threadState?.googleAuth;
+    if (auth?.refreshToken) {
+      return { ...userClients(threadKey, auth), email: auth.email || '', perUser, connected: true };
+    }
+    if (isOwner(userId) && shared.gmail) {
+      return { ...ownerAccount, perUser, connected: true, owner: true };
+    }
+    return { gmail: null, calendar: null, tasks: null, email: '', perUser, connected: false };
+  }
+
+  // Express handler for the OAuth redirect
+  function callbackHandler({ onConnected } = {}) {
+    return async (req, res) => {
+      res.type('text/plain');
+      if (req.query.error) {
+        res.status(400).send(`Google sign-in was cancelled (${String(req.query.error).slice(0, 100)}). Send "connect google" in Telegram to try again.`);
+        return;
+      }
+      let result;
+      try {
+        result = await completeConnection({ code: req.query.code, state: req.query.state });
+      } catch (err) {
+        res.status(400).send(`❌ ${(err?.message || 'Connection failed').slice(0, 200)}`);
+        return;
+      }
+      res.status(200).send(`✅ Signed in as ${result.email || 'your Google account'}. Go back to Telegram and confirm it there to finish connecting.`);
+      if (onConnected) await onConnected(result);
+    };
+  }
+
+  function callbackPath() {
+    return perUser ? new URL(redirectUrl).pathname : null;
+  }
+
+  return {
+    perUser,
+    connectUrl,
+    completeConnection,
+    confirmConnection,
+    cancelConnection,
+    disconnect,
+    clientsFor,
+    callbackHandler,
+    callbackPath,
+    createState,
+    verifyState,
+  };
+}
+
+module.exports = { createGoogleAccounts };
@@ -197,7 +197,7 @@ function removeTopicFromMarkdown(existingMarkdown, topic) {
 
 // ── Lesson delivery (Claude adapts lesson for Telegram) ─────────
 
-async function deliverLesson(anthropic, model, lesson, lessonNumber, { learnerName, language } = {}) {
+async function deliverLesson(llm, lesson, lessonNumber, { learnerName, language } = {}) {
   const nameCtx = learnerName ? `The learner's name is ${learnerName}. Use their name occasionally to make it personal.` : '';
   const langCtx = language && language.toLowerCase() !== 'english'
     ? `IMPORTANT: Teach this lesson in ${language}. All explanations, analogies, encouragement, and the challenge prompt must be in ${language}. Code keywords and syntax stay in English (they have to — that's how code works), but everything else should be in ${language}.`
@@ -216,9 +216,8 @@ async function deliverLesson(anthropic, model, lesson, lessonNumber, { learnerNa
   ].filter(Boolean).join('\n');
 
   try {
-    const resp = await anthropic.messages.create({
-      model,
-      max_tokens: 1500,
+    const resp = await llm.call({
+      maxTokens: 1500,
       system:
         'You are a friendly, encouraging coding tutor teaching someone who has NEVER coded before. ' +
         'Adapt the lesson content into a conversational Telegram message. ' +
@@ -233,7 +232,7 @@ async function deliverLesson(anthropic, model, lesson, lessonNumber, { learnerNa
         (langCtx ? `Remember: teach in ${language}, but code stays in English.` : ''),
       messages: [{ role: 'user', content: prompt }],
     });
-    return resp.content?.find(c => c.type === 'text')?.text?.trim() || lesson.raw;
+    return resp.text || lesson.raw;
   } catch {
     return lesson.raw;
   }
@@ -241,7 +240,16 @@ async function deliverLesson(anthropic, model, lesson, lessonNumber, { learnerNa
 
 // ── Challenge evaluation ────────────────────────────────────────
 
-async function evaluateChallenge(anthropic, model, lesson, userCode, { learnerName, language } = {}) {
+const CHALLENGE_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    passed: { type: 'boolean' },
+    feedback: { type: 'string', minLength: 1 },
+  },
+  required: ['passed', 'feedback'],
+};
+
+async function evaluateChallenge(llm, lesson, userCode, { learnerName, language } = {}) {
   const nameCtx = learnerName ? `The student's name is ${learnerName}.` : '';
   const langCtx = language && language.toLowerCase() !== 'english'
     ? `Write your feedback in ${language}.`
@@ -266,9 +274,10 @@ async function evaluateChallenge(anthropic, model, lesson, userCode, { learnerNa
   ].filter(Boolean).join('\n');
 
   try {
-    const resp = await anthropic.messages.create({
-      model,
-      max_tokens: 500,
+    return await llm.json({
+      name: 'challenge_result',
+      schema: CHALLENGE_RESULT_SCHEMA,
+      maxTokens: 500,
       system:
         'You are a friendly coding tutor evaluating a beginner\'s challenge attempt. ' +
         'Return ONLY valid JSON with "passed" (boolean) and "feedback" (string). ' +
@@ -276,9 +285,6 @@ async function evaluateChallenge(anthropic, model, lesson, userCode, { learnerNa
         (langCtx ? `Write the feedback string in ${language}.` : ''),
       messages: [{ role: 'user', content: prompt }],
     });
-    let raw = resp.content?.find(c => c.type === 'text')?.text?.trim() || '';
-    raw = raw.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '').trim();
-    return JSON.parse(raw);
   } catch {
     return { passed: false, feedback: 'I had trouble checking your answer — try again or type "learn next" to move on!' };
   }
@@ -303,7 +309,7 @@ async function saveToProjectRepo(octokit, projectRepo, userName, lessonNumber, c
 
 async function handleLearnCommand({
   command, args, userId, userName, threadKey, threadState,
-  brain, octokit, anthropic, model, config,
+  brain, octokit, llm, config,
   sendReply, sendAdminAlert,
 }) {
   const learnRepo = config.learn?.repo;
@@ -384,7 +390,7 @@ async function handleLearnCommand({
 
   // ── learn next ────────────────────────────────────────────────
   if (command === 'learn' && args === 'next') {
-    if (!anthropic) {
+    if (!llm) {
       await sendReply('Claude is not configured (ANTHROPIC_API_KEY missing).');
       return;
     }
@@ -416,7 +422,7 @@ async function handleLearnCommand({
     }
 
     const lesson = parseLesson(lessonMd);
-    const adapted = await deliverLesson(anthropic, model, lesson, current, {
+    const adapted = await deliverLesson(llm, lesson, current, {
       learnerName: progress.learnerName,
       language: progress.language,
     });
@@ -539,7 +545,7 @@ async function handleLearnCommand({
 
 async function handleChallengeResponse({
   userCode, userName, threadKey, threadState,
-  brain, octokit, anthropic, model, config,
+  brain, octokit, llm, config,
   sendReply,
 }) {
   // ── Onboarding: awaiting name ─────────────────────────────────
@@ -553,7 +559,7 @@ async function handleChallengeResponse({
 
     // Auto-start lesson 1
     const learnRepo = config.learn?.repo;
-    if (!learnRepo || !octokit || !anthropic) return true;
+    if (!learnRepo || !octokit || !llm) return true;
 
     const syllabusText = await fetchFileFromRepo(octokit, learnRepo, 'syllabus.md');
     if (!syllabusText) { await sendReply('Could not find syllabus.md in the learn repo.'); return true; }
@@ -565,7 +571,7 @@ async function handleChallengeResponse({
     if (!lessonMd) { await sendReply(`Could not load ${lessonEntry.path}.`); return true; }
 
     const lesson = parseLesson(lessonMd);
-    const adapted = await deliverLesson(anthropic, model, lesson, 1, {
+    const adapted = await deliverLesson(llm, lesson, 1, {
       learnerName,
       language: progress.language,
     });
@@ -588,7 +594,7 @@ async function handleChallengeResponse({
   const activeLesson = threadState?.activeLesson;
   if (!activeLesson) return false; // No active lesson
 
-  if (!anthropic) {
+  if (!llm) {
     await sendReply('Claude is not configured — can\'t evaluate your code right now.');
     return true;
   }
@@ -599,7 +605,7 @@ async function handleChallengeResponse({
     successCriteria: activeLesson.successCriteria,
   };
 
-  const result = await evaluateChallenge(anthropic, model, lesson, userCode, {
+  const result = await evaluateChallenge(llm, lesson, userCode, {
     learnerName: progress.learnerName,
     language: progress.language,
   });
@@ -0,0 +1,190 @@
+'use strict';
+
+const crypto = require('crypto');
+const { similarity } = require('./clients/embeddings');
+const { LLMOutputError } = require('./clients/llm');
+
+// ── Long-term memory ─────────────────────────────────────────────
+// Durable facts about each user ("dentist is Dr. Lee", "standup is at
+// 9:30"), kept in the brain under memory/<threadKey> with an embedding
+// each. Facts come from two places: the chat fallback asks the LLM to pull
+// them out of the conversation, and "remember …" stores one verbatim.
+// recall() returns the few most relevant to a message, which the chat,
+// skill and PR-plan prompts include.
+
+const MAX_MEMORIES = 200;
+const MAX_FACT_CHARS = 300;
+const DUPLICATE_SCORE = 0.95;
+const MIN_EXTRACT_CHARS = 12;
+
+const EXTRACT_SCHEMA = {
+  type: 'object',
+  properties: {
+    facts: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          replaces: { type: ['integer', 'null'] },
+        },
+        required: ['text', 'replaces'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['facts'],
+  additionalProperties: false,
+};
+
+function clampFact(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_FACT_CHARS);
+}
+
+// System-prompt section listing recalled memories ('' when there are none)
+function memoryPromptBlock(memories) {
+  if (!memories?.length) return '';
+  return `What you remember about this user (from earlier conversations):\n${memories.map((m) => `- ${m.text}`).join('\n')}`;
+}
+
+function createMemory({ brain, embedder, config = {}, logError = console.error }) {
+  const { topK = 5, minScore = 0.2, extract = true } = config.memory || {};
+
+  async function embedOne(text) {
+    const [vector] = await embedder.embed([text]);
+    return vector;
+  }
+
+  async function list(threadKey) {
+    return await brain.loadMemories(threadKey);
+  }
+
+  // Store a fact. A near-identical one is refreshed instead of duplicated.
+  async function remember(threadKey, text, { source = 'user' } = {}) {
+    const fact = clampFact(text);
+    if (!fact) throw new Error('Nothing to remember');
+    const embedding = await embedOne(fact);
+    const now = new Date().toISOString();
+    let saved;
+    await brain.updateMemories(threadKey, (items) => {
+      const dup = items.find((m) => m.embedder === embedder.name && similarity(m.embedding, embedding) >= DUPLICATE_SCORE);
+      if (dup) {
+        saved = { ...dup, text: fact, embedding, updatedAt: now };
+        return items.map((m) => (m.id === dup.id ? saved : m));
+      }
+      saved = { id: crypto.randomBytes(4).toString('hex'), text: fact, embedding, embedder: embedder.name, source, createdAt: now, updatedAt: now };
+      return [...items, saved].slice(-MAX_MEMORIES);
+    });
+    return saved;
+  }
+
+  // Replace a memory's text; null if the id is gone
+  async function edit(threadKey, id, text) {
+    const fact = clampFact(text);
+    if (!fact) throw new Error('A memory can\'t be empty');
+    const embedding = await embedOne(fact);
+    let saved = null;
+    await brain.updateMemories(threadKey, (items) => {
+      const current = items.find((m) => m.id === id);
+      if (!current) return undefined;
+      saved = { ...current, text: fact, embedding, embedder: embedder.name, updatedAt: new Date().toISOString() };
+      return items.map((m) => (m.id === id ? saved : m));
+    });
+    return saved;
+  }
+
+  // Drop one memory (or all of them with id 'all'); returns how many went
+  async function forget(threadKey, id) {
+    let removed = 0;
+    await brain.updateMemories(threadKey, (items) => {
+      const kept = id === 'all' ? [] : items.filter((m) => m.id !== id);
+      removed = items.length - kept.length;
+      return removed ? kept : undefined;
+    });
+    return removed;
+  }
+
+  // Memories embedded by a different embedder (config changed) are
+  // re-embedded once and saved back
+  async function refreshEmbeddings(threadKey, items) {
+    const stale = items.filter((m) => m.embedder !== embedder.name || !Array.isArray(m.embedding));
+    if (!stale.length) return items;
+    const vectors = await embedder.embed(stale.map((m) => m.text));
+    const fresh = new Map(stale.map((m, i) => [m.id, { ...m, embedding: vectors[i], embedder: embedder.name }]));
+    await brain.updateMemories(threadKey, (current) => current.map((m) => (fresh.has(m.id) && m.text === fresh.get(m.id).text ? fresh.get(m.id) : m)));
+    return items.map((m) => fresh.get(m.id) || m);
+  }
+
+  // Top-k memories relevant to `query`, best first, each with a `score`
+  async function recall(threadKey, query, { k = topK } = {}) {
+    let items = await brain.loadMemories(threadKey);
+    if (!items.length || !String(query || '').trim()) return [];
+    items = await refreshEmbeddings(threadKey, items);
+    const q = await embedOne(String(query));
+    return items
+      .map((m) => ({ ...m, score: similarity(m.embedding, q) }))
+      .filter((m) => m.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  // recall() for prompts: never throws, returns '' when nothing matches
+  async function promptFor(threadKey, query) {
+    try {
+      return memoryPromptBlock(await recall(threadKey, query));
+    } catch (err) {
+      logError('Memory recall failed:', err?.message || err);
+      return '';
+    }
+  }
+
+  // Ask the LLM which durable facts the latest user message adds or
+  // changes. `messages` is the recent conversation, oldest first.
+  async function learn(llm, threadKey, messages) {
+    const latest = [...messages].reverse().find((m) => m.role === 'user')?.content || '';
+    if (!extract || !llm || latest.trim().length < MIN_EXTRACT_CHARS) return [];
+    const known = await recall(threadKey, latest, { k: 10 });
+    let result;
+    try {
+      result = await llm.json({
+        name: 'remember_facts',
+        schema: EXTRACT_SCHEMA,
+        maxTokens: 400,
+        system:
+          'You maintain long-term memory for a personal assistant. From the LATEST user message, extract durable facts ' +
+          'about the user worth remembering for weeks: people and contacts, schedules and routines, preferences, ' +
+          'accounts, places, projects. Skip small talk, questions, one-off requests and anything about the assistant. ' +
+          'Write each fact as one short self-contained sentence about "the user" (e.g. "The user\'s dentist is Dr. Lee"). ' +
+          'If a fact updates or contradicts a known memory, set "replaces" to that memory\'s number; otherwise null. ' +
+          'Return {"facts": []} when there is nothing worth keeping.',
+        messages: [{
+          role: 'user',
+          content: [
+            known.length ? `Known memories:\n${known.map((m, i) => `${i + 1}. ${m.text}`).join('\n')}` : 'Known memories: (none)',
+            '',
+            'Conversation:',
+            ...messages.slice(-6).map((m) => `${m.role}: ${String(m.content).slice(0, 800)}`),
+          ].join('\n'),
+        }],
+      });
+    } catch (err) {
+      if (!(err instanceof LLMOutputError)) throw err;
+      return [];
+    }
+
+    const changes = [];
+    for (const fact of result.facts) {
+      const replaced = fact.replaces ? known[fact.replaces - 1] : null;
+      const saved = replaced
+        ? await edit(threadKey, replaced.id, fact.text)
+        : await remember(threadKey, fact.text, { source: 'chat' });
+      if (saved) changes.push({ ...saved, replaced: replaced?.text || null });
+    }
+    return changes;
+  }
+
+  return { list, remember, edit, forget, recall, promptFor, learn };
+}
+
+module.exports = { createMemory, memoryPromptBlock, EXTRACT_SCHEMA };
@@ -1,31 +1,43 @@
 'use strict';
 
+const { LLMOutputError } = require('./clients/llm');
+
 // ── Parsing ──────────────────────────────────────────────────────
 
-async function parseReservationRequest(anthropic, model, text) {
+const RESERVATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    restaurant: { type: ['string', 'null'] },
+    city: { type: ['string', 'null'] },
+    date: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    time: { type: ['string', 'null'], pattern: '^\\d{2}:\\d{2}$' },
+    partySize: { type: ['integer', 'null'] },
+    phone: { type: ['string', 'null'] },
+  },
+  required: ['restaurant', 'city', 'date', 'time', 'partySize', 'phone'],
+};
+
+async function parseReservationRequest(llm, text) {
   const today = new Date().toISOString().slice(0, 10);
   const dayOfWeek = new Date().toLocaleDateString('en-US', { weekday: 'long' });
 
-  const resp = await anthropic.messages.create({
-    model,
-    max_tokens: 300,
-    system:
-      'Extract reservation details from the user message. ' +
-      `Today is ${dayOfWeek}, ${today}. ` +
-      'Return ONLY valid JSON with these fields: ' +
-      '{"restaurant": string, "city": string or null, "date": "YYYY-MM-DD", "time": "HH:MM" (24h), "partySize": number, "phone": string or null}. ' +
-      'If the user included a phone number, extract it into "phone". ' +
-      'If a field is missing, set it to null. Resolve relative dates (tomorrow, Saturday, next Friday, etc.) to actual dates.',
-    messages: [{ role: 'user', content: text }],
-  });
-
-  let raw = resp.content?.find(c => c.type === 'text')?.text?.trim() || '';
-  // Strip markdown code fences if Claude wraps the JSON
-  raw = raw.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '').trim();
   try {
-    return JSON.parse(raw);
+    return await llm.json({
+      name: 'reservation_details',
+      schema: RESERVATION_SCHEMA,
+      maxTokens: 300,
+      system:
+        'Extract reservation details from the user message. ' +
+        `Today is ${dayOfWeek}, ${today}. ` +
+        'Return ONLY valid JSON with these fields: ' +
+        '{"restaurant": string, "city": string or null, "date": "YYYY-MM-DD", "time": "HH:MM" (24h), "partySize": number, "phone": string or null}. ' +
+        'If the user included a phone number, extract it into "phone". ' +
+        'If a field is missing, set it to null. Resolve relative dates (tomorrow, Saturday, next Friday, etc.) to actual dates.',
+      messages: [{ role: 'user', content: text }],
+    });
   } catch (err) {
-    console.error('[reservations] JSON parse failed:', raw.slice(0, 300));
+    if (!(err instanceof LLMOutputError)) throw err;
+    console.error('[reservations] Unusable reservation details:', err.message, String(err.raw || '').slice(0, 300));
     return null;
   }
 }
@@ -0,0 +1,127 @@
+'use strict';
+
+// ── Roles & capabilities ─────────────────────────────────────────
+// Every user has one role (admin, member or guest) plus optional per-user
+// grants/revokes on top of it. Features tag risky commands with a
+// capability and the router checks it before running them.
+//
+// TELEGRAM_ADMIN_USER_ID is always admin; everyone else is DEFAULT_ROLE
+// until an admin changes it. Assignments live in the brain (global/roles).
+//
+// Users can also be put on a team, which decides whose team-shared skills
+// they see.
+
+const CAPABILITIES = {
+  'system:shutdown': 'stop the VM ("self destruct")',
+  'system:broadcast': 'message every active chat',
+  'roles:manage': 'grant and revoke roles and capabilities',
+  'audit:read': 'query the audit log',
+  'usage:read': 'see everyone\'s LLM usage and spend',
+  'brain:reset': 'reset thread memory',
+  'brain:admin': 'export, import, restore and check the whole brain',
+  'skills:delete': 'delete learned skills shared with a team or everyone',
+  'skills:approve': 'approve sharing skills with a team or everyone',
+  'github:pr': 'clone repos and open pull requests',
+  'email:send': 'send email',
+  'reserve:call': 'place phone calls to restaurants',
+};
+
+const ROLES = {
+  admin: Object.keys(CAPABILITIES),
+  member: ['brain:reset', 'github:pr', 'email:send', 'reserve:call'],
+  guest: [],
+};
+
+const DEFAULT_ROLE = 'member';
+
+const TEAM_NAME = /^[a-z0-9_-]{1,32}$/;
+
+// Effective access for a role + per-user overrides
+function accessFor(role, { grant = [], revoke = [], team = null } = {}) {
+  const name = ROLES[role] ? role : DEFAULT_ROLE;
+  const capabilities = new Set([...ROLES[name], ...grant]);
+  for (const cap of revoke) capabilities.delete(cap);
+  return {
+    role: name,
+    team: team || null,
+    capabilities,
+    can: (capability) => capabilities.has(capability),
+  };
+}
+
+function createRoles({ config, brain }) {
+  const adminUserId = String(config.telegram.adminUserId || '');
+
+  function isOwner(userId) {
+    return !!adminUserId && String(userId) === adminUserId;
+  }
+
+  // The env admin can't be demoted or have capabilities revoked — otherwise
+  // a bad "revoke" could lock everyone out of role management
+  async function resolve(userId) {
+    const entry = (await brain.loadRoles())[String(userId)];
+    if (isOwner(userId)) return accessFor('admin', { team: entry?.team });
+    return accessFor(entry?.role || DEFAULT_ROLE, entry || {});
+  }
+
+  // Only the team can be set on the configured admin
+  async function update(userId, by, fn, { teamOnly = false } = {}) {
+    if (isOwner(userId) && !teamOnly) throw new Error(`User ${userId} is the configured admin (TELEGRAM_ADMIN_USER_ID) and can't be changed.`);
+    let entry;
+    await brain.updateRoles((users) => {
+      entry = { role: DEFAULT_ROLE, grant: [], revoke: [], ...users[String(userId)] };
+      fn(entry);
+      return { ...users, [String(userId)]: { ...entry, updatedAt: new Date().toISOString(), updatedBy: String(by) } };
+    });
+    return isOwner(userId) ? accessFor('admin', entry) : accessFor(entry.role, entry);
+  }
+
+  function checkCapability(capability) {
+    if (!CAPABILITIES[capability]) throw new Error(`Unknown capability "${capability}". Send "roles caps" to see them.`);
+  }
+
+  async function setRole(userId, role, by) {
+    if (!ROLES[role]) throw new Error(`Unknown role "${role}". Roles: ${Object.keys(ROLES).join(', ')}.`);
+    return update(userId, by, (entry) => { entry.role = role; });
+  }
+
+  async function grant(userId, capability, by) {
+    checkCapability(capability);
+    return update(userId, by, (entry) => {
+      entry.grant = [...new Set([...entry.grant, capability])];
+      entry.revoke = entry.revoke.filter(c => c !== capability);
+    });
+  }
+
+  async function revoke(userId, capability, by) {
+    checkCapability(capability);
+    return update(userId, by, (entry) => {
+      entry.revoke = [...new Set([...entry.revoke, capability])];
+      entry.grant = entry.grant.filter(c => c !== capability);
+    });
+  }
+
+  // "none" takes the user off their team
+  async function setTeam(userId, team, by) {
+    const name = String(team || '').toLowerCase();
+    if (name !== 'none' && !TEAM_NAME.test(name)) throw new Error('Team names are 1-32 lowercase letters, digits, - or _.');
+    return update(userId, by, (entry) => {
+      if (name === 'none') delete entry.team;
+      else entry.team = name;
+    }, { teamOnly: true });
+  }
+
+  // Every explicitly assigned user, plus the env admin
+  async function list() {
+    const users = await brain.loadRoles();
+    const rows = Object.entries(users).map(([userId, entry]) => (userId === adminUserId
+      ? { userId, ...entry, role: 'admin', grant: [], revoke: [], owner: true }
+      : { userId, ...entry }));
+    if (adminUserId && !users[adminUserId]) rows.unshift({ userId: adminUserId, role: 'admin', owner: true });
+    return rows;
+  }
+
+  return { resolve, setRole, grant, revoke, setTeam, list, isOwner };
+}
+
+module.exports = { CAPABILITIES, ROLES, DEFAULT_ROLE, TEAM_NAME, accessFor, createRoles };
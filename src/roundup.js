@@ -2,15 +2,24 @@
 
 const { createTelegramClient } = require('./clients/telegram');
 const { getLearnNudge } = require('./learn');
+const { createAudit } = require('./audit');
 
 // Helper: parse comma-separated env string into array
 function parseList(s) {
   return (s || '').split(',').map(s => s.trim()).filter(Boolean);
 }
 
+// Manual roundups are audited as the user who asked ("roundup"); scheduled
+// ones as the system
+async function sendDigestEmail({ audit, brain, gmail }, msg) {
+  const log = audit || (brain ? createAudit({ brain }).forActor({ system: 'roundup' }) : null);
+  if (!log) return gmail.sendEmail(msg);
+  return log.run('email.send', { target: msg.to, args: { subject: msg.subject, chars: msg.body.length } }, () => gmail.sendEmail(msg));
+}
+
 // Send roundup digest to all active Telegram chats
 async function sendTelegramDigest(config, brain, body, subject) {
-  const tg = createTelegramClient(config.telegram.botToken);
+  const tg = createTelegramClient(config.telegram.botToken, { apiRoot: config.telegram.apiRoot });
   if (!tg || !brain) return;
   try {
     const chatIds = await brain.loadActiveChats();
@@ -165,13 +174,12 @@ async function fetchLinkedInMentions(name) {
 }
 
 // Use Claude to compile a digest
-async function compileDigest(anthropic, model, sections, kind) {
+async function compileDigest(llm, sections, kind) {
   try {
     const rawContent = sections.map(s => `## ${s.heading}\n${s.items.join('\n')}`).join('\n\n');
 
-    const resp = await anthropic.messages.create({
-      model,
-      max_tokens: 2000,
+    const resp = await llm.call({
+      maxTokens: 2000,
       system:
         `You are a digest writer. Compile these raw items into a clean, scannable ${kind} email digest. ` +
         'Keep it concise — short summaries, bullet points, include all links. ' +
@@ -179,7 +187,7 @@ async function compileDigest(anthropic, model, sections, kind) {
       messages: [{ role: 'user', content: `Compile this into a readable ${kind} digest email:\n\n${rawContent}` }],
     });
 
-    return resp.content?.find(c => c.type === 'text')?.text?.trim() || rawContent;
+    return resp.text || rawContent;
   } catch (err) {
     console.error('[roundup] Claude digest error:', err?.message || err);
     return sections.map(s => `${s.heading}\n${s.items.join('\n')}`).join('\n\n');
@@ -189,7 +197,7 @@ async function compileDigest(anthropic, model, sections, kind) {
 // ── Daily Roundup ────────────────────────────────────────────────
 // News topics + Twitter + LinkedIn, sent every day
 
-async function sendDailyRoundup({ config, anthropic, octokit, gmail, calendar, tasks, brain }) {
+async function sendDailyRoundup({ config, llm, octokit, gmail, calendar, tasks, brain, audit }) {
   const rc = config.roundup;
   const envTopics = parseList(rc.dailyTopics);
   const brainTopics = brain ? await brain.loadRoundupTopics() : [];
@@ -288,8 +296,8 @@ async function sendDailyRoundup({ config, anthropic, octokit, gmail, calendar, t
   if (!sections.length) { console.log('[roundup] No content for daily roundup'); return null; }
 
   let body;
-  if (anthropic) {
-    body = await compileDigest(anthropic, config.anthropic.model, sections, 'daily');
+  if (llm) {
+    body = await compileDigest(llm, sections, 'daily');
   } else {
     body = sections.map(s => `${s.heading}\n${s.items.join('\n')}`).join('\n\n');
   }
@@ -305,7 +313,7 @@ async function sendDailyRoundup({ config, anthropic, octokit, gmail, calendar, t
   const subject = githubUser ? `Roundup for ${githubUser}, ${datePart}` : `Roundup for ${datePart}`;
   if (gmail?.enabled && rc.emailTo) {
     try {
-      await gmail.sendEmail({ to: rc.emailTo, subject, body, from: rc.emailFrom || undefined });
+      await sendDigestEmail({ audit, brain, gmail }, { to: rc.emailTo, subject, body, from: rc.emailFrom || undefined });
       console.log(`[roundup] Daily roundup emailed to ${rc.emailTo}`);
     } catch (err) {
       console.error('[roundup] Email send failed:', err?.message || err);
@@ -320,7 +328,7 @@ async function sendDailyRoundup({ config, anthropic, octokit, gmail, calendar, t
 // ── Weekly Roundup ───────────────────────────────────────────────
 // Deep-dive topics, sent on the configured day (default: Saturday)
 
-async function sendWeeklyRoundup({ config, anthropic, octokit, gmail, brain }) {
+async function sendWeeklyRoundup({ config, llm, octokit, gmail, brain, audit }) {
   const rc = config.roundup;
   const topics = parseList(rc.weeklyTopics);
 
@@ -345,8 +353,8 @@ async function sendWeeklyRoundup({ config, anthropic, octokit, gmail, brain }) {
   if (!sections.length) { console.log('[roundup] No content for weekly roundup'); return; }
 
   let body;
-  if (anthropic) {
-    body = await compileDigest(anthropic, config.anthropic.model, sections, 'weekly');
+  if (llm) {
+    body = await compileDigest(llm, sections, 'weekly');
   } else {
     body = sections.map(s => `${s.heading}\n${s.items.join('\n')}`).join('\n\n');
   }
@@ -361,7 +369,7 @@ async function sendWeeklyRoundup({ config, anthropic, octokit, gmail, brain }) {
   const datePart = new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
   const subject = githubUser ? `Weekly Roundup for ${githubUser}, ${datePart}` : `Weekly Roundup for ${datePart}`;
   if (canEmail) {
-    await gmail.sendEmail({ to: rc.emailTo, subject, body });
+    await sendDigestEmail({ audit, brain, gmail }, { to: rc.emailTo, subject, body });
     console.log(`[roundup] Weekly roundup sent to ${rc.emailTo}`);
   }
   await sendTelegramDigest(config, brain, body, subject);
@@ -0,0 +1,274 @@
+'use strict';
+
+// ── Command router ───────────────────────────────────────────────
+// Features (see src/commands/) register everything they handle in one
+// object; the router walks every message through the same stages:
+//
+//   1. pending    — replies to something we asked (e.g. "send" for a draft)
+//   2. early      — exact commands that must beat NL matching (help, brain …)
+//   3. matchers   — zero-latency regex matchers → intent handlers
+//   4. commands   — prefix commands ("todo add …", "cal list …")
+//   5. LLM router — Claude picks an intent → the same intent handlers
+//   6. fallbacks  — learn challenge → skill pipeline → chat
+//
+// Within a stage, features run in registration order. A handler returns
+// false to say "not mine after all" and let the message keep going.
+// Commands and intents tagged with a `capability` (see src/roles.js) only
+// run for users who hold it; everyone else gets a refusal, and the attempt
+// is recorded.
+//
+// While a feature's handler runs, `ctx.feature` holds its name ('router'
+// during LLM classification) so LLM usage can be attributed to it.
+//
+// Feature shape (every key optional except name):
+//   {
+//     name: 'todo',
+//     help: { summary: '📋 To-Do List — …', aliases: ['todo help'], text: () => '…' },
+//     pending:   [async (ctx) => handled?],
+//     commands:  [{ early?, service?, capability?, match: (ctx) => truthy, run: async (ctx, match) => false? }],
+//     matchers:  [(lower) => ({ intent, ...params }) | null],
+//     intents:   { todo_list: { service?, capability?, llm?: '{"intent":"todo_list"} — …', run: async (ctx, params) => false? } },
+//     llmHints:  { disambiguation: ['…'], examples: ['…'] },
+//     callbacks: { todo_done: async (ctx, payload) => {} },
+//     fallbacks: [async (ctx) => handled?],
+//   }
+
+// Services an intent can depend on. With a label, a regex match for an
+// unconfigured service gets a "not configured" reply; without one it just
+// falls through. Google services in per-user mode are configured but may
+// not be connected for this user — they always get the connect prompt.
+const SERVICES = {
+  gmail: { label: 'Gmail', google: true, available: (ctx) => !!ctx.gmail },
+  calendar: { label: 'Google Calendar', google: true, available: (ctx) => !!ctx.calendar },
+  tasks: { label: 'Google Tasks', google: true, available: (ctx) => !!ctx.tasks?.enabled },
+  llm: { available: (ctx) => !!ctx.llm },
+  memory: { available: (ctx) => !!ctx.memory },
+};
+
+function connectPrompt(label) {
+  return `🔗 ${label} isn't connected for your account yet. Send "connect google" to link your Google account.`;
+}
+
+// Reply for a service this user can't use right now, or null to fall through
+function unavailableReply(ctx, name, { source }) {
+  const service = SERVICES[name];
+  if (service.google && ctx.google?.perUser) return connectPrompt(service.label);
+  if (source === 'matcher' && service.label) {
+    return `${service.label} is not configured. Check your .env file for the required credentials.`;
+  }
+  return null;
+}
+
+// Check `ctx.access` for a capability. On refusal, tells the user, records
+// the attempt and returns false. Handlers call this directly for
+// sub-commands and confirmations the router can't see.
+async function authorize(ctx, capability, action) {
+  if (ctx.access?.can(capability)) return true;
+  ctx.log?.(`Denied ${capability} to user ${ctx.userId} (${action})`);
+  await ctx.audit?.record('access.denied', { target: capability, args: { action }, outcome: 'denied' });
+  await ctx.reply(`🚫 You don't have permission to do that (${capability}). Ask an admin if you need it.`);
+  return false;
+}
+
+// The params an intent's llm line shows, with their example values
+function llmParams(llm) {
+  try {
+    const { intent: _intent, ...params } = JSON.parse(llm.slice(0, llm.indexOf('}') + 1));
+    return params;
+  } catch {
+    return {};
+  }
+}
+
+function createRouter() {
+  const features = [];
+
+  function use(feature) {
+    features.push(feature);
+    return api;
+  }
+
+  function collect(key) {
+    return features.flatMap(f => f[key] || []);
+  }
+
+  // Like collect, but keeps each entry's feature name: [[name, entry]]
+  function owned(key) {
+    return features.flatMap(f => (f[key] || []).map(entry => [f.name, entry]));
+  }
+
+  function findIntent(name) {
+    for (const f of features) {
+      if (f.intents?.[name]) return { feature: f.name, intent: f.intents[name] };
+    }
+    return null;
+  }
+
+  // ── Help ──────────────────────────────────────────────────────
+
+  // Drill-down help ("todo help"), or null if `lower` isn't a help alias
+  function helpFor(lower) {
+    const f = features.find(feat => feat.help?.aliases?.includes(lower));
+    return f ? f.help.text() : null;
+  }
+
+  function helpSummaries() {
+    return features.filter(f => f.help?.summary).map(f => f.help.summary);
+  }
+
+  // The first alias of each feature is the one we advertise ("todo help")
+  function helpTopics() {
+    return features.filter(f => f.help?.summary && f.help.aliases?.length).map(f => f.help.aliases[0]);
+  }
+
+  // ── Intents ───────────────────────────────────────────────────
+
+  function matchIntent(lower) {
+    for (const matcher of collect('matchers')) {
+      const m = matcher(lower);
+      if (m) return m;
+    }
+    return null;
+  }
+
+  // Run a named intent. `source` is 'matcher' or 'llm' — only regex
+  // matches get a "not configured" reply; the LLM path falls through.
+  async function runIntent(ctx, params, { source }) {
+    const found = findIntent(params.intent);
+    if (!found) return false;
+    const { intent } = found;
+    if (source === 'llm' && !intent.llm) return false;
+    if (intent.capability && !(await authorize(ctx, intent.capability, `intent ${params.intent}`))) return true;
+    if (intent.service && !SERVICES[intent.service].available(ctx)) {
+      const reply = unavailableReply(ctx, intent.service, { source });
+      if (!reply) return false;
+      await ctx.reply(reply);
+      return true;
+    }
+    ctx.feature = found.feature;
+    return (await intent.run(ctx, params)) !== false;
+  }
+
+  function llmIntentPrompt() {
+    const lines = features.flatMap(f => Object.values(f.intents || {}).filter(i => i.llm).map(i => `• ${i.llm}`));
+    const disambiguation = features.flatMap(f => f.llmHints?.disambiguation || []);
+    const examples = features.flatMap(f => f.llmHints?.examples || []);
+    return (
+      'You route natural-language messages to built-in commands for a Telegram bot. ' +
+      'Return ONLY valid JSON. Pick the matching intent or return {"intent":"none"}.\n\n' +
+      'Intents:\n' +
+      lines.join('\n') + '\n' +
+      '• {"intent":"none"} — conversational, greeting, thanks, or doesn\'t match any action\n\n' +
+      'Disambiguation:\n' +
+      disambiguation.map(l => `- ${l}`).join('\n') + '\n\n' +
+      'Examples:\n' +
+      examples.map(l => `- ${l}`).join('\n')
+    );
+  }
+
+  // Intent names come from the features; the params are the other keys in
+  // each intent's llm line ({"intent":"todo_add","title":"task text"}).
+  // They're all listed, so forced tool use and json_schema still fill them.
+  function llmIntentSchema() {
+    const llmIntents = features.flatMap(f => Object.entries(f.intents || {}).filter(([, i]) => i.llm));
+    const properties = { intent: { type: 'string', enum: [...llmIntents.map(([name]) => name), 'none'] } };
+    for (const [name, intent] of llmIntents) {
+      for (const [param, example] of Object.entries(llmParams(intent.llm))) {
+        properties[param] ||= { type: ['string', 'number'], description: `${name}: ${example}` };
+      }
+    }
+    return { type: 'object', properties, required: ['intent'], additionalProperties: true };
+  }
+
+  async function classifyIntent(ctx) {
+    ctx.feature = 'router';
+    return ctx.llm.json({
+      name: 'route_intent',
+      maxTokens: 300,
+      schema: llmIntentSchema(),
+      system: llmIntentPrompt(),
+      messages: [{ role: 'user', content: ctx.messageBody }],
+    });
+  }
+
+  // ── Dispatch ──────────────────────────────────────────────────
+
+  async function runCommands(ctx, early) {
+    for (const [feature, cmd] of owned('commands')) {
+      if (!!cmd.early !== early) continue;
+      const m = cmd.match(ctx);
+      if (!m) continue;
+      if (cmd.capability && !(await authorize(ctx, cmd.capability, ctx.messageBody.slice(0, 80)))) return true;
+      if (cmd.service && !SERVICES[cmd.service].available(ctx)) {
+        const reply = unavailableReply(ctx, cmd.service, { source: 'command' });
+        if (!reply) continue;
+        await ctx.reply(reply);
+        return true;
+      }
+      ctx.feature = feature;
+      if ((await cmd.run(ctx, m)) !== false) return true;
+    }
+    return false;
+  }
+
+  async function dispatch(ctx) {
+    for (const [feature, pending] of owned('pending')) {
+      ctx.feature = feature;
+      if (await pending(ctx)) return true;
+    }
+
+    if (await runCommands(ctx, true)) return true;
+
+    const matched = matchIntent(ctx.lower);
+    if (matched && (await runIntent(ctx, matched, { source: 'matcher' }))) return true;
+
+    if (await runCommands(ctx, false)) return true;
+
+    if (ctx.llm) {
+      let intent = null;
+      try {
+        intent = await classifyIntent(ctx);
+      } catch (intentErr) {
+        // Intent parsing failed — fall through silently
+        ctx.log?.('Intent router error (falling through):', intentErr?.message || intentErr);
+      }
+      // intent === 'none' → fall through to skill pipeline / chat
+      if (intent?.intent && intent.intent !== 'none' && (await runIntent(ctx, intent, { source: 'llm' }))) return true;
+    }
+
+    for (const [feature, fallback] of owned('fallbacks')) {
+      ctx.feature = feature;
+      if (await fallback(ctx)) return true;
+    }
+    return false;
+  }
+
+  // Inline-button presses; returns false if no feature owns the action
+  // (or its handler returned false, e.g. the service is gone)
+  async function dispatchCallback(ctx, action, payload) {
+    for (const f of features) {
+      const handler = f.callbacks?.[action];
+      if (!handler) continue;
+      ctx.feature = f.name;
+      return (await handler(ctx, payload)) !== false;
+    }
+    return false;
+  }
+
+  const api = {
+    use,
+    features,
+    dispatch,
+    dispatchCallback,
+    matchIntent,
+    runIntent,
+    llmIntentPrompt,
+    llmIntentSchema,
+    helpFor,
+    helpSummaries,
+    helpTopics,
+  };
+  return api;
+}
+
+module.exports = { createRouter, SERVICES, connectPrompt, authorize };
@@ -0,0 +1,214 @@
+'use strict';
+
+const crypto = require('crypto');
+const { SERVICES } = require('./router');
+
+// ── Skill capabilities ───────────────────────────────────────────
+// Besides fetch, a skill can ask for parts of Penny itself, reached in the
+// sandbox through a `penny` global:
+//
+//   capabilities: ['tasks.add', 'brain.kv']
+//
+//   await penny.tasks.add({ title: 'Renew passport', due: '2026-11-01' });
+//   const last = await penny.brain.kv.get('lastPrice');
+//
+// A skill that asks for any is held until the user running it approves
+// them. The stored skill lists only what was approved, and only those
+// methods exist in its sandbox. Calls are relayed to the bot's thread (see
+// skillSandbox.js) and run as the user whose request is running the skill.
+//
+// Approvals are per user (see grantsFor): sharing a skill with a team or
+// everyone carries its capabilities along, but each user still allows them
+// before it runs for them. They cover one version of the skill's code, so
+// a changed skill asks again.
+
+const MAX_KV_KEYS = 50;
+const MAX_KV_BYTES = 8000;
+const MAX_NOTIFY_CHARS = 2000;
+
+function text(value, max) {
+  return value === undefined || value === null ? undefined : String(value).slice(0, max);
+}
+
+async function kvUpdate(ctx, skill, fn) {
+  await ctx.brain.updateSkillData(ctx.threadKey, skill.name, (data) => {
+    const next = fn(data);
+    if (Object.keys(next).length > MAX_KV_KEYS) throw new Error(`penny.brain.kv holds at most ${MAX_KV_KEYS} keys per skill`);
+    if (JSON.stringify(next).length > MAX_KV_BYTES) throw new Error(`penny.brain.kv holds at most ${MAX_KV_BYTES} bytes per skill`);
+    return next;
+  });
+  return true;
+}
+
+// `service` is checked the same way the router checks commands (see
+// SERVICES in router.js); `methods` are what the skill can call, each run
+// as (ctx, skill, ...args)
+const CAPABILITIES = {
+  'tasks.add': {
+    service: 'tasks',
+    description: 'add tasks to your Google Tasks',
+    usage: 'penny.tasks.add({ title, due?, notes? }) → { id, title } (due as YYYY-MM-DD)',
+    methods: {
+      'tasks.add': async (ctx, skill, { title, due, notes } = {}) => {
+        if (!title) throw new Error('penny.tasks.add needs a title');
+        const task = { title: text(title, 500), due: due ? ctx.calendar?.resolveDate(String(due)) || String(due) : undefined, notes: text(notes, 2000) };
+        const result = await ctx.audit.run('todo.add', { target: task.title, args: { due: task.due, via: `skill ${skill.name}` } },
+          () => ctx.tasks.addTask(task));
+        return { id: result.id, title: result.title };
+      },
+    },
+  },
+  'calendar.list': {
+    service: 'calendar',
+    description: 'read the events in your Google Calendar',
+    usage: 'penny.calendar.list({ from?, to? }) → [{ summary, start, end, location }] (ISO dates; today when left out)',
+    methods: {
+      'calendar.list': async (ctx, _skill, { from, to } = {}) => {
+        const iso = (d) => (d ? new Date(String(d)).toISOString() : undefined);
+        const events = await ctx.calendar.listEvents({ timeMin: iso(from), timeMax: iso(to), maxResults: 25 });
+        return events.map(({ summary, start, end, location }) => ({ summary, start, end, location }));
+      },
+    },
+  },
+  'calendar.create': {
+    service: 'calendar',
+    description: 'create events in your Google Calendar',
+    usage: 'penny.calendar.create({ title, date, time?, duration?, location? }) → { id, summary } (date as YYYY-MM-DD, duration like 30m or 1h)',
+    methods: {
+      'calendar.create': async (ctx, skill, { title, date, time, duration, location } = {}) => {
+        if (!title || !date) throw new Error('penny.calendar.create needs a title and a date');
+        const event = { summary: text(title, 500), date: ctx.calendar.resolveDate(String(date)) || String(date), time: text(time, 20), duration: text(duration, 20) || '1h', location: text(location, 500) || '' };
+        const result = await ctx.audit.run('calendar.create', { target: event.summary, args: { date: event.date, time: event.time, via: `skill ${skill.name}` } },
+          () => ctx.calendar.createEvent(event));
+        return { id: result.id, summary: result.summary };
+      },
+    },
+  },
+  'brain.kv': {
+    description: 'remember a few values of its own between runs',
+    usage: 'penny.brain.kv.get(key), penny.brain.kv.set(key, value), penny.brain.kv.delete(key) (JSON values, kept per user)',
+    methods: {
+      'brain.kv.get': async (ctx, skill, key) => (await ctx.brain.loadSkillData(ctx.threadKey, skill.name))[String(key)] ?? null,
+      'brain.kv.set': (ctx, skill, key, value) => kvUpdate(ctx, skill, (data) => ({ ...data, [String(key)]: value ?? null })),
+      'brain.kv.delete': (ctx, skill, key) => kvUpdate(ctx, skill, ({ [String(key)]: _gone, ...rest }) => rest),
+    },
+  },
+  notify: {
+    description: 'send you a message',
+    usage: 'penny.notify(text)',
+    methods: {
+      notify: async (ctx, skill, message) => {
+        await ctx.reply(`🔔 ${skill.name}: ${text(message, MAX_NOTIFY_CHARS) || ''}`);
+        return true;
+      },
+    },
+  },
+};
+
+// Requested names that exist here, without repeats
+function requestedCapabilities(names, capabilities = CAPABILITIES) {
+  if (!Array.isArray(names)) return [];
+  return [...new Set(names.map(String))].filter((name) => capabilities[name]);
+}
+
+// ── Grants ──
+// What a user has allowed, kept in their thread as
+// skillGrants: { [skill name]: { code, capabilities: ['tasks.add', …] } },
+// where `code` is a hash of the skill's code when it was allowed. Their own
+// skills count too: a personal skill only holds what its owner allowed when
+// it was saved.
+
+function codeHash(skill) {
+  return crypto.createHash('sha256').update(String(skill.code || '')).digest('hex').slice(0, 16);
+}
+
+// A grant of `capabilities` for this version of `skill`
+function grantRequest(skill, capabilities = skill.capabilities || []) {
+  return { code: codeHash(skill), capabilities };
+}
+
+function mergeGrant(grant, next) {
+  if (grant?.code !== next.code) return next;
+  return { code: next.code, capabilities: [...new Set([...grant.capabilities, ...next.capabilities])] };
+}
+
+async function grantsFor(brain, threadKey) {
+  const [state, own] = await Promise.all([
+    brain.loadThread(threadKey),
+    brain.loadSkills({ scope: 'personal', owner: threadKey }),
+  ]);
+  const grants = { ...state?.skillGrants };
+  for (const skill of own) {
+    if (skill.capabilities?.length) grants[skill.name] = mergeGrant(grants[skill.name], grantRequest(skill));
+  }
+  return grants;
+}
+
+// `grants` as { [skill name]: grantRequest(skill, [capability, …]) }. A
+// grant for other code replaces the one held for that name.
+async function grantCapabilities(brain, threadKey, grants) {
+  await brain.updateThread(threadKey, ({ skillGrants = {} }) => ({
+    skillGrants: {
+      ...skillGrants,
+      ...Object.fromEntries(Object.entries(grants).map(([name, grant]) => [name, mergeGrant(skillGrants[name], grant)])),
+    },
+  }));
+}
+
+// What `skill` asks for that `grants` (from grantsFor) doesn't cover —
+// everything, if they were granted for different code
+function ungranted(skill, grants = {}) {
+  const grant = grants[skill.name];
+  const granted = grant?.code === codeHash(skill) ? grant.capabilities : [];
+  return (skill.capabilities || []).filter((name) => !granted.includes(name));
+}
+
+// For the generate prompt: what this user's skills may ask for
+function describeUsage(capabilities) {
+  return Object.entries(capabilities).map(([name, c]) => `- "${name}": ${c.usage}`).join('\n');
+}
+
+// "• tasks.add — add tasks to your Google Tasks", for approval prompts
+function describeCapabilities(names) {
+  return names.map((name) => `• ${name} — ${CAPABILITIES[name]?.description || 'unknown'}`).join('\n');
+}
+
+// The sandbox host for one skill: { 'tasks.add': (...args) => … } for the
+// capabilities it was granted. `capabilities` have their methods bound to
+// a user, taking (skill, ...args).
+function hostFor(skill, capabilities = {}) {
+  const host = {};
+  for (const name of skill?.capabilities || []) {
+    for (const [method, fn] of Object.entries(capabilities[name]?.methods || {})) {
+      host[method] = (...args) => fn(skill, ...args);
+    }
+  }
+  return host;
+}
+
+// Capabilities skills can be granted, with their methods bound to this
+// user. Ones whose service this user doesn't have aren't offered to new
+// skills, and fail with a reason in skills that already hold them.
+function capabilitiesFor(ctx) {
+  return Object.fromEntries(Object.entries(CAPABILITIES).map(([name, capability]) => {
+    const service = capability.service && SERVICES[capability.service];
+    const available = !service || service.available(ctx);
+    const methods = Object.fromEntries(Object.entries(capability.methods).map(([method, fn]) => [method, available
+      ? (skill, ...args) => fn(ctx, skill, ...args)
+      : async () => { throw new Error(`${service.label} isn't connected for this user`); }]));
+    return [name, { ...capability, available, methods }];
+  }));
+}
+
+module.exports = {
+  CAPABILITIES,
+  requestedCapabilities,
+  grantsFor,
+  grantCapabilities,
+  grantRequest,
+  ungranted,
+  describeUsage,
+  describeCapabilities,
+  hostFor,
+  capabilitiesFor,
+};
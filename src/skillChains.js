@@ -0,0 +1,253 @@
+'use strict';
+
+const { LLMOutputError } = require('./clients/llm');
+const { executeSkill } = require('./skillSandbox');
+const { PARAMS_SCHEMA, hasParams, normalizeParams, describeParams, coerceArgs } = require('./skillParams');
+const { hostFor } = require('./skillCapabilities');
+
+// ── Skill chains ─────────────────────────────────────────────────
+// A chain is a stored skill whose `steps` run one after another instead of
+// code of its own. Each step runs an existing skill or a built-in action:
+//
+//   { skill: 'currency_convert', args: { amount: '{{amount}}', to: 'EUR' } }
+//   { action: 'tasks.addTask', args: { title: 'Pay invoice ({{step1}})', due: '{{due}}' } }
+//
+// Args are templates over the chain's own params ({{amount}}), the raw
+// message ({{input}}) and earlier steps' outputs ({{step1}} …). Steps name
+// skills rather than copying them, so a chain picks up their later fixes.
+// A chain's `code` holds its readable outline, which is what admins see
+// when it's up for sharing.
+
+const MAX_STEPS = 6;
+const TEMPLATE = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// ── Built-in actions ──
+// What chains can do besides running skills. `service` is checked the same
+// way the router checks commands (see SERVICES in router.js); `capability`
+// is what the user allows for a chain that uses the action (see
+// skillCapabilities.js), the same one a skill would need to do it.
+
+const ACTIONS = {
+  'tasks.addTask': {
+    service: 'tasks',
+    capability: 'tasks.add',
+    description: 'add a task to the user\'s Google Tasks',
+    params: normalizeParams([
+      { name: 'title', type: 'string', description: 'task text' },
+      { name: 'due', type: 'string', description: 'due date: YYYY-MM-DD, "tomorrow", "friday" …', required: false },
+      { name: 'notes', type: 'string', description: 'extra detail', required: false },
+    ]),
+    run: async (ctx, { title, due, notes }) => {
+      const date = due && ctx.calendar ? ctx.calendar.resolveDate(due) : due;
+      const result = await ctx.audit.run('todo.add', { target: title, args: { due: date, via: 'chain' } },
+        () => ctx.tasks.addTask({ title, due: date, notes }));
+      return `✅ Task added: ${result.title}${date ? ` (due ${date})` : ''}`;
+    },
+  },
+  'calendar.createEvent': {
+    service: 'calendar',
+    capability: 'calendar.create',
+    description: 'create an event in the user\'s Google Calendar',
+    params: normalizeParams([
+      { name: 'title', type: 'string', description: 'event title' },
+      { name: 'date', type: 'string', description: 'YYYY-MM-DD, "tomorrow", "friday" …' },
+      { name: 'time', type: 'string', description: 'start time, e.g. 15:00 or 3pm', required: false },
+      { name: 'duration', type: 'string', description: 'e.g. 30m or 1h', required: false },
+      { name: 'location', type: 'string', description: 'where', required: false },
+    ]),
+    run: async (ctx, { title, date, time, duration, location }) => {
+      const event = { summary: title, date, time, duration: duration || '1h', location: location || '' };
+      const result = await ctx.audit.run('calendar.create', { target: title, args: { ...event, via: 'chain' } },
+        () => ctx.calendar.createEvent(event));
+      return `✅ Event created: ${result.summary}${result.htmlLink ? `\n${result.htmlLink}` : ''}`;
+    },
+  },
+};
+
+function isChain(skill) {
+  return Array.isArray(skill?.steps);
+}
+
+// What the chain's action steps need allowed
+function actionCapabilities(chain) {
+  return [...new Set(chain.steps.map((step) => step.action && ACTIONS[step.action]?.capability).filter(Boolean))];
+}
+
+function stepTarget(step) {
+  return step.skill ? `skill ${step.skill}` : `action ${step.action}`;
+}
+
+// "currency_convert → tasks.addTask", with each step's args
+function describeChain(steps) {
+  return steps.map((step, i) => `${i + 1}. ${step.skill || step.action}(${JSON.stringify(step.args || {})})`).join('\n');
+}
+
+// ── Planning ──
+
+const CHAIN_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    params: PARAMS_SCHEMA,
+    args: { type: 'object' },
+    steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { skill: { type: 'string' }, action: { type: 'string' }, args: { type: 'object' } },
+      },
+    },
+    missing: { type: 'string' },
+  },
+  required: ['steps'],
+};
+
+// Problems with a planned chain, for the model to repair
+function chainErrors(plan, { skills, actions }) {
+  if (!plan.steps.length) return plan.missing ? [] : ['$.steps is empty and $.missing says nothing'];
+  const errors = [];
+  if (!plan.name) errors.push('$.name is required');
+  if (plan.steps.length > MAX_STEPS) errors.push(`$.steps allows at most ${MAX_STEPS} steps`);
+  const params = new Set((plan.params || []).map((p) => p.name));
+  plan.steps.forEach((step, i) => {
+    const at = `$.steps[${i}]`;
+    if (Boolean(step.skill) === Boolean(step.action)) {
+      errors.push(`${at} needs exactly one of "skill" or "action"`);
+    } else if (step.skill && !skills.some((s) => s.name === step.skill && !isChain(s))) {
+      errors.push(`${at}.skill "${step.skill}" is not one of the listed skills`);
+    } else if (step.action && !actions[step.action]) {
+      errors.push(`${at}.action "${step.action}" is not one of the listed actions`);
+    }
+    for (const value of Object.values(step.args || {})) {
+      for (const [, ref] of String(value).matchAll(TEMPLATE)) {
+        const stepRef = ref.match(/^step(\d+)$/);
+        if (stepRef ? !(Number(stepRef[1]) >= 1 && Number(stepRef[1]) <= i) : !(ref === 'input' || params.has(ref))) {
+          errors.push(`${at}.args uses {{${ref}}}, which isn't a param or an earlier step`);
+        }
+      }
+    }
+  });
+  return errors;
+}
+
+// A chain for a request that needs several steps, or { missing } when the
+// listed skills and actions can't do it; null if no plan came back
+async function planChain(llm, { userMessage, skills, actions, conversation }) {
+  const usable = skills.filter((s) => !isChain(s));
+  const skillList = usable.map((s) => `- "${s.name}": ${s.description}${hasParams(s) ? ` (${describeParams(s.params)})` : ' (takes {"input": text})'}`);
+  const actionList = Object.entries(actions).map(([name, a]) => `- "${name}": ${a.description} (${describeParams(a.params)})`);
+  try {
+    const plan = await llm.json({
+      name: 'plan_chain',
+      schema: CHAIN_SCHEMA,
+      maxTokens: 1200,
+      check: (value) => chainErrors(value, { skills: usable, actions }),
+      system:
+        'You plan multi-step requests for a Telegram bot as a chain of steps, run in order. ' +
+        'Each step uses exactly one existing skill or one action from the lists below — nothing else.\n' +
+        `Skills:\n${skillList.join('\n') || '(none)'}\n` +
+        `Actions:\n${actionList.join('\n') || '(none)'}\n\n` +
+        'Return ONLY valid JSON:\n' +
+        '{\n' +
+        '  "name": "short_snake_case_name",\n' +
+        '  "description": "one-line description",\n' +
+        '  "params": [{"name": "amount", "type": "number", "description": "what it is", "required": true}],\n' +
+        '  "args": {"amount": 1200},\n' +
+        '  "steps": [{"skill": "skill_name", "args": {"amount": "{{amount}}"}}, {"action": "tasks.addTask", "args": {"title": "Pay {{step1}}"}}]\n' +
+        '}\n' +
+        'Make the chain reusable: values from the request are chain `params` (with this request\'s values in `args`) ' +
+        'and step args refer to them as {{param}}. {{step1}}, {{step2}} … are earlier steps\' text output; {{input}} is the whole message. ' +
+        'If the lists can\'t do every part of the request, return {"steps": [], "missing": "what skill would be needed"}.',
+      messages: [{
+        role: 'user',
+        content: [
+          `User message: ${userMessage}`,
+          conversation ? `${conversation}\n(Context only.)` : '',
+        ].filter(Boolean).join('\n\n'),
+      }],
+    });
+    if (!plan.steps.length) return { missing: plan.missing || 'a skill for part of this' };
+    return {
+      chain: {
+        name: plan.name,
+        description: plan.description || userMessage.slice(0, 100),
+        params: normalizeParams(plan.params) || [],
+        steps: plan.steps.map((s) => (s.skill ? { skill: s.skill, args: s.args || {} } : { action: s.action, args: s.args || {} })),
+      },
+      args: plan.args || {},
+    };
+  } catch (err) {
+    if (!(err instanceof LLMOutputError)) throw err;
+    return null;
+  }
+}
+
+// ── Running ──
+
+// A step's args with templates filled in; a value that's a single
+// template keeps the referenced value's type
+function fillArgs(args, values) {
+  const out = {};
+  for (const [key, value] of Object.entries(args || {})) {
+    if (typeof value !== 'string') {
+      out[key] = value;
+      continue;
+    }
+    const whole = value.match(/^\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}$/);
+    out[key] = whole ? values[whole[1]] : value.replace(TEMPLATE, (_, ref) => (values[ref] === undefined ? '' : String(values[ref])));
+  }
+  return out;
+}
+
+// Runs the steps in order, stopping at the first failure:
+// { ok, outputs, report, failedStep?, error? }
+async function runChain(chain, { args, message, skills, actions, capabilities = {}, sandbox = {} }) {
+  const values = { ...args, input: message };
+  const outputs = [];
+  const lines = [];
+  for (const [i, step] of chain.steps.entries()) {
+    const stepArgs = fillArgs(step.args, values);
+    let output;
+    try {
+      if (step.skill) {
+        const skill = skills.find((s) => s.name === step.skill && !isChain(s));
+        if (!skill) throw new Error(`you don't have a skill named "${step.skill}"`);
+        let input = stepArgs.input ?? message;
+        if (hasParams(skill)) {
+          const { args: typed, missing } = coerceArgs(skill.params, stepArgs);
+          if (missing.length) throw new Error(`missing ${missing.map((p) => p.name).join(', ')}`);
+          input = typed;
+        }
+        output = await executeSkill(skill.code, input, { ...sandbox, host: hostFor(skill, capabilities) });
+      } else {
+        const action = actions[step.action];
+        if (!action) throw new Error(`${step.action} isn't available — is Google connected?`);
+        const { args: typed, missing } = coerceArgs(action.params, stepArgs);
+        if (missing.length) throw new Error(`missing ${missing.map((p) => p.name).join(', ')}`);
+        output = await action.run(typed);
+      }
+    } catch (err) {
+      const error = String(err?.message || err).slice(0, 300);
+      lines.push(`${i + 1}. ❌ ${step.skill || step.action}: ${error}`);
+      return { ok: false, outputs, report: lines.join('\n'), failedStep: i + 1, error: `step ${i + 1} (${stepTarget(step)}): ${error}` };
+    }
+    outputs.push(output);
+    values[`step${i + 1}`] = output;
+    lines.push(`${i + 1}. ${step.skill ? `${step.skill}: ` : ''}${output}`);
+  }
+  return { ok: true, outputs, report: lines.join('\n') };
+}
+
+module.exports = {
+  ACTIONS,
+  MAX_STEPS,
+  CHAIN_SCHEMA,
+  isChain,
+  actionCapabilities,
+  describeChain,
+  chainErrors,
+  planChain,
+  fillArgs,
+  runChain,
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+// ── Skill parameters ─────────────────────────────────────────────
+// A skill can declare what it needs from a message:
+//
+//   params: [{ name: 'amount', type: 'number', description: '…', required: true }, …]
+//
+// and is then run as `run(args)` with a typed object, filled in by the
+// classifier (or a follow-up extraction call) rather than re-parsed from
+// the message by the skill itself. Skills stored without `params` still get
+// the raw message.
+
+const PARAM_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'list'];
+const PARAM_NAME = /^[a-zA-Z_][a-zA-Z0-9_]{0,39}$/;
+const MAX_PARAMS = 8;
+
+const PARAMS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      type: { type: 'string', enum: PARAM_TYPES },
+      description: { type: 'string' },
+      required: { type: 'boolean' },
+    },
+    required: ['name', 'type'],
+  },
+};
+
+function hasParams(skill) {
+  return Array.isArray(skill?.params);
+}
+
+// Drops malformed entries so a stored skill only carries usable params
+function normalizeParams(params) {
+  if (!Array.isArray(params)) return undefined;
+  const seen = new Set();
+  return params
+    .filter((p) => p && PARAM_NAME.test(p.name) && !seen.has(p.name) && seen.add(p.name))
+    .slice(0, MAX_PARAMS)
+    .map((p) => ({
+      name: p.name,
+      type: PARAM_TYPES.includes(p.type) ? p.type : 'string',
+      description: String(p.description || '').slice(0, 200),
+      required: p.required !== false,
+    }));
+}
+
+// "amount: number, from: string, note?: string"
+function describeParams(params) {
+  return (params || []).map((p) => `${p.name}${p.required ? '' : '?'}: ${p.type}`).join(', ');
+}
+
+// JSON schema for asking a model to fill the params in
+function argsSchema(params) {
+  const types = { string: 'string', number: 'number', integer: 'number', boolean: 'boolean', date: 'string', list: 'array' };
+  return {
+    type: 'object',
+    properties: Object.fromEntries(params.map((p) => [p.name, { type: [types[p.type], 'string'] }])),
+  };
+}
+
+const TRUE = ['true', 'yes', 'y', 'on', '1'];
+const FALSE = ['false', 'no', 'n', 'off', '0'];
+
+// One value as its param's type, or undefined if it can't be
+function coerce(type, value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      const n = typeof value === 'number' ? value : Number(String(value).replace(/[,_\s]/g, ''));
+      if (!Number.isFinite(n)) return undefined;
+      return type === 'integer' && !Number.isInteger(n) ? undefined : n;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const s = String(value).trim().toLowerCase();
+      if (TRUE.includes(s)) return true;
+      return FALSE.includes(s) ? false : undefined;
+    }
+    case 'date': {
+      const d = new Date(String(value));
+      return Number.isNaN(d.getTime()) ? undefined : d.toISOString().slice(0, 10);
+    }
+    case 'list': {
+      const items = Array.isArray(value) ? value : String(value).split(',');
+      const out = items.map((v) => String(v).trim()).filter(Boolean);
+      return out.length ? out : undefined;
+    }
+    default: {
+      const s = typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+      return s || undefined;
+    }
+  }
+}
+
+// Typed args for `params` from whatever a model returned, plus the
+// required params that are missing or wouldn't convert
+function coerceArgs(params, raw) {
+  const args = {};
+  const missing = [];
+  for (const p of params) {
+    const value = coerce(p.type, raw && typeof raw === 'object' ? raw[p.name] : undefined);
+    if (value !== undefined) args[p.name] = value;
+    else if (p.required) missing.push(p);
+  }
+  return { args, missing };
+}
+
+module.exports = {
+  PARAM_TYPES,
+  PARAMS_SCHEMA,
+  hasParams,
+  normalizeParams,
+  describeParams,
+  argsSchema,
+  coerceArgs,
+};
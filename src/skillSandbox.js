@@ -0,0 +1,291 @@
+'use strict';
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const vm = require('vm');
+const { Worker } = require('worker_threads');
+
+// ── Skill sandbox ────────────────────────────────────────────────
+// Generated skills run in a worker thread, never in the bot's own:
+//
+//   - the worker has its own heap, capped by resourceLimits, and no env
+//   - inside it the skill gets a vm context with eval/new Function off, and
+//     the worker's process, require and network globals are removed first
+//   - the worker is terminated at the wall-clock deadline, whatever the
+//     skill is still awaiting
+//   - fetch() is relayed to this thread, which applies the egress policy:
+//     http(s) only, allowlisted hosts (SKILL_ALLOWED_HOSTS, any public host
+//     when unset), never private, loopback, link-local (the metadata server)
+//     or multicast addresses — checked on the address actually connected to,
+//     and again on every redirect
+//   - responses, fetch count and the result are all size-capped
+//   - the `penny` global holds only the methods in `host`: the capabilities
+//     the skill was granted (skillCapabilities.js), called in this thread
+//     with JSON args and a JSON result, at most maxCalls times
+//
+// For regression suites (skillTests.js) a run can record what it fetched
+// and called (`onFetch`, `onCall`), or be replayed offline: `fixtures`
+// answer fetch() and `calls` answer penny.* instead of the network and the
+// user's accounts, `clock` fixes Date and `seed` makes Math.random
+// repeatable.
+
+const WORKER_FILE = path.join(__dirname, 'skillWorker.js');
+
+const DEFAULTS = {
+  timeout: 15_000,
+  memoryMb: 64,
+  allowedHosts: [],
+  maxFetches: 10,
+  maxResponseBytes: 1_000_000,
+  maxCalls: 20,
+};
+const MAX_OUTPUT = 4000;
+const MAX_REDIRECTS = 3;
+const FETCH_TIMEOUT = 10_000;
+
+// The code a skill becomes: its `run` called with the user's message
+function wrapSkill(code) {
+  return `${code}\n;(async () => String((await run(input)) ?? '(no result)'))();`;
+}
+
+// ── Egress policy ──
+
+const PRIVATE = new net.BlockList();
+for (const [addr, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) PRIVATE.addSubnet(addr, prefix, 'ipv4');
+for (const [addr, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+  PRIVATE.addSubnet(addr, prefix, 'ipv6');
+}
+
+const BLOCKED_NAMES = ['localhost', 'metadata', 'metadata.google.internal'];
+
+function isPrivateAddress(ip) {
+  const mapped = String(ip).match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const addr = mapped ? mapped[1] : String(ip);
+  const type = net.isIP(addr);
+  if (!type) return true;
+  return PRIVATE.check(addr, type === 6 ? 'ipv6' : 'ipv4');
+}
+
+function hostAllowed(host, allowedHosts) {
+  if (!allowedHosts.length) return true;
+  return allowedHosts.some((h) => host === h || host.endsWith(`.${h}`));
+}
+
+// The URL if the policy lets a skill fetch it; throws otherwise
+function checkUrl(raw, { allowedHosts = [] } = {}) {
+  let url;
+  try {
+    url = new URL(String(raw));
+  } catch {
+    throw new Error(`fetch blocked: "${String(raw).slice(0, 100)}" is not a valid URL`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error(`fetch blocked: ${url.protocol} URLs aren't allowed`);
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+  if (BLOCKED_NAMES.includes(host) || host.endsWith('.localhost') || host.endsWith('.internal')) {
+    throw new Error(`fetch blocked: ${host} is an internal host`);
+  }
+  if (net.isIP(host) && isPrivateAddress(host)) throw new Error(`fetch blocked: ${host} is a private address`);
+  if (!hostAllowed(host, allowedHosts)) throw new Error(`fetch blocked: ${host} is not in SKILL_ALLOWED_HOSTS`);
+  return url;
+}
+
+// DNS lookup that refuses private answers, so a public name pointing at an
+// internal address (or rebinding to one) can't get through
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find((a) => isPrivateAddress(a.address));
+    if (bad) return callback(new Error(`fetch blocked: ${hostname} resolves to a private address (${bad.address})`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function plainHeaders(headers) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers || {})) {
+    if (typeof v === 'string' || typeof v === 'number') out[String(k).toLowerCase()] = String(v);
+  }
+  return out;
+}
+
+function requestOnce(url, { method, headers, body }, policy) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method, headers, lookup: guardedLookup, timeout: FETCH_TIMEOUT }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > policy.maxResponseBytes) {
+          req.destroy(new Error(`fetch blocked: response from ${url.hostname} is over ${policy.maxResponseBytes} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        statusText: res.statusMessage || '',
+        headers: plainHeaders(res.headers),
+        body: new Uint8Array(Buffer.concat(chunks)),
+      }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`fetch to ${url.hostname} timed out`)));
+    req.on('error', reject);
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+// fetch() on behalf of a skill: follows a few redirects, re-checking each
+async function relayFetch(request, policy) {
+  let url = checkUrl(request.url, policy);
+  let method = String(request.method || 'GET').toUpperCase();
+  let body = request.body === undefined || request.body === null ? undefined : String(request.body);
+  const headers = plainHeaders(request.headers);
+  for (let hop = 0; ; hop++) {
+    const res = await requestOnce(url, { method, headers, body }, policy);
+    if ([301, 302, 303, 307, 308].includes(res.status) && res.headers.location && hop < MAX_REDIRECTS) {
+      url = checkUrl(new URL(res.headers.location, url).href, policy);
+      if (res.status === 303 || (res.status <= 302 && method === 'POST')) {
+        method = 'GET';
+        body = undefined;
+      }
+      continue;
+    }
+    return { url: url.href, ...res };
+  }
+}
+
+// ── Replay ──
+
+// The recorded response for a request, used up so repeated calls get the
+// next recording; throws for anything that wasn't recorded
+function replayFetch(request, fixtures) {
+  const method = String(request.method || 'GET').toUpperCase();
+  const url = checkUrl(request.url).href;
+  const match = fixtures.find((f) => !f.used && f.method === method && f.url === url);
+  if (!match) throw new Error(`fetch not recorded: ${method} ${url}`);
+  match.used = true;
+  return { ...match.response, body: new Uint8Array(Buffer.from(match.response.body, 'base64')) };
+}
+
+// The same for penny.* calls, matched on method and args
+function replayCall(method, args, calls) {
+  const key = JSON.stringify(args);
+  const match = calls.find((c) => !c.used && c.method === method && JSON.stringify(c.args) === key);
+  if (!match) throw new Error(`call not recorded: penny.${method}`);
+  match.used = true;
+  return match.result;
+}
+
+// A capability call on behalf of a skill; the result goes back as JSON
+async function relayCall(method, args, policy, calls) {
+  const fn = policy.host?.[method];
+  if (typeof fn !== 'function') throw new Error(`penny.${method} isn't available to this skill`);
+  if (calls) return replayCall(method, args, calls);
+  const result = JSON.parse(JSON.stringify((await fn(...args)) ?? null));
+  policy.onCall?.(method, args, result);
+  return result;
+}
+
+// ── Execution ──
+
+// Runs `code` (which defines `async function run(input)`) in a fresh
+// worker and resolves to its result string. `input` is the message, or the
+// typed args of a skill with params. Syntax errors throw right away;
+// everything else rejects.
+function executeSkill(code, input, options = {}) {
+  const policy = { ...DEFAULTS, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined)) };
+  // Compile here first: a syntax error shouldn't cost a worker
+  new vm.Script(wrapSkill(code), { filename: 'skill.js' });
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_FILE, {
+      workerData: {
+        code: wrapSkill(code),
+        input: JSON.stringify(input ?? ''),
+        timeout: policy.timeout,
+        maxOutput: MAX_OUTPUT,
+        clock: policy.clock,
+        seed: policy.seed,
+        methods: Object.keys(policy.host || {}),
+      },
+      env: {},
+      argv: [],
+      execArgv: [],
+      stdout: true,
+      stderr: true,
+      resourceLimits: {
+        maxOldGenerationSizeMb: policy.memoryMb,
+        maxYoungGenerationSizeMb: Math.max(4, Math.floor(policy.memoryMb / 4)),
+        codeRangeSizeMb: 16,
+        stackSizeMb: 4,
+      },
+    });
+    let settled = false;
+    let fetches = 0;
+    let calls = 0;
+    const fixtures = policy.fixtures && policy.fixtures.map((f) => ({ ...f, used: false }));
+    const recordedCalls = fixtures && (policy.calls || []).map((c) => ({ ...c, used: false }));
+
+    function finish(err, result) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate().catch(() => {});
+      if (err) reject(err);
+      else resolve(result);
+    }
+
+    const timer = setTimeout(() => finish(new Error(`Skill timed out after ${policy.timeout}ms`)), policy.timeout);
+
+    worker.on('message', (msg) => {
+      if (msg?.type === 'done') return finish(null, String(msg.result).slice(0, MAX_OUTPUT));
+      if (msg?.type === 'error') return finish(new Error(String(msg.message).slice(0, 800)));
+      const reply = (payload) => { if (!settled) worker.postMessage({ id: msg.id, ...payload }); };
+      if (msg?.type === 'call') {
+        if (++calls > policy.maxCalls) {
+          reply({ error: `penny.${msg.method}: a skill may make at most ${policy.maxCalls} calls` });
+          return;
+        }
+        Promise.resolve()
+          .then(() => relayCall(String(msg.method), JSON.parse(msg.args), policy, recordedCalls))
+          .then(
+            (result) => reply({ result: JSON.stringify(result) }),
+            (err) => reply({ error: String(err?.message || err).slice(0, 300) }),
+          );
+        return;
+      }
+      if (msg?.type !== 'fetch') return;
+      if (++fetches > policy.maxFetches) {
+        reply({ error: `fetch blocked: a skill may make at most ${policy.maxFetches} requests` });
+        return;
+      }
+      const request = msg.request || {};
+      const pending = fixtures
+        ? new Promise((res) => res(replayFetch(request, fixtures)))
+        : relayFetch(request, policy);
+      pending.then(
+        (response) => {
+          if (!fixtures) policy.onFetch?.(request, response);
+          reply({ response });
+        },
+        (err) => reply({ error: String(err?.message || err) }),
+      );
+    });
+    worker.on('error', (err) => finish(err?.code === 'ERR_WORKER_OUT_OF_MEMORY'
+      ? new Error(`Skill ran out of memory (limit ${policy.memoryMb} MB)`)
+      : new Error(`Skill crashed: ${err?.message || err}`)));
+    worker.on('exit', (exitCode) => finish(new Error(`Skill exited early (code ${exitCode})`)));
+  });
+}
+
+module.exports = { executeSkill, checkUrl, isPrivateAddress, relayFetch, wrapSkill, MAX_OUTPUT, DEFAULTS };
@@ -0,0 +1,382 @@
+'use strict';
+
+const crypto = require('crypto');
+const { visibleSkills } = require('./skillScopes');
+const { executeSkill } = require('./skillSandbox');
+const { isChain } = require('./skillChains');
+const { grantsFor, ungranted, hostFor, capabilitiesFor } = require('./skillCapabilities');
+const { log, logError } = require('./util/log');
+
+// ── Scheduled skills ─────────────────────────────────────────────
+// A user can have a skill run on a timetable instead of on request:
+//
+//   every weekday at 4pm run: check the AAPL price
+//   every hour run: check if my package status changed and tell me
+//
+// Schedules live with the user in the brain (skill-schedules/<threadKey>)
+// and run from startSkillScheduler, next to the roundup scheduler. Each run
+// executes the stored skill with the args (or message) it was scheduled
+// with, as that user and with the capabilities it holds. A skill asking
+// for capabilities the user hasn't allowed (see grantsFor) is skipped —
+// the user is told once — until they run it themselves and allow them.
+// There's no LLM in a scheduled run, so nothing is healed: a schedule that
+// fails MAX_FAILURES times in a row is dropped and its user told. In
+// "changes" mode the output is only sent when it differs from the last
+// run's.
+//
+//   spec: { every: 'minutes', minutes: 60 }
+//       | { every: 'day', at: '16:00', days: [1, 2, 3, 4, 5] }   (0 = Sunday)
+
+const MAX_SCHEDULES = 10;
+const MIN_INTERVAL_MINUTES = 15;
+const MAX_FAILURES = 3;
+const CHECK_INTERVAL = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const WEEKENDS = [0, 6];
+// Times for phrases that don't give one
+const DEFAULT_TIMES = { morning: '08:00', evening: '18:00', night: '21:00' };
+const DEFAULT_TIME = '09:00';
+
+// ── Parsing ──
+
+const DAY = '(?:sun|mon|tues|wednes|thurs|fri|satur)days?';
+const TIME = '(?:\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?|noon|midnight)';
+const INTERVAL = /\b(?:every|each)\s+(?:(\d+)\s*)?(minutes?|mins?|hours?|hrs?)\b|\bhourly\b/i;
+const CALENDAR = new RegExp(
+  `\\b(?:(?:every|each)\\s+(days?|mornings?|evenings?|nights?|weekdays?|weekends?|${DAY}(?:\\s*(?:,|and|&)\\s*(?:and\\s+)?${DAY})*)|daily)\\b` +
+  `(?:\\s+at\\s+(${TIME}))?`,
+  'i',
+);
+const TIME_BEFORE = new RegExp(`\\bat\\s+(${TIME})\\s*$`, 'i');
+const CHANGES = /\b(?:if|when|whether)\b[^.]*\bchang(?:e|es|ed)\b|\bon changes?\b|\bonly\s+(?:tell|notify|message|ping)\b/i;
+// An outright request: "every weekday at 4pm run …", "run … every hour"
+const RUN = /^run:?\s+(?=\S)/i;
+const NOTIFY_TAIL = /[\s,]*(?:and\s+)?(?:only\s+)?(?:(?:tell|notify|message|ping|text)\s+me|let\s+me\s+know)(?:\s+(?:if|when)\b.*)?[.!]*$/i;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "4pm", "16:30", "noon" → "HH:MM", or null
+function parseTime(raw) {
+  const text = String(raw).toLowerCase().replace(/\s+/g, '');
+  if (text === 'noon') return '12:00';
+  if (text === 'midnight') return '00:00';
+  const m = text.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+  if (!m) return null;
+  let hour = Number(m[1]);
+  const minute = Number(m[2] || 0);
+  if (m[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (m[3] === 'pm' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return null;
+  return `${pad(hour)}:${pad(minute)}`;
+}
+
+function daysOf(phrase) {
+  const word = phrase.toLowerCase();
+  if (/^weekdays?$/.test(word)) return WEEKDAYS;
+  if (/^weekends?$/.test(word)) return WEEKENDS;
+  const named = [...word.matchAll(/(sun|mon|tues|wednes|thurs|fri|satur)day/g)]
+    .map((m) => DAY_NAMES.findIndex((d) => d.startsWith(m[1])));
+  return named.length ? [...new Set(named)].sort() : EVERY_DAY;
+}
+
+// What's left of the message once the schedule is taken out: the request
+// the skill answers
+function taskOf(text, match) {
+  return (text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length))
+    .replace(/^\s*(?:please\s+)?(?:schedule\s+)?(?:to\s+)?/i, '')
+    .replace(NOTIFY_TAIL, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,.:;-]*(?:and|then)?\s+|[\s,:;-]+(?:and|then)?$/gi, '')
+    .replace(/^[\s,.:;-]+|[\s,:;-]+$/g, '')
+    .trim();
+}
+
+// { spec, task, notify } for a message with a schedule in it, { error }
+// for one that asks for a schedule we can't run, or null for neither.
+// With `explicit`, only outright requests count — what's left besides the
+// schedule must start with "run" ("every morning I drink coffee" is
+// chat) — and the task is what follows it.
+function parseSchedule(text, { explicit = false } = {}) {
+  const raw = String(text || '');
+  let match = raw.match(INTERVAL);
+  let spec;
+  let error = null;
+  if (match) {
+    const count = match[1] === undefined ? 1 : Number(match[1]);
+    const minutes = /^h/i.test(match[2] || 'hour') ? count * 60 : count;
+    if (!minutes || minutes < MIN_INTERVAL_MINUTES) error = `Skills can run at most every ${MIN_INTERVAL_MINUTES} minutes.`;
+    spec = { every: 'minutes', minutes };
+  } else {
+    match = raw.match(CALENDAR);
+    if (!match) return null;
+    const phrase = (match[1] || 'day').toLowerCase();
+    let at = match[2] && parseTime(match[2]);
+    if (match[2] && !at) error = `I can't read "${match[2]}" as a time — try "at 4pm" or "at 16:00".`;
+    if (!at && !error) {
+      const before = raw.slice(0, match.index).match(TIME_BEFORE);
+      at = before && parseTime(before[1]);
+      if (at) match = { 0: raw.slice(before.index, match.index + match[0].length), index: before.index };
+    }
+    const dayPart = phrase.replace(/s$/, '');
+    spec = { every: 'day', at: at || DEFAULT_TIMES[dayPart] || DEFAULT_TIME, days: daysOf(phrase) };
+  }
+  let task = taskOf(raw, match);
+  if (explicit) {
+    if (!RUN.test(task)) return null;
+    task = task.replace(RUN, '');
+  }
+  if (error) return { error };
+  if (!task) return { error: 'What should I run then? e.g. "every weekday at 4pm run: check the AAPL price".' };
+  return { spec, task, notify: CHANGES.test(raw) ? 'changes' : 'always' };
+}
+
+// "4pm", "4:30pm"
+function formatClock(at) {
+  const [hour, minute] = at.split(':').map(Number);
+  return `${hour % 12 || 12}${minute ? `:${pad(minute)}` : ''}${hour < 12 ? 'am' : 'pm'}`;
+}
+
+function describeDays(days) {
+  const key = [...days].sort().join();
+  if (key === EVERY_DAY.join()) return 'every day';
+  if (key === WEEKDAYS.join()) return 'every weekday';
+  if (key === WEEKENDS.join()) return 'on weekends';
+  const names = [...days].sort().map((d) => DAY_NAMES[d][0].toUpperCase() + DAY_NAMES[d].slice(1));
+  return `every ${names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0]}`;
+}
+
+// "every 2 hours", "every weekday at 4pm"
+function describeSchedule(spec) {
+  if (spec.every === 'minutes') {
+    if (spec.minutes === 60) return 'every hour';
+    if (spec.minutes % 60 === 0) return `every ${spec.minutes / 60} hours`;
+    return `every ${spec.minutes} minutes`;
+  }
+  return `${describeDays(spec.days)} at ${formatClock(spec.at)}`;
+}
+
+// ── Timing ──
+
+// Minutes `timeZone` is ahead of UTC at the instant `ms`
+function zoneOffset(ms, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(new Date(ms)).map((p) => [p.type, Number(p.value)]));
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((local - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+// The calendar date `timeZone` is on at `ms`
+function localDate(ms, timeZone) {
+  const shifted = new Date(ms + zoneOffset(ms, timeZone) * 60000);
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth(), day: shifted.getUTCDate(), weekday: shifted.getUTCDay() };
+}
+
+// The instant it's `at` on that date in `timeZone`. The offset is looked
+// up again at the first guess so a time just past a DST change lands
+// right; a time the clocks skip over runs an hour later.
+function atLocal({ year, month, day }, at, timeZone) {
+  const [hour, minute] = at.split(':').map(Number);
+  const wall = Date.UTC(year, month, day, hour, minute);
+  const guess = wall - zoneOffset(wall, timeZone) * 60000;
+  const offset = zoneOffset(guess, timeZone);
+  const exact = wall - offset * 60000;
+  return zoneOffset(exact, timeZone) === offset ? exact : guess;
+}
+
+// When a schedule next runs after `after` (ms)
+function nextRun(spec, after, timeZone) {
+  if (spec.every === 'minutes') return after + spec.minutes * 60000;
+  for (let d = 0; d <= 7; d++) {
+    const date = localDate(after + d * DAY_MS, timeZone);
+    if (!spec.days.includes(date.weekday)) continue;
+    const at = atLocal(date, spec.at, timeZone);
+    if (at > after) return at;
+  }
+  return null;
+}
+
+// "Mon, Oct 19, 4:00 PM" in the schedule time zone
+function formatWhen(ms, timeZone) {
+  return new Date(ms).toLocaleString('en-US', { timeZone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+// ── Storing ──
+
+function digest(output) {
+  return crypto.createHash('sha256').update(String(output)).digest('hex');
+}
+
+// Adds (or replaces the same skill on the same timetable) and returns the
+// stored schedule. `lastOutput` is the run that set it up, so "changes"
+// mode only speaks up once the answer moves on from it.
+async function addSchedule(brain, threadKey, { skill, args, message, spec, notify, chatId, userId, lastOutput }, { timeZone, now = Date.now() } = {}) {
+  const schedule = {
+    id: crypto.randomBytes(4).toString('hex'),
+    skill,
+    ...(args ? { args } : { message }),
+    spec,
+    notify,
+    chatId,
+    userId,
+    createdAt: new Date(now).toISOString(),
+    nextRunAt: new Date(nextRun(spec, now, timeZone)).toISOString(),
+    ...(lastOutput !== undefined ? { lastHash: digest(lastOutput) } : {}),
+    failures: 0,
+  };
+  const same = (s) => s.skill === skill && JSON.stringify(s.spec) === JSON.stringify(spec);
+  await brain.updateSkillSchedules(threadKey, (schedules) => {
+    const others = schedules.filter((s) => !same(s));
+    if (others.length >= MAX_SCHEDULES) throw new Error(`You can have at most ${MAX_SCHEDULES} scheduled skills — "skills unschedule <#>" removes one.`);
+    return [...others, schedule];
+  });
+  return schedule;
+}
+
+// Removes the schedules `fn` picks and returns them
+async function removeSchedules(brain, threadKey, fn) {
+  let removed = [];
+  await brain.updateSkillSchedules(threadKey, (schedules) => {
+    removed = schedules.filter(fn);
+    return removed.length ? schedules.filter((s) => !fn(s)) : undefined;
+  });
+  return removed;
+}
+
+// ── Running ──
+
+async function runSchedule({ brain, config, contextFor, threadKey, schedule, now }) {
+  // Users who've since lost access keep their schedules until they're back
+  const ctx = await contextFor({ threadKey, chatId: schedule.chatId, userId: schedule.userId });
+  if (!ctx) return;
+  const when = describeSchedule(schedule.spec);
+  const skill = (await visibleSkills(brain, { threadKey, team: ctx.access?.team || null }))
+    .find((s) => s.name === schedule.skill && !isChain(s));
+  if (!skill) {
+    await removeSchedules(brain, threadKey, (s) => s.id === schedule.id);
+    await ctx.reply(`⏹ Stopped running "${schedule.skill}" ${when}: that skill is gone.`);
+    return;
+  }
+
+  const asks = ungranted(skill, await grantsFor(brain, threadKey));
+  if (asks.length) {
+    if (schedule.waitingForGrant) return;
+    await brain.updateSkillSchedules(threadKey, (schedules) => (schedules.some((s) => s.id === schedule.id)
+      ? schedules.map((s) => (s.id === schedule.id ? { ...s, waitingForGrant: true } : s))
+      : undefined));
+    await ctx.reply(`⏸ Skipped "${skill.name}" ${when}: it now asks for ${asks.join(', ')}, which you haven't allowed. ` +
+      'Run it yourself and reply "allow" to start it again, or "skills unschedule <#>" to stop it.');
+    return;
+  }
+
+  let output;
+  let error = null;
+  try {
+    output = await executeSkill(skill.code, schedule.args ?? schedule.message, {
+      ...config.skills,
+      host: hostFor(skill, capabilitiesFor(ctx)),
+    });
+  } catch (err) {
+    error = (err?.message || String(err)).slice(0, 200);
+  }
+
+  const failures = error ? (schedule.failures || 0) + 1 : 0;
+  const hash = error ? schedule.lastHash : digest(output);
+  let kept = false;
+  await brain.updateSkillSchedules(threadKey, (schedules) => {
+    kept = schedules.some((s) => s.id === schedule.id);
+    if (!kept) return undefined;
+    if (failures >= MAX_FAILURES) return schedules.filter((s) => s.id !== schedule.id);
+    return schedules.map((s) => {
+      if (s.id !== schedule.id) return s;
+      const { waitingForGrant: _waiting, ...rest } = s;
+      return { ...rest, lastRunAt: new Date(now).toISOString(), failures, ...(hash ? { lastHash: hash } : {}) };
+    });
+  });
+  // Unscheduled while it ran
+  if (!kept) return;
+
+  if (error) {
+    logError(`[skill-schedules] ${skill.name} failed for ${threadKey}:`, error);
+    if (failures >= MAX_FAILURES) {
+      await ctx.reply(`⏹ Stopped running "${skill.name}" ${when}: it failed ${MAX_FAILURES} times in a row (${error}).`);
+    }
+    return;
+  }
+  if (schedule.notify === 'changes' && hash === schedule.lastHash) return;
+  await ctx.reply(`⏰ ${skill.name}${schedule.notify === 'changes' ? ' (changed)' : ''}\n\n${output}`);
+}
+
+// Runs every schedule that's due. Each is claimed first by moving its
+// nextRunAt on, so an overlapping check (or another instance sharing the
+// brain) doesn't run it twice. `contextFor({ threadKey, chatId, userId })`
+// gives the context a message from that user would get, or null.
+async function runDueSchedules({ brain, config, contextFor, now = Date.now() }) {
+  const timeZone = config.skills?.timezone;
+  let ran = 0;
+  for (const { threadKey, schedules } of await brain.loadAllSkillSchedules()) {
+    if (!schedules.some((s) => Date.parse(s.nextRunAt) <= now)) continue;
+    let claimed = [];
+    await brain.updateSkillSchedules(threadKey, (current) => {
+      claimed = current.filter((s) => Date.parse(s.nextRunAt) <= now);
+      if (!claimed.length) return undefined;
+      return current.map((s) => (claimed.includes(s)
+        ? { ...s, nextRunAt: new Date(nextRun(s.spec, now, timeZone)).toISOString() }
+        : s));
+    });
+    for (const schedule of claimed) {
+      try {
+        await runSchedule({ brain, config, contextFor, threadKey, schedule, now });
+        ran++;
+      } catch (err) {
+        logError(`[skill-schedules] Running ${schedule.skill} for ${threadKey} failed:`, err?.message || err);
+      }
+    }
+  }
+  return ran;
+}
+
+function startSkillScheduler({ config, brain, contextFor }) {
+  if (!brain?.enabled || !contextFor) {
+    log('[skill-schedules] No brain, scheduler inactive');
+    return;
+  }
+  log(`[skill-schedules] Scheduler active (${config.skills.timezone})`);
+
+  let running = false;
+  async function check() {
+    if (running) return;
+    running = true;
+    try {
+      await runDueSchedules({ brain, config, contextFor });
+    } catch (err) {
+      logError('[skill-schedules] Check failed:', err?.message || err);
+    } finally {
+      running = false;
+    }
+  }
+
+  setTimeout(check, 10_000);
+  setInterval(check, CHECK_INTERVAL);
+}
+
+module.exports = {
+  MAX_SCHEDULES,
+  MIN_INTERVAL_MINUTES,
+  MAX_FAILURES,
+  parseSchedule,
+  parseTime,
+  describeSchedule,
+  nextRun,
+  formatWhen,
+  addSchedule,
+  removeSchedules,
+  runDueSchedules,
+  startSkillScheduler,
+};
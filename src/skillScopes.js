@@ -0,0 +1,136 @@
+'use strict';
+
+const { withHistory, addVersion } = require('./skillVersions');
+
+// ── Skill scopes ─────────────────────────────────────────────────
+// Learned skills live in one of three scopes:
+//
+//   personal — made by one user; only they see or run it
+//   team     — shared with everyone on a team (roles team …)
+//   global   — shared with everyone
+//
+// New skills are always personal. Sharing one wider is a request that an
+// admin (skills:approve) approves; the request carries a snapshot of the
+// code, so what gets shared is exactly what was reviewed. Each user's
+// classifier only sees their own skills, their team's and the global ones.
+
+const SCOPES = ['personal', 'team', 'global'];
+const MAX_REQUESTS = 50;
+
+// Where each scope's list lives for this user, nearest first
+function scopesFor({ threadKey, team }) {
+  return [
+    { scope: 'personal', owner: threadKey },
+    ...(team ? [{ scope: 'team', owner: team }] : []),
+    { scope: 'global' },
+  ];
+}
+
+// Skills this user may see and run, tagged with { scope, owner }. A
+// personal skill shadows a shared one with the same name, and a team skill
+// a global one.
+async function visibleSkills(brain, who) {
+  const seen = new Set();
+  const out = [];
+  for (const where of scopesFor(who)) {
+    for (const skill of await brain.loadSkills(where)) {
+      if (seen.has(skill.name)) continue;
+      seen.add(skill.name);
+      out.push({ ...skill, scope: where.scope, owner: where.owner });
+    }
+  }
+  return out;
+}
+
+function whereOf(skill) {
+  return skill.scope === 'global' ? { scope: 'global' } : { scope: skill.scope, owner: skill.owner };
+}
+
+// Stored without the scope tags visibleSkills adds
+async function saveSkillTo(brain, skill, where) {
+  const { scope: _s, owner: _o, ...stored } = skill;
+  await brain.saveSkill(stored, where);
+}
+
+function describeScope(where) {
+  if (where.scope === 'team') return `team ${where.owner}`;
+  return where.scope === 'global' ? 'everyone' : 'personal';
+}
+
+// ── Sharing requests ──
+
+// `skill` comes from visibleSkills; `to` is 'team' or 'global'
+async function requestPromotion(brain, { skill, to, team, requestedBy, now = Date.now }) {
+  if (!['team', 'global'].includes(to)) throw new Error('Skills can be shared with your team or with everyone.');
+  if (to === 'team' && !team) throw new Error('You\'re not on a team — ask an admin to add you to one.');
+  if (SCOPES.indexOf(skill.scope) >= SCOPES.indexOf(to)) {
+    throw new Error(`"${skill.name}" is already shared with ${describeScope(whereOf(skill))}.`);
+  }
+  const target = to === 'team' ? { scope: 'team', owner: team } : { scope: 'global' };
+  const request = {
+    id: now().toString(36),
+    name: skill.name,
+    from: whereOf(skill),
+    to: target,
+    skill: {
+      name: skill.name,
+      description: skill.description,
+      code: skill.code,
+      ...(skill.params ? { params: skill.params } : {}),
+      ...(skill.steps ? { steps: skill.steps } : {}),
+      ...(skill.capabilities ? { capabilities: skill.capabilities } : {}),
+    },
+    requestedBy,
+    at: new Date(now()).toISOString(),
+  };
+  await brain.updateSkillPromotions((requests) => [
+    ...requests.filter((r) => !(r.name === skill.name && r.to.scope === target.scope && r.to.owner === target.owner)),
+    request,
+  ].slice(-MAX_REQUESTS));
+  return request;
+}
+
+// Approving copies the snapshot into the wider scope and removes the
+// original, unless it has changed since the request. Its capabilities go
+// along but aren't granted to anyone: each user allows them before it
+// runs for them (see grantsFor in skillCapabilities.js).
+async function decidePromotion(brain, id, approve) {
+  let request = null;
+  await brain.updateSkillPromotions((requests) => {
+    request = requests.find((r) => r.id === id) || null;
+    return request ? requests.filter((r) => r.id !== id) : undefined;
+  });
+  if (!request || !approve) return request;
+
+  // Replacing a shared skill of the same name adds a version to it;
+  // chains have no code of their own to version
+  const shared = (await brain.loadSkills(request.to)).find((s) => s.name === request.name);
+  let promoted;
+  if (request.skill.steps) promoted = { ...request.skill, createdAt: new Date().toISOString() };
+  else if (shared) promoted = addVersion(shared, { code: request.skill.code, healed: false });
+  else promoted = withHistory({ ...request.skill, createdAt: new Date().toISOString() });
+  // Examples stay behind: they hold the requester's messages and data
+  const { params: _params, steps: _steps, capabilities: _capabilities, examples: _examples, ...rest } = promoted;
+  await brain.saveSkill({
+    ...rest,
+    description: request.skill.description,
+    ...(request.skill.params ? { params: request.skill.params } : {}),
+    ...(request.skill.steps ? { steps: request.skill.steps } : {}),
+    ...(request.skill.capabilities ? { capabilities: request.skill.capabilities } : {}),
+    sharedAt: new Date().toISOString(),
+  }, request.to);
+  const original = (await brain.loadSkills(request.from)).find((s) => s.name === request.name);
+  if (original && original.code === request.skill.code) await brain.deleteSkill(request.name, request.from);
+  return request;
+}
+
+module.exports = {
+  SCOPES,
+  scopesFor,
+  visibleSkills,
+  whereOf,
+  saveSkillTo,
+  describeScope,
+  requestPromotion,
+  decidePromotion,
+};
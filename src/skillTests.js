@@ -0,0 +1,130 @@
+'use strict';
+
+const { executeSkill, checkUrl } = require('./skillSandbox');
+
+// ── Skill regression suites ──────────────────────────────────────
+// Each skill collects examples from runs that passed verification:
+//
+//   { input, message, output, fixtures, calls?, at }
+//
+// `fixtures` are the fetches the run made and `calls` its penny.* calls
+// (skillCapabilities.js); `output` is what the skill returns when replayed
+// against them — offline, with Date fixed at `at` and a seeded Math.random —
+// so a replay is repeatable and never adds a task twice. A healed or regenerated
+// version has to reproduce every example before it's saved.
+
+const MAX_EXAMPLES = 5;
+// Examples whose recorded responses are bigger than this aren't kept
+const MAX_FIXTURE_BYTES = 32_000;
+const SEED = 1;
+
+// Collects the fetches and calls of one run, as replayable fixtures
+function fetchRecorder() {
+  const fixtures = [];
+  const calls = [];
+  let bytes = 0;
+  return {
+    fixtures,
+    calls,
+    get tooBig() { return bytes > MAX_FIXTURE_BYTES; },
+    onCall(method, args, result) {
+      const call = { method, args, result };
+      bytes += JSON.stringify(call).length;
+      if (bytes <= MAX_FIXTURE_BYTES) calls.push(call);
+    },
+    onFetch(request, response) {
+      bytes += response.body.length;
+      if (bytes > MAX_FIXTURE_BYTES) return;
+      fixtures.push({
+        method: String(request.method || 'GET').toUpperCase(),
+        url: checkUrl(request.url).href,
+        response: { ...response, body: Buffer.from(response.body).toString('base64') },
+      });
+    },
+  };
+}
+
+const inputKey = (input) => JSON.stringify(input);
+
+function hasExample(skill, input) {
+  return (skill.examples || []).some((e) => inputKey(e.input) === inputKey(input));
+}
+
+async function replay(code, example, sandbox = {}) {
+  try {
+    const output = await executeSkill(code, example.input, {
+      ...sandbox,
+      fixtures: example.fixtures || [],
+      calls: example.calls || [],
+      clock: Date.parse(example.at),
+      seed: SEED,
+    });
+    return output === example.output
+      ? { ok: true, output }
+      : { ok: false, output, error: 'output changed' };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err).slice(0, 300) };
+  }
+}
+
+// An example from a run that was just accepted, or null if its fetches are
+// too big to keep or it doesn't replay cleanly
+async function captureExample(code, { input, message, recorder, at }, sandbox = {}) {
+  if (recorder.tooBig) return null;
+  const example = {
+    input,
+    message: String(message).slice(0, 300),
+    fixtures: recorder.fixtures,
+    ...(recorder.calls.length ? { calls: recorder.calls } : {}),
+    at: new Date(at).toISOString(),
+  };
+  try {
+    example.output = await executeSkill(code, input, { ...sandbox, fixtures: example.fixtures, calls: example.calls, clock: at, seed: SEED });
+  } catch {
+    return null;
+  }
+  return example;
+}
+
+// Newest examples win; one per distinct input
+function addExample(skill, example) {
+  const kept = (skill.examples || []).filter((e) => inputKey(e.input) !== inputKey(example.input));
+  return { ...skill, examples: [...kept, example].slice(-MAX_EXAMPLES) };
+}
+
+// Replays every example against `code`: [{ index, example, ok, output, error }]
+async function runSuite(examples, code, sandbox = {}) {
+  const results = [];
+  for (const [index, example] of (examples || []).entries()) {
+    results.push({ index, example, ...(await replay(code, example, sandbox)) });
+  }
+  return results;
+}
+
+function describeResult({ index, example, ok, output, error }) {
+  const label = `${index + 1}. ${example.message || inputKey(example.input)}`.slice(0, 120);
+  if (ok) return `✅ ${label}`;
+  const detail = error === 'output changed'
+    ? `expected: ${example.output.slice(0, 200)}\n   got: ${String(output).slice(0, 200)}`
+    : error;
+  return `❌ ${label}\n   ${detail}`;
+}
+
+// The heal feedback when a new version breaks earlier examples
+function describeRegressions(failed) {
+  return `Regression: the new code breaks ${failed.length} earlier example(s) that used to pass.\n` +
+    failed.slice(0, 3).map((r) => `Input: ${inputKey(r.example.input).slice(0, 200)}\nExpected: ${r.example.output.slice(0, 300)}\n` +
+      (r.error === 'output changed' ? `Got: ${String(r.output).slice(0, 300)}` : `Error: ${r.error}`)).join('\n\n');
+}
+
+module.exports = {
+  MAX_EXAMPLES,
+  MAX_FIXTURE_BYTES,
+  fetchRecorder,
+  hasExample,
+  captureExample,
+  addExample,
+  runSuite,
+  describeResult,
+  describeRegressions,
+};
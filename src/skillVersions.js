@@ -0,0 +1,150 @@
+'use strict';
+
+// ── Skill versions ───────────────────────────────────────────────
+// Every stored skill keeps its recent versions:
+//
+//   { version, code, diagnosis?, parent?, createdAt, healedAt?,
+//     successCount, failureCount }
+//
+// `skill.version` is the one that runs and `skill.code` is always its code.
+// A heal adds a version instead of overwriting the code, so a bad heal can
+// be rolled back — by hand ("skills rollback") or automatically once the
+// new version fails more often than the one it replaced.
+
+const MAX_VERSIONS = 10;
+// Runs a version needs before its failure rate counts against it
+const MIN_RUNS = 3;
+
+function nowIso(now) {
+  return new Date(now()).toISOString();
+}
+
+// The skill with a history, starting one from its current code if it
+// has none yet
+function withHistory(skill, { now = Date.now } = {}) {
+  if (Array.isArray(skill.versions) && skill.versions.length) return skill;
+  return {
+    ...skill,
+    version: 1,
+    versions: [{
+      version: 1,
+      code: skill.code,
+      createdAt: skill.createdAt || nowIso(now),
+      ...(skill.healedAt ? { healedAt: skill.healedAt } : {}),
+      successCount: skill.successCount || 0,
+      failureCount: 0,
+    }],
+  };
+}
+
+function findVersion(skill, version) {
+  return (skill.versions || []).find((v) => v.version === version) || null;
+}
+
+function currentVersion(skill) {
+  return findVersion(skill, skill.version) || null;
+}
+
+// Older versions beyond MAX_VERSIONS go, but never the new one or the one
+// it replaced, so it can always be rolled back
+function trim(versions, keep) {
+  const out = [...versions];
+  while (out.length > MAX_VERSIONS) {
+    const idx = out.findIndex((v) => !keep.includes(v.version));
+    out.splice(idx, 1);
+  }
+  return out;
+}
+
+// A new version of `skill` running `code`, e.g. after a heal
+function addVersion(skill, { code, diagnosis, healed = true, now = Date.now }) {
+  const { rolledBackAt: _at, rolledBackFrom: _from, ...base } = withHistory(skill, { now });
+  const version = Math.max(...base.versions.map((v) => v.version)) + 1;
+  const at = nowIso(now);
+  const entry = {
+    version,
+    code,
+    ...(diagnosis ? { diagnosis: String(diagnosis).slice(0, 500) } : {}),
+    parent: base.version,
+    createdAt: at,
+    ...(healed ? { healedAt: at } : {}),
+    successCount: 0,
+    failureCount: 0,
+  };
+  return {
+    ...base,
+    code,
+    version,
+    versions: trim([...base.versions, entry], [version, base.version]),
+    ...(healed ? { healedAt: at } : {}),
+  };
+}
+
+// Counts one run against the version in use
+function recordRun(skill, ok, { now = Date.now } = {}) {
+  const base = withHistory(skill, { now });
+  const versions = base.versions.map((v) => (v.version !== base.version ? v : {
+    ...v,
+    ...(ok ? { successCount: (v.successCount || 0) + 1 } : { failureCount: (v.failureCount || 0) + 1 }),
+  }));
+  return {
+    ...base,
+    versions,
+    lastUsedAt: nowIso(now),
+    ...(ok ? { successCount: (base.successCount || 0) + 1 } : {}),
+  };
+}
+
+function failureRate(v) {
+  const runs = (v.successCount || 0) + (v.failureCount || 0);
+  return runs ? (v.failureCount || 0) / runs : 0;
+}
+
+// Switches back to an earlier version; throws if there's no such version
+function rollbackTo(skill, version, { now = Date.now } = {}) {
+  const base = withHistory(skill, { now });
+  const target = findVersion(base, version);
+  if (!target) {
+    throw new Error(`"${base.name}" has no version ${version} (it has ${base.versions.map((v) => `v${v.version}`).join(', ')}).`);
+  }
+  if (target.version === base.version) throw new Error(`"${base.name}" is already on v${version}.`);
+  return { ...base, code: target.code, version: target.version, rolledBackAt: nowIso(now), rolledBackFrom: base.version };
+}
+
+// The skill rolled back to the version this one replaced, if this one has
+// had enough runs and fails more often; null otherwise
+function autoRollback(skill, { now = Date.now } = {}) {
+  const current = currentVersion(skill);
+  const parent = current?.parent && findVersion(skill, current.parent);
+  if (!parent) return null;
+  if ((current.successCount || 0) + (current.failureCount || 0) < MIN_RUNS) return null;
+  if (failureRate(current) <= failureRate(parent)) return null;
+  return rollbackTo(skill, parent.version, { now });
+}
+
+// One line per version, newest first, for "skills history"
+function describeHistory(skill) {
+  const base = withHistory(skill);
+  return [...base.versions].reverse().map((v) => {
+    const runs = (v.successCount || 0) + (v.failureCount || 0);
+    const stats = runs ? `${v.successCount || 0} ok / ${v.failureCount || 0} failed` : 'not run yet';
+    const what = v.healedAt ? `healed ${v.healedAt.slice(0, 10)}` : `created ${v.createdAt.slice(0, 10)}`;
+    const lines = [`${v.version === base.version ? '▶' : '•'} v${v.version} — ${what}, ${stats}`];
+    if (v.diagnosis) lines.push(`   ${v.diagnosis}`);
+    return lines.join('\n');
+  }).join('\n');
+}
+
+module.exports = {
+  MAX_VERSIONS,
+  MIN_RUNS,
+  withHistory,
+  findVersion,
+  currentVersion,
+  addVersion,
+  recordRun,
+  failureRate,
+  rollbackTo,
+  autoRollback,
+  describeHistory,
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+const vm = require('vm');
+const { parentPort, workerData } = require('worker_threads');
+
+// ── Skill worker ─────────────────────────────────────────────────
+// Runs one skill (see skillSandbox.js) and posts back its result. Anything
+// the skill could reach through a host object's constructor is this realm,
+// so its process, require and network globals go before the skill runs.
+
+const post = (msg) => parentPort.postMessage(msg);
+const waiting = new Map();
+let nextId = 0;
+
+parentPort.on('message', (msg) => {
+  const pending = waiting.get(msg?.id);
+  if (!pending) return;
+  waiting.delete(msg.id);
+  if (msg.error) pending.reject(new Error(msg.error));
+  else pending.resolve(msg);
+});
+
+function relay(msg) {
+  return new Promise((resolve, reject) => {
+    const id = ++nextId;
+    waiting.set(id, { resolve, reject });
+    post({ ...msg, id });
+  });
+}
+
+function toResponse({ url, status, statusText, headers, body }) {
+  const buf = Buffer.from(body);
+  return {
+    url,
+    status,
+    statusText,
+    ok: status >= 200 && status < 300,
+    headers: {
+      get: (name) => headers[String(name).toLowerCase()] ?? null,
+      has: (name) => String(name).toLowerCase() in headers,
+    },
+    text: async () => buf.toString('utf8'),
+    json: async () => JSON.parse(buf.toString('utf8')),
+    arrayBuffer: async () => buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength),
+  };
+}
+
+// Relayed to the parent, which decides whether the request may go out
+function sandboxFetch(url, init = {}) {
+  const headers = {};
+  for (const [k, v] of Object.entries(init?.headers || {})) headers[k] = String(v);
+  const request = {
+    url: String(url),
+    method: init?.method ? String(init.method) : 'GET',
+    headers,
+    body: init?.body === undefined || init?.body === null ? undefined : String(init.body),
+  };
+  return relay({ type: 'fetch', request }).then((msg) => toResponse(msg.response));
+}
+
+const { code, input, timeout, maxOutput, clock, seed, methods } = workerData;
+
+for (const name of [
+  'process', 'require', 'module', 'fetch', 'Request', 'Response', 'Headers', 'FormData', 'WebSocket', 'EventSource',
+  'BroadcastChannel', 'MessageChannel', 'MessagePort', 'Worker', 'SharedArrayBuffer', 'Atomics', 'WebAssembly', 'navigator',
+]) delete globalThis[name];
+
+const context = vm.createContext(Object.create(null), {
+  name: 'skill',
+  codeGeneration: { strings: false, wasm: false },
+});
+Object.assign(context, {
+  fetch: sandboxFetch,
+  Buffer,
+  URL,
+  URLSearchParams,
+  TextEncoder,
+  TextDecoder,
+  atob,
+  btoa,
+  setTimeout: (fn, ms, ...args) => { setTimeout(fn, ms, ...args); },
+});
+vm.runInContext('this.console = { log() {}, info() {}, warn() {}, error() {} };', context);
+// Parsed by the context's own JSON so args are plain objects of its realm
+const parse = vm.runInContext('JSON.parse', context);
+context.input = parse(input);
+
+// penny.tasks.add(…) and the like, for the capabilities the skill was
+// granted; each call is relayed to the parent
+if (methods.length) {
+  const penny = {};
+  for (const method of methods) {
+    const path = method.split('.');
+    let node = penny;
+    for (const part of path.slice(0, -1)) node = node[part] = node[part] || {};
+    node[path[path.length - 1]] = (...args) => relay({ type: 'call', method, args: JSON.stringify(args) })
+      .then((msg) => parse(msg.result));
+  }
+  context.penny = penny;
+}
+
+// Replays run at the recorded moment with a repeatable Math.random
+if (clock !== undefined) {
+  vm.runInContext(`(() => {
+    const RealDate = Date;
+    const now = ${Number(clock)};
+    function FixedDate(...args) {
+      if (!new.target) return new RealDate(now).toString();
+      return new RealDate(...(args.length ? args : [now]));
+    }
+    FixedDate.prototype = RealDate.prototype;
+    FixedDate.now = () => now;
+    FixedDate.parse = RealDate.parse;
+    FixedDate.UTC = RealDate.UTC;
+    this.Date = FixedDate;
+  })()`, context);
+}
+if (seed !== undefined) {
+  vm.runInContext(`(() => {
+    let s = ${Number(seed) >>> 0};
+    Math.random = () => {
+      s = (s + 0x6d2b79f5) >>> 0;
+      let t = Math.imul(s ^ (s >>> 15), 1 | s);
+      t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  })()`, context);
+}
+
+(async () => {
+  try {
+    const result = await new vm.Script(code, { filename: 'skill.js' }).runInContext(context, { timeout });
+    post({ type: 'done', result: String(result ?? '(no result)').slice(0, maxOutput) });
+  } catch (err) {
+    post({ type: 'error', message: String(err?.message ?? err) });
+  }
+})();
@@ -1,86 +1,199 @@
 'use strict';
 
-const vm = require('vm');
+const { LLMOutputError } = require('./clients/llm');
+const { visibleSkills, whereOf, saveSkillTo } = require('./skillScopes');
+const { executeSkill } = require('./skillSandbox');
+const { withHistory, currentVersion, addVersion, recordRun, autoRollback } = require('./skillVersions');
+const { PARAMS_SCHEMA, hasParams, normalizeParams, describeParams, argsSchema, coerceArgs } = require('./skillParams');
+const { fetchRecorder, hasExample, captureExample, addExample, runSuite, describeRegressions } = require('./skillTests');
+const { isChain, actionCapabilities, describeChain, planChain, runChain } = require('./skillChains');
+const { CAPABILITIES, requestedCapabilities, grantsFor, grantCapabilities, grantRequest, ungranted, describeUsage, describeCapabilities, hostFor } = require('./skillCapabilities');
 
 const MAX_HEAL_ATTEMPTS = 3;
-const EXEC_TIMEOUT = 15_000;
-const MAX_OUTPUT = 4000;
+
+// ── Output schemas ──────────────────────────────────────────────
+
+const CLASSIFY_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['skill', 'generate', 'chain', 'chat'] },
+    skillName: { type: 'string' },
+    args: { type: 'object' },
+    taskDescription: { type: 'string' },
+  },
+  required: ['type'],
+};
+
+const SKILL_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    code: { type: 'string', minLength: 1 },
+    params: PARAMS_SCHEMA,
+    args: { type: 'object' },
+    capabilities: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['name', 'description', 'code'],
+};
+
+const VERIFY_SCHEMA = {
+  type: 'object',
+  properties: {
+    pass: { type: 'boolean' },
+    reason: { type: 'string' },
+  },
+  required: ['pass'],
+};
+
+const HEAL_SCHEMA = {
+  type: 'object',
+  properties: {
+    diagnosis: { type: 'string' },
+    name: SKILL_SCHEMA.properties.name,
+    description: SKILL_SCHEMA.properties.description,
+    code: SKILL_SCHEMA.properties.code,
+  },
+  required: ['diagnosis', 'code'],
+};
 
 // ── Classification ──────────────────────────────────────────────
 // Decide if a message needs a skill (actionable code) or just chat.
 
-async function classifyRequest(anthropic, model, message, existingSkills) {
+async function classifyRequest(llm, message, existingSkills) {
   const skillList = existingSkills.length
-    ? `\nExisting skills:\n${existingSkills.map(s => `- "${s.name}": ${s.description}`).join('\n')}`
+    ? `\nExisting skills:\n${existingSkills.map(s => `- "${s.name}": ${s.description}${hasParams(s) ? ` (${describeParams(s.params)})` : ''}`).join('\n')}`
     : '';
 
-  const resp = await anthropic.messages.create({
-    model,
-    max_tokens: 300,
-    system:
-      'You classify user messages for a Telegram bot. ' +
-      'Decide if the message is an ACTIONABLE task that requires running code ' +
-      '(math, conversions, data processing, lookups, text generation, formatting, analysis, etc.) ' +
-      'or a CHAT question that can be answered conversationally (greetings, opinions, explanations, how-to advice). ' +
-      'If an existing skill matches the request, prefer reusing it. ' +
-      'Return ONLY valid JSON:\n' +
-      '• {"type": "skill", "skillName": "name"} — reuse an existing skill\n' +
-      '• {"type": "generate", "taskDescription": "what the code should do"} — needs a new skill\n' +
-      '• {"type": "chat"} — just conversation' +
-      skillList,
-    messages: [{ role: 'user', content: message }],
-  });
-
-  const raw = resp.content?.find(c => c.type === 'text')?.text?.trim() || '';
   try {
-    return JSON.parse(raw);
-  } catch {
+    return await llm.json({
+      name: 'classify_request',
+      schema: CLASSIFY_SCHEMA,
+      maxTokens: 300,
+      system:
+        'You classify user messages for a Telegram bot. ' +
+        'Decide if the message is an ACTIONABLE task that requires running code ' +
+        '(math, conversions, data processing, lookups, text generation, formatting, analysis, etc.) ' +
+        'or a CHAT question that can be answered conversationally (greetings, opinions, explanations, how-to advice). ' +
+        'If an existing skill matches the request, prefer reusing it. ' +
+        'Return ONLY valid JSON:\n' +
+        '• {"type": "skill", "skillName": "name", "args": {...}} — reuse an existing skill; ' +
+        'if it lists parameters, fill "args" with their values from the message (numbers as numbers, dates as YYYY-MM-DD)\n' +
+        '• {"type": "generate", "taskDescription": "what the code should do"} — needs a new skill\n' +
+        '• {"type": "chain"} — needs several steps in order, e.g. a calculation and then adding a task or calendar event with the result\n' +
+        '• {"type": "chat"} — just conversation' +
+        skillList,
+      messages: [{ role: 'user', content: message }],
+    });
+  } catch (err) {
+    if (!(err instanceof LLMOutputError)) throw err;
     return { type: 'chat' };
   }
 }
 
+// ── Arguments ───────────────────────────────────────────────────
+// Typed args for a skill that declares params (see skillParams.js). The
+// classifier or generator usually supplies them; if what they gave doesn't
+// fit, one extraction call tries again.
+
+async function extractArgs(llm, skill, message) {
+  try {
+    return await llm.json({
+      name: 'extract_args',
+      schema: argsSchema(skill.params),
+      maxTokens: 300,
+      system:
+        `Extract the arguments for the skill "${skill.name}" (${skill.description || 'no description'}) from the user's message. ` +
+        `Parameters:\n${skill.params.map(p => `- ${p.name} (${p.type}${p.required ? ', required' : ''}): ${p.description}`).join('\n')}\n` +
+        'Numbers as numbers, dates as YYYY-MM-DD, lists as arrays. Leave out anything the message doesn\'t say. ' +
+        'Return ONLY valid JSON with those keys.',
+      messages: [{ role: 'user', content: message }],
+    });
+  } catch (err) {
+    if (!(err instanceof LLMOutputError)) throw err;
+    return {};
+  }
+}
+
+// { args, missing }: missing lists required params nothing supplied
+async function resolveArgs(llm, skill, message, suggested) {
+  const first = coerceArgs(skill.params, suggested);
+  if (!first.missing.length) return first;
+  const extracted = coerceArgs(skill.params, { ...suggested, ...(await extractArgs(llm, skill, message)) });
+  return extracted.missing.length <= first.missing.length ? extracted : first;
+}
+
+function askForArgs(skill, missing) {
+  const lines = missing.map(p => `• ${p.name}${p.description ? ` — ${p.description}` : ''}`);
+  return `To run "${skill.name}" I still need:\n${lines.join('\n')}`;
+}
+
 // ── Skill generation ────────────────────────────────────────────
 // Generate a JS function to accomplish a task. Includes error memory
 // from previous failed attempts so Claude doesn't repeat mistakes.
 
-async function generateSkill(anthropic, model, { userMessage, taskDescription, failedAttempts }) {
+async function generateSkill(llm, { userMessage, taskDescription, failedAttempts, memories, conversation, capabilities = {} }) {
   const errorContext = failedAttempts?.length
     ? '\n\nPrevious attempts that FAILED (do NOT repeat these mistakes):\n' +
       failedAttempts.map((a, i) =>
         `Attempt ${i + 1}:\nCode: ${a.code?.slice(0, 500)}\nError: ${a.error}`
       ).join('\n\n')
     : '';
+  const offered = Object.fromEntries(Object.entries(capabilities).filter(([, c]) => c.available !== false));
+  const capabilityContext = Object.keys(offered).length
+    ? '\n\nIf the task needs them, the code can also call these through the `penny` global (all return promises). ' +
+      'List the ones it uses as "capabilities": ["tasks.add", …]; the user is asked to allow them before it runs:\n' +
+      describeUsage(offered)
+    : '';
 
-  const resp = await anthropic.messages.create({
-    model,
-    max_tokens: 2000,
-    system:
-      'You generate small JavaScript functions for a Telegram bot. ' +
-      'The function runs in a sandboxed VM with these globals: ' +
-      'fetch, Date, Math, JSON, parseInt, parseFloat, Number, String, Array, Object, ' +
-      'RegExp, Map, Set, Promise, encodeURIComponent, decodeURIComponent, ' +
-      'Buffer, URL, URLSearchParams, TextEncoder, TextDecoder, atob, btoa, setTimeout. ' +
-      'NO require, NO fs, NO process, NO eval, NO import. ' +
-      'Return ONLY valid JSON:\n' +
-      '{\n' +
-      '  "name": "short_snake_case_name",\n' +
-      '  "description": "one-line description",\n' +
-      '  "code": "async function run(input) { ... return \\"result string\\"; }"\n' +
-      '}\n' +
-      'The `run` function receives the user\'s full message as `input` (string) and MUST return a string. ' +
-      'Keep it under 60 lines. Handle errors with try/catch. ' +
-      'Do NOT wrap code in markdown. The code must be valid JS that executes directly.' +
-      errorContext,
-    messages: [{ role: 'user', content: `User message: ${userMessage}\n\nTask: ${taskDescription}` }],
-  });
-
-  const raw = resp.content?.find(c => c.type === 'text')?.text?.trim() || '';
   try {
-    const skill = JSON.parse(raw);
-    if (!skill.name || !skill.code) return null;
+    const skill = await llm.json({
+      name: 'write_skill',
+      schema: SKILL_SCHEMA,
+      maxTokens: 2000,
+      system:
+        'You generate small JavaScript functions for a Telegram bot. ' +
+        'The function runs in a sandboxed VM with these globals: ' +
+        'fetch, Date, Math, JSON, parseInt, parseFloat, Number, String, Array, Object, ' +
+        'RegExp, Map, Set, Promise, encodeURIComponent, decodeURIComponent, ' +
+        'Buffer, URL, URLSearchParams, TextEncoder, TextDecoder, atob, btoa, setTimeout. ' +
+        'NO require, NO fs, NO process, NO eval, NO import. ' +
+        'fetch only reaches public http(s) hosts and returns { ok, status, headers.get, text(), json(), arrayBuffer() }. ' +
+        'Return ONLY valid JSON:\n' +
+        '{\n' +
+        '  "name": "short_snake_case_name",\n' +
+        '  "description": "one-line description",\n' +
+        '  "params": [{"name": "amount", "type": "number", "description": "what it is", "required": true}],\n' +
+        '  "args": {"amount": 12.5},\n' +
+        '  "code": "async function run(args) { ... return \\"result string\\"; }"\n' +
+        '}\n' +
+        '`params` declares what the skill needs from a request, so it works however the request is phrased ' +
+        '(types: string, number, integer, boolean, date as YYYY-MM-DD, list of strings). ' +
+        'Make the skill general: values like amounts, places and names are params, not constants. ' +
+        '`args` holds their values for this message. ' +
+        'The `run` function receives one object, `args`, with those typed values, and MUST return a string. ' +
+        'Keep it under 60 lines. Handle errors with try/catch. ' +
+        'Do NOT wrap code in markdown. The code must be valid JS that executes directly.' +
+        capabilityContext +
+        errorContext,
+      messages: [{
+        role: 'user',
+        content: [
+          `User message: ${userMessage}`,
+          `Task: ${taskDescription}`,
+          memories ? `${memories}\n(Use these only if the task needs them.)` : '',
+          conversation ? `${conversation}\n(Context only — the task above is what to implement.)` : '',
+        ].filter(Boolean).join('\n\n'),
+      }],
+    });
     skill.description = skill.description || taskDescription;
+    skill.params = normalizeParams(skill.params);
+    if (!skill.params) delete skill.params;
+    skill.capabilities = requestedCapabilities(skill.capabilities, offered);
+    if (!skill.capabilities.length) delete skill.capabilities;
     return skill;
-  } catch {
+  } catch (err) {
+    if (!(err instanceof LLMOutputError)) throw err;
     return null;
   }
 }
@@ -88,11 +201,12 @@ async function generateSkill(anthropic, model, { userMessage, taskDescription, f
 // ── Reflexion: self-verify output ───────────────────────────────
 // Ask Claude to check if the skill's output actually answers the request.
 
-async function verifyOutput(anthropic, model, { userMessage, output }) {
+async function verifyOutput(llm, { userMessage, output }) {
   try {
-    const resp = await anthropic.messages.create({
-      model,
-      max_tokens: 200,
+    return await llm.json({
+      name: 'verify_output',
+      schema: VERIFY_SCHEMA,
+      maxTokens: 200,
       system:
         'You verify if a tool output correctly answers a user request. ' +
         'Return ONLY valid JSON: {"pass": true} or {"pass": false, "reason": "why it failed"}',
@@ -101,8 +215,6 @@ async function verifyOutput(anthropic, model, { userMessage, output }) {
         content: `User asked: ${userMessage}\n\nTool returned: ${output.slice(0, 1500)}`,
       }],
     });
-    const raw = resp.content?.find(c => c.type === 'text')?.text?.trim() || '';
-    return JSON.parse(raw);
   } catch {
     return { pass: true }; // if verification itself fails, don't block
   }
@@ -111,83 +223,165 @@ async function verifyOutput(anthropic, model, { userMessage, output }) {
 // ── Heal: diagnose and fix a failed skill ───────────────────────
 // Feed the error back to Claude and get a corrected version.
 
-async function healSkill(anthropic, model, { skill, error, userMessage, failedAttempts }) {
-  const resp = await anthropic.messages.create({
-    model,
-    max_tokens: 2000,
-    system:
-      'A JavaScript skill function failed. Diagnose the error and return a FIXED version. ' +
-      'The function runs in a sandboxed VM with these globals: ' +
-      'fetch, Date, Math, JSON, parseInt, parseFloat, Number, String, Array, Object, ' +
-      'RegExp, Map, Set, Promise, encodeURIComponent, decodeURIComponent, ' +
-      'Buffer, URL, URLSearchParams, TextEncoder, TextDecoder, atob, btoa, setTimeout. ' +
-      'NO require, NO fs, NO process, NO eval, NO import. ' +
-      'Return ONLY valid JSON:\n' +
-      '{\n' +
-      '  "diagnosis": "what went wrong",\n' +
-      '  "name": "same_or_updated_name",\n' +
-      '  "description": "same_or_updated_description",\n' +
-      '  "code": "async function run(input) { ... return \\"result\\"; }"\n' +
-      '}',
-    messages: [{
-      role: 'user',
-      content:
-        `User message: ${userMessage}\n\n` +
-        `Failed code:\n${skill.code.slice(0, 1500)}\n\n` +
-        `Error: ${error}\n\n` +
-        (failedAttempts?.length > 1
-          ? `Previous failed attempts: ${failedAttempts.length}. Do something fundamentally different.\n`
-          : ''),
-    }],
-  });
-
-  const raw = resp.content?.find(c => c.type === 'text')?.text?.trim() || '';
+async function healSkill(llm, { skill, error, userMessage, failedAttempts, args }) {
+  const signature = hasParams(skill)
+    ? `Parameters: ${describeParams(skill.params) || '(none)'}\nArguments this run: ${JSON.stringify(args ?? {})}\n` +
+      'Keep the `run(args)` signature and these parameters.\n\n'
+    : '';
+  const grants = skill.capabilities?.length
+    ? `It may also use the \`penny\` global: ${skill.capabilities.map(name => CAPABILITIES[name]?.usage).filter(Boolean).join('; ')}\n\n`
+    : '';
   try {
-    const fix = JSON.parse(raw);
-    if (!fix.code) return null;
+    const fix = await llm.json({
+      name: 'fix_skill',
+      schema: HEAL_SCHEMA,
+      maxTokens: 2000,
+      system:
+        'A JavaScript skill function failed. Diagnose the error and return a FIXED version. ' +
+        'The function runs in a sandboxed VM with these globals: ' +
+        'fetch, Date, Math, JSON, parseInt, parseFloat, Number, String, Array, Object, ' +
+        'RegExp, Map, Set, Promise, encodeURIComponent, decodeURIComponent, ' +
+        'Buffer, URL, URLSearchParams, TextEncoder, TextDecoder, atob, btoa, setTimeout. ' +
+        'NO require, NO fs, NO process, NO eval, NO import. ' +
+        'fetch only reaches public http(s) hosts and returns { ok, status, headers.get, text(), json(), arrayBuffer() }. ' +
+        'Return ONLY valid JSON:\n' +
+        '{\n' +
+        '  "diagnosis": "what went wrong",\n' +
+        '  "name": "same_or_updated_name",\n' +
+        '  "description": "same_or_updated_description",\n' +
+        '  "code": "async function run(args) { ... return \\"result\\"; }"\n' +
+        '}',
+      messages: [{
+        role: 'user',
+        content:
+          `User message: ${userMessage}\n\n` +
+          signature +
+          grants +
+          `Failed code:\n${skill.code.slice(0, 1500)}\n\n` +
+          `Error: ${error}\n\n` +
+          (failedAttempts?.length > 1
+            ? `Previous failed attempts: ${failedAttempts.length}. Do something fundamentally different.\n`
+            : ''),
+      }],
+    });
     return {
       name: fix.name || skill.name,
       description: fix.description || skill.description,
       code: fix.code,
       diagnosis: fix.diagnosis,
     };
-  } catch {
+  } catch (err) {
+    if (!(err instanceof LLMOutputError)) throw err;
     return null;
   }
 }
 
-// ── Sandboxed execution ─────────────────────────────────────────
-
-function executeSkill(code, input, { timeout = EXEC_TIMEOUT } = {}) {
-  const sandbox = {
-    fetch: globalThis.fetch,
-    Date, Math, JSON,
-    parseInt, parseFloat, Number, String, Array, Object,
-    RegExp, Map, Set, Promise,
-    encodeURIComponent, decodeURIComponent,
-    Buffer, URL, URLSearchParams,
-    TextEncoder: globalThis.TextEncoder,
-    TextDecoder: globalThis.TextDecoder,
-    atob: globalThis.atob,
-    btoa: globalThis.btoa,
-    setTimeout: globalThis.setTimeout,
-    console: { log: () => {}, error: () => {}, warn: () => {} },
-  };
+// ── Chains ──────────────────────────────────────────────────────
+// Requests that take several steps run as a chain of skills and built-in
+// actions (see skillChains.js), saved as a personal skill once it works.
+// Steps run as they are: a failing skill is healed when it's used on its
+// own, not in the middle of a chain that may already have added a task.
+
+function freeName(name, skills) {
+  let candidate = name;
+  for (let i = 2; skills.some(s => s.name === candidate); i++) candidate = `${name}_${i}`;
+  return candidate;
+}
 
-  const wrapped = `
-    ${code}
-    (async () => {
-      const result = await run(input);
-      return String(result ?? '(no result)');
-    })();
-  `;
+// What the chain's steps ask for that this user hasn't allowed:
+// { [skill name]: grantRequest(skill, [capability, …]) }. Its actions'
+// capabilities are asked for under the chain's own name, for its steps as
+// they are now.
+function chainAsks(chain, skills, grants) {
+  const asks = {};
+  const own = { name: chain.name, code: describeChain(chain.steps), capabilities: actionCapabilities(chain) };
+  const missing = ungranted(own, grants);
+  if (missing.length) asks[chain.name] = grantRequest(own, missing);
+  for (const step of chain.steps) {
+    const skill = step.skill && skills.find((s) => s.name === step.skill && !isChain(s));
+    const missing = skill ? ungranted(skill, grants) : [];
+    if (missing.length) asks[skill.name] = grantRequest(skill, missing);
+  }
+  return asks;
+}
 
-  const context = vm.createContext({ ...sandbox, input });
-  const script = new vm.Script(wrapped, { timeout });
+async function runChainSkill({ llm, brain, chain, suggestedArgs, userMessage, skills, actions, capabilities, sandbox, threadKey, reused }) {
+  const asks = chainAsks(chain, skills, await grantsFor(brain, threadKey));
+  if (Object.keys(asks).length) return holdForApproval({ brain, threadKey, skill: chain, suggestedArgs, userMessage, asks, reused });
 
-  // runInContext returns a promise for async code
-  return Promise.resolve(script.runInContext(context, { timeout }))
-    .then(r => String(r ?? '(no result)').slice(0, MAX_OUTPUT));
+  const resolved = await resolveArgs(llm, chain, userMessage, suggestedArgs);
+  if (resolved.missing.length) {
+    return { result: askForArgs(chain, resolved.missing), skill: chain, reused, healed: false, missing: resolved.missing, saved: false };
+  }
+  const run = await runChain(chain, { args: resolved.args, message: userMessage, skills, actions, capabilities, sandbox });
+  const result = `🔗 ${chain.name}\n${run.report}`;
+  if (!run.ok) {
+    await brain.recordSkillError(chain.name, run.error);
+    return { result, skill: chain, reused, healed: false, saved: false };
+  }
+  const now = new Date().toISOString();
+  const saved = {
+    ...chain,
+    code: describeChain(chain.steps),
+    createdAt: chain.createdAt || now,
+    lastUsedAt: now,
+    successCount: (chain.successCount || 0) + 1,
+  };
+  await saveSkillTo(brain, saved, reused ? whereOf(chain) : { scope: 'personal', owner: threadKey });
+  return { result, skill: saved, reused, healed: false };
+}
+
+async function composeChain({ llm, brain, userMessage, skills, actions, capabilities, sandbox, threadKey, conversation }) {
+  const plan = await planChain(llm, { userMessage, skills, actions, conversation });
+  if (!plan) return null;
+  if (plan.missing) {
+    return {
+      result: `🔗 I can't do all of that yet — I'd need ${plan.missing}. Ask me for that on its own first so I learn it, then try again.`,
+      skill: null,
+      reused: false,
+      healed: false,
+      saved: false,
+    };
+  }
+  const chain = { ...plan.chain, name: freeName(plan.chain.name, skills) };
+  return runChainSkill({ llm, brain, chain, suggestedArgs: plan.args, userMessage, skills, actions, capabilities, sandbox, threadKey, reused: false });
+}
+
+// ── Capability approval ─────────────────────────────────────────
+// A skill that asks for capabilities (see skillCapabilities.js) this user
+// hasn't allowed isn't run for them until they do — new, reused, shared
+// or in a chain — and neither is a chain whose built-in actions need them.
+// It waits in the thread as pendingSkill, with `grants` ({ [skill name]:
+// grantRequest(skill, [capability, …]) }) for what allowing it grants;
+// runApprovedSkill picks it up from there. A stored skill waits as a
+// reference and runs as it's stored when it's allowed.
+
+async function holdForApproval({ brain, threadKey, skill, suggestedArgs, userMessage, asks, reused = false }) {
+  const id = Date.now().toString(36);
+  const held = reused ? { name: skill.name } : skill;
+  await brain.saveThread(threadKey, {
+    pendingSkill: {
+      id,
+      createdAt: new Date().toISOString(),
+      skill: held,
+      grants: asks,
+      ...(reused ? { reused: true } : {}),
+      ...(suggestedArgs ? { args: suggestedArgs } : {}),
+      message: userMessage.slice(0, 2000),
+    },
+  });
+  const capabilities = [...new Set(Object.values(asks).flatMap((ask) => ask.capabilities))];
+  const lead = reused || isChain(skill)
+    ? `🔑 "${skill.name}" needs your OK before it runs for you. It can:`
+    : `🔑 To do this I'd write a skill, "${skill.name}", that can:`;
+  return {
+    result: `${lead}\n${describeCapabilities(capabilities)}\n\nAllow it? Reply "allow" or "deny".`,
+    skill,
+    reused,
+    healed: false,
+    saved: false,
+    approval: { id, capabilities },
+  };
 }
 
 // ── Full pipeline with self-healing loop ────────────────────────
@@ -195,20 +389,36 @@ function executeSkill(code, input, { timeout = EXEC_TIMEOUT } = {}) {
 // Flow (Voyager/Reflexion-inspired):
 //
 //   1. Classify: is this a skill request or just chat?
-//   2. Match: does an existing skill handle this?
+//   2. Match: does an existing skill handle this? (Requests needing
+//      several steps go to the chain planner instead)
 //   3. Generate: create a new skill if needed
-//   4. Execute: run in VM sandbox
+//   4. Execute: run in a sandboxed worker
 //   5. Verify: does the output make sense? (Reflexion)
 //   6. Heal loop: if execute/verify fails, feed error to Claude,
 //      get fixed code, retry (up to MAX_HEAL_ATTEMPTS)
-//   7. Persist: save working skills to brain for reuse
+//   7. Persist: save working skills to brain for reuse — a heal adds a
+//      version rather than replacing the code
 //   8. Error memory: track failed code so heal doesn't repeat mistakes
+//
+// Accepted runs become examples — input, recorded fetches, output — and a
+// new version is only saved if it still reproduces them.
+//
+// A reused skill's runs are counted per version; once a healed version
+// fails more often than the one it replaced, it's rolled back.
+//
+// Only skills visible to this user (theirs, their team's, global) are
+// offered for reuse. New skills are saved as personal, and so is a healed
+// shared skill — a fix one user needed doesn't change it for everyone.
+//
+// `capabilities` are what this user's skills may be granted, bound to them;
+// a skill that asks for any this user hasn't allowed is held for approval
+// first.
 
-async function runSkillPipeline({ anthropic, model, brain, threadKey, userMessage }) {
-  const skills = await brain.loadSkills();
+async function runSkillPipeline({ llm, brain, threadKey, team = null, userMessage, memories, conversation, sandbox = {}, actions = {}, capabilities = {} }) {
+  const skills = await visibleSkills(brain, { threadKey, team });
 
   // 1. Classify
-  const classification = await classifyRequest(anthropic, model, userMessage, skills);
+  const classification = await classifyRequest(llm, userMessage, skills);
   if (classification.type === 'chat') return null;
 
   // 2. Match existing skill
@@ -217,41 +427,119 @@ async function runSkillPipeline({ anthropic, model, brain, threadKey, userMessag
     skill = skills.find(s => s.name === classification.skillName) || null;
   }
 
-  // 3. Generate new skill if no match
+  // 2b. Chains: plan a new one, or run a stored one
+  const chainRun = { llm, brain, userMessage, skills, actions, capabilities, sandbox, threadKey };
+  if (classification.type === 'chain') return composeChain({ ...chainRun, conversation });
+  if (isChain(skill)) return runChainSkill({ ...chainRun, chain: skill, suggestedArgs: classification.args, reused: true });
+
+  // 3. Generate new skill if no match. Args come from the classifier for
+  // a matched skill, from the generator for a new one.
+  let suggestedArgs = classification.args;
   if (!skill) {
     const taskDesc = classification.taskDescription || userMessage;
-    skill = await generateSkill(anthropic, model, {
+    const generated = await generateSkill(llm, {
       userMessage,
       taskDescription: taskDesc,
       failedAttempts: [],
+      memories,
+      conversation,
+      capabilities,
     });
-    if (!skill) return null;
+    if (!generated) return null;
+    ({ args: suggestedArgs, ...skill } = generated);
+  }
+
+  return runSkill({ llm, brain, threadKey, skills, skill, suggestedArgs, reused: classification.type === 'skill', userMessage, sandbox, capabilities });
+}
+
+// A skill the user just allowed: `pending` is the thread's pendingSkill.
+// Records the grant, then runs it — null if a stored skill is gone since.
+async function runApprovedSkill({ llm, brain, threadKey, team = null, pending, sandbox = {}, actions = {}, capabilities = {} }) {
+  await grantCapabilities(brain, threadKey, pending.grants || { [pending.skill.name]: grantRequest(pending.skill) });
+  const skills = await visibleSkills(brain, { threadKey, team });
+  const reused = !!pending.reused;
+  const skill = reused ? skills.find(s => s.name === pending.skill.name) : pending.skill;
+  if (!skill) return null;
+  const run = { llm, brain, threadKey, skills, suggestedArgs: pending.args, userMessage: pending.message, sandbox, capabilities, reused };
+  if (isChain(skill)) return runChainSkill({ ...run, chain: skill, actions });
+  return runSkill({ ...run, skill });
+}
+
+// Steps 3a–7 for one skill, matched or new
+async function runSkill({ llm, brain, threadKey, skills, skill, suggestedArgs, reused, userMessage, sandbox, capabilities }) {
+  // 3a. Capabilities this user hasn't allowed for it wait for their OK
+  const asks = ungranted(skill, await grantsFor(brain, threadKey));
+  if (asks.length) return holdForApproval({ brain, threadKey, skill, suggestedArgs, userMessage, asks: { [skill.name]: grantRequest(skill, asks) }, reused });
+
+  // 3b. Arguments — a skill with params runs on a typed object, anything
+  // older on the raw message
+  let input = userMessage;
+  if (hasParams(skill)) {
+    const resolved = await resolveArgs(llm, skill, userMessage, suggestedArgs);
+    if (resolved.missing.length) {
+      return { result: askForArgs(skill, resolved.missing), skill, reused, healed: false, missing: resolved.missing, saved: false };
+    }
+    input = resolved.args;
   }
 
   // 4–6. Execute → Verify → Heal loop
   const failedAttempts = [];
+  // The stored copy of a reused skill, whose run counts we keep
+  let stored = skills.includes(skill) ? withHistory(skill) : null;
+  let rolledBack = false;
+  // The sandbox for the skill as it is now, with the capabilities it holds
+  const sandboxFor = (extra) => ({ ...sandbox, host: hostFor(skill, capabilities), ...extra });
+
+  // A stored skill failing its first run counts against its version, and
+  // may send it back to the version before (see skillVersions.js)
+  async function noteFailure(attempt) {
+    if (!stored || attempt > 0) return false;
+    stored = recordRun(stored, false);
+    const previous = autoRollback(stored);
+    if (previous) stored = previous;
+    await saveSkillTo(brain, stored, whereOf(stored));
+    if (!previous) return false;
+    skill = stored;
+    rolledBack = true;
+    return true;
+  }
+
+  // The saved skill a new version would replace: the reused one, or one of
+  // the user's own with the same name as a freshly generated skill. Its
+  // examples only carry over while the params stay the same.
+  function replaced() {
+    if (stored) return stored;
+    const own = skills.find(s => s.name === skill.name && s.scope === 'personal');
+    if (!own) return null;
+    const sameParams = JSON.stringify(own.params || null) === JSON.stringify(skill.params || null);
+    return sameParams ? withHistory(own) : { ...withHistory(own), examples: [] };
+  }
 
   for (let attempt = 0; attempt <= MAX_HEAL_ATTEMPTS; attempt++) {
     let output;
     let execError = null;
+    const recorder = fetchRecorder();
+    const startedAt = Date.now();
 
     // 4. Execute
     try {
-      output = await executeSkill(skill.code, userMessage);
+      output = await executeSkill(skill.code, input, sandboxFor({ onFetch: recorder.onFetch, onCall: recorder.onCall }));
     } catch (err) {
       execError = (err?.message || String(err)).slice(0, 800);
     }
 
     if (execError) {
       failedAttempts.push({ code: skill.code, error: execError });
+      if (await noteFailure(attempt)) continue;
 
       if (attempt < MAX_HEAL_ATTEMPTS) {
         // 6. Heal
-        const fixed = await healSkill(anthropic, model, {
+        const fixed = await healSkill(llm, {
           skill,
           error: execError,
           userMessage,
           failedAttempts,
+          args: input,
         });
         if (fixed) {
           skill = { ...skill, ...fixed };
@@ -265,7 +553,7 @@ async function runSkillPipeline({ anthropic, model, brain, threadKey, userMessag
 
     // 5. Verify (Reflexion) — only on first successful execution
     if (attempt === 0 || failedAttempts.length > 0) {
-      const check = await verifyOutput(anthropic, model, {
+      const check = await verifyOutput(llm, {
         userMessage,
         output,
       });
@@ -273,13 +561,15 @@ async function runSkillPipeline({ anthropic, model, brain, threadKey, userMessag
       if (!check.pass) {
         const verifyError = `Verification failed: ${check.reason || 'output did not match request'}`;
         failedAttempts.push({ code: skill.code, error: verifyError });
+        if (await noteFailure(attempt)) continue;
 
         if (attempt < MAX_HEAL_ATTEMPTS) {
-          const fixed = await healSkill(anthropic, model, {
+          const fixed = await healSkill(llm, {
             skill,
             error: verifyError,
             userMessage,
             failedAttempts,
+            args: input,
           });
           if (fixed) {
             skill = { ...skill, ...fixed };
@@ -290,26 +580,77 @@ async function runSkillPipeline({ anthropic, model, brain, threadKey, userMessag
         return {
           result: `⚠️ Result may be inaccurate:\n\n${output}`,
           skill,
-          reused: false,
+          reused,
           healed: failedAttempts.length > 0,
         };
       }
     }
 
-    // 7. Persist — save the working skill
-    skill.createdAt = skill.createdAt || new Date().toISOString();
-    skill.lastUsedAt = new Date().toISOString();
-    skill.successCount = (skill.successCount || 0) + 1;
-    if (failedAttempts.length > 0) {
-      skill.healedAt = new Date().toISOString();
+    // 6b. Regressions — a healed or regenerated version must still give
+    // the answers earlier versions gave (see skillTests.js)
+    const base = replaced();
+    if (base?.examples?.length && skill.code !== currentVersion(base).code) {
+      const failed = (await runSuite(base.examples, skill.code, sandboxFor())).filter(r => !r.ok);
+      if (failed.length) {
+        const regressionError = describeRegressions(failed);
+        failedAttempts.push({ code: skill.code, error: regressionError });
+
+        if (attempt < MAX_HEAL_ATTEMPTS) {
+          const fixed = await healSkill(llm, {
+            skill,
+            error: regressionError,
+            userMessage,
+            failedAttempts,
+            args: input,
+          });
+          if (fixed) {
+            skill = { ...skill, ...fixed };
+            continue;
+          }
+        }
+        // Not saved: answer this time, but keep the version that passes
+        return {
+          result: `⚠️ Not saved — this fix breaks earlier uses of "${skill.name}":\n\n${output}`,
+          skill,
+          reused: false,
+          healed: true,
+          saved: false,
+        };
+      }
+    }
+
+    // 7. Persist — save the working skill, as a new version if healed or
+    // regenerated, with this run as an example for its suite
+    const now = new Date().toISOString();
+    let saved = base || withHistory({ ...skill, createdAt: now, ...(failedAttempts.length ? { healedAt: now } : {}) });
+    if (skill.code !== currentVersion(saved).code) {
+      saved = addVersion(saved, { code: skill.code, diagnosis: skill.diagnosis, healed: failedAttempts.length > 0 });
+      if (!stored) {
+        const { params: _params, capabilities: _capabilities, ...rest } = saved;
+        saved = {
+          ...rest,
+          description: skill.description,
+          ...(hasParams(skill) ? { params: skill.params } : {}),
+          ...(skill.capabilities?.length ? { capabilities: skill.capabilities } : {}),
+        };
+      }
+    }
+    saved = recordRun(saved, true);
+    if (!hasExample(saved, input)) {
+      const example = await captureExample(saved.code, { input, message: userMessage, recorder, at: startedAt }, sandboxFor());
+      if (example) saved = addExample(saved, example);
     }
-    await brain.saveSkill(skill);
+    const healedShared = saved.version !== stored?.version && saved.scope && saved.scope !== 'personal';
+    const where = saved.scope && !healedShared ? whereOf(saved) : { scope: 'personal', owner: threadKey };
+    await saveSkillTo(brain, saved, where);
 
     return {
       result: output,
-      skill,
-      reused: classification.type === 'skill',
-      healed: failedAttempts.length > 0,
+      skill: saved,
+      reused,
+      healed: failedAttempts.length > 0 && !rolledBack,
+      ...(rolledBack ? { rolledBack: saved.version } : {}),
+      ...(hasParams(saved) ? { args: input } : {}),
     };
   }
 
@@ -317,10 +658,16 @@ async function runSkillPipeline({ anthropic, model, brain, threadKey, userMessag
 }
 
 module.exports = {
+  CLASSIFY_SCHEMA,
+  SKILL_SCHEMA,
+  VERIFY_SCHEMA,
+  HEAL_SCHEMA,
   classifyRequest,
   generateSkill,
   verifyOutput,
   healSkill,
+  extractArgs,
   executeSkill,
   runSkillPipeline,
+  runApprovedSkill,
 };
@@ -0,0 +1,143 @@
+'use strict';
+
+// ── LLM usage accounting ─────────────────────────────────────────
+// Every LLM call goes through clients/llm.js, whose `after` hook reports
+// here (see usage.recorder). We keep:
+//
+//   usage/<YYYY-MM-DD>.json — daily rollup: totals + by feature/user/model
+//   usage/month-<YYYY-MM>.json — running month total + budget alerts sent
+//
+// With LLM_MONTHLY_BUDGET_USD set, the admin gets one Telegram alert per
+// threshold (LLM_BUDGET_ALERTS, default 50,80,100 %) per month.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// USD per million tokens [input, output]. Longest matching prefix wins;
+// override or extend with LLM_PRICES={"claude-opus-4-6":[5,25]}.
+const DEFAULT_PRICES = {
+  'claude-opus-4-5': [5, 25],
+  'claude-opus-4-6': [5, 25],
+  'claude-opus-4': [15, 75],
+  'claude-sonnet-4': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-haiku-4': [1, 5],
+  'claude-3-5-haiku': [0.8, 4],
+  'gpt-5-mini': [0.25, 2],
+  'gpt-5': [1.25, 10],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4-turbo': [10, 30],
+};
+
+function priceFor(model, prices) {
+  const match = Object.keys(prices)
+    .filter(prefix => String(model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+function emptyBucket() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+function addTo(bucket, { inputTokens, outputTokens, cost }) {
+  bucket.calls += 1;
+  bucket.inputTokens += inputTokens;
+  bucket.outputTokens += outputTokens;
+  bucket.cost = Math.round((bucket.cost + cost) * 1e6) / 1e6;
+  return bucket;
+}
+
+function mergeInto(target, source) {
+  for (const k of Object.keys(emptyBucket())) target[k] = (target[k] || 0) + (source?.[k] || 0);
+  target.cost = Math.round(target.cost * 1e6) / 1e6;
+  return target;
+}
+
+function createUsageTracker({ brain, config, notify, now = Date.now, logError = console.error }) {
+  const { monthlyBudgetUsd = 0, alertThresholds = [50, 80, 100], prices: priceOverrides = {} } = config.usage || {};
+  const prices = { ...DEFAULT_PRICES, ...priceOverrides };
+
+  // Thresholds the month's spend has newly crossed; they're marked alerted
+  // in the same write that adds the call, so each alert goes out once
+  function crossBudget(monthData) {
+    if (!monthlyBudgetUsd || !notify) return [];
+    const pct = (monthData.cost / monthlyBudgetUsd) * 100;
+    const crossed = alertThresholds.filter(t => pct >= t && !monthData.alerted.includes(t));
+    monthData.alerted.push(...crossed);
+    return crossed;
+  }
+
+  async function alertBudget(month, monthData, crossed) {
+    const pct = (monthData.cost / monthlyBudgetUsd) * 100;
+    const top = Math.max(...crossed);
+    await notify(
+      `💸 LLM spend for ${month} is $${monthData.cost.toFixed(2)} — ${Math.round(pct)}% of the $${monthlyBudgetUsd} monthly budget` +
+      `${top >= 100 ? ' (over budget!)' : ''}. Send "usage" for the breakdown.`
+    );
+  }
+
+  async function record({ userId, userName, feature, provider, model, inputTokens = 0, outputTokens = 0 }) {
+    const price = priceFor(model, prices);
+    const cost = price ? (inputTokens * price[0] + outputTokens * price[1]) / 1e6 : 0;
+    const entry = { inputTokens, outputTokens, cost };
+    const day = new Date(now()).toISOString().slice(0, 10);
+    const month = day.slice(0, 7);
+    const user = String(userId || 'system');
+    const tag = feature || 'unknown';
+    try {
+      // Read-modify-write through the brain: concurrent records (and other
+      // processes sharing it) each land on the latest rollup
+      await brain.updateUsage(day, (stored) => {
+        const daily = stored || { day, total: emptyBucket(), byFeature: {}, byUser: {}, byModel: {}, names: {} };
+        addTo(daily.total, entry);
+        addTo(daily.byFeature[tag] ||= emptyBucket(), entry);
+        addTo(daily.byUser[user] ||= emptyBucket(), entry);
+        addTo(daily.byModel[`${provider}:${model}`] ||= emptyBucket(), entry);
+        if (userName) daily.names[user] = userName;
+        if (!price) daily.unpriced = [...new Set([...(daily.unpriced || []), model])];
+        return daily;
+      });
+
+      let crossed = [];
+      const monthData = await brain.updateUsage(`month-${month}`, (stored) => {
+        const next = stored || { month, ...emptyBucket(), alerted: [] };
+        addTo(next, entry);
+        crossed = crossBudget(next);
+        return next;
+      });
+      if (crossed.length) await alertBudget(month, monthData, crossed);
+    } catch (err) {
+      // Accounting must never break the reply that triggered it
+      logError('Usage record failed:', err?.message || err);
+    }
+    return entry;
+  }
+
+  // Roll days from..to (inclusive, YYYY-MM-DD) into one report
+  async function summary({ from, to }) {
+    const report = { from, to, total: emptyBucket(), byFeature: {}, byUser: {}, byModel: {}, names: {}, unpriced: [] };
+    for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`); t += DAY_MS) {
+      const daily = await brain.loadUsage(new Date(t).toISOString().slice(0, 10));
+      if (!daily) continue;
+      mergeInto(report.total, daily.total);
+      for (const key of ['byFeature', 'byUser', 'byModel']) {
+        for (const [name, bucket] of Object.entries(daily[key] || {})) mergeInto(report[key][name] ||= emptyBucket(), bucket);
+      }
+      Object.assign(report.names, daily.names);
+      report.unpriced = [...new Set([...report.unpriced, ...(daily.unpriced || [])])];
+    }
+    return report;
+  }
+
+  // `after` hook for llm.withHooks. `tag()` is read per call so the feature
+  // name reflects whichever handler is running at the time.
+  function recorder(tag) {
+    return (tokens, { provider, model } = {}) => record({ ...tag(), provider, model, ...tokens });
+  }
+
+  return { record, summary, recorder, monthlyBudgetUsd };
+}
+
+module.exports = { createUsageTracker, priceFor, DEFAULT_PRICES };
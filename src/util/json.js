@@ -0,0 +1,87 @@
+'use strict';
+
+// ── JSON from model output ───────────────────────────────────────
+
+// Pull the JSON object out of a reply that may be fenced, wrapped in prose
+// or cut off mid-object
+function extractJsonFromText(text) {
+  const s = String(text || '').trim();
+
+  // Strip leading ```json or ``` so we always work with raw content
+  let content = s.replace(/^\s*```(?:json)?\s*/i, '').trim();
+  // If there was a closing ```, strip it (fenced block complete)
+  const closingFence = content.indexOf('```');
+  if (closingFence !== -1) content = content.slice(0, closingFence).trim();
+
+  // Find first { and last } (handles truncated JSON when closing ``` was never sent)
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start !== -1 && end !== -1 && end > start) {
+    return content.slice(start, end + 1).trim();
+  }
+  if (start !== -1) return content.slice(start).trim(); // truncated, try parsing anyway
+  return content;
+}
+
+// ── Schema validation ────────────────────────────────────────────
+// The subset of JSON Schema our prompts use: type (or a list of types),
+// enum, properties, required, additionalProperties: false, items,
+// minItems/maxItems, minLength, pattern, anyOf. Returns a list of
+// problems, empty when the value fits.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function typeMatches(expected, actual) {
+  return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+function validateSchema(schema, value, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => typeMatches(t, actual))) {
+      return [`${path} should be ${types.join(' or ')}, got ${actual}`];
+    }
+  }
+  if (schema.enum && !schema.enum.some((v) => v === value)) {
+    errors.push(`${path} should be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+  if (schema.anyOf && !schema.anyOf.some((s) => validateSchema(s, value, path).length === 0)) {
+    errors.push(`${path} doesn't match any allowed shape`);
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} should not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} should match ${schema.pattern}`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(sub, value[key], `${path}.${key}`));
+    }
+    if (schema.additionalProperties === false) {
+      const extra = Object.keys(value).filter((k) => !(k in (schema.properties || {})));
+      if (extra.length) errors.push(`${path} has unexpected keys: ${extra.join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+module.exports = { extractJsonFromText, validateSchema };
@@ -0,0 +1,9 @@
+'use strict';
+
+function ts() {
+  return new Date().toISOString().replace('T', ' ').replace('Z', '');
+}
+function log(...args) { console.log(`[${ts()}]`, ...args); }
+function logError(...args) { console.error(`[${ts()}]`, ...args); }
+
+module.exports = { log, logError };
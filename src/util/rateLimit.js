@@ -1,19 +1,183 @@
 'use strict';
 
-const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW || '30000', 10);
-const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX || '20', 10);
-const rateState = new Map();
-
-function rateLimitOk(key) {
-  const now = Date.now();
-  const cur = rateState.get(key);
-  if (!cur || now - cur.ts > RATE_LIMIT_WINDOW_MS) {
-    rateState.set(key, { ts: now, count: 1 });
-    return true;
-  }
-  if (cur.count >= RATE_LIMIT_MAX) return false;
-  cur.count += 1;
-  return true;
+// ── Rate limits & daily quotas ───────────────────────────────────
+// Two layers, both per user and persisted through the brain so a restart
+// doesn't hand everyone a fresh allowance:
+//
+//   burst — a token bucket holding RATE_LIMIT_MAX tokens that refills fully
+//           every RATE_LIMIT_WINDOW ms. Each action costs ACTION_COSTS[action].
+//   daily — per-role caps on the expensive things (PR jobs, phone calls,
+//           emails, LLM tokens), reset at midnight UTC.
+//
+// Per-role overrides come from RATE_LIMIT_QUOTAS, e.g.
+//   {"member":{"pr_job":3,"llm_tokens":100000},"guest":{"burst":5}}
+// A missing quota means unlimited.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACTION_COSTS = {
+  message: 1,
+  callback: 1,
+  email: 2,
+  pr_job: 5,
+  call: 5,
+};
+
+const QUOTAS = {
+  pr_job: 'PR jobs',
+  call: 'phone calls',
+  email: 'emails sent',
+  llm_tokens: 'LLM tokens',
+};
+
+const ROLE_QUOTAS = {
+  admin: {},
+  member: { pr_job: 10, call: 3, email: 30, llm_tokens: 300000 },
+  guest: { pr_job: 0, call: 0, email: 0, llm_tokens: 50000 },
+};
+
+function today(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function untilMidnight(now) {
+  return DAY_MS - (now % DAY_MS);
+}
+
+function formatWait(ms) {
+  const mins = Math.ceil(ms / 60000);
+  if (mins < 2) return `~${Math.max(1, Math.ceil(ms / 1000))} seconds`;
+  if (mins < 120) return `${mins} minutes`;
+  return `${Math.round(mins / 60)} hours`;
+}
+
+function createRateLimiter({ brain, config, now = Date.now }) {
+  const { windowMs, max, quotas: overrides = {} } = config.rateLimit;
+
+  function limitsFor(role) {
+    return { burst: max, ...(ROLE_QUOTAS[role] || ROLE_QUOTAS.member), ...(overrides[role] || {}) };
+  }
+
+  // New day → fresh daily counters
+  function current(stored) {
+    const state = { ...stored, used: { ...stored?.used } };
+    if (state.day !== today(now())) {
+      state.day = today(now());
+      state.used = {};
+    }
+    return state;
+  }
+
+  async function load(key) {
+    return current(await brain.loadRateLimit(key));
+  }
+
+  // Spending is a read-modify-write through the brain, so two updates at
+  // once (or another process sharing it) can't overwrite each other's.
+  // `fn(state)` changes the state in place, or returns false to leave it.
+  async function change(key, fn) {
+    await brain.updateRateLimit(key, (stored) => {
+      const state = current(stored);
+      return fn(state) === false ? undefined : state;
+    });
+  }
+
+  function refill(state, capacity) {
+    const t = now();
+    const bucket = state.bucket || { tokens: capacity, at: t };
+    const tokens = Math.min(capacity, bucket.tokens + ((t - bucket.at) / windowMs) * capacity);
+    return { tokens, at: t };
+  }
+
+  // Spend an action's burst cost and `amount` of its daily quota. Nothing is
+  // spent unless both fit.
+  async function take(key, action, { role, amount = 1 } = {}) {
+    const limits = limitsFor(role);
+    let result;
+    await change(key, (state) => {
+      const bucket = refill(state, limits.burst);
+      const cost = ACTION_COSTS[action] ?? 1;
+      if (bucket.tokens < cost) {
+        const retryAfterMs = Math.ceil(((cost - bucket.tokens) / limits.burst) * windowMs);
+        result = { ok: false, reason: 'burst', retryAfterMs };
+        return false;
+      }
+      const limit = limits[action];
+      const used = state.used[action] || 0;
+      if (QUOTAS[action] && limit !== undefined && used + amount > limit) {
+        result = { ok: false, reason: 'quota', action, limit, used, retryAfterMs: untilMidnight(now()) };
+        return false;
+      }
+      state.bucket = { tokens: bucket.tokens - cost, at: bucket.at };
+      if (QUOTAS[action]) state.used[action] = used + amount;
+      result = { ok: true };
+    });
+    return result;
+  }
+
+  // Record quota use after the fact (LLM tokens are only known once the
+  // reply comes back)
+  async function add(key, quota, amount) {
+    await change(key, (state) => {
+      state.used[quota] = (state.used[quota] || 0) + amount;
+    });
+  }
+
+  async function remaining(key, quota, { role } = {}) {
+    const limit = limitsFor(role)[quota];
+    if (limit === undefined) return Infinity;
+    const state = await load(key);
+    return Math.max(0, limit - (state.used[quota] || 0));
+  }
+
+  async function status(key, { role } = {}) {
+    const limits = limitsFor(role);
+    const state = await load(key);
+    return {
+      burst: { tokens: Math.floor(refill(state, limits.burst).tokens), capacity: limits.burst },
+      quotas: Object.entries(QUOTAS).map(([name, label]) => ({
+        name, label, used: state.used[name] || 0, limit: limits[name] ?? null,
+      })),
+      resetsInMs: untilMidnight(now()),
+    };
+  }
+
+  return { take, add, remaining, status, limitsFor };
+}
+
+function deniedMessage(result) {
+  if (result.reason === 'burst') return `Rate limit: try again in ${formatWait(result.retryAfterMs)}`;
+  if (result.limit === 0) return `⏳ Your role doesn't include any ${QUOTAS[result.action]}. Ask an admin if you need them.`;
+  return `⏳ You've used all ${result.limit} ${QUOTAS[result.action]} for today. Resets in ${formatWait(result.retryAfterMs)} (midnight UTC).`;
+}
+
+class QuotaExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuotaExceededError';
+  }
+}
+
+// Per-update view for handlers: `take` replies with the reason and returns
+// false when the user is out; `ensure` throws instead (for code paths like
+// the LLM client that can't reply themselves).
+function quotaFor(limiter, key, { role, reply }) {
+  return {
+    async take(action, amount = 1) {
+      const result = await limiter.take(key, action, { role, amount });
+      if (!result.ok) await reply(deniedMessage(result));
+      return result.ok;
+    },
+    async ensure(quota) {
+      if ((await limiter.remaining(key, quota, { role })) > 0) return;
+      throw new QuotaExceededError(`Daily ${QUOTAS[quota]} quota used up — resets at midnight UTC. Send "quota" for details.`);
+    },
+    add: (quota, amount) => limiter.add(key, quota, amount),
+    status: () => limiter.status(key, { role }),
+  };
 }
 
-module.exports = { rateLimitOk };
+module.exports = {
+  ACTION_COSTS, QUOTAS, ROLE_QUOTAS,
+  createRateLimiter, quotaFor, deniedMessage, formatWait, QuotaExceededError,
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+// Strip credentials out of anything we persist for humans to read (audit
+// log arguments, error text). Keys that look secret lose their value
+// entirely; known token shapes are masked wherever they appear in strings.
+
+const SECRET_KEY = /token|secret|password|passwd|api[-_]?key|authorization|cookie|credential/i;
+
+const SECRET_PATTERNS = [
+  /\bgh[pousr]_[A-Za-z0-9]{20,}/g, // GitHub tokens
+  /\bgithub_pat_\w{20,}/g,
+  /\bsk-(?:ant-)?[A-Za-z0-9_-]{20,}/g, // Anthropic / OpenAI keys
+  /\bya29\.[\w.-]+/g, // Google access tokens
+  /\b1\/\/[\w-]{20,}/g, // Google refresh tokens
+  /\b\d{6,12}:[A-Za-z0-9_-]{30,}/g, // Telegram bot tokens
+  /\bBearer\s+[\w.~+/-]+=*/gi,
+];
+
+const REDACTED = '[redacted]';
+const MAX_STRING = 500;
+const MAX_DEPTH = 5;
+
+function redactString(s, maxLength = MAX_STRING) {
+  let out = String(s);
+  for (const re of SECRET_PATTERNS) out = out.replace(re, REDACTED);
+  return out.length > maxLength ? `${out.slice(0, maxLength)}…` : out;
+}
+
+function redact(value, depth = 0) {
+  if (value == null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') return redactString(value);
+  if (depth >= MAX_DEPTH) return '[…]';
+  if (Array.isArray(value)) return value.slice(0, 50).map(v => redact(v, depth + 1));
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      // Counts like maxTokens aren't secrets
+      const secret = SECRET_KEY.test(k) && v && typeof v !== 'number' && typeof v !== 'boolean';
+      out[k] = secret ? REDACTED : redact(v, depth + 1);
+    }
+    return out;
+  }
+  return redactString(String(value));
+}
+
+module.exports = { redact, redactString, REDACTED, SECRET_KEY };
@@ -11,6 +11,7 @@ const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-brain-test-'));
 process.env.OPENCLAW_BRAIN_DIR = tmpDir;
 
 const { createBrain } = require('../src/brain/brain');
+const { schemaVersion } = require('../src/brain/migrations');
 
 after(() => {
   fs.rmSync(tmpDir, { recursive: true, force: true });
@@ -50,7 +51,7 @@ describe('createBrain (local-only, no GCS)', () => {
     assert.equal(loaded.lastRepo, 'org/repo');
     assert.equal(loaded.lastTask, 'do stuff');
     assert.ok(loaded.updatedAt);
-    assert.equal(loaded.version, 1);
+    assert.equal(loaded.version, schemaVersion(`threads/${key}.json`));
   });
 
   it('saveThread merges with existing data', async () => {
@@ -107,3 +108,33 @@ describe('sanitizePlanForStorage', () => {
     assert.deepEqual(safe.steps, []);
   });
 });
+
+describe('callback actions', () => {
+  let brain;
+
+  before(() => {
+    brain = createBrain({ storage: null, bucket: null, prefix: 'callbacks' });
+  });
+
+  it('maps tokens back to their action and payload', async () => {
+    const [done, del] = await brain.saveCallbackActions('tg:1', [
+      { action: 'todo_done', payload: { id: 'abc' } },
+      { action: 'todo_delete', payload: { id: 'abc' } },
+    ]);
+    assert.notEqual(done, del);
+    assert.deepEqual(await brain.takeCallbackAction('tg:1', del), { action: 'todo_delete', payload: { id: 'abc' } });
+    assert.deepEqual(await brain.takeCallbackAction('tg:1', done), { action: 'todo_done', payload: { id: 'abc' } });
+  });
+
+  it('tokens are single use', async () => {
+    const [token] = await brain.saveCallbackActions('tg:2', [{ action: 'cal_delete', payload: { id: 'ev1' } }]);
+    assert.ok(await brain.takeCallbackAction('tg:2', token));
+    assert.equal(await brain.takeCallbackAction('tg:2', token), null);
+  });
+
+  it('a token only works for the user it was issued to', async () => {
+    const [token] = await brain.saveCallbackActions('tg:3', [{ action: 'email_send', payload: { draftId: 'd1' } }]);
+    assert.equal(await brain.takeCallbackAction('tg:4', token), null);
+    assert.ok(await brain.takeCallbackAction('tg:3', token));
+  });
+});
@@ -0,0 +1,180 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-backends-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createBackend, withBackup } = require('../src/brain/backends');
+const { createFsBackend } = require('../src/brain/backends/fs');
+const { createSqliteBackend } = require('../src/brain/backends/sqlite');
+const { createGcsBackend } = require('../src/brain/backends/gcs');
+const { createBrain } = require('../src/brain/brain');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// In-memory stand-in for @google-cloud/storage with generations and
+// ifGenerationMatch preconditions
+function fakeStorage() {
+  const objects = new Map(); // name → { text, generation }
+  let generation = 0;
+  const err = (code) => Object.assign(new Error(`HTTP ${code}`), { code });
+  return {
+    objects,
+    bucket: () => ({
+      file: (name, opts = {}) => {
+        const file = {
+          name,
+          metadata: {},
+          async getMetadata() {
+            if (!objects.has(name)) throw err(404);
+            return [{ generation: objects.get(name).generation }];
+          },
+          async download() {
+            const obj = objects.get(name);
+            if (!obj || (opts.generation && obj.generation !== opts.generation)) throw err(404);
+            return [Buffer.from(obj.text)];
+          },
+          async save(text, { preconditionOpts } = {}) {
+            const match = preconditionOpts?.ifGenerationMatch;
+            if (match !== undefined && (objects.get(name)?.generation || 0) !== match) throw err(412);
+            objects.set(name, { text, generation: ++generation });
+            file.metadata = { generation };
+          },
+          async delete() {
+            objects.delete(name);
+          },
+        };
+        return file;
+      },
+      async getFiles({ prefix }) {
+        return [[...objects.keys()].filter((n) => n.startsWith(prefix)).map((name) => ({ name, metadata: { generation: objects.get(name).generation } }))];
+      },
+    }),
+  };
+}
+
+const backends = {
+  fs: () => createFsBackend({ dir: fs.mkdtempSync(path.join(tmpDir, 'fs-')), prefix: 'p' }),
+  sqlite: () => createSqliteBackend({ file: path.join(fs.mkdtempSync(path.join(tmpDir, 'db-')), 'brain.sqlite'), prefix: 'p' }),
+  gcs: () => createGcsBackend({ storage: fakeStorage(), bucket: 'b', prefix: 'p' }),
+};
+
+for (const [name, create] of Object.entries(backends)) {
+  describe(`${name} backend`, () => {
+    it('gets what was put, with a version', async () => {
+      const store = create();
+      assert.equal(await store.get('threads/a.json'), null);
+      await store.put('threads/a.json', { n: 1 });
+      const hit = await store.get('threads/a.json');
+      assert.deepEqual(hit.value, { n: 1 });
+      assert.ok(hit.version !== null && hit.version !== undefined);
+    });
+
+    it('compare-and-swap refuses a stale version', async () => {
+      const store = create();
+      assert.equal(await store.cas('k.json', null, { n: 1 }), true);
+      assert.equal(await store.cas('k.json', null, { n: 2 }), false);
+      const v1 = (await store.get('k.json')).version;
+      assert.equal(await store.cas('k.json', v1, { n: 2 }), true);
+      assert.equal(await store.cas('k.json', v1, { n: 3 }), false);
+      assert.deepEqual((await store.get('k.json')).value, { n: 2 });
+    });
+
+    it('lists keys by prefix and deletes', async () => {
+      const store = create();
+      await store.put('repos/a_b.json', {});
+      await store.put('repos/c_d.json', {});
+      await store.put('threads/x.json', {});
+      assert.deepEqual(await store.list('repos/'), ['repos/a_b.json', 'repos/c_d.json']);
+      await store.delete('repos/a_b.json');
+      await store.delete('repos/missing.json');
+      assert.deepEqual(await store.list('repos/'), ['repos/c_d.json']);
+    });
+
+    it('appends to logs in order', async () => {
+      const store = create();
+      assert.deepEqual(await store.entries('audit/d.jsonl'), []);
+      await store.append('audit/d.jsonl', { a: 1 });
+      await store.append('audit/d.jsonl', { a: 2 });
+      assert.deepEqual(await store.entries('audit/d.jsonl'), [{ a: 1 }, { a: 2 }]);
+      assert.deepEqual(await store.list('audit/'), ['audit/d.jsonl']);
+    });
+  });
+}
+
+describe('createBackend', () => {
+  it('rejects unknown backends and gcs without a bucket', () => {
+    assert.throws(() => createBackend({ backend: 'redis', prefix: 'p', dir: tmpDir }), /Unknown brain backend/);
+    assert.throws(() => createBackend({ backend: 'gcs', prefix: 'p', dir: tmpDir }), /OPENCLAW_BRAIN_BUCKET/);
+  });
+});
+
+describe('GCS backup', () => {
+  it('restores a local miss from GCS and mirrors writes', async () => {
+    const storage = fakeStorage();
+    const gcs = createGcsBackend({ storage, bucket: 'b', prefix: 'p' });
+    await gcs.put('threads/t.json', { from: 'gcs' });
+    await gcs.append('audit/d.jsonl', { a: 1 });
+
+    const store = withBackup(backends.fs(), gcs);
+    assert.deepEqual((await store.get('threads/t.json')).value, { from: 'gcs' });
+    await store.put('threads/u.json', { n: 1 });
+    await store.append('audit/d.jsonl', { a: 2 });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.deepEqual((await gcs.get('threads/u.json')).value, { n: 1 });
+    assert.deepEqual(await store.entries('audit/d.jsonl'), [{ a: 1 }, { a: 2 }]);
+    assert.deepEqual(await gcs.entries('audit/d.jsonl'), [{ a: 1 }, { a: 2 }]);
+  });
+
+  it('purges from both sides before returning', async () => {
+    const storage = fakeStorage();
+    const gcs = createGcsBackend({ storage, bucket: 'b', prefix: 'p' });
+    const store = withBackup(backends.fs(), gcs);
+    await store.put('threads/gone.json', { n: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.ok(storage.objects.has('p/threads/gone.json'));
+    await store.purge('threads/gone.json');
+    assert.equal(await store.get('threads/gone.json'), null);
+    assert.equal(storage.objects.has('p/threads/gone.json'), false);
+  });
+});
+
+describe('brain on each backend', () => {
+  for (const name of ['fs', 'sqlite']) {
+    it(`${name}: concurrent saveThread calls don't lose updates`, async () => {
+      const brain = createBrain({ prefix: `race-${name}`, backend: name });
+      await Promise.all(Array.from({ length: 20 }, (_, i) => brain.saveThread('tg:1', { [`field${i}`]: i })));
+      const thread = await brain.loadThread('tg:1');
+      for (let i = 0; i < 20; i++) assert.equal(thread[`field${i}`], i);
+    });
+
+    it(`${name}: listRepos reads repos through the backend`, async () => {
+      const brain = createBrain({ prefix: `repos-${name}`, backend: name });
+      await brain.saveRepo('org', 'one', { name: 'org/one', language: 'Go' });
+      await brain.saveRepo('org', 'two', { name: 'org/two' });
+      assert.deepEqual((await brain.listRepos()).map((r) => r.name).sort(), ['org/one', 'org/two']);
+    });
+  }
+
+  it('two brains sharing a SQLite file retry on conflicting writes', async () => {
+    const sqlitePath = path.join(tmpDir, 'shared.sqlite');
+    const a = createBrain({ prefix: 'shared', backend: 'sqlite', sqlitePath });
+    const b = createBrain({ prefix: 'shared', backend: 'sqlite', sqlitePath });
+    await Promise.all(Array.from({ length: 10 }, (_, i) => (i % 2 ? a : b).saveThread('tg:1', { [`field${i}`]: i })));
+    const thread = await a.loadThread('tg:1');
+    for (let i = 0; i < 10; i++) assert.equal(thread[`field${i}`], i);
+  });
+
+  it('concurrent saveSkill calls keep every skill', async () => {
+    const brain = createBrain({ prefix: 'skills-race', backend: 'sqlite' });
+    await Promise.all(['a', 'b', 'c', 'd'].map((n) => brain.saveSkill({ name: n })));
+    assert.deepEqual((await brain.loadSkills()).map((s) => s.name).sort(), ['a', 'b', 'c', 'd']);
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-bundle-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createBrain } = require('../src/brain/brain');
+const {
+  exportBrain, importBrain, encodeBundle, decodeBundle, restoreObjectAt, parseObjectRef, parseWhen,
+} = require('../src/brain/bundle');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let n = 0;
+const freshBrain = () => createBrain({ storage: null, bucket: null, prefix: `bundle-${n++}` });
+
+describe('brain export / import', () => {
+  it('round-trips threads, skills, repos and roundup topics without credentials', async () => {
+    const source = freshBrain();
+    await source.saveThread('tg:1', { lastRepo: 'a/b', googleAuth: { refreshToken: '1//secret', email: 'a@b.co' } });
+    await source.saveSkill({ name: 'weather', code: 'async function run() {}' });
+    await source.saveRepo('a', 'b', { name: 'a/b', language: 'Go' });
+    await source.saveRoundupTopics(['ai']);
+    await source.saveSummary({ repo: 'a/b', task: 't', result: 'ok' });
+    await source.saveRoles({ 5: { role: 'admin' } });
+
+    const bundle = decodeBundle(encodeBundle(await exportBrain(source)));
+    assert.equal(bundle.format, 'penny-brain');
+    assert.doesNotMatch(JSON.stringify(bundle), /1\/\/secret/);
+    assert.ok(!('global/roles.json' in bundle.objects));
+
+    const target = freshBrain();
+    const result = await importBrain(target, bundle);
+    assert.equal(result.written, Object.keys(bundle.objects).length);
+    assert.equal((await target.loadThread('tg:1')).lastRepo, 'a/b');
+    assert.equal((await target.loadThread('tg:1')).googleAuth.email, 'a@b.co');
+    assert.deepEqual((await target.loadSkills()).map((s) => s.name), ['weather']);
+    assert.equal((await target.loadRepo('a', 'b')).language, 'Go');
+    assert.deepEqual(await target.loadRoundupTopics(), ['ai']);
+    assert.equal((await target.loadSummary()).entries.length, 1);
+  });
+
+  it('keeps credentials already stored when importing over them', async () => {
+    const brain = freshBrain();
+    await brain.saveThread('tg:1', { lastRepo: 'new/repo', googleAuth: { refreshToken: '1//mine', email: 'a@b.co' } });
+    const bundle = { format: 'penny-brain', version: 1, objects: { 'threads/tg:1.json': { lastRepo: 'old/repo', googleAuth: { email: 'a@b.co' } } } };
+    await importBrain(brain, bundle);
+    const thread = await brain.loadThread('tg:1');
+    assert.equal(thread.lastRepo, 'old/repo');
+    assert.equal(thread.googleAuth.refreshToken, '1//mine');
+  });
+
+  it('refuses objects a bundle may not carry', async () => {
+    const brain = freshBrain();
+    const bundle = {
+      format: 'penny-brain',
+      version: 1,
+      objects: {
+        'global/roles.json': { users: { 9: { role: 'admin' } } },
+        'threads/../../etc.json': {},
+        'threads/tg:2.json': { lastRepo: 'x/y', googleAuth: { refreshToken: '1//injected' } },
+      },
+    };
+    const result = await importBrain(brain, bundle);
+    assert.deepEqual(result.skipped.sort(), ['global/roles.json', 'threads/../../etc.json']);
+    assert.deepEqual(await brain.loadRoles(), {});
+    assert.equal((await brain.loadThread('tg:2')).googleAuth.refreshToken, undefined);
+  });
+
+  it('rejects files that aren\'t bundles or are too new', () => {
+    assert.throws(() => decodeBundle(Buffer.from('hello')), /not JSON/);
+    assert.throws(() => decodeBundle(Buffer.from('{"format":"other"}')), /isn't a brain export/);
+    assert.throws(() => decodeBundle(Buffer.from('{"format":"penny-brain","version":99,"objects":{}}')), /newer/);
+    assert.equal(decodeBundle(Buffer.from('{"format":"penny-brain","version":1,"objects":{}}')).version, 1);
+  });
+});
+
+describe('point-in-time restore', () => {
+  function versionedBrain(history, versions) {
+    const saved = [];
+    return {
+      saved,
+      objectHistory: async () => history,
+      loadObjectVersion: async (key, version) => versions[version],
+      saveObject: async (key, value) => { saved.push({ key, value }); },
+    };
+  }
+
+  const history = [
+    { version: '1', at: '2026-03-01T00:00:00Z', until: '2026-03-05T00:00:00Z' },
+    { version: '2', at: '2026-03-05T00:00:00Z', until: '2026-03-07T00:00:00Z' },
+    { version: '3', at: '2026-03-09T00:00:00Z', until: null },
+  ];
+
+  it('writes back the version that was live at the time', async () => {
+    const brain = versionedBrain(history, { 1: { v: 1 }, 2: { v: 2 }, 3: { v: 3 } });
+    const used = await restoreObjectAt(brain, 'global/skills.json', Date.parse('2026-03-06T00:00:00Z'));
+    assert.equal(used.version, '2');
+    assert.deepEqual(brain.saved, [{ key: 'global/skills.json', value: { v: 2 } }]);
+  });
+
+  it('returns null when the object was deleted or not yet created', async () => {
+    const brain = versionedBrain(history, {});
+    assert.equal(await restoreObjectAt(brain, 'global/skills.json', Date.parse('2026-03-08T00:00:00Z')), null);
+    assert.equal(await restoreObjectAt(brain, 'global/skills.json', Date.parse('2026-02-01T00:00:00Z')), null);
+    assert.equal(brain.saved.length, 0);
+  });
+
+  it('needs a backend with version history', async () => {
+    await assert.rejects(restoreObjectAt(freshBrain(), 'global/skills.json', Date.now()), /object versioning/);
+  });
+
+  it('parses object references and times', () => {
+    assert.equal(parseObjectRef('threads/tg:42'), 'threads/tg:42.json');
+    assert.equal(parseObjectRef('repos/org/repo'), 'repos/org_repo.json');
+    assert.equal(parseObjectRef('global/skills.json'), 'global/skills.json');
+    assert.equal(parseObjectRef('skills'), null);
+    assert.equal(parseWhen('2026-03-14'), Date.parse('2026-03-14T00:00:00Z'));
+    assert.equal(parseWhen('2026-03-14 10:30'), Date.parse('2026-03-14T10:30:00Z'));
+    assert.equal(parseWhen('2h ago', 10_000_000), 10_000_000 - 7_200_000);
+    assert.ok(isNaN(parseWhen('last tuesday')));
+  });
+});
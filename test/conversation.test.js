@@ -0,0 +1,130 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-conversation-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createBrain } = require('../src/brain/brain');
+const { createLLM } = require('../src/clients/llm');
+const {
+  loadConversation, appendTurns, compactConversation, conversationPromptBlock, estimateTokens,
+} = require('../src/conversation');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let n = 0;
+const freshBrain = () => createBrain({ storage: null, bucket: null, prefix: `conversation-${n++}` });
+
+// LLM that answers every call with `text` and records the requests
+function recordingLLM(text) {
+  const requests = [];
+  const llm = createLLM({
+    provider: 'fake',
+    model: 'test',
+    adapter: { complete: async (request) => { requests.push(request); return { text, usage: { inputTokens: 0, outputTokens: 0 } }; } },
+  });
+  return { llm, requests };
+}
+
+// n turns of ~`chars` characters each, alternating user / assistant
+function turns(count, chars = 400) {
+  return Array.from({ length: count }, (_, i) => ({
+    role: i % 2 ? 'assistant' : 'user',
+    content: `turn ${i} ${'x'.repeat(chars)}`,
+  }));
+}
+
+describe('conversation history', () => {
+  it('keeps every turn — nothing is cut at 20', async () => {
+    const brain = freshBrain();
+    for (const t of turns(30, 10)) await appendTurns(brain, 'tg:1', [t]);
+    const { messages, summary } = await loadConversation(brain, 'tg:1');
+    assert.equal(messages.length, 30);
+    assert.equal(summary, '');
+  });
+
+  it('leaves history under the budget alone', async () => {
+    const brain = freshBrain();
+    await appendTurns(brain, 'tg:1', turns(4, 10));
+    const { llm, requests } = recordingLLM('unused');
+    assert.equal(await compactConversation(llm, brain, 'tg:1', { tokenBudget: 1000, keepTokens: 500 }), 0);
+    assert.equal(requests.length, 0);
+  });
+
+  it('folds older turns into a running summary once over budget', async () => {
+    const brain = freshBrain();
+    await appendTurns(brain, 'tg:1', turns(20));
+    assert.ok(estimateTokens((await loadConversation(brain, 'tg:1')).messages) > 1000);
+
+    const { llm, requests } = recordingLLM('User is planning a trip to Lisbon in May.');
+    const folded = await compactConversation(llm, brain, 'tg:1', { tokenBudget: 1000, keepTokens: 450 });
+    assert.equal(folded, 16);
+    assert.match(requests[0].messages[0].content, /Earlier summary:\n\(none\)[^]*User: turn 0/);
+
+    const { messages, summary } = await loadConversation(brain, 'tg:1');
+    assert.equal(summary, 'User is planning a trip to Lisbon in May.');
+    assert.deepEqual(messages.map((m) => m.content.split(' x')[0]), ['turn 16', 'turn 17', 'turn 18', 'turn 19']);
+    assert.equal((await brain.loadThread('tg:1:history')).summarizedTurns, 16);
+
+    // The next pass builds on the previous summary
+    await appendTurns(brain, 'tg:1', turns(10));
+    await compactConversation(llm, brain, 'tg:1', { tokenBudget: 1000, keepTokens: 450 });
+    assert.match(requests[1].messages[0].content, /Earlier summary:\nUser is planning a trip to Lisbon/);
+  });
+
+  it('always keeps the latest exchange verbatim', async () => {
+    const brain = freshBrain();
+    await appendTurns(brain, 'tg:1', turns(4, 4000));
+    const { llm } = recordingLLM('Long pastes about x.');
+    assert.equal(await compactConversation(llm, brain, 'tg:1', { tokenBudget: 100, keepTokens: 10 }), 2);
+    assert.deepEqual((await loadConversation(brain, 'tg:1')).messages.map((m) => m.role), ['user', 'assistant']);
+  });
+
+  it('starts the kept turns on a user turn when the budget splits an exchange', async () => {
+    const brain = freshBrain();
+    await appendTurns(brain, 'tg:1', turns(20));
+    const { llm, requests } = recordingLLM('Trip planning.');
+    // 540 tokens fits turns 15–19, which would start on Penny's turn 15
+    assert.equal(await compactConversation(llm, brain, 'tg:1', { tokenBudget: 1000, keepTokens: 540 }), 16);
+    assert.match(requests[0].messages[0].content, /Penny: turn 15/);
+    const { messages } = await loadConversation(brain, 'tg:1');
+    assert.equal(messages[0].role, 'user');
+    assert.equal(messages[0].content.split(' x')[0], 'turn 16');
+  });
+
+  it('doesn\'t drop turns that changed while the summary was written', async () => {
+    const brain = freshBrain();
+    await appendTurns(brain, 'tg:1', turns(20));
+    const llm = createLLM({
+      provider: 'fake',
+      model: 'test',
+      adapter: {
+        complete: async () => {
+          await brain.saveThread('tg:1:history', { messages: turns(2, 10) });
+          return { text: 'stale', usage: { inputTokens: 0, outputTokens: 0 } };
+        },
+      },
+    });
+    assert.equal(await compactConversation(llm, brain, 'tg:1', { tokenBudget: 1000, keepTokens: 450 }), 0);
+    const { messages, summary } = await loadConversation(brain, 'tg:1');
+    assert.equal(messages.length, 2);
+    assert.equal(summary, '');
+  });
+
+  it('formats summary + recent turns for skill and plan prompts', () => {
+    assert.equal(conversationPromptBlock({ summary: '', messages: [] }), '');
+    const block = conversationPromptBlock({
+      summary: 'Planning a trip to Lisbon.',
+      messages: [{ role: 'user', content: 'which week is cheaper?' }, { role: 'assistant', content: 'The second.' }],
+    });
+    assert.equal(block, 'Earlier in this conversation (summary):\nPlanning a trip to Lisbon.\n\n' +
+      'Recent conversation:\nUser: which week is cheaper?\nPenny: The second.');
+  });
+});
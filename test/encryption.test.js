@@ -0,0 +1,112 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-encryption-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createFsBackend } = require('../src/brain/backends/fs');
+const { isSealed } = require('../src/brain/backends/encrypted');
+const { createBrain } = require('../src/brain/brain');
+const { createKeyring, createLocalKms, parseKeys } = require('../src/brain/keyring');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const key32 = () => crypto.randomBytes(32);
+let n = 0;
+function setup(keyring = createKeyring({ k1: key32() }, 'k1')) {
+  const store = createFsBackend({ dir: tmpDir, prefix: `enc-${n++}` });
+  return { store, keyring, brain: createBrain({ backend: store, keyring }) };
+}
+
+describe('encryption at rest', () => {
+  it('stores envelopes and reads plaintext back', async () => {
+    const { store, brain } = setup();
+    await brain.saveThread('tg:1', { pendingEmail: { to: 'a@b.co', body: 'meet at noon' } });
+    const raw = (await store.get('threads/tg:1.json')).value;
+    assert.ok(isSealed(raw));
+    assert.equal(raw.kid, 'k1');
+    assert.doesNotMatch(JSON.stringify(raw), /meet at noon/);
+    assert.equal((await brain.loadThread('tg:1')).pendingEmail.body, 'meet at noon');
+  });
+
+  it('encrypts audit records too', async () => {
+    const { store, brain } = setup();
+    await brain.appendAudit({ action: 'email.send', target: 'a@b.co', at: '2026-03-14T10:00:00.000Z' });
+    assert.doesNotMatch(JSON.stringify(await store.entries('audit/2026-03-14.jsonl')), /a@b\.co/);
+    assert.equal((await brain.loadAudit({ from: '2026-03-14', to: '2026-03-14' }))[0].target, 'a@b.co');
+  });
+
+  it('an envelope only opens under its own key', async () => {
+    const { store, brain } = setup();
+    await brain.saveThread('tg:1', { lastRepo: 'a/b' });
+    await store.put('threads/tg:2.json', (await store.get('threads/tg:1.json')).value);
+    await assert.rejects(brain.loadThread('tg:2'), /Can't decrypt threads\/tg:2\.json/);
+
+    const other = createBrain({ backend: store, keyring: createKeyring({ k1: key32() }, 'k1') });
+    await assert.rejects(other.loadThread('tg:1'), /Can't decrypt/);
+  });
+
+  it('reads plaintext written before encryption and encrypts it on startup', async () => {
+    const { store, brain } = setup();
+    await store.put('threads/tg:1.json', { version: 2, lastRepo: 'a/b' });
+    await store.put('quarantine/threads.tg:9.json', { key: 'threads/tg:9.json', errors: [] });
+    assert.equal((await brain.loadThread('tg:1')).lastRepo, 'a/b');
+
+    const report = await brain.migrate();
+    assert.equal(report.resealed, 2);
+    assert.ok(isSealed((await store.get('threads/tg:1.json')).value));
+    assert.ok(isSealed((await store.get('quarantine/threads.tg:9.json')).value));
+    assert.equal((await brain.migrate()).resealed, 0);
+  });
+
+  it('rotates keys and reseals under the new one', async () => {
+    const kms = createLocalKms(path.join(tmpDir, 'kms', 'keys.json'));
+    const { store, brain } = setup(kms);
+    await brain.saveSkill({ name: 'w', code: 'async function run() {}' });
+
+    assert.equal(await brain.rotateKey(), 'k2');
+    assert.equal(brain.encryptionKeyId(), 'k2');
+    assert.equal((await brain.loadSkills())[0].name, 'w');
+    assert.equal((await brain.migrate()).resealed, 1);
+    assert.equal((await store.get('global/skills.json')).value.kid, 'k2');
+
+    // The key file survives a restart
+    const again = createLocalKms(path.join(tmpDir, 'kms', 'keys.json'));
+    assert.equal(again.current, 'k2');
+    assert.equal((await createBrain({ backend: store, keyring: again }).loadSkills())[0].name, 'w');
+  });
+
+  it('reports the audit logs it can\'t reseal', async () => {
+    const kms = createLocalKms(path.join(tmpDir, 'kms-audit', 'keys.json'));
+    const { store, brain } = setup(kms);
+    await store.append('audit/2026-03-13.jsonl', { action: 'email.send', at: '2026-03-13T10:00:00.000Z' });
+    await brain.appendAudit({ action: 'email.send', at: '2026-03-14T10:00:00.000Z' });
+    assert.deepEqual((await brain.migrate()).unsealedLogs, [{ key: 'audit/2026-03-13.jsonl', records: 1 }]);
+
+    await brain.rotateKey();
+    await brain.appendAudit({ action: 'email.send', at: '2026-03-14T11:00:00.000Z' });
+    const report = await brain.migrate();
+    assert.deepEqual(report.unsealedLogs, [
+      { key: 'audit/2026-03-13.jsonl', records: 1 },
+      { key: 'audit/2026-03-14.jsonl', records: 1 },
+    ]);
+    assert.deepEqual((await brain.loadMigrationReport()).unsealedLogs, report.unsealedLogs);
+    assert.equal((await brain.loadAudit({ from: '2026-03-13', to: '2026-03-14' })).length, 3);
+  });
+
+  it('parses keys from config', () => {
+    const k2 = key32().toString('base64');
+    assert.equal(parseKeys(`k2:${k2}, k1:${key32().toString('base64')}`).current, 'k2');
+    assert.throws(() => parseKeys('k1:c2hvcnQ='), /32 bytes/);
+    assert.throws(() => parseKeys(k2), /<id>:<base64 key>/);
+    assert.throws(() => createKeyring({ k1: key32() }, 'k2'), /not in the keyring/);
+  });
+});
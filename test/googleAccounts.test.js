@@ -0,0 +1,185 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createGoogleAccounts } = require('../src/googleAccounts');
+
+function fakeBrain() {
+  const threads = {};
+  return {
+    async loadThread(key) { return threads[key] || null; },
+    async saveThread(key, patch) { threads[key] = { ...(threads[key] || {}), ...patch }; },
+    async updateThread(key, fn) {
+      const patch = fn(threads[key] || {});
+      if (patch !== undefined) threads[key] = { ...(threads[key] || {}), ...patch };
+    },
+    threads,
+  };
+}
+
+function fakeOAuth() {
+  const revoked = [];
+  return {
+    authUrl: (state) => `https://accounts.example/auth?state=${encodeURIComponent(state)}`,
+    exchangeCode: async (code) => ({ refreshToken: `rt-${code}`, email: 'sam@example.com' }),
+    revoke: async (token) => { revoked.push(token); },
+    revoked,
+  };
+}
+
+const baseConfig = {
+  gmail: { clientId: 'id', clientSecret: 'secret', refreshToken: 'owner-rt', userEmail: 'owner@example.com' },
+  google: { redirectUrl: 'https://penny.example/oauth/google/callback', stateSecret: 'test-secret' },
+  telegram: { adminUserId: '100' },
+};
+const shared = { gmail: { enabled: true, who: 'owner' }, calendar: { who: 'owner' }, tasks: { enabled: true, who: 'owner' } };
+
+describe('googleAccounts — shared mode', () => {
+  it('gives everyone the env account when per-user mode is off', () => {
+    const accounts = createGoogleAccounts({ config: baseConfig, brain: fakeBrain(), shared, oauth: null });
+    assert.equal(accounts.perUser, false);
+    const clients = accounts.clientsFor({ threadKey: 'tg:7', threadState: null, userId: '7' });
+    assert.equal(clients.gmail, shared.gmail);
+    assert.equal(clients.perUser, false);
+    assert.equal(clients.connected, true);
+  });
+});
+
+describe('googleAccounts — per-user mode', () => {
+  it('does not hand the owner account to other users', () => {
+    const accounts = createGoogleAccounts({ config: baseConfig, brain: fakeBrain(), shared, oauth: fakeOAuth() });
+    const clients = accounts.clientsFor({ threadKey: 'tg:7', threadState: null, userId: '7' });
+    assert.equal(clients.gmail, null);
+    assert.equal(clients.calendar, null);
+    assert.equal(clients.tasks, null);
+    assert.equal(clients.connected, false);
+  });
+
+  it('lets the admin fall back to the env account', () => {
+    const accounts = createGoogleAccounts({ config: baseConfig, brain: fakeBrain(), shared, oauth: fakeOAuth() });
+    const clients = accounts.clientsFor({ threadKey: 'tg:100', threadState: null, userId: '100' });
+    assert.equal(clients.gmail, shared.gmail);
+    assert.equal(clients.owner, true);
+  });
+
+  it('builds (and reuses) clients from the user\'s own token', () => {
+    const accounts = createGoogleAccounts({ config: baseConfig, brain: fakeBrain(), shared, oauth: fakeOAuth() });
+    const threadState = { googleAuth: { refreshToken: 'rt-sam', email: 'sam@example.com' } };
+    const first = accounts.clientsFor({ threadKey: 'tg:7', threadState, userId: '7' });
+    assert.equal(first.connected, true);
+    assert.equal(first.email, 'sam@example.com');
+    assert.equal(first.gmail.enabled, true);
+    assert.notEqual(first.gmail, shared.gmail);
+    const second = accounts.clientsFor({ threadKey: 'tg:7', threadState, userId: '7' });
+    assert.equal(second.gmail, first.gmail);
+  });
+
+  it('holds the account on the thread named in the signed state until it\'s confirmed', async () => {
+    const brain = fakeBrain();
+    const accounts = createGoogleAccounts({ config: baseConfig, brain, shared, oauth: fakeOAuth() });
+    const state = await accounts.createState('tg:7', 7);
+    const result = await accounts.completeConnection({ code: 'abc', state });
+    assert.deepEqual({ threadKey: result.threadKey, chatId: result.chatId, email: result.email }, { threadKey: 'tg:7', chatId: 7, email: 'sam@example.com' });
+    assert.equal(brain.threads['tg:7'].googleAuth, undefined);
+    assert.equal(brain.threads['tg:7'].pendingGoogleAuth.refreshToken, 'rt-abc');
+
+    assert.equal(await accounts.confirmConnection('tg:7', 'other'), null);
+    const auth = await accounts.confirmConnection('tg:7', result.id);
+    assert.equal(auth.email, 'sam@example.com');
+    assert.equal(brain.threads['tg:7'].googleAuth.refreshToken, 'rt-abc');
+    assert.equal(brain.threads['tg:7'].pendingGoogleAuth, null);
+    assert.equal(await accounts.confirmConnection('tg:7', result.id), null);
+  });
+
+  it('takes each link once, and only the latest one', async () => {
+    const brain = fakeBrain();
+    const accounts = createGoogleAccounts({ config: baseConfig, brain, shared, oauth: fakeOAuth() });
+    const older = await accounts.createState('tg:7', 7);
+    const state = await accounts.createState('tg:7', 7);
+    await assert.rejects(accounts.completeConnection({ code: 'abc', state: older }), /already used/);
+    await accounts.completeConnection({ code: 'abc', state });
+    await assert.rejects(accounts.completeConnection({ code: 'evil', state }), /already used/);
+    assert.equal(brain.threads['tg:7'].pendingGoogleAuth.refreshToken, 'rt-abc');
+  });
+
+  it('lets go of an account that is cancelled or confirmed too late', async () => {
+    const brain = fakeBrain();
+    const oauth = fakeOAuth();
+    const accounts = createGoogleAccounts({ config: baseConfig, brain, shared, oauth });
+    const first = await accounts.completeConnection({ code: 'abc', state: await accounts.createState('tg:7', 7) });
+    assert.equal(await accounts.cancelConnection('tg:7', first.id), true);
+    assert.equal(await accounts.cancelConnection('tg:7', first.id), false);
+    assert.deepEqual(oauth.revoked, ['rt-abc']);
+
+    const second = await accounts.completeConnection({ code: 'def', state: await accounts.createState('tg:7', 7) });
+    const realNow = Date.now;
+    Date.now = () => realNow() + 60 * 60 * 1000;
+    try {
+      assert.equal(await accounts.confirmConnection('tg:7', second.id), null);
+    } finally {
+      Date.now = realNow;
+    }
+    assert.equal(brain.threads['tg:7'].googleAuth, undefined);
+    assert.deepEqual(oauth.revoked, ['rt-abc', 'rt-def']);
+  });
+
+  it('rejects tampered and expired state', async () => {
+    const accounts = createGoogleAccounts({ config: baseConfig, brain: fakeBrain(), shared, oauth: fakeOAuth() });
+    const state = await accounts.createState('tg:7', 7);
+    const [payload, sig] = state.split('.');
+    const forged = Buffer.from(JSON.stringify({ threadKey: 'tg:100', chatId: 100, nonce: 'n', exp: Date.now() + 60000 })).toString('base64url');
+    assert.equal(accounts.verifyState(`${forged}.${sig}`), null);
+    assert.equal(accounts.verifyState(payload), null);
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 60 * 60 * 1000;
+    try {
+      assert.equal(accounts.verifyState(state), null);
+    } finally {
+      Date.now = realNow;
+    }
+    await assert.rejects(accounts.completeConnection({ code: 'abc', state: `${forged}.${sig}` }), /expired/);
+  });
+
+  it('does not verify state signed with another secret', async () => {
+    const a = createGoogleAccounts({ config: baseConfig, brain: fakeBrain(), shared, oauth: fakeOAuth() });
+    const b = createGoogleAccounts({
+      config: { ...baseConfig, google: { ...baseConfig.google, stateSecret: 'other' } },
+      brain: fakeBrain(), shared, oauth: fakeOAuth(),
+    });
+    assert.equal(b.verifyState(await a.createState('tg:7', 7)), null);
+  });
+
+  it('disconnect clears and revokes the stored token', async () => {
+    const brain = fakeBrain();
+    const oauth = fakeOAuth();
+    const accounts = createGoogleAccounts({ config: baseConfig, brain, shared, oauth });
+    const threadState = { googleAuth: { refreshToken: 'rt-sam', email: 'sam@example.com' } };
+    assert.equal(await accounts.disconnect('tg:7', threadState), true);
+    assert.equal(brain.threads['tg:7'].googleAuth, null);
+    assert.deepEqual(oauth.revoked, ['rt-sam']);
+    assert.equal(await accounts.disconnect('tg:7', null), false);
+  });
+
+  it('callback handler takes the sign-in and asks the chat to confirm it', async () => {
+    const accounts = createGoogleAccounts({ config: baseConfig, brain: fakeBrain(), shared, oauth: fakeOAuth() });
+    assert.equal(accounts.callbackPath(), '/oauth/google/callback');
+    const notified = [];
+    const handler = accounts.callbackHandler({ onConnected: async (r) => { notified.push(r); } });
+    const res = {
+      statusCode: 0, body: '',
+      type() { return this; },
+      status(code) { this.statusCode = code; return this; },
+      send(body) { this.body = body; return this; },
+    };
+    await handler({ query: { code: 'abc', state: await accounts.createState('tg:7', 7) } }, res);
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body, /sam@example\.com[\s\S]*confirm it/);
+    assert.equal(notified[0].chatId, 7);
+    assert.ok(notified[0].id);
+
+    await handler({ query: { code: 'abc', state: 'garbage' } }, res);
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractJsonFromText, validateSchema } = require('../src/util/json');
+
+describe('extractJsonFromText', () => {
+  it('extracts raw JSON object', () => {
+    const input = '{"prTitle":"fix","steps":[]}';
+    assert.equal(extractJsonFromText(input), '{"prTitle":"fix","steps":[]}');
+  });
+
+  it('extracts JSON from ```json fenced block', () => {
+    const input = '```json\n{"prTitle":"fix","steps":[]}\n```';
+    const result = extractJsonFromText(input);
+    assert.equal(result, '{"prTitle":"fix","steps":[]}');
+  });
+
+  it('extracts JSON from ``` fenced block (no language)', () => {
+    const input = '```\n{"a":1}\n```';
+    assert.equal(extractJsonFromText(input), '{"a":1}');
+  });
+
+  it('handles truncated JSON (no closing brace)', () => {
+    const input = '{"prTitle":"fix","prBody":"some long text';
+    const result = extractJsonFromText(input);
+    assert.ok(result.startsWith('{"prTitle":'));
+  });
+
+  it('strips surrounding text', () => {
+    const input = 'Here is the plan:\n{"a":1}\nDone.';
+    assert.equal(extractJsonFromText(input), '{"a":1}');
+  });
+});
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      kind: { type: 'string', enum: ['a', 'b'] },
+      date: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+      count: { type: 'integer' },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    },
+    required: ['kind'],
+  };
+
+  it('accepts a value that fits', () => {
+    assert.deepEqual(validateSchema(schema, { kind: 'a', date: null, count: 2, tags: ['x'], extra: true }), []);
+  });
+
+  it('reports each problem with its path', () => {
+    const errors = validateSchema(schema, { date: 'tomorrow', count: 1.5, tags: ['x', 2, 'z'] });
+    assert.deepEqual(errors, [
+      '$.kind is required',
+      '$.date should match ^\\d{4}-\\d{2}-\\d{2}$',
+      '$.count should be integer, got number',
+      '$.tags allows at most 2 items',
+      '$.tags[1] should be string, got integer',
+    ]);
+  });
+
+  it('checks enums, anyOf and closed objects', () => {
+    assert.match(validateSchema(schema, { kind: 'c' })[0], /one of "a", "b"/);
+    assert.deepEqual(validateSchema({ anyOf: [{ type: 'string' }, { type: 'boolean' }] }, 3), ["$ doesn't match any allowed shape"]);
+    assert.deepEqual(validateSchema({ type: 'object', properties: { a: {} }, additionalProperties: false }, { a: 1, b: 2 }), ['$ has unexpected keys: b']);
+  });
+});
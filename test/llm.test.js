@@ -0,0 +1,195 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createLLM, createLLMFromConfig, anthropicAdapter, openaiAdapter, LLMOutputError } = require('../src/clients/llm');
+
+function fakeAnthropic(text = 'hi', usage = { input_tokens: 10, output_tokens: 3 }) {
+  const calls = [];
+  return {
+    calls,
+    messages: { create: async (params) => { calls.push(params); return { content: [{ type: 'text', text }], usage }; } },
+  };
+}
+
+function fakeOpenAI(text = 'hi') {
+  const calls = [];
+  return {
+    calls,
+    chat: {
+      completions: {
+        create: async (params) => {
+          calls.push(params);
+          return { choices: [{ message: { content: text } }], usage: { prompt_tokens: 7, completion_tokens: 2 } };
+        },
+      },
+    },
+  };
+}
+
+const config = {
+  llmProvider: 'anthropic',
+  llmMaxRetries: 2,
+  anthropic: { model: 'claude-opus-4-6' },
+  openai: { model: 'gpt-5' },
+  local: { model: 'llama3.1' },
+};
+
+describe('adapters', () => {
+  it('speaks the Anthropic messages API and counts cache tokens as input', async () => {
+    const client = fakeAnthropic(' hello ', { input_tokens: 10, cache_read_input_tokens: 5, output_tokens: 3 });
+    const llm = createLLM({ provider: 'anthropic', adapter: anthropicAdapter(client), model: 'claude-opus-4-6' });
+    const result = await llm.call({ system: 'be nice', messages: [{ role: 'user', content: 'hi' }], maxTokens: 50 });
+    assert.equal(result.text, 'hello');
+    assert.deepEqual(result.usage, { inputTokens: 15, outputTokens: 3 });
+    assert.deepEqual(client.calls[0], { model: 'claude-opus-4-6', max_tokens: 50, system: 'be nice', messages: [{ role: 'user', content: 'hi' }] });
+  });
+
+  it('puts the system prompt first for OpenAI', async () => {
+    const client = fakeOpenAI();
+    const llm = createLLM({ provider: 'openai', adapter: openaiAdapter(client), model: 'gpt-5' });
+    const result = await llm.call({ system: 'be nice', messages: [{ role: 'user', content: 'hi' }], maxTokens: 50 });
+    assert.deepEqual(result.usage, { inputTokens: 7, outputTokens: 2 });
+    const params = client.calls[0];
+    assert.deepEqual(params.messages[0], { role: 'system', content: 'be nice' });
+    assert.equal(params.max_completion_tokens, 50);
+  });
+});
+
+describe('structured output', () => {
+  const schema = {
+    type: 'object',
+    properties: { pass: { type: 'boolean' }, reason: { type: 'string' } },
+    required: ['pass'],
+  };
+  const ask = { name: 'verify', schema, messages: [{ role: 'user', content: 'check this' }] };
+
+  it('forces a tool call on Anthropic and returns its input', async () => {
+    const client = {
+      calls: [],
+      messages: {
+        create: async (params) => {
+          client.calls.push(params);
+          return { content: [{ type: 'tool_use', name: 'verify', input: { pass: true } }], usage: {} };
+        },
+      },
+    };
+    const llm = createLLM({ provider: 'anthropic', adapter: anthropicAdapter(client), model: 'm' });
+    assert.deepEqual(await llm.json(ask), { pass: true });
+    assert.deepEqual(client.calls[0].tool_choice, { type: 'tool', name: 'verify' });
+    assert.deepEqual(client.calls[0].tools[0].input_schema, schema);
+  });
+
+  it('uses json_schema on OpenAI and the prompt on local servers', async () => {
+    const openai = fakeOpenAI('{"pass":false,"reason":"wrong"}');
+    const viaOpenAI = createLLM({ provider: 'openai', adapter: openaiAdapter(openai), model: 'gpt-5' });
+    assert.deepEqual(await viaOpenAI.json(ask), { pass: false, reason: 'wrong' });
+    assert.deepEqual(openai.calls[0].response_format, { type: 'json_schema', json_schema: { name: 'verify', schema } });
+
+    const local = fakeOpenAI('```json\n{"pass":true}\n```');
+    const viaLocal = createLLM({ provider: 'local', adapter: openaiAdapter(local, { local: true }), model: 'llama3.1' });
+    assert.deepEqual(await viaLocal.json({ ...ask, system: 'verify it' }), { pass: true });
+    assert.deepEqual(local.calls[0].response_format, { type: 'json_object' });
+    assert.match(local.calls[0].messages[0].content, /^verify it\n\nReply with a single JSON object matching this JSON Schema/);
+  });
+
+  it('re-prompts with the validation errors, then gives up', async () => {
+    const replies = ['{"pass":"yes"}', '{"pass":true}'];
+    const seen = [];
+    const adapter = {
+      nativeSchema: true,
+      complete: async ({ messages }) => {
+        seen.push(messages);
+        return { text: replies.shift() || 'nope', usage: { inputTokens: 0, outputTokens: 0 } };
+      },
+    };
+    const llm = createLLM({ provider: 'x', adapter, model: 'm' });
+    assert.deepEqual(await llm.json(ask), { pass: true });
+    assert.equal(seen[1].length, 3);
+    assert.equal(seen[1][1].content, '{"pass":"yes"}');
+    assert.match(seen[1][2].content, /\$\.pass should be boolean, got string/);
+
+    const err = await llm.json(ask).catch((e) => e);
+    assert.ok(err instanceof LLMOutputError);
+    assert.equal(err.raw, 'nope');
+    assert.match(err.errors[0], /not valid JSON/);
+  });
+
+  it('applies extra checks after the schema', async () => {
+    const adapter = { nativeSchema: true, complete: async () => ({ text: '{"pass":false}', usage: {} }) };
+    const llm = createLLM({ provider: 'x', adapter, model: 'm' });
+    const check = (v) => (v.pass || v.reason ? [] : ['$.reason is required when pass is false']);
+    await assert.rejects(llm.json({ ...ask, check, repairs: 0 }), /reason is required when pass is false/);
+  });
+});
+
+describe('createLLMFromConfig', () => {
+  it('honours LLM_PROVIDER', async () => {
+    const anthropic = fakeAnthropic();
+    const openai = fakeOpenAI();
+    const local = fakeOpenAI();
+    assert.equal(createLLMFromConfig(config, { anthropic, openai }).provider, 'anthropic');
+
+    const viaOpenAI = createLLMFromConfig({ ...config, llmProvider: 'openai' }, { anthropic, openai });
+    await viaOpenAI.call({ messages: [{ role: 'user', content: 'hi' }] });
+    assert.equal(openai.calls[0].model, 'gpt-5');
+    assert.equal(anthropic.calls.length, 0);
+
+    const viaLocal = createLLMFromConfig({ ...config, llmProvider: 'local' }, { anthropic, openai, local });
+    await viaLocal.call({ messages: [{ role: 'user', content: 'hi' }], maxTokens: 20 });
+    assert.equal(local.calls[0].model, 'llama3.1');
+    assert.equal(local.calls[0].max_tokens, 20);
+  });
+
+  it('returns null when the chosen provider has no client', () => {
+    assert.equal(createLLMFromConfig({ ...config, llmProvider: 'openai' }, { anthropic: fakeAnthropic() }), null);
+  });
+});
+
+describe('retries', () => {
+  function flaky(failures, err) {
+    let calls = 0;
+    return {
+      get calls() { return calls; },
+      async complete() {
+        calls++;
+        if (calls <= failures) throw err;
+        return { text: 'ok', usage: { inputTokens: 1, outputTokens: 1 } };
+      },
+    };
+  }
+
+  it('retries rate limits and server errors with backoff', async () => {
+    const waits = [];
+    const adapter = flaky(2, Object.assign(new Error('overloaded'), { status: 529 }));
+    const llm = createLLM({ provider: 'x', adapter, model: 'm', sleep: async (ms) => { waits.push(ms); } });
+    assert.equal(await llm.text({ messages: [] }), 'ok');
+    assert.deepEqual(waits, [1000, 2000]);
+  });
+
+  it('gives up after maxRetries and never retries client errors', async () => {
+    const sleep = async () => {};
+    const busy = flaky(5, Object.assign(new Error('busy'), { status: 429 }));
+    await assert.rejects(createLLM({ provider: 'x', adapter: busy, model: 'm', maxRetries: 1, sleep }).call({ messages: [] }), /busy/);
+    assert.equal(busy.calls, 2);
+    const bad = flaky(5, Object.assign(new Error('bad request'), { status: 400 }));
+    await assert.rejects(createLLM({ provider: 'x', adapter: bad, model: 'm', sleep }).call({ messages: [] }), /bad request/);
+    assert.equal(bad.calls, 1);
+  });
+});
+
+describe('hooks', () => {
+  it('runs before/after around each call and can refuse it', async () => {
+    const client = fakeAnthropic();
+    const base = createLLM({ provider: 'anthropic', adapter: anthropicAdapter(client), model: 'claude-opus-4-6' });
+    const seen = [];
+    const metered = base.withHooks({ after: (usage, info) => { seen.push({ ...usage, ...info }); } });
+    await metered.call({ messages: [{ role: 'user', content: 'hi' }], model: 'claude-haiku-4-5' });
+    assert.deepEqual(seen, [{ inputTokens: 10, outputTokens: 3, provider: 'anthropic', model: 'claude-haiku-4-5' }]);
+
+    const blocked = base.withHooks({ before: () => { throw new Error('quota'); } });
+    await assert.rejects(blocked.call({ messages: [] }), /quota/);
+    assert.equal(client.calls.length, 1);
+  });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-memory-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createBrain } = require('../src/brain/brain');
+const { createMemory, memoryPromptBlock } = require('../src/memory');
+const { hashEmbedder, similarity, createEmbedderFromConfig } = require('../src/clients/embeddings');
+const { createLLM } = require('../src/clients/llm');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let n = 0;
+function setup(memoryConfig = {}) {
+  const brain = createBrain({ storage: null, bucket: null, prefix: `memory-${n++}` });
+  const memory = createMemory({ brain, embedder: hashEmbedder(), config: { memory: memoryConfig }, logError: () => {} });
+  return { brain, memory };
+}
+
+// LLM whose replies are the given JSON objects, in order
+function scriptedLLM(...replies) {
+  const requests = [];
+  const llm = createLLM({
+    provider: 'fake',
+    model: 'test',
+    adapter: {
+      complete: async (request) => {
+        requests.push(request);
+        return { text: JSON.stringify(replies.shift() || { facts: [] }), usage: { inputTokens: 0, outputTokens: 0 } };
+      },
+    },
+  });
+  return { llm, requests };
+}
+
+describe('hash embedder', () => {
+  it('scores shared words above unrelated text', async () => {
+    const [fact, question, other] = await hashEmbedder().embed([
+      'The user\'s dentist is Dr. Lee',
+      'who is my dentist?',
+      'standup is at 9:30 every weekday',
+    ]);
+    assert.ok(similarity(fact, question) > 0.3);
+    assert.ok(similarity(fact, other) < 0.1);
+  });
+
+  it('is the fallback when the configured embeddings API is missing', () => {
+    assert.match(createEmbedderFromConfig({ memory: { embedder: 'openai' } }, {}).name, /^hash-/);
+  });
+});
+
+describe('memory store', () => {
+  it('remembers, lists, edits and forgets', async () => {
+    const { memory } = setup();
+    const a = await memory.remember('tg:1', 'My dentist is Dr. Lee');
+    await memory.remember('tg:1', 'Standup is at 9:30');
+    assert.deepEqual((await memory.list('tg:1')).map((m) => m.text), ['My dentist is Dr. Lee', 'Standup is at 9:30']);
+
+    await memory.edit('tg:1', a.id, 'My dentist is Dr. Park');
+    assert.equal((await memory.list('tg:1'))[0].text, 'My dentist is Dr. Park');
+
+    assert.equal(await memory.forget('tg:1', a.id), 1);
+    assert.deepEqual((await memory.list('tg:1')).map((m) => m.text), ['Standup is at 9:30']);
+    assert.equal(await memory.forget('tg:1', 'all'), 1);
+    assert.deepEqual(await memory.list('tg:1'), []);
+  });
+
+  it('refreshes a near-identical fact instead of duplicating it', async () => {
+    const { memory } = setup();
+    await memory.remember('tg:1', 'Standup is at 9:30');
+    await memory.remember('tg:1', 'standup is at 9:30.');
+    assert.equal((await memory.list('tg:1')).length, 1);
+  });
+
+  it('recalls the most relevant memories for a message', async () => {
+    const { memory } = setup({ topK: 2 });
+    await memory.remember('tg:1', 'The user\'s dentist is Dr. Lee');
+    await memory.remember('tg:1', 'Standup is at 9:30 every weekday');
+    await memory.remember('tg:1', 'The user\'s sister Maya lives in Lisbon');
+    const hits = await memory.recall('tg:1', 'book a dentist appointment');
+    assert.equal(hits[0].text, 'The user\'s dentist is Dr. Lee');
+    assert.ok(hits.every((h) => h.score >= 0.2));
+    assert.deepEqual(await memory.recall('tg:2', 'dentist'), []);
+  });
+
+  it('keeps memories per user', async () => {
+    const { memory } = setup();
+    await memory.remember('tg:1', 'Likes oat milk');
+    assert.deepEqual(await memory.list('tg:2'), []);
+  });
+
+  it('re-embeds memories stored by a different embedder', async () => {
+    const { brain, memory } = setup();
+    await brain.updateMemories('tg:1', () => [{ id: 'x', text: 'The user\'s dentist is Dr. Lee', embedding: [1, 0], embedder: 'old' }]);
+    const [hit] = await memory.recall('tg:1', 'dentist');
+    assert.equal(hit.id, 'x');
+    assert.equal((await brain.loadMemories('tg:1'))[0].embedder, hashEmbedder().name);
+  });
+
+  it('formats recalled memories for a prompt', () => {
+    assert.equal(memoryPromptBlock([]), '');
+    assert.match(memoryPromptBlock([{ text: 'Standup is at 9:30' }]), /remember about this user[^]*- Standup is at 9:30/);
+  });
+});
+
+describe('memory extraction', () => {
+  it('stores new facts and updates the ones they replace', async () => {
+    const { memory } = setup();
+    await memory.remember('tg:1', 'Standup is at 9:30', { source: 'chat' });
+    const { llm, requests } = scriptedLLM({
+      facts: [
+        { text: 'Standup moved to 10:00', replaces: 1 },
+        { text: 'The user\'s dentist is Dr. Lee', replaces: null },
+      ],
+    });
+    const changes = await memory.learn(llm, 'tg:1', [{ role: 'user', content: 'standup moved to 10, and my dentist is Dr. Lee' }]);
+    assert.equal(changes.length, 2);
+    assert.equal(changes[0].replaced, 'Standup is at 9:30');
+    assert.match(requests[0].messages[0].content, /1\. Standup is at 9:30/);
+    assert.deepEqual((await memory.list('tg:1')).map((m) => m.text), ['Standup moved to 10:00', 'The user\'s dentist is Dr. Lee']);
+  });
+
+  it('skips short messages and can be switched off', async () => {
+    const { llm, requests } = scriptedLLM();
+    assert.deepEqual(await setup().memory.learn(llm, 'tg:1', [{ role: 'user', content: 'thanks!' }]), []);
+    assert.deepEqual(await setup({ extract: false }).memory.learn(llm, 'tg:1', [{ role: 'user', content: 'my dentist is Dr. Lee' }]), []);
+    assert.equal(requests.length, 0);
+  });
+
+  it('ignores output that never fits the schema', async () => {
+    const { memory } = setup();
+    const { llm } = scriptedLLM({ nope: true }, { nope: true });
+    assert.deepEqual(await memory.learn(llm, 'tg:1', [{ role: 'user', content: 'my dentist is Dr. Lee' }]), []);
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-migrations-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createFsBackend } = require('../src/brain/backends/fs');
+const { createBrain } = require('../src/brain/brain');
+const { KINDS, schemaVersion, upgrade, stamp, validate } = require('../src/brain/migrations');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let n = 0;
+// Brain over a backend the test can also write to directly
+function seeded(objects) {
+  const store = createFsBackend({ dir: tmpDir, prefix: `migrations-${n++}` });
+  return Promise.all(Object.entries(objects).map(([key, value]) => store.put(key, value)))
+    .then(() => ({ store, brain: createBrain({ backend: store }) }));
+}
+
+describe('migrations', () => {
+  it('every kind numbers its migrations 1..n', () => {
+    for (const [name, kind] of Object.entries(KINDS)) {
+      assert.deepEqual(kind.migrations.map((m) => m.version), kind.migrations.map((_, i) => i + 1), name);
+    }
+  });
+
+  it('upgrades old objects step by step', () => {
+    const thread = upgrade('threads/tg:1.json', { version: 1, lastRepo: 'a/b', pendingEmail: null });
+    assert.deepEqual(thread, { lastRepo: 'a/b', version: schemaVersion('threads/tg:1.json') });
+    assert.equal(upgrade('global/skills.json', { skills: [] }).version, 2);
+  });
+
+  it('gives old skills a version history', () => {
+    const { skills: [skill] } = upgrade('skills/tg:1.json', { version: 1, skills: [{ name: 'w', code: 'c', successCount: 4 }] });
+    assert.equal(skill.version, 1);
+    assert.deepEqual(skill.versions.map(({ version, code, successCount, failureCount }) => ({ version, code, successCount, failureCount })),
+      [{ version: 1, code: 'c', successCount: 4, failureCount: 0 }]);
+  });
+
+  it('leaves current, newer and unversioned kinds alone', () => {
+    const current = { version: schemaVersion('threads/tg:1.json'), pendingEmail: null };
+    assert.equal(upgrade('threads/tg:1.json', current), current);
+    const newer = { version: 99 };
+    assert.equal(upgrade('threads/tg:1.json', newer), newer);
+    assert.equal(stamp('threads/tg:1.json', newer).version, 99);
+    const other = { a: 1 };
+    assert.equal(upgrade('quarantine/x.json', other), other);
+  });
+
+  it('validates against the kind\'s schema', () => {
+    assert.deepEqual(validate('threads/tg:1.json', { version: 2, messages: [{ role: 'user', content: 'hi' }] }), []);
+    assert.match(validate('threads/tg:1.json', { messages: 'hi' })[0], /\$\.messages should be array/);
+    assert.match(validate('global/skills.json', { skills: [{ name: 'x' }] })[0], /code is required/);
+  });
+});
+
+describe('brain with migrations', () => {
+  it('reads come back upgraded and writes are stamped', async () => {
+    const { brain, store } = await seeded({ 'threads/tg:1.json': { version: 1, lastRepo: 'a/b', pendingEmail: null } });
+    const thread = await brain.loadThread('tg:1');
+    assert.equal(thread.version, 2);
+    assert.ok(!('pendingEmail' in thread));
+
+    await brain.saveRoundupTopics(['ai']);
+    assert.equal((await store.get('global/roundup-topics.json')).value.version, 1);
+  });
+
+  it('a null in a thread patch clears the field', async () => {
+    const { brain } = await seeded({});
+    await brain.saveThread('tg:1', { pendingEmail: { id: 'd1' } });
+    await brain.saveThread('tg:1', { pendingEmail: null });
+    assert.ok(!('pendingEmail' in await brain.loadThread('tg:1')));
+  });
+
+  it('imported objects are upgraded before they are stored', async () => {
+    const { brain, store } = await seeded({});
+    await brain.saveObject('threads/tg:1.json', { version: 1, googleAuth: null });
+    assert.deepEqual((await store.get('threads/tg:1.json')).value, { version: 2 });
+  });
+
+  it('the startup pass writes upgrades back and quarantines what doesn\'t fit', async () => {
+    const { brain, store } = await seeded({
+      'threads/tg:1.json': { version: 1, lastRepo: 'a/b', pendingEmail: null },
+      'threads/tg:2.json': { version: 1, messages: 'not a list' },
+      'global/skills.json': { skills: [{ name: 'w', code: 'async function run() {}' }] },
+      'global/roles.json': { users: [] },
+      'global/roundup-topics.json': { version: 5, topics: ['ai'] },
+    });
+    const report = await brain.migrate();
+
+    assert.equal(report.checked, 5);
+    assert.equal(report.migrated, 2);
+    assert.equal(report.newer, 1);
+    assert.deepEqual((await store.get('threads/tg:1.json')).value, { version: 2, lastRepo: 'a/b' });
+    assert.equal((await store.get('global/skills.json')).value.version, 2);
+
+    assert.deepEqual(report.quarantined.map((q) => q.key), ['threads/tg:2.json']);
+    assert.equal(await store.get('threads/tg:2.json'), null);
+    const [held] = await brain.listQuarantine();
+    assert.deepEqual(held.value, { version: 1, messages: 'not a list' });
+    assert.match(held.errors[0], /messages should be array/);
+
+    // Roles are reported, never moved
+    assert.deepEqual(report.invalid.map((q) => q.key), ['global/roles.json']);
+    assert.ok(await store.get('global/roles.json'));
+
+    assert.equal((await brain.loadMigrationReport()).migrated, 2);
+    assert.equal((await brain.migrate()).migrated, 0);
+  });
+});
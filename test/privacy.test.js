@@ -0,0 +1,84 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-privacy-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createFsBackend } = require('../src/brain/backends/fs');
+const { createBrain } = require('../src/brain/brain');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let n = 0;
+async function seeded() {
+  const store = createFsBackend({ dir: tmpDir, prefix: `privacy-${n++}` });
+  const brain = createBrain({ backend: store });
+  await brain.saveThread('tg:1', { lastRepo: 'me/app', messages: [{ role: 'user', content: 'hi' }] });
+  await brain.saveThread('tg:1:history', { messages: [{ role: 'user', content: 'plan my trip' }], summary: 'Trip talk.' });
+  await brain.updateMemories('tg:1', () => [{ id: 'm1', text: 'Lives in Porto' }]);
+  await brain.saveRateLimit('tg:1', { day: '2026-10-19', used: { pr_job: 3 } });
+  // Same prefix, different user
+  await brain.saveThread('tg:10', { lastRepo: 'other/app' });
+  await brain.saveActiveChat(1);
+  await brain.saveActiveChat(10);
+  await brain.saveUsage('2026-10-19', { byUser: { 1: { calls: 2 }, 10: { calls: 5 } }, names: { 1: 'Ana', 10: 'Bo' } });
+  return { store, brain };
+}
+
+describe('per-user data', () => {
+  it('exports only the user\'s own objects', async () => {
+    const { brain } = await seeded();
+    const objects = await brain.exportUserData('tg:1');
+    assert.deepEqual(Object.keys(objects).sort(), [
+      'limits/tg:1.json', 'memory/tg:1.json', 'threads/tg:1.json', 'threads/tg:1:history.json',
+    ]);
+    assert.equal(objects['memory/tg:1.json'].items[0].text, 'Lives in Porto');
+  });
+
+  it('deletes the user\'s objects and usage rows but keeps rate limits and other users', async () => {
+    const { brain } = await seeded();
+    const deleted = await brain.deleteUserData('tg:1', { userId: '1', chatId: 1 });
+    assert.deepEqual(deleted.sort(), ['memory/tg:1.json', 'threads/tg:1.json', 'threads/tg:1:history.json']);
+    assert.equal(await brain.loadThread('tg:1'), null);
+    assert.equal(await brain.loadThread('tg:1:history'), null);
+    assert.deepEqual(await brain.loadMemories('tg:1'), []);
+    assert.deepEqual((await brain.loadRateLimit('tg:1')).used, { pr_job: 3 });
+    assert.equal((await brain.loadThread('tg:10')).lastRepo, 'other/app');
+    assert.deepEqual(await brain.loadActiveChats(), [10]);
+    const day = await brain.loadUsage('2026-10-19');
+    assert.deepEqual(day.byUser, { 10: { calls: 5 } });
+    assert.deepEqual(day.names, { 10: 'Bo' });
+  });
+
+  it('deletes quarantined copies too', async () => {
+    const { store, brain } = await seeded();
+    await store.put('quarantine/threads.tg:1.json', { key: 'threads/tg:1.json', value: 'junk' });
+    const deleted = await brain.deleteUserData('tg:1', { userId: '1' });
+    assert.ok(deleted.includes('quarantine/threads.tg:1.json'));
+    assert.equal(await store.get('quarantine/threads.tg:1.json'), null);
+  });
+
+  it('uses the backend\'s purge when it has one', async () => {
+    const { store } = await seeded();
+    const purged = [];
+    const brain = createBrain({ backend: { ...store, purge: async (key) => { purged.push(key); await store.delete(key); } } });
+    await brain.deleteUserData('tg:1');
+    assert.deepEqual(purged.sort(), ['memory/tg:1.json', 'threads/tg:1.json', 'threads/tg:1:history.json']);
+  });
+
+  it('clearHistory drops messages and the conversation but keeps settings', async () => {
+    const { brain } = await seeded();
+    await brain.clearHistory('tg:1');
+    const thread = await brain.loadThread('tg:1');
+    assert.equal(thread.messages, undefined);
+    assert.equal(thread.lastRepo, 'me/app');
+    assert.equal(await brain.loadThread('tg:1:history'), null);
+  });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { createRateLimiter, quotaFor, deniedMessage } = require('../src/util/rateLimit');
+const { createFsBackend } = require('../src/brain/backends/fs');
+const { createBrain } = require('../src/brain/brain');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-rate-limit-test-'));
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function memoryBrain() {
+  const store = {};
+  return {
+    store,
+    async loadRateLimit(key) { return store[key] ? JSON.parse(store[key]) : null; },
+    async updateRateLimit(key, fn) {
+      const next = fn(store[key] ? JSON.parse(store[key]) : null);
+      if (next !== undefined) store[key] = JSON.stringify(next);
+      return store[key] ? JSON.parse(store[key]) : null;
+    },
+  };
+}
+
+function setup({ quotas = {}, brain = memoryBrain(), start = Date.parse('2026-03-14T12:00:00Z') } = {}) {
+  let t = start;
+  const limiter = createRateLimiter({
+    brain,
+    config: { rateLimit: { windowMs: 30000, max: 10, quotas } },
+    now: () => t,
+  });
+  return { limiter, brain, advance: (ms) => { t += ms; } };
+}
+
+describe('burst bucket', () => {
+  it('charges each action its cost and refills over the window', async () => {
+    const { limiter, advance } = setup();
+    assert.equal((await limiter.take('u', 'pr_job', { role: 'admin' })).ok, true); // 5
+    assert.equal((await limiter.take('u', 'call', { role: 'admin' })).ok, true); // 5
+    const denied = await limiter.take('u', 'message', { role: 'admin' });
+    assert.equal(denied.ok, false);
+    assert.equal(denied.reason, 'burst');
+    assert.equal(denied.retryAfterMs, 3000);
+    advance(3000);
+    assert.equal((await limiter.take('u', 'message', { role: 'admin' })).ok, true);
+  });
+
+  it('survives a restart through the brain', async () => {
+    const first = setup();
+    for (let i = 0; i < 10; i++) await first.limiter.take('u', 'message', { role: 'member' });
+    const second = setup({ brain: first.brain });
+    assert.equal((await second.limiter.take('u', 'message', { role: 'member' })).ok, false);
+  });
+
+  it('lets roles override the burst size', async () => {
+    const { limiter } = setup({ quotas: { guest: { burst: 1 } } });
+    assert.equal((await limiter.take('u', 'message', { role: 'guest' })).ok, true);
+    assert.equal((await limiter.take('u', 'message', { role: 'guest' })).ok, false);
+  });
+});
+
+describe('daily quotas', () => {
+  it('caps actions per role and resets at midnight UTC', async () => {
+    const { limiter, advance } = setup({ quotas: { member: { call: 1 } } });
+    assert.equal((await limiter.take('u', 'call', { role: 'member' })).ok, true);
+    advance(60000);
+    const denied = await limiter.take('u', 'call', { role: 'member' });
+    assert.equal(denied.reason, 'quota');
+    assert.match(deniedMessage(denied), /used all 1 phone calls for today/);
+    advance(12 * 60 * 60 * 1000);
+    assert.equal((await limiter.take('u', 'call', { role: 'member' })).ok, true);
+  });
+
+  it('treats a missing quota as unlimited', async () => {
+    const { limiter } = setup();
+    assert.equal(await limiter.remaining('u', 'llm_tokens', { role: 'admin' }), Infinity);
+    assert.equal(await limiter.remaining('u', 'llm_tokens', { role: 'member' }), 300000);
+  });
+
+  it('tracks LLM tokens after the fact and refuses once they run out', async () => {
+    const { limiter } = setup({ quotas: { member: { llm_tokens: 100 } } });
+    const replies = [];
+    const quota = quotaFor(limiter, 'u', { role: 'member', reply: async (t) => { replies.push(t); } });
+    await quota.ensure('llm_tokens');
+    await quota.add('llm_tokens', 150);
+    await assert.rejects(quota.ensure('llm_tokens'), /LLM tokens quota used up/);
+    const status = await quota.status();
+    assert.deepEqual(status.quotas.find(q => q.name === 'llm_tokens'), { name: 'llm_tokens', label: 'LLM tokens', used: 150, limit: 100 });
+  });
+
+  it('tells roles without an allowance to ask an admin', async () => {
+    const { limiter } = setup();
+    const replies = [];
+    const quota = quotaFor(limiter, 'u', { role: 'guest', reply: async (t) => { replies.push(t); } });
+    assert.equal(await quota.take('pr_job'), false);
+    assert.match(replies[0], /doesn't include any PR jobs/);
+  });
+});
+
+describe('shared state', () => {
+  it('two limiters on one brain don\'t lose each other\'s spending', async () => {
+    const backend = createFsBackend({ dir: tmpDir, prefix: 'shared' });
+    const a = setup({ quotas: { member: { call: 3, burst: 100 } }, brain: createBrain({ backend }) });
+    const b = setup({ quotas: { member: { call: 3, burst: 100 } }, brain: createBrain({ backend }) });
+    const results = await Promise.all([a, b, a, b, a, b].map(({ limiter }) => limiter.take('u', 'call', { role: 'member' })));
+    assert.equal(results.filter((r) => r.ok).length, 3);
+    assert.equal(await b.limiter.remaining('u', 'call', { role: 'member' }), 0);
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { accessFor, createRoles, ROLES, CAPABILITIES } = require('../src/roles');
+
+function fakeBrain() {
+  let users = {};
+  return {
+    async loadRoles() { return JSON.parse(JSON.stringify(users)); },
+    async updateRoles(fn) {
+      const next = fn(JSON.parse(JSON.stringify(users)));
+      if (next !== undefined) users = next;
+      return users;
+    },
+  };
+}
+
+const config = { telegram: { adminUserId: '100' } };
+
+describe('accessFor', () => {
+  it('applies grants and revokes on top of the role', () => {
+    const access = accessFor('guest', { grant: ['email:send'] });
+    assert.equal(access.can('email:send'), true);
+    assert.equal(access.can('github:pr'), false);
+    assert.equal(accessFor('member', { revoke: ['github:pr'] }).can('github:pr'), false);
+  });
+
+  it('treats unknown roles as the default role', () => {
+    assert.equal(accessFor('superuser').role, 'member');
+  });
+
+  it('gives admins every capability', () => {
+    assert.deepEqual(ROLES.admin.sort(), Object.keys(CAPABILITIES).sort());
+  });
+});
+
+describe('createRoles', () => {
+  it('makes the configured admin an admin and everyone else a member', async () => {
+    const roles = createRoles({ config, brain: fakeBrain() });
+    assert.equal((await roles.resolve('100')).role, 'admin');
+    assert.equal((await roles.resolve('200')).role, 'member');
+    assert.equal((await roles.resolve('200')).can('system:shutdown'), false);
+  });
+
+  it('stores role changes and capability overrides', async () => {
+    const roles = createRoles({ config, brain: fakeBrain() });
+    await roles.setRole('200', 'guest', '100');
+    let access = await roles.grant('200', 'github:pr', '100');
+    assert.equal(access.can('github:pr'), true);
+    access = await roles.resolve('200');
+    assert.equal(access.role, 'guest');
+    assert.deepEqual([...access.capabilities], ['github:pr']);
+
+    await roles.revoke('200', 'github:pr', '100');
+    assert.equal((await roles.resolve('200')).can('github:pr'), false);
+
+    const rows = await roles.list();
+    assert.deepEqual(rows.map(r => [r.userId, r.role]), [['100', 'admin'], ['200', 'guest']]);
+    assert.equal(rows[1].updatedBy, '100');
+  });
+
+  it('rejects unknown roles and capabilities', async () => {
+    const roles = createRoles({ config, brain: fakeBrain() });
+    await assert.rejects(roles.setRole('200', 'owner', '100'), /Unknown role/);
+    await assert.rejects(roles.grant('200', 'email:delete', '100'), /Unknown capability/);
+  });
+
+  it('puts users on teams, the configured admin included', async () => {
+    const roles = createRoles({ config, brain: fakeBrain() });
+    assert.equal((await roles.setTeam('200', 'Ops', '100')).team, 'ops');
+    assert.equal((await roles.resolve('200')).team, 'ops');
+    await roles.setTeam('100', 'ops', '100');
+    const owner = await roles.resolve('100');
+    assert.equal(owner.role, 'admin');
+    assert.equal(owner.team, 'ops');
+    assert.equal((await roles.list()).find((r) => r.userId === '100').role, 'admin');
+    await roles.setTeam('200', 'none', '100');
+    assert.equal((await roles.resolve('200')).team, null);
+    await assert.rejects(roles.setTeam('200', 'no spaces!', '100'), /Team names/);
+  });
+
+  it('never changes the configured admin', async () => {
+    const roles = createRoles({ config, brain: fakeBrain() });
+    await assert.rejects(roles.setRole('100', 'guest', '200'), /configured admin/);
+    assert.equal((await roles.resolve('100')).can('roles:manage'), true);
+  });
+});
@@ -0,0 +1,890 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRouter } = require('../src/router');
+const { createDefaultRouter } = require('../src/commands');
+const { accessFor } = require('../src/roles');
+const { createAudit } = require('../src/audit');
+const { createRateLimiter, quotaFor } = require('../src/util/rateLimit');
+const { createUsageTracker } = require('../src/usage');
+const { createLLM } = require('../src/clients/llm');
+const { createMemory } = require('../src/memory');
+const { hashEmbedder } = require('../src/clients/embeddings');
+const { createGoogleAccounts } = require('../src/googleAccounts');
+
+// In-memory stand-in for the brain's thread store
+function fakeBrain() {
+  const threads = {};
+  const audit = [];
+  const limits = {};
+  const usage = {};
+  const memories = {};
+  const skillData = {};
+  const schedules = {};
+  return {
+    enabled: true,
+    async loadThread(key) { return threads[key] || null; },
+    async saveThread(key, patch) { threads[key] = { ...(threads[key] || {}), ...patch }; },
+    async updateThread(key, fn) {
+      const patch = fn(threads[key] || {});
+      if (patch !== undefined) threads[key] = { ...(threads[key] || {}), ...patch };
+      return threads[key] || null;
+    },
+    async clearHistory(key) {
+      delete threads[`${key}:history`];
+      if (threads[key]) delete threads[key].messages;
+    },
+    async listRepos() { return []; },
+    async loadSkillData(key, name) { return skillData[key]?.[name] || {}; },
+    async updateSkillData(key, name, fn) { skillData[key] = { ...skillData[key], [name]: fn(skillData[key]?.[name] || {}) }; },
+    async loadSkillSchedules(key) { return schedules[key] || []; },
+    async updateSkillSchedules(key, fn) {
+      const next = fn(schedules[key] || []);
+      if (next !== undefined) schedules[key] = next;
+      return schedules[key] || [];
+    },
+    async appendAudit(entry) { audit.push(entry); },
+    async loadAudit() { return [...audit]; },
+    async loadRateLimit(key) { return limits[key] || null; },
+    async updateRateLimit(key, fn) {
+      const next = fn(limits[key] ? JSON.parse(JSON.stringify(limits[key])) : null);
+      if (next !== undefined) limits[key] = JSON.parse(JSON.stringify(next));
+      return limits[key] || null;
+    },
+    async loadUsage(key) { return usage[key] ? JSON.parse(usage[key]) : null; },
+    async updateUsage(key, fn) {
+      const next = fn(usage[key] ? JSON.parse(usage[key]) : null);
+      if (next !== undefined) usage[key] = JSON.stringify(next);
+      return usage[key] ? JSON.parse(usage[key]) : null;
+    },
+    async loadMemories(key) { return memories[key] || []; },
+    async updateMemories(key, fn) {
+      const next = fn(memories[key] || []);
+      if (next !== undefined) memories[key] = next;
+      return memories[key] || [];
+    },
+    threads,
+    audit,
+  };
+}
+
+function fakeCtx(router, messageBody, overrides = {}) {
+  const replies = [];
+  const ctx = {
+    chatId: 1,
+    userId: '1',
+    threadKey: 'tg:1',
+    threadState: null,
+    access: accessFor('member'),
+    messageBody,
+    lower: messageBody.toLowerCase(),
+    reply: async (text, opts) => { replies.push({ text, opts }); },
+    keyboard: async (rows) => ({ rows }),
+    config: { anthropic: { model: 'test' }, telegram: {} },
+    brain: fakeBrain(),
+    router,
+    log: () => {},
+    logError: () => {},
+    ...overrides,
+  };
+  if (!('audit' in overrides)) {
+    const log = createAudit({ brain: ctx.brain });
+    ctx.audit = { ...log.forActor({ userId: ctx.userId }), query: log.query };
+  }
+  if (!('quota' in overrides)) {
+    const limiter = createRateLimiter({ brain: ctx.brain, config: { rateLimit: { windowMs: 30000, max: 20, quotas: {} } } });
+    ctx.quota = quotaFor(limiter, ctx.threadKey, { role: ctx.access?.role, reply: ctx.reply });
+  }
+  return { ctx, replies };
+}
+
+// Fake LLM that always classifies as `intent`
+function fakeLLM(intent) {
+  const text = typeof intent === 'string' ? intent : JSON.stringify(intent);
+  return createLLM({ provider: 'fake', model: 'test', adapter: { complete: async () => ({ text, usage: { inputTokens: 0, outputTokens: 0 } }) } });
+}
+
+describe('router stages', () => {
+  function tracer() {
+    const seen = [];
+    const router = createRouter().use({
+      name: 'trace',
+      pending: [async (ctx) => { seen.push('pending'); return ctx.lower === 'pending'; }],
+      commands: [
+        { early: true, match: ({ lower }) => lower === 'early', run: async () => { seen.push('early'); } },
+        { match: ({ lower }) => lower.startsWith('cmd'), run: async () => { seen.push('command'); } },
+        { match: ({ lower }) => lower === 'pass', run: async () => { seen.push('pass'); return false; } },
+      ],
+      matchers: [(lower) => (lower.includes('magic') ? { intent: 'magic' } : null)],
+      intents: { magic: { run: async () => { seen.push('intent'); } } },
+      fallbacks: [
+        async () => { seen.push('fallback1'); return false; },
+        async () => { seen.push('fallback2'); return true; },
+      ],
+    });
+    return { router, seen };
+  }
+
+  it('stops at the first stage that handles the message', async () => {
+    const { router, seen } = tracer();
+    await router.dispatch(fakeCtx(router, 'pending').ctx);
+    assert.deepEqual(seen, ['pending']);
+  });
+
+  it('runs matchers before non-early commands', async () => {
+    const { router, seen } = tracer();
+    await router.dispatch(fakeCtx(router, 'cmd magic').ctx);
+    assert.deepEqual(seen, ['pending', 'intent']);
+  });
+
+  it('lets a handler returning false fall through to the fallbacks', async () => {
+    const { router, seen } = tracer();
+    await router.dispatch(fakeCtx(router, 'pass').ctx);
+    assert.deepEqual(seen, ['pending', 'pass', 'fallback1', 'fallback2']);
+  });
+
+  it('runs early commands before matchers', async () => {
+    const { router, seen } = tracer();
+    await router.dispatch(fakeCtx(router, 'early').ctx);
+    assert.deepEqual(seen, ['pending', 'early']);
+  });
+});
+
+describe('router intents', () => {
+  function serviceRouter(seen) {
+    return createRouter().use({
+      name: 'mail',
+      matchers: [(lower) => (lower === 'inbox' ? { intent: 'mail_check' } : null)],
+      intents: {
+        mail_check: {
+          service: 'gmail',
+          llm: '{"intent":"mail_check"} — check mail',
+          run: async () => { seen.push('mail_check'); },
+        },
+      },
+      fallbacks: [async () => { seen.push('fallback'); return true; }],
+    });
+  }
+
+  it('replies "not configured" when a matched intent needs a missing service', async () => {
+    const seen = [];
+    const router = serviceRouter(seen);
+    const { ctx, replies } = fakeCtx(router, 'inbox');
+    await router.dispatch(ctx);
+    assert.deepEqual(seen, []);
+    assert.match(replies[0].text, /Gmail is not configured/);
+  });
+
+  it('runs LLM-classified intents through the same handlers', async () => {
+    const seen = [];
+    const router = serviceRouter(seen);
+    const { ctx } = fakeCtx(router, 'anything new in my mailbox?', {
+      gmail: {},
+      llm: fakeLLM({ intent: 'mail_check' }),
+    });
+    await router.dispatch(ctx);
+    assert.deepEqual(seen, ['mail_check']);
+  });
+
+  it('falls through quietly when the LLM picks an unavailable intent', async () => {
+    const seen = [];
+    const router = serviceRouter(seen);
+    const { ctx, replies } = fakeCtx(router, 'anything new?', { llm: fakeLLM({ intent: 'mail_check' }) });
+    await router.dispatch(ctx);
+    assert.deepEqual(seen, ['fallback']);
+    assert.equal(replies.length, 0);
+  });
+
+  it('falls through when the LLM reply is not JSON', async () => {
+    const seen = [];
+    const router = serviceRouter(seen);
+    const { ctx } = fakeCtx(router, 'hello', { gmail: {}, llm: fakeLLM('sure thing!') });
+    await router.dispatch(ctx);
+    assert.deepEqual(seen, ['fallback']);
+  });
+
+  it('re-asks when the LLM invents an intent, and only offers real ones', async () => {
+    const seen = [];
+    const router = serviceRouter(seen);
+    const replies = ['{"intent":"mail_summarize"}', '{"intent":"mail_check"}'];
+    const prompts = [];
+    const llm = createLLM({
+      provider: 'fake',
+      model: 'test',
+      adapter: { complete: async ({ messages }) => { prompts.push(messages); return { text: replies.shift(), usage: {} }; } },
+    });
+    await router.dispatch(fakeCtx(router, 'anything new?', { gmail: {}, llm }).ctx);
+    assert.deepEqual(seen, ['mail_check']);
+    assert.match(prompts[1][2].content, /\$\.intent should be one of "mail_check", "none"/);
+    assert.deepEqual(router.llmIntentSchema().properties.intent.enum, ['mail_check', 'none']);
+  });
+
+  it('keeps intent params through a schema-constrained reply', async () => {
+    const titles = [];
+    const router = createRouter().use({
+      name: 'todo',
+      intents: {
+        todo_add: { llm: '{"intent":"todo_add","title":"task text"} — add a todo', run: async (_ctx, params) => { titles.push(params.title); } },
+      },
+    });
+    // Like forced tool use: the model only fills in what the schema lists
+    const llm = createLLM({
+      provider: 'fake',
+      model: 'test',
+      adapter: {
+        nativeSchema: true,
+        complete: async ({ schema }) => {
+          const reply = { intent: 'todo_add', title: 'buy milk', mood: 'keen' };
+          const data = Object.fromEntries(Object.entries(reply).filter(([k]) => k in schema.properties));
+          return { text: JSON.stringify(data), data, usage: {} };
+        },
+      },
+    });
+    await router.dispatch(fakeCtx(router, 'remember to buy milk', { llm }).ctx);
+    assert.deepEqual(titles, ['buy milk']);
+
+    const { properties } = createDefaultRouter().llmIntentSchema();
+    for (const param of ['title', 'date', 'time', 'to', 'subject', 'body', 'partySize']) {
+      assert.ok(properties[param], `missing ${param}`);
+    }
+  });
+
+  it('builds the LLM prompt from every registered intent', () => {
+    const prompt = createDefaultRouter().llmIntentPrompt();
+    for (const intent of ['help', 'email_send', 'cal_create', 'todo_add', 'reserve_call', 'roundup_daily', 'brain_reset']) {
+      assert.ok(prompt.includes(`{"intent":"${intent}"`), `missing ${intent}`);
+    }
+  });
+});
+
+describe('router callbacks', () => {
+  it('returns false for actions no feature owns', async () => {
+    const router = createRouter().use({ name: 'x', callbacks: { x_go: async () => {} } });
+    const { ctx } = fakeCtx(router, '');
+    assert.equal(await router.dispatchCallback(ctx, 'x_go', {}), true);
+    assert.equal(await router.dispatchCallback(ctx, 'y_go', {}), false);
+  });
+});
+
+describe('default features', () => {
+  it('answers feature help aliases', async () => {
+    const router = createDefaultRouter();
+    const { ctx, replies } = fakeCtx(router, 'Tasks help');
+    await router.dispatch(ctx);
+    assert.match(replies[0].text, /To-Do List Commands/);
+  });
+
+  it('lists every feature in the main help', async () => {
+    const router = createDefaultRouter();
+    const { ctx, replies } = fakeCtx(router, 'help');
+    await router.dispatch(ctx);
+    for (const label of ['To-Do List', 'Calendar', 'Email', 'Learn', 'Roundup', 'Reservations', 'GitHub']) {
+      assert.ok(replies[0].text.includes(label), `missing ${label}`);
+    }
+    assert.match(replies[0].text, /"todo help"/);
+  });
+
+  it('tells the user when Google Tasks is not configured', async () => {
+    const router = createDefaultRouter();
+    const { ctx, replies } = fakeCtx(router, "what's on my plate?");
+    await router.dispatch(ctx);
+    assert.equal(replies[0].text, 'Google Tasks is not configured. Check your .env file for the required credentials.');
+  });
+
+  it('lists todos with buttons and remembers their numbers', async () => {
+    const router = createDefaultRouter();
+    const tasks = {
+      enabled: true,
+      listTasks: async () => [{ id: 'a', title: 'Buy milk' }, { id: 'b', title: 'Call Bob' }],
+    };
+    const { ctx, replies } = fakeCtx(router, 'todo list', { tasks });
+    await router.dispatch(ctx);
+    assert.match(replies[0].text, /1\. Buy milk/);
+    assert.equal(replies[0].opts.replyMarkup.rows.length, 2);
+    assert.equal(replies[0].opts.replyMarkup.rows[1][0].action, 'todo_done');
+    assert.deepEqual(ctx.brain.threads['tg:1'].todoIdMap[2], { id: 'b', tasklist: null });
+  });
+
+  it('sends a pending email draft on "send"', async () => {
+    const router = createDefaultRouter();
+    const sent = [];
+    const gmail = { sendEmail: async (msg) => { sent.push(msg); } };
+    const threadState = { pendingEmail: { id: 'd1', to: 'a@b.co', subject: 'Hi', body: 'Hello' } };
+    const { ctx, replies } = fakeCtx(router, 'send', { gmail, threadState });
+    await router.dispatch(ctx);
+    assert.deepEqual(sent, [{ to: 'a@b.co', subject: 'Hi', body: 'Hello' }]);
+    assert.equal(replies[0].text, '✅ Email sent to a@b.co');
+    assert.equal(ctx.brain.audit[0].action, 'email.send');
+    assert.equal(ctx.brain.audit[0].target, 'a@b.co');
+    assert.equal(ctx.brain.audit[0].outcome, 'ok');
+  });
+
+  it('asks for Claude when nothing else handles the message', async () => {
+    const router = createDefaultRouter();
+    const { ctx, replies } = fakeCtx(router, 'tell me a joke');
+    await router.dispatch(ctx);
+    assert.equal(replies[0].text, 'Claude not configured. Send "help" for commands.');
+  });
+});
+
+describe('per-user Google mode', () => {
+  const google = { perUser: true, connected: false };
+
+  it('prompts unconnected users to connect instead of saying "not configured"', async () => {
+    const router = createDefaultRouter();
+    const { ctx, replies } = fakeCtx(router, 'check my email', { google });
+    await router.dispatch(ctx);
+    assert.match(replies[0].text, /Gmail isn't connected for your account yet/);
+    assert.match(replies[0].text, /connect google/);
+  });
+
+  it('prompts on prefix commands too', async () => {
+    const router = createDefaultRouter();
+    for (const msg of ['email check', 'cal list', 'todo list']) {
+      const { ctx, replies } = fakeCtx(router, msg, { google });
+      await router.dispatch(ctx);
+      assert.match(replies[0].text, /connect google/, msg);
+    }
+  });
+
+  it('prompts when the LLM picks a Google intent', async () => {
+    const router = createDefaultRouter();
+    const { ctx, replies } = fakeCtx(router, 'anything on for thursday?', {
+      google,
+      llm: fakeLLM({ intent: 'cal_list', date: 'thursday' }),
+    });
+    await router.dispatch(ctx);
+    assert.match(replies[0].text, /Google Calendar isn't connected/);
+  });
+
+  it('connects a signed-in account only once it\'s confirmed in the chat', async () => {
+    const router = createDefaultRouter();
+    const brain = fakeBrain();
+    const googleAccounts = createGoogleAccounts({
+      config: { gmail: {}, google: { redirectUrl: 'https://penny.example/oauth', stateSecret: 's' }, telegram: {} },
+      brain,
+      oauth: { authUrl: (state) => `https://accounts.example/?state=${state}`, exchangeCode: async () => ({ refreshToken: 'rt', email: 'sam@example.com' }), revoke: async () => {} },
+    });
+    const acks = [];
+    const buttons = { brain, googleAccounts, ack: async (t) => { acks.push(t); }, clearButtons: async () => {} };
+
+    const { ctx, replies } = fakeCtx(router, 'connect google', { brain, googleAccounts, google });
+    await router.dispatch(ctx);
+    const state = decodeURIComponent(replies[0].text.match(/state=(\S+)/)[1]);
+    const { id } = await googleAccounts.completeConnection({ code: 'abc', state });
+    assert.equal((await brain.loadThread('tg:1')).googleAuth, undefined);
+
+    const confirm = fakeCtx(router, '', buttons);
+    await router.dispatchCallback(confirm.ctx, 'google_confirm', { id });
+    assert.match(confirm.replies[0].text, /Google connected as sam@example\.com/);
+    assert.equal((await brain.loadThread('tg:1')).googleAuth.refreshToken, 'rt');
+
+    const again = fakeCtx(router, '', buttons);
+    await router.dispatchCallback(again.ctx, 'google_cancel', { id });
+    assert.deepEqual(acks, ['Connected', 'That sign-in is no longer waiting.']);
+  });
+});
+
+describe('capabilities', () => {
+  it('refuses tagged commands and records the attempt', async () => {
+    const router = createDefaultRouter();
+    const { ctx, replies } = fakeCtx(router, 'self destruct');
+    await router.dispatch(ctx);
+    assert.match(replies[0].text, /permission.*system:shutdown/);
+    const [entry] = ctx.brain.audit;
+    assert.equal(entry.action, 'access.denied');
+    assert.equal(entry.outcome, 'denied');
+    assert.equal(entry.target, 'system:shutdown');
+    assert.deepEqual(entry.args, { action: 'self destruct' });
+  });
+
+  it('refuses tagged intents from the LLM too', async () => {
+    const router = createDefaultRouter();
+    const { ctx, replies } = fakeCtx(router, 'forget everything', {
+      access: accessFor('guest'),
+      llm: fakeLLM({ intent: 'brain_reset' }),
+    });
+    await router.dispatch(ctx);
+    assert.match(replies[0].text, /brain:reset/);
+    assert.equal(ctx.brain.threads['tg:1'], undefined);
+  });
+
+  it('lets guests list skills but not delete them', async () => {
+    const router = createDefaultRouter();
+    const deleted = [];
+    const brain = { ...fakeBrain(), loadSkills: async () => [], deleteSkill: async (n) => { deleted.push(n); } };
+    const { ctx, replies } = fakeCtx(router, 'skills delete weather', { brain, access: accessFor('guest') });
+    await router.dispatch(ctx);
+    assert.deepEqual(deleted, []);
+    assert.match(replies[0].text, /skills:delete/);
+
+    const list = fakeCtx(router, 'skills list', { brain, access: accessFor('guest') });
+    await router.dispatch(list.ctx);
+    assert.match(list.replies[0].text, /No learned skills/);
+  });
+
+  it('lets members delete their own skills but not shared ones', async () => {
+    const router = createDefaultRouter();
+    const lists = { personal: [{ name: 'diary', code: '' }], global: [{ name: 'weather', code: '' }] };
+    const deleted = [];
+    const brain = {
+      ...fakeBrain(),
+      loadSkills: async (where = { scope: 'global' }) => lists[where.scope] || [],
+      deleteSkill: async (name, where) => { deleted.push(`${where.scope}:${name}`); },
+    };
+    const own = fakeCtx(router, 'skills delete diary', { brain });
+    await router.dispatch(own.ctx);
+    assert.deepEqual(deleted, ['personal:diary']);
+
+    const shared = fakeCtx(router, 'skills delete weather', { brain });
+    await router.dispatch(shared.ctx);
+    assert.deepEqual(deleted, ['personal:diary']);
+    assert.match(shared.replies[0].text, /skills:delete/);
+
+    const admin = fakeCtx(router, 'skills delete weather', { brain, access: accessFor('admin') });
+    await router.dispatch(admin.ctx);
+    assert.deepEqual(deleted, ['personal:diary', 'global:weather']);
+  });
+
+  it('shows a skill\'s history and rolls it back', async () => {
+    const router = createDefaultRouter();
+    const diary = {
+      name: 'diary',
+      code: 'v2',
+      version: 2,
+      versions: [
+        { version: 1, code: 'v1', createdAt: '2026-01-01T00:00:00Z', successCount: 5, failureCount: 0 },
+        { version: 2, code: 'v2', parent: 1, diagnosis: 'handle empty input', createdAt: '2026-02-01T00:00:00Z', healedAt: '2026-02-01T00:00:00Z', successCount: 1, failureCount: 2 },
+      ],
+    };
+    const lists = { personal: [diary], global: [{ ...diary, name: 'weather' }] };
+    const saved = [];
+    const brain = {
+      ...fakeBrain(),
+      loadSkills: async (where = { scope: 'global' }) => lists[where.scope] || [],
+      saveSkill: async (skill, where) => { saved.push({ ...skill, where: where.scope }); },
+    };
+    const history = fakeCtx(router, 'skills history diary', { brain });
+    await router.dispatch(history.ctx);
+    assert.match(history.replies[0].text, /running v2/);
+    assert.match(history.replies[0].text, /▶ v2 — healed 2026-02-01, 1 ok \/ 2 failed\n   handle empty input\n• v1 — created 2026-01-01, 5 ok/);
+
+    const rollback = fakeCtx(router, 'skills rollback diary v1', { brain });
+    await router.dispatch(rollback.ctx);
+    assert.equal(saved[0].where, 'personal');
+    assert.equal(saved[0].code, 'v1');
+    assert.equal(saved[0].version, 1);
+    assert.equal(saved[0].versions.length, 2);
+    assert.match(rollback.replies[0].text, /rolled back from v2 to v1/);
+
+    const missing = fakeCtx(router, 'skills rollback diary 7', { brain });
+    await router.dispatch(missing.ctx);
+    assert.match(missing.replies[0].text, /no version 7/);
+
+    const shared = fakeCtx(router, 'skills rollback weather 1', { brain });
+    await router.dispatch(shared.ctx);
+    assert.match(shared.replies[0].text, /skills:approve/);
+    assert.equal(saved.length, 1);
+  });
+
+  it('replays a skill\'s examples with skills test', async () => {
+    const router = createDefaultRouter();
+    const at = '2026-01-01T00:00:00.000Z';
+    const echo = {
+      name: 'echo',
+      code: 'async function run(input) { return input.toUpperCase(); }',
+      examples: [
+        { input: 'hi', message: 'hi', fixtures: [], at, output: 'HI' },
+        { input: 'yo', message: 'yo', fixtures: [], at, output: 'yo' },
+      ],
+    };
+    const saved = [];
+    const brain = {
+      ...fakeBrain(),
+      loadSkills: async (where = { scope: 'global' }) => (where.scope === 'personal' ? [echo] : []),
+      saveSkill: async (skill) => { saved.push(skill); },
+    };
+    const test = fakeCtx(router, 'skills test echo', { brain });
+    await router.dispatch(test.ctx);
+    assert.match(test.replies[0].text, /"echo" v1: 1\/2 examples pass/);
+    assert.match(test.replies[0].text, /✅ 1\. hi\n❌ 2\. yo\n   expected: yo\n   got: YO/);
+
+    const forget = fakeCtx(router, 'skills test echo forget 2', { brain });
+    await router.dispatch(forget.ctx);
+    assert.deepEqual(saved[0].examples.map((e) => e.input), ['hi']);
+  });
+
+  it('drops a skill waiting for capabilities when denied, and ignores stale buttons', async () => {
+    const router = createDefaultRouter();
+    const brain = fakeBrain();
+    const pendingSkill = { id: 'p1', createdAt: new Date().toISOString(), skill: { name: 'nag', code: '', capabilities: ['notify'] }, message: 'nag me' };
+    await brain.saveThread('tg:1', { pendingSkill });
+
+    const acks = [];
+    const stale = fakeCtx(router, '', { brain, ack: async (t) => { acks.push(t); }, clearButtons: async () => {} });
+    assert.equal(await router.dispatchCallback(stale.ctx, 'skill_allow', { id: 'p0' }), true);
+    assert.match(acks[0], /no longer waiting/);
+    assert.deepEqual(stale.replies, []);
+
+    const deny = fakeCtx(router, 'deny', { brain, threadState: { pendingSkill } });
+    await router.dispatch(deny.ctx);
+    assert.match(deny.replies[0].text, /"nag" wasn't created/);
+    assert.equal((await brain.loadThread('tg:1')).pendingSkill, null);
+  });
+
+  it('only takes "allow" right after the prompt', async () => {
+    const router = createDefaultRouter();
+    const brain = fakeBrain();
+    const pendingSkill = { id: 'p1', createdAt: new Date().toISOString(), skill: { name: 'nag', code: '', capabilities: ['notify'] }, message: 'nag me' };
+    await brain.saveThread('tg:1', { pendingSkill });
+
+    // Anything else moves on and drops it
+    const ok = fakeCtx(router, 'ok', { brain, threadState: { pendingSkill }, llm: fakeLLM('{}') });
+    await router.dispatch(ok.ctx);
+    assert.equal((await brain.loadThread('tg:1')).pendingSkill, null);
+    assert.ok(ok.replies.every((r) => !/nag/.test(r.text)));
+    assert.equal((await brain.loadThread('tg:1')).skillGrants, undefined);
+
+    // A stale prompt expires
+    const stalePending = { ...pendingSkill, id: 'p2', createdAt: new Date(Date.now() - 11 * 60 * 1000).toISOString() };
+    await brain.saveThread('tg:1', { pendingSkill: stalePending });
+    const allow = fakeCtx(router, 'allow', { brain, threadState: { pendingSkill: stalePending }, llm: fakeLLM('{}') });
+    await router.dispatch(allow.ctx);
+    assert.match(allow.replies[0].text, /"nag" stopped waiting/);
+    assert.equal((await brain.loadThread('tg:1')).pendingSkill, null);
+    assert.equal((await brain.loadThread('tg:1')).skillGrants, undefined);
+
+    const acks = [];
+    await brain.saveThread('tg:1', { pendingSkill: stalePending });
+    const button = fakeCtx(router, '', { brain, ack: async (t) => { acks.push(t); }, clearButtons: async () => {} });
+    await router.dispatchCallback(button.ctx, 'skill_allow', { id: 'p2' });
+    assert.match(acks[0], /no longer waiting/);
+    assert.equal((await brain.loadThread('tg:1')).pendingSkill, null);
+  });
+
+  it('lists and stops scheduled skills, and drops them with their skill', async () => {
+    const router = createDefaultRouter();
+    const lists = { personal: [{ name: 'stock_price', code: '' }, { name: 'diary', code: '' }] };
+    const brain = {
+      ...fakeBrain(),
+      loadSkills: async (where = { scope: 'global' }) => lists[where.scope] || [],
+      deleteSkill: async () => {},
+    };
+    const config = { anthropic: { model: 'test' }, telegram: {}, skills: { timezone: 'America/New_York' } };
+    await brain.updateSkillSchedules('tg:1', () => [
+      { id: 'a', skill: 'stock_price', spec: { every: 'day', at: '16:00', days: [1, 2, 3, 4, 5] }, notify: 'always', nextRunAt: '2026-10-19T20:00:00.000Z', failures: 0 },
+      { id: 'b', skill: 'diary', spec: { every: 'minutes', minutes: 120 }, notify: 'changes', nextRunAt: '2026-10-19T14:00:00.000Z', failures: 2 },
+    ]);
+
+    const list = fakeCtx(router, 'skills schedules', { brain, config });
+    await router.dispatch(list.ctx);
+    assert.match(list.replies[0].text, /1\. stock_price — every weekday at 4pm\n {3}next: Mon, Oct 19, 4:00 PM/);
+    assert.match(list.replies[0].text, /2\. diary — every 2 hours, when it changes\n {3}next: .*\(failed 2x in a row\)/);
+
+    const stop = fakeCtx(router, 'skills unschedule 1', { brain, config });
+    await router.dispatch(stop.ctx);
+    assert.match(stop.replies[0].text, /"stock_price" no longer runs every weekday at 4pm/);
+    assert.deepEqual((await brain.loadSkillSchedules('tg:1')).map((s) => s.id), ['b']);
+
+    const missing = fakeCtx(router, 'skills unschedule 5', { brain, config });
+    await router.dispatch(missing.ctx);
+    assert.match(missing.replies[0].text, /No schedule #5/);
+
+    const del = fakeCtx(router, 'skills delete diary', { brain, config });
+    await router.dispatch(del.ctx);
+    assert.match(del.replies[0].text, /deleted, along with its schedule\./);
+    assert.deepEqual(await brain.loadSkillSchedules('tg:1'), []);
+  });
+
+  it('refuses schedules tighter than the minimum before running anything', async () => {
+    const router = createDefaultRouter();
+    const { ctx, replies } = fakeCtx(router, 'every 5 minutes run: check the BTC price', { llm: fakeLLM('{}') });
+    await router.dispatch(ctx);
+    assert.match(replies[0].text, /at most every 15 minutes/);
+  });
+
+  it('checks email:send when a draft is confirmed', async () => {
+    const router = createDefaultRouter();
+    const sent = [];
+    const gmail = { sendEmail: async (msg) => { sent.push(msg); } };
+    const threadState = { pendingEmail: { id: 'd1', to: 'a@b.co', subject: 'Hi', body: 'Hello' } };
+    const { ctx, replies } = fakeCtx(router, 'send', { gmail, threadState, access: accessFor('member', { revoke: ['email:send'] }) });
+    await router.dispatch(ctx);
+    assert.deepEqual(sent, []);
+    assert.match(replies[0].text, /email:send/);
+  });
+
+  it('keeps brain export to admins', async () => {
+    const router = createDefaultRouter();
+    const docs = [];
+    const objects = { 'threads/tg:1.json': { lastRepo: 'a/b', googleAuth: { refreshToken: '1//x' } } };
+    const brain = {
+      ...fakeBrain(),
+      listObjects: async (p) => Object.keys(objects).filter((k) => k.startsWith(p)),
+      loadObject: async (k) => objects[k] || null,
+    };
+    const sendDocument = async (data, opts) => { docs.push({ data, opts }); };
+
+    const member = fakeCtx(router, 'brain export', { brain, sendDocument });
+    await router.dispatch(member.ctx);
+    assert.match(member.replies[0].text, /brain:admin/);
+    assert.equal(docs.length, 0);
+
+    const admin = fakeCtx(router, 'brain export', { brain, sendDocument, access: accessFor('admin') });
+    await router.dispatch(admin.ctx);
+    assert.match(docs[0].opts.filename, /^penny-brain-.*\.json\.gz$/);
+    assert.doesNotMatch(require('zlib').gunzipSync(docs[0].data).toString(), /1\/\/x/);
+    assert.equal(brain.audit.at(-1).action, 'brain.export');
+  });
+
+  it('shows admins the last schema check and the quarantine', async () => {
+    const router = createDefaultRouter();
+    const brain = {
+      ...fakeBrain(),
+      loadMigrationReport: async () => ({ at: '2026-03-14T09:00:00.000Z', checked: 12, migrated: 3, newer: 0, quarantined: [], invalid: [] }),
+      listQuarantine: async () => [{ key: 'threads/tg:2.json', errors: ['$.messages should be array, got string'] }],
+    };
+    const { ctx, replies } = fakeCtx(router, 'brain migrations', { brain, access: accessFor('admin') });
+    await router.dispatch(ctx);
+    assert.match(replies[0].text, /12 objects, 3 migrated/);
+    assert.match(replies[0].text, /Quarantined \(1\):\n• threads\/tg:2\.json: \$\.messages should be array/);
+  });
+
+  it('fails closed when the context has no access', async () => {
+    const router = createDefaultRouter();
+    const { ctx, replies } = fakeCtx(router, 'brain reset', { access: undefined });
+    await router.dispatch(ctx);
+    assert.match(replies[0].text, /brain:reset/);
+  });
+});
+
+describe('roles command', () => {
+  it('lets admins change roles and refuses everyone else', async () => {
+    const router = createDefaultRouter();
+    const calls = [];
+    const roles = {
+      setRole: async (...args) => { calls.push(args); return accessFor('guest'); },
+    };
+    const admin = fakeCtx(router, 'roles set 200 guest', { roles, access: accessFor('admin') });
+    await router.dispatch(admin.ctx);
+    assert.deepEqual(calls, [['200', 'guest', '1']]);
+    assert.equal(admin.replies[0].text, '✅ User 200 is now guest with no capabilities.');
+
+    const member = fakeCtx(router, 'roles set 1 admin', { roles });
+    await router.dispatch(member.ctx);
+    assert.equal(calls.length, 1);
+    assert.match(member.replies[0].text, /roles:manage/);
+  });
+});
+
+describe('quotas', () => {
+  it('stops sending email once the daily quota is used up', async () => {
+    const router = createDefaultRouter();
+    const sent = [];
+    const gmail = { sendEmail: async (msg) => { sent.push(msg); } };
+    const brain = fakeBrain();
+    brain.threads['tg:1'] = {};
+    const threadState = { pendingEmail: { id: 'd1', to: 'a@b.co', subject: 'Hi', body: 'Hello' } };
+    const limiter = createRateLimiter({ brain, config: { rateLimit: { windowMs: 30000, max: 20, quotas: { member: { email: 1 } } } } });
+    for (let i = 0; i < 2; i++) {
+      const { ctx, replies } = fakeCtx(router, 'send', { gmail, brain, threadState });
+      ctx.quota = quotaFor(limiter, ctx.threadKey, { role: 'member', reply: ctx.reply });
+      await router.dispatch(ctx);
+      if (i === 1) assert.match(replies[0].text, /used all 1 emails sent for today/);
+    }
+    assert.equal(sent.length, 1);
+  });
+});
+
+describe('usage', () => {
+  it('tags each handler with its feature while it runs', async () => {
+    const router = createRouter();
+    const seen = [];
+    router.use({ name: 'alpha', commands: [{ match: ({ lower }) => lower === 'a', run: (ctx) => { seen.push(ctx.feature); } }] });
+    router.use({ name: 'beta', intents: { b: { llm: '{"intent":"b"}', run: (ctx) => { seen.push(ctx.feature); } } } });
+    await router.dispatch(fakeCtx(router, 'a').ctx);
+    await router.dispatch(fakeCtx(router, 'hello', { llm: fakeLLM({ intent: 'b' }) }).ctx);
+    assert.deepEqual(seen, ['alpha', 'beta']);
+  });
+
+  it('shows members only their own spend and admins the breakdown', async () => {
+    const router = createDefaultRouter();
+    const brain = fakeBrain();
+    const usage = createUsageTracker({ brain, config: { usage: { monthlyBudgetUsd: 100 } } });
+    await usage.record({ userId: '1', userName: 'Ada', feature: 'chat', provider: 'anthropic', model: 'claude-sonnet-4-5', inputTokens: 1000, outputTokens: 1000 });
+    await usage.record({ userId: '2', userName: 'Bob', feature: 'email', provider: 'anthropic', model: 'claude-sonnet-4-5', inputTokens: 1000, outputTokens: 1000 });
+
+    const member = fakeCtx(router, 'usage', { brain, usage });
+    await router.dispatch(member.ctx);
+    assert.match(member.replies[0].text, /You: \$0\.02 — 1 calls/);
+    assert.doesNotMatch(member.replies[0].text, /Bob/);
+
+    const admin = fakeCtx(router, 'usage today', { brain, usage, access: accessFor('admin') });
+    await router.dispatch(admin.ctx);
+    const text = admin.replies[0].text;
+    assert.match(text, /Total: \$0\.04 — 2 calls/);
+    assert.match(text, /By feature:\n.*chat/);
+    assert.match(text, /Bob \(2\)/);
+    assert.match(text, /anthropic:claude-sonnet-4-5/);
+  });
+});
+
+describe('memory', () => {
+  function withMemory(messageBody, overrides = {}) {
+    const brain = overrides.brain || fakeBrain();
+    const memory = createMemory({ brain, embedder: hashEmbedder(), config: {} });
+    return { memory, ...fakeCtx(createDefaultRouter(), messageBody, { brain, memory, ...overrides }) };
+  }
+
+  it('"remember …" stores a fact and "memory" lists it', async () => {
+    const { ctx, replies, memory } = withMemory('remember that my dentist is Dr. Lee');
+    await ctx.router.dispatch(ctx);
+    assert.match(replies[0].text, /I'll remember: my dentist is Dr\. Lee/);
+
+    const list = fakeCtx(ctx.router, 'memory', { brain: ctx.brain, memory });
+    await ctx.router.dispatch(list.ctx);
+    assert.match(list.replies[0].text, /1\. my dentist is Dr\. Lee/);
+  });
+
+  it('"remember to …" is left for todos', async () => {
+    const { ctx, memory } = withMemory('remember to call Bob');
+    await ctx.router.dispatch(ctx);
+    assert.deepEqual(await memory.list(ctx.threadKey), []);
+  });
+
+  it('edits and forgets by list number', async () => {
+    const { ctx, memory } = withMemory('memory edit 1 standup is at 10:00');
+    await memory.remember(ctx.threadKey, 'standup is at 9:30');
+    await ctx.router.dispatch(ctx);
+    assert.equal((await memory.list(ctx.threadKey))[0].text, 'standup is at 10:00');
+
+    const forget = fakeCtx(ctx.router, 'memory forget 1', { brain: ctx.brain, memory });
+    await ctx.router.dispatch(forget.ctx);
+    assert.match(forget.replies[0].text, /Forgot: standup is at 10:00/);
+    assert.deepEqual(await memory.list(ctx.threadKey), []);
+    assert.equal(ctx.brain.audit.at(-1).action, 'memory.forget');
+  });
+
+  it('chat includes relevant memories in the prompt', async () => {
+    const requests = [];
+    const llm = createLLM({
+      provider: 'fake',
+      model: 'test',
+      adapter: { complete: async (request) => { requests.push(request); return { text: request.schema ? '{"intent":"none"}' : 'Dr. Lee.', usage: { inputTokens: 0, outputTokens: 0 } }; } },
+    });
+    const { ctx, memory } = withMemory('who is my dentist again?', { llm });
+    await memory.remember(ctx.threadKey, 'The user\'s dentist is Dr. Lee');
+    await ctx.router.dispatch(ctx);
+    const chatRequest = requests.find((r) => !r.schema);
+    assert.match(chatRequest.system, /dentist is Dr\. Lee/);
+  });
+});
+
+describe('chat history', () => {
+  it('sends the running summary and stored turns, then records the exchange', async () => {
+    const requests = [];
+    const llm = createLLM({
+      provider: 'fake',
+      model: 'test',
+      adapter: { complete: async (request) => { requests.push(request); return { text: request.schema ? '{"intent":"none"}' : 'Lisbon in May.', usage: { inputTokens: 0, outputTokens: 0 } }; } },
+    });
+    const { ctx, replies } = fakeCtx(createDefaultRouter(), 'where was I going again?', { llm });
+    ctx.brain.threads['tg:1:history'] = {
+      summary: 'User is planning a trip to Lisbon in May.',
+      messages: [{ role: 'user', content: 'cheapest week?' }, { role: 'assistant', content: 'The second.' }],
+    };
+    await ctx.router.dispatch(ctx);
+
+    const chatRequest = requests.find((r) => !r.schema);
+    assert.match(chatRequest.system, /Earlier in this conversation \(summary\):\nUser is planning a trip to Lisbon/);
+    assert.deepEqual(chatRequest.messages.map((m) => m.content), ['cheapest week?', 'The second.', 'where was I going again?']);
+    assert.equal(replies[0].text, 'Lisbon in May.');
+    assert.equal(ctx.brain.threads['tg:1:history'].messages.length, 4);
+  });
+
+  it('keeps nothing for users who turned history off', async () => {
+    const llm = createLLM({
+      provider: 'fake',
+      model: 'test',
+      adapter: { complete: async (request) => ({ text: request.schema ? '{"intent":"none"}' : 'Hello!', usage: { inputTokens: 0, outputTokens: 0 } }) },
+    });
+    const { ctx, replies } = fakeCtx(createDefaultRouter(), 'hi there', { llm, threadState: { privacy: { history: false } } });
+    await ctx.router.dispatch(ctx);
+    assert.equal(replies[0].text, 'Hello!');
+    assert.equal(ctx.brain.threads['tg:1:history'], undefined);
+  });
+});
+
+describe('support and privacy', () => {
+  function supportCtx(text, threadState) {
+    const sent = [];
+    const made = fakeCtx(createDefaultRouter(), text, {
+      threadState,
+      config: { anthropic: { model: 'test' }, telegram: { adminUserId: '99', supportKeyword: 'support' } },
+      tg: { sendMessage: async (chatId, body) => { sent.push({ chatId, body }); } },
+    });
+    return { ...made, sent };
+  }
+
+  it('asks before sharing recent messages with the admin', async () => {
+    const { ctx, replies, sent } = supportCtx('support');
+    ctx.brain.threads['tg:1'] = { messages: [{ role: 'user', content: 'my card number is 4242' }] };
+    await ctx.router.dispatch(ctx);
+    assert.equal(sent.length, 0);
+    assert.match(replies[0].text, /include your last 1 messages/);
+    const pending = ctx.brain.threads['tg:1'].pendingSupport;
+    assert.ok(pending);
+
+    const no = supportCtx('no', ctx.brain.threads['tg:1']);
+    no.ctx.brain = ctx.brain;
+    await no.ctx.router.dispatch(no.ctx);
+    assert.equal(no.sent.length, 1);
+    assert.doesNotMatch(no.sent[0].body, /4242/);
+    assert.match(no.sent[0].body, /chose not to share/);
+    assert.equal(ctx.brain.threads['tg:1'].pendingSupport, null);
+  });
+
+  it('includes the transcript once the user agrees, and only once', async () => {
+    const { ctx, sent } = supportCtx('support');
+    ctx.brain.threads['tg:1'] = { messages: [{ role: 'user', content: 'the export button crashes' }] };
+    await ctx.router.dispatch(ctx);
+    const { at } = ctx.brain.threads['tg:1'].pendingSupport;
+    const acks = [];
+    Object.assign(ctx, { ack: async (t) => acks.push(t), clearButtons: async () => {} });
+    assert.equal(await ctx.router.dispatchCallback(ctx, 'support_send', { at, share: true }), true);
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].body, /the export button crashes/);
+
+    await ctx.router.dispatchCallback(ctx, 'support_send', { at, share: true });
+    assert.equal(sent.length, 1);
+    assert.match(acks[1], /already handled/);
+  });
+
+  it('turns history off and clears what was kept', async () => {
+    const { ctx, replies } = fakeCtx(createDefaultRouter(), 'privacy history off');
+    ctx.brain.threads['tg:1'] = { messages: [{ role: 'user', content: 'hi' }], lastRepo: 'me/app' };
+    ctx.brain.threads['tg:1:history'] = { messages: [{ role: 'user', content: 'hi' }] };
+    await ctx.router.dispatch(ctx);
+    assert.deepEqual(ctx.brain.threads['tg:1'].privacy, { history: false });
+    assert.equal(ctx.brain.threads['tg:1'].messages, undefined);
+    assert.equal(ctx.brain.threads['tg:1:history'], undefined);
+    assert.match(replies[0].text, /History is off/);
+    assert.equal(ctx.brain.audit.at(-1).action, 'privacy.history');
+  });
+
+  it('asks for confirmation before deleting', async () => {
+    const { ctx, replies } = fakeCtx(createDefaultRouter(), 'privacy delete');
+    let deleted = false;
+    ctx.brain.deleteUserData = async () => { deleted = true; return []; };
+    await ctx.router.dispatch(ctx);
+    assert.equal(deleted, false);
+    assert.deepEqual(replies[0].opts.replyMarkup.rows[0].map((b) => b.action), ['privacy_delete', 'privacy_keep']);
+
+    Object.assign(ctx, { ack: async () => {}, clearButtons: async () => {} });
+    await ctx.router.dispatchCallback(ctx, 'privacy_delete', {});
+    assert.equal(deleted, true);
+    assert.equal(ctx.brain.audit.at(-1).action, 'privacy.delete');
+  });
+});
@@ -0,0 +1,292 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-skill-capabilities-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createFsBackend } = require('../src/brain/backends/fs');
+const { createBrain } = require('../src/brain/brain');
+const { createLLM } = require('../src/clients/llm');
+const { runSkillPipeline, runApprovedSkill } = require('../src/skills');
+const { executeSkill } = require('../src/skillSandbox');
+const { runSuite } = require('../src/skillTests');
+const { requestPromotion, decidePromotion } = require('../src/skillScopes');
+const { CAPABILITIES, requestedCapabilities, grantRequest, hostFor } = require('../src/skillCapabilities');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let n = 0;
+function freshBrain() {
+  return createBrain({ backend: createFsBackend({ dir: tmpDir, prefix: `capabilities-${n++}` }) });
+}
+
+function fakeLLM(replies) {
+  const calls = [];
+  const llm = createLLM({
+    provider: 'fake',
+    model: 'test',
+    adapter: {
+      complete: async (request) => {
+        calls.push(request);
+        let reply = replies[request.name] || { pass: true };
+        if (Array.isArray(reply)) reply = reply.shift();
+        return { text: JSON.stringify(reply), usage: { inputTokens: 0, outputTokens: 0 } };
+      },
+    },
+  });
+  return { llm, calls };
+}
+
+// CAPABILITIES bound to a fake user, the way capabilitiesFor binds them
+function boundTo(ctx, names = Object.keys(CAPABILITIES)) {
+  return Object.fromEntries(names.map((name) => [name, {
+    ...CAPABILITIES[name],
+    methods: Object.fromEntries(Object.entries(CAPABILITIES[name].methods)
+      .map(([method, fn]) => [method, (skill, ...args) => fn(ctx, skill, ...args)])),
+  }]));
+}
+
+function fakeUser(brain) {
+  const added = [];
+  const replies = [];
+  const events = [];
+  const ctx = {
+    brain,
+    threadKey: 'tg:1',
+    tasks: { addTask: async (task) => { added.push(task); return { id: `t${added.length}`, title: task.title }; } },
+    calendar: {
+      resolveDate: (d) => (d === 'friday' ? '2026-10-23' : d),
+      createEvent: async (event) => { events.push(event); return { id: `e${events.length}`, summary: event.summary }; },
+    },
+    audit: { run: async (_action, _details, fn) => fn() },
+    reply: async (text) => { replies.push(text); },
+  };
+  return { ctx, added, replies, events };
+}
+
+describe('skill capabilities in the sandbox', () => {
+  it('creates calendar events for calendar.create', async () => {
+    const { ctx, events } = fakeUser(freshBrain());
+    const skill = { name: 'book', capabilities: ['calendar.create'] };
+    const code = 'async function run() { const e = await penny.calendar.create({ title: "Dentist", date: "friday", time: "3pm" }); return e.summary; }';
+    assert.equal(await executeSkill(code, '', { host: hostFor(skill, boundTo(ctx)) }), 'Dentist');
+    assert.deepEqual(events, [{ summary: 'Dentist', date: '2026-10-23', time: '3pm', duration: '1h', location: '' }]);
+  });
+
+  it('only exposes the methods of granted capabilities', async () => {
+    const { ctx, replies } = fakeUser(freshBrain());
+    const skill = { name: 'ping', capabilities: ['notify'] };
+    const code = 'async function run() { await penny.notify("pong"); return typeof penny.tasks; }';
+    assert.equal(await executeSkill(code, '', { host: hostFor(skill, boundTo(ctx)) }), 'undefined');
+    assert.deepEqual(replies, ['🔔 ping: pong']);
+
+    const bare = 'async function run() { return typeof penny; }';
+    assert.equal(await executeSkill(bare, '', { host: hostFor({ name: 'x' }, boundTo(ctx)) }), 'undefined');
+  });
+
+  it('keeps each skill\'s values between runs, per user', async () => {
+    const brain = freshBrain();
+    const { ctx } = fakeUser(brain);
+    const counter = { name: 'counter', capabilities: ['brain.kv'] };
+    const code = `async function run() {
+      const n = (await penny.brain.kv.get('n')) || 0;
+      await penny.brain.kv.set('n', n + 1);
+      return 'run ' + (n + 1);
+    }`;
+    const host = hostFor(counter, boundTo(ctx));
+    assert.equal(await executeSkill(code, '', { host }), 'run 1');
+    assert.equal(await executeSkill(code, '', { host }), 'run 2');
+    assert.deepEqual(await brain.loadSkillData('tg:1', 'counter'), { n: 2 });
+    assert.deepEqual(await brain.loadSkillData('tg:2', 'counter'), {});
+    assert.ok((await brain.listUserObjects('tg:1')).includes('skill-data/tg:1.json'));
+  });
+
+  it('caps the calls a run can make', async () => {
+    const { ctx } = fakeUser(freshBrain());
+    const code = 'async function run() { for (let i = 0; i < 5; i++) await penny.notify(String(i)); return "done"; }';
+    await assert.rejects(
+      executeSkill(code, '', { host: hostFor({ name: 'spam', capabilities: ['notify'] }, boundTo(ctx)), maxCalls: 3 }),
+      /at most 3 calls/,
+    );
+  });
+
+  it('drops capabilities that don\'t exist or aren\'t offered', () => {
+    assert.deepEqual(requestedCapabilities(['notify', 'notify', 'shell.exec', 'tasks.add'], { notify: {} }), ['notify']);
+  });
+});
+
+describe('capability approval in the skill pipeline', () => {
+  const reminder = {
+    name: 'renewal_reminder',
+    description: 'add a todo to renew something',
+    params: [{ name: 'thing', type: 'string', description: 'what to renew', required: true }],
+    args: { thing: 'passport' },
+    capabilities: ['tasks.add'],
+    code: 'async function run({ thing }) { const t = await penny.tasks.add({ title: "Renew " + thing }); return "Added " + t.title; }',
+  };
+
+  it('holds a new skill until its capabilities are allowed, then runs and records it', async () => {
+    const brain = freshBrain();
+    const { ctx, added } = fakeUser(brain);
+    const capabilities = boundTo(ctx);
+    const { llm } = fakeLLM({ classify_request: { type: 'generate' }, write_skill: reminder });
+    const who = { threadKey: 'tg:1', team: null };
+
+    const held = await runSkillPipeline({ llm, brain, ...who, capabilities, userMessage: 'remind me to renew my passport' });
+    assert.equal(held.saved, false);
+    assert.deepEqual(held.approval.capabilities, ['tasks.add']);
+    assert.match(held.result, /• tasks\.add — add tasks to your Google Tasks/);
+    assert.deepEqual(added, []);
+    const { pendingSkill } = await brain.loadThread('tg:1');
+    assert.equal(pendingSkill.id, held.approval.id);
+
+    const result = await runApprovedSkill({ llm, brain, ...who, pending: pendingSkill, capabilities });
+    assert.equal(result.result, 'Added Renew passport');
+    assert.deepEqual(added.map((t) => t.title), ['Renew passport']);
+
+    const [saved] = await brain.loadSkills({ scope: 'personal', owner: 'tg:1' });
+    assert.deepEqual(saved.capabilities, ['tasks.add']);
+    assert.deepEqual(saved.examples[0].calls, [{ method: 'tasks.add', args: [{ title: 'Renew passport' }], result: { id: 't1', title: 'Renew passport' } }]);
+
+    // Replays answer penny.* from the recording, so no second task
+    const [replayed] = await runSuite(saved.examples, saved.code, { host: hostFor(saved, capabilities) });
+    assert.equal(replayed.ok, true);
+    assert.equal(added.length, 1);
+  });
+
+  it('doesn\'t ask again for what the user\'s skill of that name and code already holds', async () => {
+    const brain = freshBrain();
+    const { ctx, added } = fakeUser(brain);
+    const { args: _args, ...stored } = reminder;
+    await brain.saveSkill(stored, { scope: 'personal', owner: 'tg:1' });
+    const { llm } = fakeLLM({ classify_request: { type: 'generate' }, write_skill: reminder });
+
+    const result = await runSkillPipeline({ llm, brain, threadKey: 'tg:1', capabilities: boundTo(ctx), userMessage: 'remind me to renew my passport' });
+    assert.equal(result.approval, undefined);
+    assert.equal(added.length, 1);
+
+    // Other code under the same name asks
+    await brain.saveSkill({ ...stored, code: 'async function run() { return "old"; }' }, { scope: 'personal', owner: 'tg:1' });
+    const { llm: again } = fakeLLM({ classify_request: { type: 'generate' }, write_skill: reminder });
+    const held = await runSkillPipeline({ llm: again, brain, threadKey: 'tg:1', capabilities: boundTo(ctx), userMessage: 'remind me to renew my passport' });
+    assert.deepEqual(held.approval.capabilities, ['tasks.add']);
+    assert.equal(added.length, 1);
+  });
+
+  it('doesn\'t offer capabilities whose service this user lacks', async () => {
+    const brain = freshBrain();
+    const { ctx } = fakeUser(brain);
+    const capabilities = boundTo(ctx);
+    capabilities['tasks.add'] = { ...capabilities['tasks.add'], available: false };
+    const { llm, calls } = fakeLLM({ classify_request: { type: 'generate' }, write_skill: reminder });
+
+    const result = await runSkillPipeline({ llm, brain, threadKey: 'tg:1', capabilities, userMessage: 'remind me to renew my passport' });
+    assert.equal(result?.approval, undefined);
+    const prompt = calls.find((c) => c.name === 'write_skill').system;
+    assert.match(prompt, /penny\.notify/);
+    assert.doesNotMatch(prompt, /penny\.tasks\.add/);
+  });
+});
+
+describe('capability grants per user', () => {
+  const { args: _args, ...reminder } = {
+    name: 'renewal_reminder',
+    description: 'add a todo to renew something',
+    params: [{ name: 'thing', type: 'string', description: 'what to renew', required: true }],
+    args: { thing: 'passport' },
+    capabilities: ['tasks.add'],
+    code: 'async function run({ thing }) { const t = await penny.tasks.add({ title: "Renew " + thing }); return "Added " + t.title; }',
+  };
+  const useSkill = (skillName) => fakeLLM({ classify_request: { type: 'skill', skillName, args: { thing: 'passport' } } }).llm;
+
+  it('asks each user before a shared skill uses their capabilities', async () => {
+    const brain = freshBrain();
+    const { ctx, added } = fakeUser(brain);
+    const capabilities = boundTo(ctx);
+    await brain.saveSkill(reminder, { scope: 'team', owner: 'ops' });
+    const run = (threadKey) => runSkillPipeline({ llm: useSkill('renewal_reminder'), brain, threadKey, team: 'ops', capabilities, userMessage: 'renew my passport' });
+
+    const held = await run('tg:2');
+    assert.deepEqual(held.approval.capabilities, ['tasks.add']);
+    assert.equal(held.reused, true);
+    assert.match(held.result, /"renewal_reminder" needs your OK/);
+    assert.deepEqual(added, []);
+
+    const { pendingSkill } = await brain.loadThread('tg:2');
+    const result = await runApprovedSkill({ llm: useSkill('renewal_reminder'), brain, threadKey: 'tg:2', team: 'ops', pending: pendingSkill, capabilities });
+    assert.equal(result.result, 'Added Renew passport');
+    assert.equal((await run('tg:2')).approval, undefined);
+    assert.equal(added.length, 2);
+    assert.deepEqual((await brain.loadThread('tg:2')).skillGrants, { renewal_reminder: grantRequest(reminder, ['tasks.add']) });
+
+    // Someone else on the team hasn't allowed it
+    assert.deepEqual((await run('tg:3')).approval.capabilities, ['tasks.add']);
+    assert.equal(added.length, 2);
+  });
+
+  it('holds a chain until its steps\' capabilities are allowed', async () => {
+    const brain = freshBrain();
+    const { ctx, added } = fakeUser(brain);
+    const capabilities = boundTo(ctx);
+    await brain.saveSkill(reminder, { scope: 'global' });
+    await brain.saveSkill({
+      name: 'renew_all',
+      description: 'renewal reminders',
+      params: reminder.params,
+      steps: [{ skill: 'renewal_reminder', args: { thing: '{{thing}}' } }],
+      code: '1. renewal_reminder',
+    }, { scope: 'global' });
+
+    const held = await runSkillPipeline({ llm: useSkill('renew_all'), brain, threadKey: 'tg:2', capabilities, userMessage: 'renew my passport' });
+    assert.deepEqual(held.approval.capabilities, ['tasks.add']);
+    assert.deepEqual(added, []);
+
+    const { pendingSkill } = await brain.loadThread('tg:2');
+    assert.deepEqual(pendingSkill.grants, { renewal_reminder: grantRequest(reminder, ['tasks.add']) });
+    const result = await runApprovedSkill({ llm: useSkill('renew_all'), brain, threadKey: 'tg:2', pending: pendingSkill, capabilities });
+    assert.match(result.result, /renewal_reminder: Added Renew passport/);
+    assert.equal(added.length, 1);
+  });
+
+  it('doesn\'t grant a promoted skill\'s capabilities to everyone', async () => {
+    const brain = freshBrain();
+    const { ctx, added } = fakeUser(brain);
+    const capabilities = boundTo(ctx);
+    await brain.saveSkill(reminder, { scope: 'personal', owner: 'tg:1' });
+    const [skill] = await brain.loadSkills({ scope: 'personal', owner: 'tg:1' });
+    const request = await requestPromotion(brain, { skill: { ...skill, scope: 'personal', owner: 'tg:1' }, to: 'global', requestedBy: '1' });
+    await decidePromotion(brain, request.id, true);
+
+    const held = await runSkillPipeline({ llm: useSkill('renewal_reminder'), brain, threadKey: 'tg:9', capabilities, userMessage: 'renew my passport' });
+    assert.deepEqual(held.approval.capabilities, ['tasks.add']);
+    assert.deepEqual(added, []);
+  });
+
+  it('asks again once a shared skill\'s code changes', async () => {
+    const brain = freshBrain();
+    const { ctx, added } = fakeUser(brain);
+    const capabilities = boundTo(ctx);
+    await brain.saveSkill(reminder, { scope: 'team', owner: 'ops' });
+    const run = () => runSkillPipeline({ llm: useSkill('renewal_reminder'), brain, threadKey: 'tg:2', team: 'ops', capabilities, userMessage: 'renew my passport' });
+
+    const { pendingSkill } = (await run(), await brain.loadThread('tg:2'));
+    await runApprovedSkill({ llm: useSkill('renewal_reminder'), brain, threadKey: 'tg:2', team: 'ops', pending: pendingSkill, capabilities });
+    assert.equal(added.length, 1);
+
+    await brain.saveSkill({ ...reminder, code: reminder.code.replace('"Renew "', '"Renew my "') }, { scope: 'team', owner: 'ops' });
+    const held = await run();
+    assert.deepEqual(held.approval.capabilities, ['tasks.add']);
+    assert.equal(added.length, 1);
+
+    // Grants from before they were tied to code don't count either
+    await brain.saveThread('tg:2', { skillGrants: { renewal_reminder: ['tasks.add'] } });
+    assert.deepEqual((await run()).approval.capabilities, ['tasks.add']);
+  });
+});
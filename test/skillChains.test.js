@@ -0,0 +1,192 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-skill-chains-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createFsBackend } = require('../src/brain/backends/fs');
+const { createBrain } = require('../src/brain/brain');
+const { createLLM } = require('../src/clients/llm');
+const { runSkillPipeline, runApprovedSkill } = require('../src/skills');
+const { grantCapabilities, grantRequest } = require('../src/skillCapabilities');
+const { ACTIONS, describeChain, chainErrors, fillArgs } = require('../src/skillChains');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let n = 0;
+function freshBrain() {
+  return createBrain({ backend: createFsBackend({ dir: tmpDir, prefix: `chains-${n++}` }) });
+}
+
+function fakeLLM(replies) {
+  const calls = [];
+  const llm = createLLM({
+    provider: 'fake',
+    model: 'test',
+    adapter: {
+      complete: async (request) => {
+        calls.push(request.name);
+        let reply = replies[request.name] || { pass: true };
+        if (Array.isArray(reply)) reply = reply.shift();
+        return { text: JSON.stringify(reply), usage: { inputTokens: 0, outputTokens: 0 } };
+      },
+    },
+  });
+  return { llm, calls };
+}
+
+// The tasks action, run against a fake Google Tasks
+function fakeActions() {
+  const added = [];
+  const ctx = {
+    tasks: { addTask: async (task) => { added.push(task); return { id: 't1', title: task.title }; } },
+    calendar: { resolveDate: (d) => (d === 'friday' ? '2026-10-23' : d) },
+    audit: { run: async (_action, _details, fn) => fn() },
+  };
+  const action = ACTIONS['tasks.addTask'];
+  return { added, actions: { 'tasks.addTask': { ...action, run: (args) => action.run(ctx, args) } } };
+}
+
+const convert = {
+  name: 'currency_convert',
+  description: 'convert an amount between currencies',
+  params: [
+    { name: 'amount', type: 'number', description: 'how much', required: true },
+    { name: 'from', type: 'string', description: 'from currency', required: true },
+    { name: 'to', type: 'string', description: 'to currency', required: true },
+  ],
+  code: 'async function run({ amount, from, to }) { return (amount * 0.9).toFixed(2) + " " + to; }',
+};
+
+const plan = {
+  name: 'invoice_to_todo',
+  description: 'convert an invoice total and add a todo to pay it',
+  params: [
+    { name: 'amount', type: 'number', description: 'invoice total', required: true },
+    { name: 'currency', type: 'string', description: 'invoice currency', required: true },
+    { name: 'due', type: 'string', description: 'when to pay', required: true },
+  ],
+  args: { amount: 1200, currency: 'USD', due: 'friday' },
+  steps: [
+    { skill: 'currency_convert', args: { amount: '{{amount}}', from: '{{currency}}', to: 'EUR' } },
+    { action: 'tasks.addTask', args: { title: 'Pay invoice ({{step1}})', due: '{{due}}' } },
+  ],
+};
+
+describe('chain plans', () => {
+  it('fills templates, keeping the type of a lone reference', () => {
+    assert.deepEqual(
+      fillArgs({ amount: '{{amount}}', title: 'Pay {{step1}} by {{due}}', to: 'EUR', n: 2, gone: '{{nothing}}' }, { amount: 12, step1: '10.80 EUR', due: 'friday' }),
+      { amount: 12, title: 'Pay 10.80 EUR by friday', to: 'EUR', n: 2, gone: undefined },
+    );
+  });
+
+  it('rejects steps that use unknown skills, actions or later outputs', () => {
+    const errors = chainErrors({
+      name: 'x',
+      params: [{ name: 'amount', type: 'number' }],
+      steps: [
+        { skill: 'nope', args: {} },
+        { action: 'mail.send', args: {} },
+        { skill: 'currency_convert', action: 'tasks.addTask', args: {} },
+        { skill: 'currency_convert', args: { a: '{{step4}}', b: '{{amount}}', c: '{{total}}' } },
+      ],
+    }, { skills: [convert], actions: fakeActions().actions });
+    assert.deepEqual(errors, [
+      '$.steps[0].skill "nope" is not one of the listed skills',
+      '$.steps[1].action "mail.send" is not one of the listed actions',
+      '$.steps[2] needs exactly one of "skill" or "action"',
+      '$.steps[3].args uses {{step4}}, which isn\'t a param or an earlier step',
+      '$.steps[3].args uses {{total}}, which isn\'t a param or an earlier step',
+    ]);
+  });
+});
+
+describe('chains in the skill pipeline', () => {
+  const who = { threadKey: 'tg:1', team: null };
+  const personal = { scope: 'personal', owner: 'tg:1' };
+  // What allowing the plan's chain grants for its tasks.addTask step
+  const allowPlan = (brain) => grantCapabilities(brain, 'tg:1', { invoice_to_todo: grantRequest({ code: describeChain(plan.steps) }, ['tasks.add']) });
+
+  it('plans a chain, runs it once allowed and keeps it as a skill', async () => {
+    const brain = freshBrain();
+    await brain.saveSkill(convert, personal);
+    const { added, actions } = fakeActions();
+    const { llm } = fakeLLM({ classify_request: { type: 'chain' }, plan_chain: plan });
+
+    const held = await runSkillPipeline({ llm, brain, ...who, actions, userMessage: 'convert the 1200 USD invoice to EUR and add a todo to pay it by Friday' });
+    assert.match(held.result, /"invoice_to_todo" needs your OK[\s\S]*tasks\.add/);
+    assert.deepEqual(held.approval.capabilities, ['tasks.add']);
+    assert.deepEqual(added, []);
+
+    const { pendingSkill } = await brain.loadThread('tg:1');
+    const result = await runApprovedSkill({ llm, brain, ...who, pending: pendingSkill, actions });
+    assert.equal(result.result, '🔗 invoice_to_todo\n1. currency_convert: 1080.00 EUR\n2. ✅ Task added: Pay invoice (1080.00 EUR) (due 2026-10-23)');
+    assert.deepEqual(added, [{ title: 'Pay invoice (1080.00 EUR)', due: '2026-10-23', notes: undefined }]);
+
+    const chain = (await brain.loadSkills(personal)).find((s) => s.name === 'invoice_to_todo');
+    assert.deepEqual(chain.steps, plan.steps);
+    assert.match(chain.code, /^1\. currency_convert\(.*\)\n2\. tasks\.addTask\(/);
+    assert.equal(chain.successCount, 1);
+  });
+
+  it('reuses a stored chain with new args and the skill\'s latest code', async () => {
+    const brain = freshBrain();
+    await brain.saveSkill({ ...convert, code: convert.code.replace('0.9', '0.5') }, personal);
+    const { args: _args, ...stored } = plan;
+    await brain.saveSkill({ ...stored, code: 'outline' }, personal);
+    await allowPlan(brain);
+    const { added, actions } = fakeActions();
+    const { llm, calls } = fakeLLM({ classify_request: { type: 'skill', skillName: 'invoice_to_todo', args: { amount: 10, currency: 'GBP', due: '2026-11-01' } } });
+
+    const result = await runSkillPipeline({ llm, brain, ...who, actions, userMessage: 'same for the 10 pound one, due Nov 1' });
+    assert.equal(result.reused, true);
+    assert.equal(added[0].title, 'Pay invoice (5.00 EUR)');
+    assert.ok(!calls.includes('plan_chain'));
+  });
+
+  it('says what\'s missing instead of planning around it', async () => {
+    const brain = freshBrain();
+    const { llm } = fakeLLM({ classify_request: { type: 'chain' }, plan_chain: { steps: [], missing: 'a currency conversion skill' } });
+    const result = await runSkillPipeline({ llm, brain, ...who, actions: fakeActions().actions, userMessage: 'convert and add a todo' });
+    assert.match(result.result, /I'd need a currency conversion skill/);
+    assert.equal(result.saved, false);
+    assert.deepEqual(await brain.loadSkills(personal), []);
+  });
+
+  it('stops at a failing step and keeps nothing', async () => {
+    const brain = freshBrain();
+    await brain.saveSkill({ ...convert, code: 'async function run() { throw new Error("rates API down"); }' }, personal);
+    await allowPlan(brain);
+    const { added, actions } = fakeActions();
+    const { llm } = fakeLLM({ classify_request: { type: 'chain' }, plan_chain: plan });
+
+    const result = await runSkillPipeline({ llm, brain, ...who, actions, userMessage: 'convert and add a todo' });
+    assert.equal(result.result, '🔗 invoice_to_todo\n1. ❌ currency_convert: rates API down');
+    assert.equal(result.saved, false);
+    assert.deepEqual(added, []);
+    assert.deepEqual((await brain.loadSkills(personal)).map((s) => s.name), ['currency_convert']);
+  });
+
+  it('asks again when a stored chain\'s actions change', async () => {
+    const brain = freshBrain();
+    await brain.saveSkill(convert, personal);
+    const { args: _args, ...stored } = plan;
+    const steps = [...plan.steps, { action: 'calendar.createEvent', args: { title: 'Pay invoice', date: '{{due}}' } }];
+    await brain.saveSkill({ ...stored, steps, code: 'outline' }, personal);
+    await allowPlan(brain);
+    const { added, actions } = fakeActions();
+    const { llm } = fakeLLM({ classify_request: { type: 'skill', skillName: 'invoice_to_todo', args: { amount: 10, currency: 'GBP', due: '2026-11-01' } } });
+
+    const held = await runSkillPipeline({ llm, brain, ...who, actions, userMessage: 'same for the 10 pound one, due Nov 1' });
+    assert.deepEqual(held.approval.capabilities, ['tasks.add', 'calendar.create']);
+    assert.deepEqual(added, []);
+  });
+});
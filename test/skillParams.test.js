@@ -0,0 +1,144 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-skill-params-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createFsBackend } = require('../src/brain/backends/fs');
+const { createBrain } = require('../src/brain/brain');
+const { createLLM } = require('../src/clients/llm');
+const { runSkillPipeline } = require('../src/skills');
+const { normalizeParams, describeParams, coerceArgs } = require('../src/skillParams');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let n = 0;
+function freshBrain() {
+  return createBrain({ backend: createFsBackend({ dir: tmpDir, prefix: `params-${n++}` }) });
+}
+
+function fakeLLM(replies) {
+  const calls = [];
+  const llm = createLLM({
+    provider: 'fake',
+    model: 'test',
+    adapter: {
+      complete: async (request) => {
+        calls.push(request);
+        const reply = typeof replies[request.name] === 'function' ? replies[request.name](request) : replies[request.name];
+        return { text: JSON.stringify(reply || { pass: true }), usage: { inputTokens: 0, outputTokens: 0 } };
+      },
+    },
+  });
+  return { llm, calls };
+}
+
+const convert = {
+  name: 'currency_convert',
+  description: 'convert an amount between currencies',
+  params: [
+    { name: 'amount', type: 'number', description: 'how much', required: true },
+    { name: 'from', type: 'string', description: 'currency code to convert from', required: true },
+    { name: 'to', type: 'string', description: 'currency code to convert to', required: true },
+  ],
+  code: 'async function run({ amount, from, to }) { return `${amount * 2} ${to} (from ${from})`; }',
+};
+
+describe('skill params', () => {
+  it('keeps well-formed params only', () => {
+    const params = normalizeParams([
+      { name: 'amount', type: 'number', description: 'how much' },
+      { name: 'amount', type: 'string' },
+      { name: 'bad name', type: 'string' },
+      { name: 'when', type: 'timestamp', required: false },
+    ]);
+    assert.deepEqual(params, [
+      { name: 'amount', type: 'number', description: 'how much', required: true },
+      { name: 'when', type: 'string', description: '', required: false },
+    ]);
+    assert.equal(describeParams(params), 'amount: number, when?: string');
+    assert.equal(normalizeParams(undefined), undefined);
+  });
+
+  it('coerces args to their declared types', () => {
+    const params = normalizeParams([
+      { name: 'amount', type: 'number' },
+      { name: 'count', type: 'integer' },
+      { name: 'urgent', type: 'boolean' },
+      { name: 'on', type: 'date' },
+      { name: 'tags', type: 'list' },
+      { name: 'note', type: 'string', required: false },
+    ]);
+    const { args, missing } = coerceArgs(params, { amount: '1,250.5', count: 3, urgent: 'yes', on: '2026-03-05', tags: 'a, b', extra: 'x' });
+    assert.deepEqual(args, { amount: 1250.5, count: 3, urgent: true, on: '2026-03-05', tags: ['a', 'b'] });
+    assert.deepEqual(missing, []);
+
+    const bad = coerceArgs(params, { amount: 'lots', count: 2.5, urgent: 'maybe', on: 'someday', tags: [] });
+    assert.deepEqual(bad.args, {});
+    assert.deepEqual(bad.missing.map((p) => p.name), ['amount', 'count', 'urgent', 'on', 'tags']);
+  });
+});
+
+describe('skills with params in the pipeline', () => {
+  const who = { threadKey: 'tg:1', team: null };
+
+  it('runs a stored skill on the args the classifier extracted, however it was asked', async () => {
+    const brain = freshBrain();
+    await brain.saveSkill(convert);
+    for (const [message, args, expected] of [
+      ['convert 10 usd to eur', { amount: 10, from: 'USD', to: 'EUR' }, '20 EUR (from USD)'],
+      ['how many yen is 1,500 pounds?', { amount: '1,500', from: 'GBP', to: 'JPY' }, '3000 JPY (from GBP)'],
+    ]) {
+      const { llm, calls } = fakeLLM({ classify_request: { type: 'skill', skillName: 'currency_convert', args } });
+      const result = await runSkillPipeline({ llm, brain, ...who, userMessage: message });
+      assert.equal(result.result, expected);
+      assert.match(calls[0].system, /"currency_convert": convert an amount between currencies \(amount: number, from: string, to: string\)/);
+      assert.ok(!calls.some((c) => c.name === 'extract_args'));
+    }
+  });
+
+  it('extracts args itself when the classifier left them out', async () => {
+    const brain = freshBrain();
+    await brain.saveSkill(convert);
+    const { llm, calls } = fakeLLM({
+      classify_request: { type: 'skill', skillName: 'currency_convert', args: { amount: 5 } },
+      extract_args: { from: 'CHF', to: 'USD' },
+    });
+    const result = await runSkillPipeline({ llm, brain, ...who, userMessage: 'five francs in dollars' });
+    assert.equal(result.result, '10 USD (from CHF)');
+    assert.equal(calls.filter((c) => c.name === 'extract_args').length, 1);
+  });
+
+  it('asks for what it still needs instead of guessing', async () => {
+    const brain = freshBrain();
+    await brain.saveSkill(convert);
+    const { llm, calls } = fakeLLM({
+      classify_request: { type: 'skill', skillName: 'currency_convert', args: { amount: 5, from: 'EUR' } },
+      extract_args: { amount: 5 },
+    });
+    const result = await runSkillPipeline({ llm, brain, ...who, userMessage: 'convert 5 euros' });
+    assert.match(result.result, /still need:\n• to — currency code to convert to/);
+    assert.deepEqual(result.missing.map((p) => p.name), ['to']);
+    assert.ok(!calls.some((c) => c.name === 'verify_output'));
+  });
+
+  it('stores the params of a new skill but not this message\'s args', async () => {
+    const brain = freshBrain();
+    const { llm } = fakeLLM({
+      classify_request: { type: 'generate', taskDescription: 'convert currency' },
+      write_skill: { ...convert, args: { amount: '7', from: 'USD', to: 'EUR' } },
+    });
+    const result = await runSkillPipeline({ llm, brain, ...who, userMessage: 'what is 7 dollars in euros' });
+    assert.equal(result.result, '14 EUR (from USD)');
+    const [saved] = await brain.loadSkills({ scope: 'personal', owner: 'tg:1' });
+    assert.deepEqual(saved.params.map((p) => p.name), ['amount', 'from', 'to']);
+    assert.ok(!('args' in saved));
+  });
+});
@@ -0,0 +1,249 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-skill-schedules-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createFsBackend } = require('../src/brain/backends/fs');
+const { createBrain } = require('../src/brain/brain');
+const { createLLM } = require('../src/clients/llm');
+const { createAudit } = require('../src/audit');
+const { accessFor } = require('../src/roles');
+const { createDefaultRouter } = require('../src/commands');
+const { grantCapabilities, grantRequest } = require('../src/skillCapabilities');
+const { parseSchedule, describeSchedule, nextRun, addSchedule, runDueSchedules, MAX_FAILURES } = require('../src/skillSchedules');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const TZ = 'America/New_York';
+const config = { anthropic: { model: 'test' }, telegram: {}, skills: { timezone: TZ } };
+const at = (iso) => Date.parse(iso);
+
+let n = 0;
+function freshBrain() {
+  return createBrain({ backend: createFsBackend({ dir: tmpDir, prefix: `schedules-${n++}` }) });
+}
+
+// What telegram.js's contextFor gives the scheduler, minus the services
+function fakeContextFor({ allowed = true } = {}) {
+  const replies = [];
+  const contextFor = async ({ threadKey, chatId, userId }) => (allowed
+    ? { threadKey, chatId, userId, access: accessFor('member'), reply: async (text) => { replies.push(text); } }
+    : null);
+  return { contextFor, replies };
+}
+
+async function scheduled(brain, code, { notify = 'always', lastOutput } = {}) {
+  await brain.saveSkill({ name: 'parcel', description: 'parcel status', code }, { scope: 'personal', owner: 'tg:1' });
+  return addSchedule(brain, 'tg:1', {
+    skill: 'parcel', message: 'check my parcel', spec: { every: 'minutes', minutes: 60 }, notify, chatId: 1, userId: '1', lastOutput,
+  }, { timeZone: TZ, now: at('2026-10-19T12:00:00Z') });
+}
+
+describe('parseSchedule', () => {
+  it('splits the schedule from the request', () => {
+    assert.deepEqual(parseSchedule('run stock_price every weekday at 4pm'), {
+      spec: { every: 'day', at: '16:00', days: [1, 2, 3, 4, 5] }, task: 'run stock_price', notify: 'always',
+    });
+    assert.deepEqual(parseSchedule('every hour check if my package status changed and tell me'), {
+      spec: { every: 'minutes', minutes: 60 }, task: 'check if my package status changed', notify: 'changes',
+    });
+    assert.deepEqual(parseSchedule('at 7am every monday and thursday, summarize hacker news').spec, { every: 'day', at: '07:00', days: [1, 4] });
+    assert.equal(parseSchedule('every morning what is the weather').spec.at, '08:00');
+    assert.equal(parseSchedule('check the weather'), null);
+  });
+
+  it('only takes outright requests when asked to', () => {
+    assert.deepEqual(parseSchedule('every weekday at 4pm run: check the AAPL price', { explicit: true }), {
+      spec: { every: 'day', at: '16:00', days: [1, 2, 3, 4, 5] }, task: 'check the AAPL price', notify: 'always',
+    });
+    assert.equal(parseSchedule('run stock_price every weekday at 4pm', { explicit: true }).task, 'stock_price');
+    assert.match(parseSchedule('every 5 minutes run the BTC check', { explicit: true }).error, /at most every 15 minutes/);
+    for (const chat of [
+      'Every morning I drink coffee, is that bad?',
+      'each hour feels so long today',
+      'daily standup notes: we shipped v2',
+      'every day I run 5k before work',
+      'every 5 minutes my phone buzzes',
+      'hourly',
+    ]) assert.equal(parseSchedule(chat, { explicit: true }), null, chat);
+  });
+
+  it('explains schedules it won\'t run', () => {
+    assert.match(parseSchedule('every 5 minutes check the BTC price').error, /at most every 15 minutes/);
+    assert.match(parseSchedule('every day at 25pm check the BTC price').error, /can't read "25pm"/);
+    assert.match(parseSchedule('hourly').error, /What should I run/);
+  });
+
+  it('describes what it parsed', () => {
+    assert.equal(describeSchedule({ every: 'minutes', minutes: 120 }), 'every 2 hours');
+    assert.equal(describeSchedule({ every: 'day', at: '09:30', days: [1, 4] }), 'every Monday and Thursday at 9:30am');
+    assert.equal(describeSchedule({ every: 'day', at: '12:00', days: [0, 6] }), 'on weekends at 12pm');
+  });
+});
+
+describe('nextRun', () => {
+  const weekdays4pm = { every: 'day', at: '16:00', days: [1, 2, 3, 4, 5] };
+
+  it('runs on the right days in the schedule\'s time zone', () => {
+    // Friday 5pm EDT → Monday 4pm EDT
+    assert.equal(nextRun(weekdays4pm, at('2026-10-16T21:00:00Z'), TZ), at('2026-10-19T20:00:00Z'));
+    // Same wall-clock time after the clocks change
+    assert.equal(nextRun(weekdays4pm, at('2026-10-30T21:00:00Z'), TZ), at('2026-11-02T21:00:00Z'));
+    assert.equal(nextRun({ every: 'day', at: '09:00', days: [1] }, at('2026-10-18T23:00:00Z'), 'Asia/Tokyo'), at('2026-10-19T00:00:00Z'));
+  });
+
+  it('moves a time the clocks skip to just after the change', () => {
+    assert.equal(nextRun({ every: 'day', at: '02:30', days: [0] }, at('2026-03-07T22:00:00Z'), TZ), at('2026-03-08T07:30:00Z'));
+  });
+
+  it('counts intervals from the last run', () => {
+    assert.equal(nextRun({ every: 'minutes', minutes: 30 }, at('2026-10-19T12:00:00Z'), TZ), at('2026-10-19T12:30:00Z'));
+  });
+});
+
+describe('runDueSchedules', () => {
+  it('runs due schedules once and moves them on', async () => {
+    const brain = freshBrain();
+    const { contextFor, replies } = fakeContextFor();
+    await scheduled(brain, 'async function run(msg) { return "Asked: " + msg; }');
+
+    assert.equal(await runDueSchedules({ brain, config, contextFor, now: at('2026-10-19T12:30:00Z') }), 0);
+    assert.equal(await runDueSchedules({ brain, config, contextFor, now: at('2026-10-19T13:00:00Z') }), 1);
+    assert.deepEqual(replies, ['⏰ parcel\n\nAsked: check my parcel']);
+    const [schedule] = await brain.loadSkillSchedules('tg:1');
+    assert.equal(schedule.nextRunAt, '2026-10-19T14:00:00.000Z');
+    assert.equal(schedule.lastRunAt, '2026-10-19T13:00:00.000Z');
+    assert.equal(await runDueSchedules({ brain, config, contextFor, now: at('2026-10-19T13:01:00Z') }), 0);
+  });
+
+  it('only speaks up in changes mode when the output moves on', async () => {
+    const brain = freshBrain();
+    const { contextFor, replies } = fakeContextFor();
+    await scheduled(brain, 'async function run() { return "In transit"; }', { notify: 'changes', lastOutput: 'In transit' });
+
+    await runDueSchedules({ brain, config, contextFor, now: at('2026-10-19T13:00:00Z') });
+    assert.deepEqual(replies, []);
+
+    await brain.saveSkill({ name: 'parcel', description: 'parcel status', code: 'async function run() { return "Delivered"; }' }, { scope: 'personal', owner: 'tg:1' });
+    await runDueSchedules({ brain, config, contextFor, now: at('2026-10-19T14:00:00Z') });
+    await runDueSchedules({ brain, config, contextFor, now: at('2026-10-19T15:00:00Z') });
+    assert.deepEqual(replies, ['⏰ parcel (changed)\n\nDelivered']);
+  });
+
+  it(`drops a schedule after ${MAX_FAILURES} failures in a row`, async () => {
+    const brain = freshBrain();
+    const { contextFor, replies } = fakeContextFor();
+    await scheduled(brain, 'async function run() { throw new Error("tracking site is down"); }');
+
+    for (let hour = 13; hour < 13 + MAX_FAILURES; hour++) {
+      await runDueSchedules({ brain, config, contextFor, now: at(`2026-10-19T${hour}:00:00Z`) });
+    }
+    assert.deepEqual(await brain.loadSkillSchedules('tg:1'), []);
+    assert.equal(replies.length, 1);
+    assert.match(replies[0], /Stopped running "parcel" every hour: it failed 3 times in a row \(tracking site is down\)/);
+  });
+
+  it('keeps schedules for users who can\'t be reached, and drops ones whose skill is gone', async () => {
+    const brain = freshBrain();
+    await scheduled(brain, 'async function run() { return "ok"; }');
+
+    const away = fakeContextFor({ allowed: false });
+    await runDueSchedules({ brain, config, contextFor: away.contextFor, now: at('2026-10-19T13:00:00Z') });
+    assert.equal((await brain.loadSkillSchedules('tg:1')).length, 1);
+
+    await brain.deleteSkill('parcel', { scope: 'personal', owner: 'tg:1' });
+    const { contextFor, replies } = fakeContextFor();
+    await runDueSchedules({ brain, config, contextFor, now: at('2026-10-19T14:00:00Z') });
+    assert.deepEqual(await brain.loadSkillSchedules('tg:1'), []);
+    assert.match(replies[0], /that skill is gone/);
+    assert.deepEqual(await brain.loadAllSkillSchedules(), []);
+  });
+
+  it('skips a skill whose capabilities the user hasn\'t allowed, telling them once', async () => {
+    const brain = freshBrain();
+    const { contextFor, replies } = fakeContextFor();
+    const nag = { name: 'nag', description: 'nag', capabilities: ['notify'], code: 'async function run() { await penny.notify("hi"); return "done"; }' };
+    await brain.saveSkill(nag, { scope: 'global' });
+    await addSchedule(brain, 'tg:1', { skill: 'nag', message: 'nag me', spec: { every: 'minutes', minutes: 60 }, notify: 'always', chatId: 1, userId: '1' },
+      { timeZone: TZ, now: at('2026-10-19T12:00:00Z') });
+
+    await runDueSchedules({ brain, config, contextFor, now: at('2026-10-19T13:00:00Z') });
+    await runDueSchedules({ brain, config, contextFor, now: at('2026-10-19T14:00:00Z') });
+    assert.equal(replies.length, 1);
+    assert.match(replies[0], /Skipped "nag" every hour: it now asks for notify, which you haven't allowed/);
+
+    await grantCapabilities(brain, 'tg:1', { nag: grantRequest(nag) });
+    await runDueSchedules({ brain, config, contextFor, now: at('2026-10-19T15:00:00Z') });
+    assert.deepEqual(replies.slice(1), ['🔔 nag: hi', '⏰ nag\n\ndone']);
+    const [schedule] = await brain.loadSkillSchedules('tg:1');
+    assert.equal(schedule.waitingForGrant, undefined);
+  });
+});
+
+describe('scheduling from a message', () => {
+  function stockPriceUser(messageBody) {
+    const brain = freshBrain();
+    const router = createDefaultRouter();
+    const llm = createLLM({
+      provider: 'fake',
+      model: 'test',
+      adapter: {
+        complete: async ({ name }) => {
+          const reply = {
+            classify_request: { type: 'generate' },
+            write_skill: {
+              name: 'stock_price',
+              description: 'latest price of a stock',
+              params: [{ name: 'symbol', type: 'string', description: 'ticker', required: true }],
+              args: { symbol: 'AAPL' },
+              code: 'async function run({ symbol }) { return symbol + " is at 100"; }',
+            },
+          }[name] || { pass: true };
+          return { text: JSON.stringify(reply), usage: { inputTokens: 0, outputTokens: 0 } };
+        },
+      },
+    });
+    const replies = [];
+    const audit = createAudit({ brain });
+    const ctx = {
+      chatId: 1, userId: '1', threadKey: 'tg:1', threadState: null, access: accessFor('member'),
+      messageBody,
+      lower: messageBody.toLowerCase(),
+      reply: async (text) => { replies.push(text); },
+      keyboard: async (rows) => ({ rows }),
+      config, brain, llm, router, log: () => {}, logError: () => {},
+      audit: { ...audit.forActor({ userId: '1' }), query: audit.query },
+    };
+    return { brain, router, ctx, audit, replies };
+  }
+
+  it('runs the request once and schedules the skill with its args', async () => {
+    const { brain, router, ctx, audit, replies } = stockPriceUser('every weekday at 4pm run: check the AAPL price');
+    await router.dispatch(ctx);
+
+    assert.match(replies[0], /AAPL is at 100/);
+    assert.match(replies[1], /Scheduled "stock_price" every weekday at 4pm\.\nNext run: /);
+    const [schedule] = await brain.loadSkillSchedules('tg:1');
+    assert.equal(schedule.skill, 'stock_price');
+    assert.deepEqual(schedule.args, { symbol: 'AAPL' });
+    assert.equal(schedule.notify, 'always');
+    assert.equal((await audit.query({ action: 'skills.schedule' })).length, 1);
+  });
+
+  it('doesn\'t schedule chat that starts like a schedule', async () => {
+    for (const text of ['Every morning I drink coffee, is that bad?', 'each hour feels so long today', 'daily standup notes: we shipped v2']) {
+      const { brain, router, ctx, replies } = stockPriceUser(text);
+      await router.dispatch(ctx);
+      assert.deepEqual(await brain.loadSkillSchedules('tg:1'), [], text);
+      assert.ok(replies.every((r) => !/Scheduled|⏰/.test(r)), text);
+    }
+  });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-skill-scopes-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createFsBackend } = require('../src/brain/backends/fs');
+const { createBrain } = require('../src/brain/brain');
+const { createLLM } = require('../src/clients/llm');
+const { runSkillPipeline } = require('../src/skills');
+const { visibleSkills, requestPromotion, decidePromotion } = require('../src/skillScopes');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let n = 0;
+function freshBrain() {
+  return createBrain({ backend: createFsBackend({ dir: tmpDir, prefix: `scopes-${n++}` }) });
+}
+
+const code = (text) => `async function run() { return ${JSON.stringify(text)}; }`;
+const ana = { threadKey: 'tg:1', team: 'ops' };
+const bo = { threadKey: 'tg:2', team: 'ops' };
+const cy = { threadKey: 'tg:3', team: null };
+
+async function seeded() {
+  const brain = freshBrain();
+  await brain.saveSkill({ name: 'weather', description: 'global weather', code: code('global') });
+  await brain.saveSkill({ name: 'deploy', description: 'ops deploy', code: code('team') }, { scope: 'team', owner: 'ops' });
+  await brain.saveSkill({ name: 'weather', description: 'my weather', code: code('mine') }, { scope: 'personal', owner: 'tg:1' });
+  await brain.saveSkill({ name: 'diary', description: 'my diary', code: code('diary') }, { scope: 'personal', owner: 'tg:1' });
+  return brain;
+}
+
+describe('skill visibility', () => {
+  it('shows each user their own, their team\'s and the global skills', async () => {
+    const brain = await seeded();
+    const names = async (who) => (await visibleSkills(brain, who)).map((s) => `${s.scope}:${s.name}`).sort();
+    assert.deepEqual(await names(ana), ['personal:diary', 'personal:weather', 'team:deploy']);
+    assert.deepEqual(await names(bo), ['global:weather', 'team:deploy']);
+    assert.deepEqual(await names(cy), ['global:weather']);
+  });
+
+  it('only offers the classifier skills the user can see', async () => {
+    const brain = await seeded();
+    const systems = [];
+    const llm = createLLM({
+      provider: 'fake',
+      model: 'test',
+      adapter: { complete: async (request) => { systems.push(request.system); return { text: '{"type":"chat"}', usage: { inputTokens: 0, outputTokens: 0 } }; } },
+    });
+    assert.equal(await runSkillPipeline({ llm, brain, ...cy, userMessage: 'what is the weather?' }), null);
+    assert.match(systems[0], /"weather": global weather/);
+    assert.doesNotMatch(systems[0], /diary|deploy|my weather/);
+  });
+
+  it('saves new skills as personal to whoever asked', async () => {
+    const brain = freshBrain();
+    const replies = {
+      classify_request: { type: 'generate', taskDescription: 'roll a die' },
+      write_skill: { name: 'dice', description: 'roll a die', code: code('4') },
+      verify_output: { pass: true },
+    };
+    const llm = createLLM({
+      provider: 'fake',
+      model: 'test',
+      adapter: { complete: async (request) => ({ text: JSON.stringify(replies[request.name] || { pass: true }), usage: { inputTokens: 0, outputTokens: 0 } }) },
+    });
+    const result = await runSkillPipeline({ llm, brain, ...bo, userMessage: 'roll a die' });
+    assert.equal(result.result, '4');
+    assert.deepEqual((await brain.loadSkills({ scope: 'personal', owner: 'tg:2' })).map((s) => s.name), ['dice']);
+    assert.deepEqual(await brain.loadSkills(), []);
+    assert.deepEqual(await brain.loadSkills({ scope: 'team', owner: 'ops' }), []);
+  });
+});
+
+describe('sharing skills', () => {
+  it('moves a skill to the team once approved', async () => {
+    const brain = await seeded();
+    const diary = (await visibleSkills(brain, ana)).find((s) => s.name === 'diary');
+    const request = await requestPromotion(brain, { skill: diary, to: 'team', team: 'ops', requestedBy: { userId: '1' } });
+    assert.equal((await visibleSkills(brain, bo)).some((s) => s.name === 'diary'), false);
+
+    await decidePromotion(brain, request.id, true);
+    const shared = (await visibleSkills(brain, bo)).find((s) => s.name === 'diary');
+    assert.equal(shared.scope, 'team');
+    assert.equal(shared.code, code('diary'));
+    assert.deepEqual((await brain.loadSkills({ scope: 'personal', owner: 'tg:1' })).map((s) => s.name), ['weather']);
+    assert.deepEqual(await brain.loadSkillPromotions(), []);
+  });
+
+  it('shares the reviewed code, not later edits', async () => {
+    const brain = await seeded();
+    const diary = (await visibleSkills(brain, ana)).find((s) => s.name === 'diary');
+    const request = await requestPromotion(brain, { skill: diary, to: 'global', requestedBy: { userId: '1' } });
+    await brain.saveSkill({ name: 'diary', description: 'my diary', code: code('sneaky') }, { scope: 'personal', owner: 'tg:1' });
+
+    await decidePromotion(brain, request.id, true);
+    assert.equal((await brain.loadSkills()).find((s) => s.name === 'diary').code, code('diary'));
+    // The edited personal copy stays
+    assert.equal((await visibleSkills(brain, ana)).find((s) => s.name === 'diary').code, code('sneaky'));
+  });
+
+  it('leaves everything in place when rejected', async () => {
+    const brain = await seeded();
+    const diary = (await visibleSkills(brain, ana)).find((s) => s.name === 'diary');
+    const request = await requestPromotion(brain, { skill: diary, to: 'global', requestedBy: { userId: '1' } });
+    assert.equal((await decidePromotion(brain, request.id, false)).name, 'diary');
+    assert.equal(await decidePromotion(brain, request.id, true), null);
+    assert.equal((await visibleSkills(brain, cy)).some((s) => s.name === 'diary'), false);
+  });
+
+  it('refuses team sharing without a team and sharing a skill no wider', async () => {
+    const brain = await seeded();
+    const [weather] = await visibleSkills(brain, cy);
+    await assert.rejects(requestPromotion(brain, { skill: { ...weather, scope: 'personal', owner: 'tg:3' }, to: 'team', team: null }), /not on a team/);
+    await assert.rejects(requestPromotion(brain, { skill: weather, to: 'team', team: 'ops' }), /already shared with everyone/);
+  });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-skill-tests-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createFsBackend } = require('../src/brain/backends/fs');
+const { createBrain } = require('../src/brain/brain');
+const { createLLM } = require('../src/clients/llm');
+const { runSkillPipeline } = require('../src/skills');
+const { withHistory } = require('../src/skillVersions');
+const { fetchRecorder, captureExample, addExample, runSuite, MAX_EXAMPLES } = require('../src/skillTests');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let n = 0;
+function freshBrain() {
+  return createBrain({ backend: createFsBackend({ dir: tmpDir, prefix: `suites-${n++}` }) });
+}
+
+// Replies by prompt name; a list is handed out in order
+function fakeLLM(replies) {
+  const calls = [];
+  const llm = createLLM({
+    provider: 'fake',
+    model: 'test',
+    adapter: {
+      complete: async (request) => {
+        calls.push(request);
+        let reply = replies[request.name] || { pass: true };
+        if (Array.isArray(reply)) reply = reply.shift();
+        return { text: JSON.stringify(reply), usage: { inputTokens: 0, outputTokens: 0 } };
+      },
+    },
+  });
+  return { llm, calls };
+}
+
+const weatherFixture = (temp) => ({
+  method: 'GET',
+  url: 'https://api.example.com/weather?city=Oslo',
+  response: {
+    url: 'https://api.example.com/weather?city=Oslo',
+    status: 200,
+    statusText: 'OK',
+    headers: { 'content-type': 'application/json' },
+    body: Buffer.from(JSON.stringify({ temp })).toString('base64'),
+  },
+});
+const weatherCode = `async function run({ city }) {
+  const res = await fetch('https://api.example.com/weather?city=' + city);
+  const { temp } = await res.json();
+  return city + ': ' + temp + '°C on ' + new Date().toISOString().slice(0, 10);
+}`;
+
+describe('regression suites', () => {
+  it('replays examples offline from recorded fetches at the recorded time', async () => {
+    const example = {
+      input: { city: 'Oslo' },
+      message: 'weather in oslo',
+      fixtures: [weatherFixture(4)],
+      at: '2026-02-03T08:00:00.000Z',
+      output: 'Oslo: 4°C on 2026-02-03',
+    };
+    const [pass] = await runSuite([example], weatherCode);
+    assert.equal(pass.ok, true);
+
+    const [changed] = await runSuite([example], weatherCode.replace('°C', '°F'));
+    assert.equal(changed.ok, false);
+    assert.equal(changed.output, 'Oslo: 4°F on 2026-02-03');
+
+    const [unrecorded] = await runSuite([{ ...example, fixtures: [] }], weatherCode);
+    assert.match(unrecorded.error, /fetch not recorded: GET https:\/\/api\.example\.com\/weather\?city=Oslo/);
+  });
+
+  it('captures an example with a repeatable output', async () => {
+    const recorder = fetchRecorder();
+    recorder.onFetch({ url: 'https://api.example.com/weather?city=Oslo' }, { ...weatherFixture(7).response, body: Buffer.from('{"temp":7}') });
+    const at = Date.parse('2026-05-01T12:00:00Z');
+    const example = await captureExample(weatherCode, { input: { city: 'Oslo' }, message: 'oslo?', recorder, at });
+    assert.equal(example.output, 'Oslo: 7°C on 2026-05-01');
+    assert.equal(example.at, '2026-05-01T12:00:00.000Z');
+    assert.equal((await runSuite([example], weatherCode))[0].ok, true);
+
+    const big = fetchRecorder();
+    big.onFetch({ url: 'https://api.example.com/x' }, { status: 200, headers: {}, body: new Uint8Array(40_000) });
+    assert.equal(await captureExample(weatherCode, { input: {}, message: 'x', recorder: big, at }), null);
+  });
+
+  it('keeps one example per input, newest last', () => {
+    let skill = { name: 's' };
+    for (let i = 0; i < MAX_EXAMPLES + 2; i++) skill = addExample(skill, { input: { i }, output: String(i) });
+    skill = addExample(skill, { input: { i: 3 }, output: 'again' });
+    assert.equal(skill.examples.length, MAX_EXAMPLES);
+    assert.deepEqual(skill.examples.at(-1), { input: { i: 3 }, output: 'again' });
+    assert.equal(skill.examples.filter((e) => e.input.i === 3).length, 1);
+  });
+});
+
+describe('suites in the skill pipeline', () => {
+  const who = { threadKey: 'tg:1', team: null };
+  const personal = { scope: 'personal', owner: 'tg:1' };
+  const double = (body) => ({
+    name: 'double',
+    description: 'double a number',
+    params: [{ name: 'n', type: 'number', description: 'the number', required: true }],
+    code: `async function run({ n }) { ${body} }`,
+  });
+
+  it('records examples from accepted runs', async () => {
+    const brain = freshBrain();
+    const { llm } = fakeLLM({
+      classify_request: { type: 'generate', taskDescription: 'double it' },
+      write_skill: { ...double('return String(n * 2);'), args: { n: 2 } },
+    });
+    await runSkillPipeline({ llm, brain, ...who, userMessage: 'double 2' });
+    const [saved] = await brain.loadSkills(personal);
+    assert.deepEqual(saved.examples.map((e) => [e.input, e.message, e.output]), [[{ n: 2 }, 'double 2', '4']]);
+  });
+
+  it('heals again when a fix breaks an earlier example', async () => {
+    const brain = freshBrain();
+    const skill = withHistory(double('if (n < 0) throw new Error("negative"); return String(n * 2);'));
+    await brain.saveSkill({ ...skill, examples: [{ input: { n: 2 }, message: 'double 2', fixtures: [], at: '2026-01-01T00:00:00.000Z', output: '4' }] }, personal);
+
+    const { llm, calls } = fakeLLM({
+      classify_request: { type: 'skill', skillName: 'double', args: { n: -3 } },
+      fix_skill: [
+        { diagnosis: 'allow negatives', code: double('return n < 0 ? String(n * 2) : "positive";').code },
+        { diagnosis: 'allow negatives, keep positives', code: double('return String(n * 2);').code },
+      ],
+    });
+    const result = await runSkillPipeline({ llm, brain, ...who, userMessage: 'double -3' });
+    assert.equal(result.result, '-6');
+
+    const heals = calls.filter((c) => c.name === 'fix_skill');
+    assert.equal(heals.length, 2);
+    assert.match(heals[1].messages[0].content, /Regression: the new code breaks 1 earlier example[\s\S]*Expected: 4\nGot: positive/);
+
+    const [saved] = await brain.loadSkills(personal);
+    assert.equal(saved.code, double('return String(n * 2);').code);
+    assert.deepEqual(saved.versions.map((v) => v.version), [1, 2]);
+    assert.deepEqual(saved.examples.map((e) => e.output), ['4', '-6']);
+  });
+
+  it('keeps the old version when every fix breaks the suite', async () => {
+    const brain = freshBrain();
+    const skill = withHistory(double('if (n < 0) throw new Error("negative"); return String(n * 2);'));
+    await brain.saveSkill({ ...skill, examples: [{ input: { n: 2 }, message: 'double 2', fixtures: [], at: '2026-01-01T00:00:00.000Z', output: '4' }] }, personal);
+
+    const { llm } = fakeLLM({
+      classify_request: { type: 'skill', skillName: 'double', args: { n: -3 } },
+      fix_skill: Array.from({ length: 3 }, () => ({ diagnosis: 'always -6', code: double('return "-6";').code })),
+    });
+    const result = await runSkillPipeline({ llm, brain, ...who, userMessage: 'double -3' });
+    assert.match(result.result, /^⚠️ Not saved — this fix breaks earlier uses of "double":\n\n-6$/);
+
+    const [saved] = await brain.loadSkills(personal);
+    assert.equal(saved.version, 1);
+    assert.equal(saved.code, skill.code);
+  });
+});
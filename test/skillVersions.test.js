@@ -0,0 +1,156 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-skill-versions-test-'));
+process.env.OPENCLAW_BRAIN_DIR = tmpDir;
+
+const { createFsBackend } = require('../src/brain/backends/fs');
+const { createBrain } = require('../src/brain/brain');
+const { createLLM } = require('../src/clients/llm');
+const { runSkillPipeline } = require('../src/skills');
+const { withHistory, addVersion, recordRun, rollbackTo, autoRollback, MAX_VERSIONS } = require('../src/skillVersions');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+let n = 0;
+function freshBrain() {
+  return createBrain({ backend: createFsBackend({ dir: tmpDir, prefix: `versions-${n++}` }) });
+}
+
+const code = (text) => `async function run() { return ${JSON.stringify(text)}; }`;
+const broken = 'async function run() { throw new Error("boom"); }';
+const runs = (skill) => skill.versions.map((v) => `v${v.version}:${v.successCount}/${v.failureCount}`);
+
+// Replies by prompt name; `fix_skill` may be a list handed out in order
+function fakeLLM(replies) {
+  const calls = [];
+  const llm = createLLM({
+    provider: 'fake',
+    model: 'test',
+    adapter: {
+      complete: async (request) => {
+        calls.push(request.name);
+        let reply = replies[request.name] || { pass: true };
+        if (Array.isArray(reply)) reply = reply.shift();
+        return { text: JSON.stringify(reply), usage: { inputTokens: 0, outputTokens: 0 } };
+      },
+    },
+  });
+  return { llm, calls };
+}
+
+describe('skill versions', () => {
+  it('adds a version on heal and keeps the old code', () => {
+    const skill = addVersion(withHistory({ name: 'w', code: 'one', successCount: 3 }), { code: 'two', diagnosis: 'fixed the URL' });
+    assert.equal(skill.code, 'two');
+    assert.equal(skill.version, 2);
+    assert.deepEqual(skill.versions.map((v) => v.code), ['one', 'two']);
+    assert.equal(skill.versions[1].parent, 1);
+    assert.equal(skill.versions[1].diagnosis, 'fixed the URL');
+    assert.ok(skill.versions[1].healedAt);
+    assert.deepEqual(runs(skill), ['v1:3/0', 'v2:0/0']);
+  });
+
+  it('counts runs against the version in use', () => {
+    let skill = addVersion(withHistory({ name: 'w', code: 'one' }), { code: 'two' });
+    skill = recordRun(recordRun(skill, true), false);
+    assert.deepEqual(runs(skill), ['v1:0/0', 'v2:1/1']);
+    assert.equal(skill.successCount, 1);
+  });
+
+  it('rolls back by hand to any kept version', () => {
+    const skill = rollbackTo(addVersion(withHistory({ name: 'w', code: 'one' }), { code: 'two' }), 1);
+    assert.equal(skill.code, 'one');
+    assert.equal(skill.version, 1);
+    assert.equal(skill.rolledBackFrom, 2);
+    assert.throws(() => rollbackTo(skill, 1), /already on v1/);
+    assert.throws(() => rollbackTo(skill, 9), /no version 9/);
+  });
+
+  it('rolls back automatically once a version fails more than its parent', () => {
+    let skill = withHistory({ name: 'w', code: 'one' });
+    for (let i = 0; i < 4; i++) skill = recordRun(skill, true);
+    skill = addVersion(recordRun(skill, false), { code: 'two' });
+
+    skill = recordRun(recordRun(skill, true), false);
+    assert.equal(autoRollback(skill), null, 'too few runs to judge');
+    skill = recordRun(skill, false);
+    const rolled = autoRollback(skill);
+    assert.equal(rolled.code, 'one');
+    assert.equal(rolled.version, 1);
+    assert.equal(autoRollback(rolled), null, 'nothing before v1');
+  });
+
+  it('keeps a bounded history, always including the version in use', () => {
+    let skill = withHistory({ name: 'w', code: 'c1' });
+    skill = rollbackTo(addVersion(skill, { code: 'c2' }), 1);
+    for (let i = 3; i <= MAX_VERSIONS + 3; i++) skill = rollbackTo(addVersion(skill, { code: `c${i}` }), 1);
+    assert.equal(skill.versions.length, MAX_VERSIONS);
+    assert.equal(skill.versions[0].version, 1);
+    assert.equal(skill.code, 'c1');
+  });
+});
+
+describe('versions in the skill pipeline', () => {
+  const who = { threadKey: 'tg:1', team: null };
+  const personal = { scope: 'personal', owner: 'tg:1' };
+
+  it('saves a heal as a new version instead of overwriting', async () => {
+    const brain = freshBrain();
+    await brain.saveSkill(withHistory({ name: 'greet', description: 'say hi', code: broken }), personal);
+    const { llm } = fakeLLM({
+      classify_request: { type: 'skill', skillName: 'greet' },
+      fix_skill: { diagnosis: 'stop throwing', code: code('hi') },
+    });
+    const result = await runSkillPipeline({ llm, brain, ...who, userMessage: 'greet me' });
+    assert.equal(result.result, 'hi');
+    assert.equal(result.healed, true);
+
+    const [saved] = await brain.loadSkills(personal);
+    assert.equal(saved.version, 2);
+    assert.equal(saved.code, code('hi'));
+    assert.deepEqual(saved.versions.map((v) => v.code), [broken, code('hi')]);
+    assert.equal(saved.versions[1].diagnosis, 'stop throwing');
+    assert.deepEqual(runs(saved), ['v1:0/1', 'v2:1/0']);
+  });
+
+  it('goes back to the previous version when a heal made things worse', async () => {
+    const brain = freshBrain();
+    let skill = withHistory({ name: 'greet', description: 'say hi', code: code('hi') });
+    for (let i = 0; i < 5; i++) skill = recordRun(skill, true);
+    skill = addVersion(recordRun(skill, false), { code: broken });
+    skill = recordRun(recordRun(skill, true), false);
+    await brain.saveSkill(skill, personal);
+
+    const { llm, calls } = fakeLLM({ classify_request: { type: 'skill', skillName: 'greet' } });
+    const result = await runSkillPipeline({ llm, brain, ...who, userMessage: 'greet me' });
+    assert.equal(result.result, 'hi');
+    assert.equal(result.rolledBack, 1);
+    assert.ok(!calls.includes('fix_skill'));
+
+    const [saved] = await brain.loadSkills(personal);
+    assert.equal(saved.version, 1);
+    assert.equal(saved.code, code('hi'));
+    assert.deepEqual(runs(saved), ['v1:6/1', 'v2:1/2']);
+  });
+
+  it('still reports a stored skill as reused when its output can\'t be verified', async () => {
+    const brain = freshBrain();
+    await brain.saveSkill(withHistory({ name: 'greet', description: 'say hi', code: code('hi') }), personal);
+    const { llm } = fakeLLM({
+      classify_request: { type: 'skill', skillName: 'greet' },
+      verify_output: { pass: false, reason: 'not a greeting' },
+      fix_skill: { diagnosis: 'try again', code: code('hello') },
+    });
+    const result = await runSkillPipeline({ llm, brain, ...who, userMessage: 'greet me' });
+    assert.match(result.result, /^⚠️ Result may be inaccurate/);
+    assert.equal(result.reused, true);
+  });
+});
@@ -3,6 +3,7 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
 const { executeSkill } = require('../src/skills');
+const { checkUrl, isPrivateAddress } = require('../src/skillSandbox');
 
 describe('executeSkill', () => {
   it('runs a simple sync skill', async () => {
@@ -51,7 +52,7 @@ describe('executeSkill', () => {
 
   it('throws on timeout', async () => {
     const code = 'async function run(input) { while(true){} }';
-    assert.throws(() => executeSkill(code, '', { timeout: 100 }), /timed out|timeout/i);
+    await assert.rejects(executeSkill(code, '', { timeout: 100 }), /timed out|timeout/i);
   });
 
   it('cannot access require', async () => {
@@ -81,9 +82,85 @@ describe('executeSkill', () => {
     assert.equal(result, 'aGVsbG8=');
   });
 
+  it('passes typed args to skills with params', async () => {
+    const code = 'async function run(args) { return `${typeof args.amount}:${args.amount * 2}:${args.to}:${Array.isArray(args.tags)}`; }';
+    const result = await executeSkill(code, { amount: 21, to: 'EUR', tags: ['a'] });
+    assert.equal(result, 'number:42:EUR:true');
+  });
+
   it('has access to encodeURIComponent', async () => {
     const code = 'async function run(input) { return encodeURIComponent("hello world"); }';
     const result = await executeSkill(code, '');
     assert.equal(result, 'hello%20world');
   });
 });
+
+describe('skill sandbox', () => {
+  it('cannot reach the host through constructors', async () => {
+    for (const expr of [
+      "this.constructor.constructor('return process')()",
+      "Buffer.constructor.constructor('return process')()",
+      "input.constructor.constructor('return process')()",
+      "fetch.constructor('return process')()",
+    ]) {
+      const code = `async function run() { try { const p = ${expr}; return typeof p === 'object' && p ? Object.keys(p.env || {}).length + ' env vars' : 'no process'; } catch (err) { return 'blocked'; } }`;
+      assert.match(await executeSkill(code, ''), /^(blocked|no process)$/, expr);
+    }
+  });
+
+  it('has no require or env even via the worker global', async () => {
+    const code = `async function run() {
+      const g = Buffer.constructor.constructor('return this')();
+      return [typeof g.process, typeof g.require, typeof g.fetch, typeof g.WebAssembly].join(',');
+    }`;
+    assert.equal(await executeSkill(code, ''), 'undefined,undefined,undefined,undefined');
+  });
+
+  it('refuses eval inside the skill', async () => {
+    const code = 'async function run() { return eval("1 + 1"); }';
+    await assert.rejects(executeSkill(code, ''), /Code generation from strings disallowed/);
+  });
+
+  it('kills skills that never finish', async () => {
+    const code = 'async function run() { await new Promise(() => setTimeout(() => {}, 60_000)); }';
+    const started = Date.now();
+    await assert.rejects(executeSkill(code, '', { timeout: 500 }), /timed out after 500ms/);
+    assert.ok(Date.now() - started < 5000);
+  });
+
+  it('stops skills that use too much memory', async () => {
+    const code = 'async function run() { const a = []; for (;;) a.push(new Array(100_000).fill(a.length)); }';
+    await assert.rejects(executeSkill(code, '', { memoryMb: 16, timeout: 10_000 }), /out of memory/);
+  });
+
+  it('keeps fetch off private addresses and the metadata server', async () => {
+    for (const url of ['http://127.0.0.1:8080/', 'http://169.254.169.254/computeMetadata/v1/', 'http://metadata.google.internal/', 'http://localhost/', 'http://[::1]/', 'http://[::ffff:10.0.0.1]/', 'file:///etc/passwd']) {
+      const code = `async function run() { try { await fetch(${JSON.stringify(url)}); return 'fetched'; } catch (err) { return err.message; } }`;
+      assert.match(await executeSkill(code, ''), /fetch blocked/, url);
+    }
+  });
+
+  it('caps how many fetches a skill makes', async () => {
+    const code = `async function run() {
+      const out = [];
+      for (let i = 0; i < 3; i++) { try { await fetch('http://10.0.0.1/'); } catch (err) { out.push(err.message); } }
+      return out.join('|');
+    }`;
+    assert.match(await executeSkill(code, '', { maxFetches: 2 }), /at most 2 requests$/);
+  });
+
+  it('only allows listed hosts when an allowlist is set', () => {
+    const policy = { allowedHosts: ['open-meteo.com'] };
+    assert.equal(checkUrl('https://api.open-meteo.com/v1', policy).hostname, 'api.open-meteo.com');
+    assert.throws(() => checkUrl('https://evil-open-meteo.com/', policy), /not in SKILL_ALLOWED_HOSTS/);
+    assert.throws(() => checkUrl('https://example.com/', policy), /not in SKILL_ALLOWED_HOSTS/);
+    assert.equal(checkUrl('https://example.com/').hostname, 'example.com');
+  });
+
+  it('recognises private and public addresses', () => {
+    for (const ip of ['10.1.2.3', '172.20.0.1', '192.168.1.1', '127.0.0.1', '169.254.169.254', '100.100.1.1', '0.0.0.0', 'fd00::1', 'fe80::1', '::1', '::ffff:127.0.0.1']) {
+      assert.equal(isPrivateAddress(ip), true, ip);
+    }
+    for (const ip of ['8.8.8.8', '142.250.1.1', '2001:4860:4860::8888']) assert.equal(isPrivateAddress(ip), false, ip);
+  });
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+
+const { createTelegramClient, createUpdateDeduper } = require('../src/clients/telegram');
+
+// Minimal stand-in for api.telegram.org: records every call and serves
+// queued updates from getUpdates.
+function startFakeTelegram() {
+  const calls = [];
+  const queue = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      const method = req.url.split('/').pop();
+      calls.push({ method, body: body ? JSON.parse(body) : {} });
+      const result = method === 'getUpdates' ? queue.splice(0) : true;
+      // Keep the poll loop from spinning hot when there's nothing queued
+      setTimeout(() => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ ok: true, result }));
+      }, result.length === 0 ? 20 : 0);
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, calls, queue, apiRoot: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+const waitFor = async (fn, ms = 2000) => {
+  const start = Date.now();
+  while (!fn()) {
+    if (Date.now() - start > ms) throw new Error('timed out waiting');
+    await new Promise(r => setTimeout(r, 10));
+  }
+};
+
+describe('createUpdateDeduper', () => {
+  it('flags repeated update_ids', () => {
+    const isDuplicate = createUpdateDeduper();
+    assert.equal(isDuplicate(1), false);
+    assert.equal(isDuplicate(2), false);
+    assert.equal(isDuplicate(1), true);
+  });
+
+  it('forgets the oldest ids past its window', () => {
+    const isDuplicate = createUpdateDeduper(2);
+    isDuplicate(1); isDuplicate(2); isDuplicate(3);
+    assert.equal(isDuplicate(1), false);
+    assert.equal(isDuplicate(3), true);
+  });
+});
+
+describe('createTelegramClient against a fake Telegram server', () => {
+  let fake;
+
+  before(async () => { fake = await startFakeTelegram(); });
+  after(() => new Promise(r => fake.server.close(r)));
+
+  it('returns null without a bot token', () => {
+    assert.equal(createTelegramClient(''), null);
+  });
+
+  it('polling clears the webhook and delivers each message once', async () => {
+    const tg = createTelegramClient('TOKEN', { apiRoot: fake.apiRoot });
+    const received = [];
+    fake.queue.push(
+      { update_id: 10, message: { text: 'hi' } },
+      { update_id: 10, message: { text: 'hi' } },
+      { update_id: 11, message: { text: 'there' } },
+    );
+    const stop = tg.startPolling((m) => received.push(m.text));
+    await waitFor(() => received.length >= 2);
+    stop();
+    assert.deepEqual(received, ['hi', 'there']);
+    assert.equal(fake.calls[0].method, 'deleteWebhook');
+    assert.ok(fake.calls.some(c => c.method === 'getUpdates'));
+  });
+
+  it('attaches reply_markup to the last chunk only', async () => {
+    const tg = createTelegramClient('TOKEN', { apiRoot: fake.apiRoot });
+    const before = fake.calls.length;
+    const replyMarkup = { inline_keyboard: [[{ text: 'Send', callback_data: 'a:x' }]] };
+    await tg.sendMessage(42, 'x'.repeat(5000), { replyMarkup });
+    const sends = fake.calls.slice(before).filter(c => c.method === 'sendMessage');
+    assert.equal(sends.length, 2);
+    assert.equal(sends[0].body.reply_markup, undefined);
+    assert.deepEqual(sends[1].body.reply_markup, replyMarkup);
+  });
+
+  it('routes callback_query updates to onCallbackQuery', async () => {
+    const tg = createTelegramClient('TOKEN', { apiRoot: fake.apiRoot });
+    const queries = [];
+    fake.queue.push({ update_id: 20, callback_query: { id: 'q1', data: 'a:tok' } });
+    const stop = tg.startPolling({ onMessage: () => {}, onCallbackQuery: (q) => queries.push(q.data) });
+    await waitFor(() => queries.length >= 1);
+    stop();
+    assert.deepEqual(queries, ['a:tok']);
+    const poll = fake.calls.filter(c => c.method === 'getUpdates').pop();
+    assert.deepEqual(poll.body.allowed_updates, ['message', 'callback_query']);
+  });
+
+  describe('webhook mode', () => {
+    let tg, app, server, url;
+    const received = [];
+
+    before(async () => {
+      tg = createTelegramClient('TOKEN', { apiRoot: fake.apiRoot });
+      app = express();
+      app.use(express.json());
+      server = await listen(app);
+      url = `http://127.0.0.1:${server.address().port}`;
+      await tg.startWebhook(app, { url: 'https://penny.example.com/', path: '/tg/hook', secretToken: 's3cret' }, (m) => received.push(m.text));
+    });
+    after(() => new Promise(r => server.close(r)));
+
+    const post = (body, secret) => fetch(`${url}/tg/hook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(secret ? { 'X-Telegram-Bot-Api-Secret-Token': secret } : {}) },
+      body: JSON.stringify(body),
+    });
+
+    it('registers the webhook URL and secret with Telegram', () => {
+      const call = fake.calls.find(c => c.method === 'setWebhook');
+      assert.equal(call.body.url, 'https://penny.example.com/tg/hook');
+      assert.equal(call.body.secret_token, 's3cret');
+    });
+
+    it('rejects requests without the secret header', async () => {
+      const resp = await post({ update_id: 1, message: { text: 'nope' } });
+      assert.equal(resp.status, 401);
+      assert.deepEqual(received, []);
+    });
+
+    it('rejects requests with the wrong secret', async () => {
+      const resp = await post({ update_id: 1, message: { text: 'nope' } }, 'wrong!');
+      assert.equal(resp.status, 401);
+      assert.deepEqual(received, []);
+    });
+
+    it('delivers verified updates and drops retried update_ids', async () => {
+      assert.equal((await post({ update_id: 100, message: { text: 'one' } }, 's3cret')).status, 200);
+      assert.equal((await post({ update_id: 100, message: { text: 'one' } }, 's3cret')).status, 200);
+      assert.equal((await post({ update_id: 101, message: { text: 'two' } }, 's3cret')).status, 200);
+      assert.deepEqual(received, ['one', 'two']);
+    });
+
+    it('answers only once the update is handled, or at the timeout', async () => {
+      const responses = [];
+      const res = { status: (code) => ({ send: () => { responses.push(code); } }) };
+      const req = (update) => ({ body: update, get: () => 's3cret' });
+      let finish;
+      const handler = tg.webhookHandler('s3cret', () => new Promise((resolve) => { finish = resolve; }), { timeout: 200 });
+
+      const handled = handler(req({ update_id: 200, message: { text: 'slow' } }), res);
+      await new Promise((r) => setTimeout(r, 20));
+      assert.deepEqual(responses, []);
+      finish();
+      await handled;
+      assert.deepEqual(responses, [200]);
+
+      await handler(req({ update_id: 201, message: { text: 'stuck' } }), res);
+      assert.deepEqual(responses, [200, 200]);
+    });
+  });
+});
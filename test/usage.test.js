@@ -0,0 +1,136 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createUsageTracker, priceFor, DEFAULT_PRICES } = require('../src/usage');
+
+function memoryBrain() {
+  const store = {};
+  return {
+    store,
+    async loadUsage(key) { return store[key] ? JSON.parse(store[key]) : null; },
+    async updateUsage(key, fn) {
+      const next = fn(store[key] ? JSON.parse(store[key]) : null);
+      if (next !== undefined) store[key] = JSON.stringify(next);
+      return store[key] ? JSON.parse(store[key]) : null;
+    },
+  };
+}
+
+function setup({ usage = {}, brain = memoryBrain(), start = Date.parse('2026-03-14T12:00:00Z') } = {}) {
+  let t = start;
+  const alerts = [];
+  const tracker = createUsageTracker({
+    brain,
+    config: { usage },
+    notify: async (text) => { alerts.push(text); },
+    now: () => t,
+    logError: () => {},
+  });
+  return { tracker, brain, alerts, advance: (ms) => { t += ms; } };
+}
+
+describe('pricing', () => {
+  it('picks the longest matching model prefix', () => {
+    assert.deepEqual(priceFor('claude-opus-4-6', DEFAULT_PRICES), [5, 25]);
+    assert.deepEqual(priceFor('claude-opus-4-1-20250805', DEFAULT_PRICES), [15, 75]);
+    assert.deepEqual(priceFor('gpt-4o-mini-2024-07-18', DEFAULT_PRICES), [0.15, 0.6]);
+    assert.equal(priceFor('mystery-model', DEFAULT_PRICES), null);
+  });
+
+  it('lets LLM_PRICES override the defaults', async () => {
+    const { tracker } = setup({ usage: { prices: { 'claude-opus-4-6': [10, 50] } } });
+    const entry = await tracker.record({ userId: '1', provider: 'anthropic', model: 'claude-opus-4-6', inputTokens: 1e6, outputTokens: 1e6 });
+    assert.equal(entry.cost, 60);
+  });
+});
+
+describe('rollups', () => {
+  it('adds each call to the day by feature, user and model', async () => {
+    const { tracker, brain } = setup();
+    await tracker.record({ userId: '1', userName: 'Ada', feature: 'email', provider: 'anthropic', model: 'claude-sonnet-4-5', inputTokens: 1000, outputTokens: 500 });
+    await tracker.record({ userId: '2', feature: 'chat', provider: 'anthropic', model: 'claude-sonnet-4-5', inputTokens: 2000, outputTokens: 0 });
+    const day = JSON.parse(brain.store['2026-03-14']);
+    assert.equal(day.total.calls, 2);
+    assert.equal(day.total.inputTokens, 3000);
+    assert.equal(day.byFeature.email.outputTokens, 500);
+    assert.equal(day.byUser['2'].calls, 1);
+    assert.equal(day.byModel['anthropic:claude-sonnet-4-5'].calls, 2);
+    assert.equal(day.names['1'], 'Ada');
+    assert.equal(day.total.cost, 0.0165);
+  });
+
+  it('keeps concurrent records from overwriting each other', async () => {
+    const { tracker, brain } = setup();
+    await Promise.all(Array.from({ length: 5 }, () =>
+      tracker.record({ userId: '1', feature: 'chat', provider: 'openai', model: 'gpt-4o', inputTokens: 10, outputTokens: 10 })));
+    assert.equal(JSON.parse(brain.store['2026-03-14']).total.calls, 5);
+    assert.equal(JSON.parse(brain.store['month-2026-03']).calls, 5);
+  });
+
+  it('flags models it has no price for', async () => {
+    const { tracker, brain } = setup();
+    await tracker.record({ userId: '1', provider: 'openai', model: 'mystery-model', inputTokens: 10 });
+    const day = JSON.parse(brain.store['2026-03-14']);
+    assert.deepEqual(day.unpriced, ['mystery-model']);
+    assert.equal(day.byFeature.unknown.calls, 1);
+  });
+
+  it('summarises a range of days', async () => {
+    const { tracker, advance } = setup();
+    await tracker.record({ userId: '1', feature: 'chat', provider: 'anthropic', model: 'claude-haiku-4-5', inputTokens: 100, outputTokens: 100 });
+    advance(24 * 60 * 60 * 1000);
+    await tracker.record({ userId: '1', feature: 'todo', provider: 'anthropic', model: 'claude-haiku-4-5', inputTokens: 100, outputTokens: 100 });
+    const report = await tracker.summary({ from: '2026-03-14', to: '2026-03-15' });
+    assert.equal(report.total.calls, 2);
+    assert.equal(report.byUser['1'].inputTokens, 200);
+    assert.deepEqual(Object.keys(report.byFeature).sort(), ['chat', 'todo']);
+    assert.equal((await tracker.summary({ from: '2026-03-15', to: '2026-03-15' })).total.calls, 1);
+  });
+});
+
+describe('recorder', () => {
+  it('tags each call with the current feature and the model that answered', async () => {
+    const { tracker, brain } = setup();
+    let feature = 'chat';
+    const record = tracker.recorder(() => ({ userId: '1', feature }));
+    await record({ inputTokens: 10, outputTokens: 5 }, { provider: 'openai', model: 'gpt-4o' });
+    feature = 'email';
+    await record({ inputTokens: 10, outputTokens: 5 }, { provider: 'openai', model: 'gpt-4o' });
+    const day = JSON.parse(brain.store['2026-03-14']);
+    assert.deepEqual(Object.keys(day.byFeature).sort(), ['chat', 'email']);
+    assert.equal(day.byModel['openai:gpt-4o'].calls, 2);
+  });
+});
+
+describe('budget alerts', () => {
+  it('alerts once per threshold crossed', async () => {
+    const { tracker, alerts } = setup({ usage: { monthlyBudgetUsd: 10, alertThresholds: [50, 100] } });
+    const call = (outputTokens) => tracker.record({ userId: '1', provider: 'anthropic', model: 'claude-opus-4-6', outputTokens });
+    await call(120000); // $3
+    assert.equal(alerts.length, 0);
+    await call(120000); // $6 → 60%
+    assert.equal(alerts.length, 1);
+    assert.match(alerts[0], /60% of the \$10/);
+    await call(40000); // $7
+    assert.equal(alerts.length, 1);
+    await call(200000); // $12
+    assert.equal(alerts.length, 2);
+    assert.match(alerts[1], /over budget/);
+  });
+
+  it('starts over each month', async () => {
+    const { tracker, alerts, advance } = setup({ usage: { monthlyBudgetUsd: 1, alertThresholds: [100] } });
+    await tracker.record({ userId: '1', provider: 'anthropic', model: 'claude-opus-4-6', outputTokens: 40000 });
+    advance(31 * 24 * 60 * 60 * 1000);
+    await tracker.record({ userId: '1', provider: 'anthropic', model: 'claude-opus-4-6', outputTokens: 40000 });
+    assert.equal(alerts.length, 2);
+  });
+
+  it('never throws into the caller when the brain fails', async () => {
+    const { tracker } = setup({ brain: { loadUsage: async () => { throw new Error('disk full'); } } });
+    const entry = await tracker.record({ userId: '1', provider: 'openai', model: 'gpt-4o', inputTokens: 1 });
+    assert.equal(entry.inputTokens, 1);
+  });
+});